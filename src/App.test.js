@@ -1,8 +1,217 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { act, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import App from "./App";
+import { requestCache } from "./findBook/requestCache";
+import { LIBRARY_KEY, addBook, emptyLibrary, today } from "./findBook/library";
+import { MOCK_WORKS, mockOpenLibrary } from "./findBook/mockOpenLibrary";
+import { syncQueue } from "./findBook/offline";
+import { SEARCH_DEBOUNCE } from "./findBook/searchRequest";
+import { download } from "./findBook/ImportExport";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// jsdom can't follow a download link, so files are checked as they're handed over
+jest.mock("./findBook/ImportExport", () => ({ ...jest.requireActual("./findBook/ImportExport"), download: jest.fn() }));
+
+// The whole app against a local Open Library (see ./findBook/mockOpenLibrary).
+// Search requests are told apart from search-box suggestions by their page size.
+let api;
+const resultSearches = () => api.searches().filter((params) => params.get("limit") === "20");
+const lastSearch = () => resultSearches().at(-1);
+
+function renderAt(url) {
+  window.history.replaceState(null, "", url);
+  return render(<App />);
+}
+
+const findCards = () => screen.findAllByRole("article", {}, { timeout: 3000 });
+
+// Saving or removing a book queues work for offline use (see ./findBook/offline)
+// and asks for new recommendations; let both finish before looking further
+async function settle() {
+  await act(() => syncQueue.flush());
+  await waitFor(() => expect(screen.queryByRole("region", { name: /Recommended/, busy: true })).toBeNull());
+}
+
+beforeEach(async () => {
+  localStorage.clear();
+  await requestCache.clear();
+  api = mockOpenLibrary().install();
+});
+
+afterEach(() => {
+  api.uninstall();
+});
+
+test("searches once typing stops, for what was typed last", async () => {
+  renderAt("/");
+  const box = screen.getByRole("combobox", { name: "Search books" });
+  fireEvent.change(box, { target: { value: "dra" } });
+  fireEvent.change(box, { target: { value: "drag" } });
+  fireEvent.change(box, { target: { value: "dragon" } });
+  expect(resultSearches()).toHaveLength(0);
+
+  expect(await findCards()).toHaveLength(20);
+  expect(resultSearches()).toHaveLength(1);
+  expect(lastSearch().get("q")).toBe("dragon");
+  expect(window.location.search).toMatch(/q=dragon/);
+});
+
+test("pages through results with Next, and the page goes in the URL", async () => {
+  renderAt("/?q=dragon");
+  await findCards();
+  expect(screen.getByText("45 results · page 1 of 3")).toHaveAttribute("role", "status");
+
+  fireEvent.click(screen.getByRole("button", { name: "Next page" }));
+  expect(await screen.findByRole("article", { name: "Dragon Book 21" })).toBeInTheDocument();
+  expect(lastSearch().get("page")).toBe("2");
+  expect(screen.getByText("45 results · page 2 of 3")).toBeInTheDocument();
+  expect(new URLSearchParams(window.location.search).get("page")).toBe("2");
+});
+
+test("back and forward restore the search and page from the URL", async () => {
+  renderAt("/?q=dragon");
+  await findCards();
+  fireEvent.click(screen.getByRole("button", { name: "Next page" }));
+  expect(await screen.findByRole("article", { name: "Dragon Book 21" })).toBeInTheDocument();
+  const box = screen.getByRole("combobox", { name: "Search books" });
+  fireEvent.change(box, { target: { value: "Dragon Book 7" } });
+  await waitFor(() => expect(lastSearch().get("q")).toBe("Dragon Book 7"));
+  await waitFor(() => expect(window.location.search).toMatch(/q=Dragon\+Book\+7/));
+
+  act(() => window.history.back());
+  await waitFor(() => expect(box).toHaveValue("dragon"));
+  expect(await screen.findByRole("article", { name: "Dragon Book 21" })).toBeInTheDocument();
+  expect(screen.getByText("45 results · page 2 of 3")).toBeInTheDocument();
+
+  act(() => window.history.back());
+  expect(await screen.findByRole("article", { name: "Dragon Book 1" })).toBeInTheDocument();
+  expect(screen.getByText("45 results · page 1 of 3")).toBeInTheDocument();
+
+  act(() => window.history.forward());
+  expect(await screen.findByRole("article", { name: "Dragon Book 21" })).toBeInTheDocument();
+  expect(screen.getByText("45 results · page 2 of 3")).toBeInTheDocument();
+  expect(new URLSearchParams(window.location.search).get("page")).toBe("2");
+});
+
+test("a continuous list keeps the pages it added when Details is closed", async () => {
+  localStorage.setItem("bookfinder.viewMode", JSON.stringify("continuous"));
+  renderAt("/?q=dragon");
+  await findCards();
+  fireEvent.click(screen.getByRole("button", { name: "Load more" }));
+  expect(await screen.findByText("Showing 40 of 45")).toBeInTheDocument();
+  const searches = resultSearches().length;
+
+  const card = screen.getByRole("article", { name: "Dragon Book 1" });
+  fireEvent.click(within(card).getByRole("button", { name: "Details" }));
+  const dialog = await screen.findByRole("dialog");
+  expect(window.location.search).toMatch(/work=/);
+  fireEvent.click(within(dialog).getAllByRole("button", { name: "Close" })[0]);
+
+  // closing goes back in history, which restores the same search; give any
+  // search that starts time to run before looking
+  await waitFor(() => expect(window.location.search).not.toMatch(/work=/));
+  await act(() => new Promise((resolve) => setTimeout(resolve, SEARCH_DEBOUNCE + 200)));
+  expect(screen.queryByRole("dialog")).toBeNull();
+  expect(screen.getByText("Showing 40 of 45")).toBeInTheDocument();
+  expect(screen.getByRole("button", { name: "Load more" })).toBeEnabled();
+  expect(resultSearches()).toHaveLength(searches);
+});
+
+test("filters go to the catalog and start again from page 1", async () => {
+  renderAt("/?q=dragon&page=2");
+  await findCards();
+
+  fireEvent.click(screen.getByRole("checkbox", { name: "eBook only" }));
+  fireEvent.change(screen.getByRole("combobox", { name: "Book language" }), { target: { value: "spa" } });
+  fireEvent.change(screen.getByRole("combobox", { name: "Sort" }), { target: { value: "new" } });
+
+  await waitFor(() => expect(lastSearch().get("sort")).toBe("new"));
+  expect(lastSearch().get("has_fulltext")).toBe("true");
+  expect(lastSearch().get("language")).toBe("spa");
+  expect(lastSearch().get("page")).toBe("1");
+  await waitFor(() => expect(screen.getAllByRole("article")).toHaveLength(4));
+  expect(screen.getAllByRole("article")[0]).toHaveAccessibleName("Dragon Book 45");
+});
+
+test("a saved book goes in the Saved drawer and is kept for next time", async () => {
+  renderAt("/?q=dragon");
+  const [first] = await findCards();
+  fireEvent.click(within(first).getByRole("button", { name: "Save" }));
+  await settle();
+
+  expect(within(first).getByRole("button", { name: "Saved" })).toBeInTheDocument();
+  expect(screen.getByRole("heading", { name: /Saved \(1\)/ })).toBeInTheDocument();
+  // once in its card, once in the drawer
+  expect(screen.getAllByText("Dragon Book 1")).toHaveLength(2);
+  const library = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+  expect(library.entries.map((e) => e.book.key)).toEqual(["/works/OL1W"]);
+});
+
+test("a catalog error says so, and Retry searches again", async () => {
+  api.fail(503);
+  renderAt("/?q=dragon");
+  // transient errors are retried twice before they're shown
+  const alert = await screen.findByRole("alert", {}, { timeout: 5000 });
+  expect(alert).toHaveTextContent("The catalog is having trouble (error 503)");
+  expect(screen.queryAllByRole("article")).toHaveLength(0);
+
+  api.recover();
+  fireEvent.click(within(alert).getByRole("button", { name: "Retry" }));
+  expect(await findCards()).toHaveLength(20);
+  expect(screen.queryByRole("alert")).toBeNull();
+});
+
+test("a request that never gets an answer says to check the connection", async () => {
+  api.fail({ network: true });
+  renderAt("/?q=dragon");
+  expect(await screen.findByRole("alert", {}, { timeout: 5000 })).toHaveTextContent("Couldn't reach the catalog");
+});
+
+test("a search that matches nothing says so", async () => {
+  renderAt("/?q=unicorns");
+  expect(await screen.findByText("No books found.", {}, { timeout: 3000 })).toBeInTheDocument();
+  expect(screen.getByText("No results")).toHaveAttribute("role", "status");
+});
+
+test("reading stats follow the saved books, track a goal and export as JSON", async () => {
+  const read = { ...MOCK_WORKS[44], provider: "openlibrary" };
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(addBook(emptyLibrary(), read, "finished", { status: "finished", finishedAt: today() })));
+  renderAt("/?q=dragon");
+  const [first] = await findCards();
+  expect(screen.getByRole("heading", { name: /Reading stats/ })).toBeInTheDocument();
+  expect(screen.getByText("1 saved · 1 finished")).toBeInTheDocument();
+
+  const year = today().slice(0, 4);
+  fireEvent.change(screen.getByLabelText(`Books to read in ${year}`), { target: { value: "4" } });
+  expect(screen.getByRole("progressbar", { name: `Reading goal for ${year}` })).toHaveAttribute("aria-valuenow", "1");
+  expect(screen.getByText(/1 of 4 books read/)).toBeInTheDocument();
+
+  fireEvent.click(within(first).getByRole("button", { name: "Save" }));
+  await settle();
+  expect(screen.getByText("2 saved · 1 finished")).toBeInTheDocument();
+  expect(screen.getByRole("img", { name: "Top authors" })).toHaveAccessibleDescription(/Ursula K\. Le Guin: 1/);
+  fireEvent.click(within(first).getByRole("button", { name: "Saved" }));
+  await settle();
+  expect(screen.getByText("1 saved · 1 finished")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole("button", { name: "Export JSON" }));
+  expect(download).toHaveBeenCalledWith(expect.any(String), expect.stringMatching(/^bookfinder-stats-.*\.json$/), "application/json");
+  const exported = JSON.parse(download.mock.calls[0][0]);
+  expect(exported).toMatchObject({ year: Number(year), saved: 1, finished: 1, goal: { goal: 4, finished: 1 } });
+});
+
+test("the stats go back to this year once the year shown has no books left", async () => {
+  const old = { ...MOCK_WORKS[0], provider: "openlibrary" };
+  const later = { ...MOCK_WORKS[1], provider: "openlibrary" };
+  const library = addBook(addBook(emptyLibrary(), old, "finished", { status: "finished", finishedAt: "2020-05-01" }), later);
+  localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+  renderAt("/?q=dragon");
+  const [first] = await findCards();
+
+  fireEvent.change(screen.getByRole("combobox", { name: "Year" }), { target: { value: "2020" } });
+  expect(screen.getByLabelText("Books to read in 2020")).toBeInTheDocument();
+
+  fireEvent.click(within(first).getByRole("button", { name: "Saved" }));
+  await settle();
+  const year = today().slice(0, 4);
+  expect(screen.getByRole("combobox", { name: "Year" })).toHaveValue(year);
+  expect(screen.getByLabelText(`Books to read in ${year}`)).toBeInTheDocument();
 });
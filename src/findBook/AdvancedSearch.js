@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from "react";
+import {
+  CLAUSE_FIELDS,
+  describeClause,
+  formatQuerySyntax,
+  makeClause,
+  parseQuerySyntax,
+  parseYearRange,
+} from "./queryBuilder";
+import { useI18n } from "./useI18n";
+
+const EMPTY_DRAFT = { field: "title", exact: false, op: "AND", value: "" };
+const OPS = ["AND", "OR", "NOT"];
+
+// Clause chips + typed syntax for the advanced search panel. Chips and the
+// syntax box are two views of the same `clauses` array owned by BookFinder.
+export const AdvancedSearch = ({ clauses, onChange }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(-1); // index of the chip loaded into the form
+  const [syntax, setSyntax] = useState(() => formatQuerySyntax(clauses));
+
+  useEffect(() => {
+    setSyntax(formatQuerySyntax(clauses));
+  }, [clauses]);
+
+  const yearIndex = clauses.findIndex((c) => c.field === "year" && c.op !== "NOT");
+  const yearRange = (yearIndex >= 0 && parseYearRange(clauses[yearIndex].value)) || { from: null, to: null };
+
+  function submitDraft(e) {
+    e.preventDefault();
+    if (!draft.value.trim()) return;
+    const clause = makeClause(draft.field, draft.value, { exact: draft.exact && draft.field !== "year", op: draft.op });
+    onChange(editing >= 0 ? clauses.map((c, i) => (i === editing ? clause : c)) : [...clauses, clause]);
+    setDraft(EMPTY_DRAFT);
+    setEditing(-1);
+  }
+
+  function editClause(index) {
+    setDraft(clauses[index]);
+    setEditing(index);
+  }
+
+  function removeClause(index) {
+    onChange(clauses.filter((_, i) => i !== index));
+    if (editing === index) {
+      setDraft(EMPTY_DRAFT);
+      setEditing(-1);
+    }
+  }
+
+  function cycleOp(index) {
+    onChange(clauses.map((c, i) => (i === index ? { ...c, op: OPS[(OPS.indexOf(c.op) + 1) % OPS.length] } : c)));
+  }
+
+  function setYear(from, to) {
+    const rest = clauses.filter((_, i) => i !== yearIndex);
+    if (!from && !to) return onChange(rest);
+    const clause = makeClause("year", `${from || ""}-${to || ""}`);
+    onChange(yearIndex >= 0 ? clauses.map((c, i) => (i === yearIndex ? clause : c)) : [...clauses, clause]);
+  }
+
+  function applySyntax(e) {
+    e.preventDefault();
+    onChange(parseQuerySyntax(syntax));
+  }
+
+  return (
+    <div className="border-top mt-3 pt-3">
+      {clauses.length > 0 && (
+        <div className="d-flex flex-wrap align-items-center gap-1 mb-2">
+          {clauses.map((clause, i) => (
+            <span key={i} className={`badge rounded-pill border d-inline-flex align-items-center gap-1 ${editing === i ? "bg-primary-subtle text-dark" : "bg-light text-dark"}`}>
+              {(i > 0 || clause.op === "NOT") && (
+                <button type="button" className="btn btn-link btn-sm p-0 text-decoration-none fw-bold" title={t("advanced.cycleOp")} onClick={() => cycleOp(i)}>
+                  {i === 0 ? "NOT" : clause.op}
+                </button>
+              )}
+              <button type="button" className="btn btn-link btn-sm p-0 text-decoration-none text-dark" title={t("advanced.edit")} onClick={() => editClause(i)}>
+                {describeClause(clause, i18n)}
+              </button>
+              <button
+                type="button"
+                className="btn-close btn-close-sm"
+                style={{ fontSize: "0.6rem" }}
+                aria-label={t("advanced.remove", { clause: describeClause(clause, i18n) })}
+                onClick={() => removeClause(i)}
+              ></button>
+            </span>
+          ))}
+          <button type="button" className="btn btn-link btn-sm" onClick={() => onChange([])}>
+            {t("advanced.clearAll")}
+          </button>
+        </div>
+      )}
+
+      <form className="row g-2 align-items-center" onSubmit={submitDraft}>
+        <div className="col-4 col-md-2">
+          <select className="form-select form-select-sm" aria-label={t("advanced.combine")} value={draft.op} onChange={(e) => setDraft({ ...draft, op: e.target.value })}>
+            <option value="AND">AND</option>
+            <option value="OR">OR</option>
+            <option value="NOT">NOT</option>
+          </select>
+        </div>
+        <div className="col-8 col-md-3">
+          <select className="form-select form-select-sm" aria-label={t("advanced.field")} value={draft.field} onChange={(e) => setDraft({ ...draft, field: e.target.value })}>
+            {CLAUSE_FIELDS.map((f) => (
+              <option key={f.id} value={f.id}>{t(`field.${f.id}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-4 col-md-2">
+          <select className="form-select form-select-sm" aria-label={t("advanced.match")} value={draft.exact ? "is" : "contains"} disabled={draft.field === "year"} onChange={(e) => setDraft({ ...draft, exact: e.target.value === "is" })}>
+            <option value="contains">{t("advanced.contains")}</option>
+            <option value="is">{t("advanced.is")}</option>
+          </select>
+        </div>
+        <div className="col-8 col-md-3">
+          <input
+            type="text"
+            className="form-control form-control-sm"
+            aria-label={t("advanced.value")}
+            placeholder={draft.field === "year" ? t("advanced.yearPlaceholder") : t("advanced.value")}
+            value={draft.value}
+            onChange={(e) => setDraft({ ...draft, value: e.target.value })}
+          />
+        </div>
+        <div className="col-12 col-md-2 d-grid">
+          <button type="submit" className="btn btn-outline-primary btn-sm">
+            {editing >= 0 ? t("advanced.update") : t("advanced.add")}
+          </button>
+        </div>
+      </form>
+
+      <div className="row g-2 mt-1">
+        <div className="col-12 col-md-5">
+          <div className="input-group input-group-sm">
+            <span className="input-group-text">{t("field.year")}</span>
+            <input
+              type="number"
+              className="form-control"
+              aria-label={t("advanced.fromYear")}
+              placeholder={t("advanced.from")}
+              value={yearRange.from ?? ""}
+              onChange={(e) => setYear(e.target.value, yearRange.to)}
+            />
+            <input
+              type="number"
+              className="form-control"
+              aria-label={t("advanced.toYear")}
+              placeholder={t("advanced.to")}
+              value={yearRange.to ?? ""}
+              onChange={(e) => setYear(yearRange.from, e.target.value)}
+            />
+          </div>
+        </div>
+        <form className="col-12 col-md-7" onSubmit={applySyntax}>
+          <div className="input-group input-group-sm">
+            <input
+              type="text"
+              className="form-control font-monospace"
+              aria-label={t("advanced.syntax")}
+              placeholder="author:tolkien year:1950-1970 -subject:poetry"
+              value={syntax}
+              onChange={(e) => setSyntax(e.target.value)}
+            />
+            <button type="submit" className="btn btn-outline-secondary">
+              {t("advanced.apply")}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,127 @@
+import React, { useId } from "react";
+import { bookUrl, coverUrl, providerLabel } from "./providers";
+import { languageName } from "./languages";
+import { coverAlt } from "./a11y";
+import { MAX_COMPARE } from "./compare";
+import { useI18n } from "./useI18n";
+
+export const PLACEHOLDER = "https://via.placeholder.com/150x220?text=No+Cover";
+
+// Author names as in-app links. Each author is { key, name }; the key is null
+// for catalogs without author records.
+export const AuthorLinks = ({ book, onAuthor, fallback }) => {
+  const { t } = useI18n();
+  const names = book.author_name || [];
+  if (!names.length) return fallback ?? t("book.unknownAuthor");
+  if (!onAuthor) return names.join(", ");
+  return names.map((name, i) => (
+    <React.Fragment key={`${name}-${i}`}>
+      {i > 0 && ", "}
+      <button type="button" className="btn btn-link p-0 align-baseline text-reset" onClick={() => onAuthor({ key: (book.author_key || [])[i] || null, name })}>
+        {name}
+      </button>
+    </React.Fragment>
+  ));
+};
+
+// "Compare" checkbox for cards and saved books; once the compare list is
+// full only the books already on it can be unticked.
+export const CompareToggle = ({ book, compared, full, onToggle, className = "" }) => {
+  const { t } = useI18n();
+  return (
+    <label className={`form-check small mb-0 ${className}`}>
+      <input
+        type="checkbox"
+        className="form-check-input"
+        checked={compared}
+        disabled={!compared && full}
+        onChange={() => onToggle(book)}
+        aria-label={t("compare.toggleLabel", { title: book.title })}
+      />
+      <span className="form-check-label" title={!compared && full ? t("compare.full", { count: MAX_COMPARE }) : undefined}>
+        {t("compare.toggle")}
+      </span>
+    </label>
+  );
+};
+
+// One result card, shared by the paged grid, the continuous (virtualized) grid
+// and any other view that lists search results. The card itself takes focus
+// so arrow keys can move across the grid (see handleGridKeys in ./a11y);
+// Enter on it opens the details.
+export const BookCard = ({ book, saved, onToggleSave, onDetails, onAuthor, onSubject, compared = false, compareFull = false, onToggleCompare }) => {
+  const i18n = useI18n();
+  const { t, locale } = i18n;
+  const titleId = useId();
+  const cover = coverUrl(book, "M");
+
+  function onKeyDown(e) {
+    if (e.key === "Enter" && e.target === e.currentTarget) {
+      e.preventDefault();
+      onDetails(book);
+    }
+  }
+
+  return (
+    <article className="card h-100 shadow-sm" tabIndex={0} data-grid-item aria-labelledby={titleId} onKeyDown={onKeyDown}>
+      <img
+        src={cover || PLACEHOLDER}
+        alt={coverAlt(book, Boolean(cover), i18n)}
+        className="card-img-top"
+        style={{ objectFit: "cover", height: 220 }}
+      />
+      <div className="card-body d-flex flex-column">
+        <h3 className="card-title h5 mb-1" id={titleId}>{book.title}</h3>
+        <p className="card-text text-muted mb-1" title={(book.author_name || []).join(", ")}>
+          <AuthorLinks book={book} onAuthor={onAuthor} />
+        </p>
+        <p className="card-text mb-2"><small className="text-muted">{t("book.firstPublished", { year: book.first_publish_year ? String(book.first_publish_year) : t("book.na") })}</small></p>
+        <div className="d-flex gap-2 mb-2 flex-wrap">
+          {(book.ebook_access === "public" || book.has_fulltext) && (
+            <span className="badge bg-success">{t("book.ebook")}</span>
+          )}
+          {Array.isArray(book.language) && book.language.length > 0 && (
+            <span className="badge bg-secondary" title={book.language.map((code) => languageName(code, locale)).join(", ")}>{languageName(book.language[0], locale)}</span>
+          )}
+          {book.edition_count ? (
+            <span className="badge bg-info text-dark" title={t("book.editions", { count: book.edition_count })}>
+              {t("book.editionsShort", { count: book.edition_count })}
+            </span>
+          ) : null}
+        </div>
+        {onSubject && Array.isArray(book.subject) && book.subject.length > 0 && (
+          <div className="d-flex gap-1 mb-2 flex-wrap">
+            {book.subject.slice(0, 3).map((s) => (
+              <button key={s} type="button" className="badge bg-light text-dark border" onClick={() => onSubject(s)}>
+                {s}
+              </button>
+            ))}
+          </div>
+        )}
+        {onToggleCompare && <CompareToggle book={book} compared={compared} full={compareFull} onToggle={onToggleCompare} className="mb-2" />}
+        <div className="mt-auto d-flex gap-2">
+          {bookUrl(book) && (
+            <a
+              className="btn btn-outline-primary btn-sm"
+              href={bookUrl(book)}
+              target="_blank"
+              rel="noreferrer"
+            >
+              {providerLabel(book)}
+            </a>
+          )}
+          <button className="btn btn-outline-secondary btn-sm" onClick={() => onDetails(book)} aria-describedby={titleId}>
+            {t("book.details")}
+          </button>
+          <button
+            className={`btn btn-sm ${saved ? "btn-success" : "btn-outline-success"}`}
+            onClick={() => onToggleSave(book)}
+            aria-describedby={titleId}
+          >
+            {saved ? t("book.saved") : t("book.save")}
+          </button>
+        </div>
+      </div>
+    </article>
+  );
+};
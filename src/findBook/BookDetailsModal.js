@@ -0,0 +1,294 @@
+import React, { useEffect, useRef, useState } from "react";
+import { bookUrl, coverUrl, getProvider, mergeBook, providerLabel } from "./providers";
+import { isAbortError } from "./requestCache";
+import { AuthorLinks, PLACEHOLDER } from "./BookCard";
+import { languageName } from "./languages";
+import { editionAsBook } from "./compare";
+import { coverAlt, useDialog } from "./a11y";
+import { useI18n } from "./useI18n";
+
+const IDLE = { status: "idle", data: null };
+const LOADING = { status: "loading", data: null };
+
+// Loads the full work, its editions and its authors for the Details modal.
+// Each part loads (and fails) on its own so a missing author record doesn't
+// hide the description, and none of it touches the main search error.
+// Editions come a page at a time; loadMoreEditions adds the next one.
+function useBookDetails(book) {
+  const [work, setWork] = useState(IDLE);
+  const [editions, setEditions] = useState(IDLE);
+  const [moreEditions, setMoreEditions] = useState(IDLE); // the next page of editions
+  const [authors, setAuthors] = useState(IDLE);
+  const [attempt, setAttempt] = useState(0);
+  const moreRef = useRef(null); // the next-page request in progress
+  const authorKeys = (book.author_key || []).join(",");
+
+  useEffect(() => {
+    const provider = getProvider(book.provider || "openlibrary");
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    setMoreEditions(IDLE);
+
+    async function load(setState, request) {
+      setState(LOADING);
+      try {
+        const data = await request();
+        if (!controller.signal.aborted) setState({ status: "ready", data });
+        return data;
+      } catch (err) {
+        if (!isAbortError(err) && !controller.signal.aborted) setState({ status: "error", data: null });
+        return null;
+      }
+    }
+
+    const loadAuthors = (keys) =>
+      provider.getAuthor && keys.length
+        ? load(setAuthors, () => Promise.all(keys.map((key) => provider.getAuthor(key, options))))
+        : setAuthors(IDLE);
+
+    // search results usually carry author keys already; otherwise take them from the work
+    const knownAuthors = authorKeys ? authorKeys.split(",") : [];
+    if (knownAuthors.length) loadAuthors(knownAuthors);
+    load(setWork, () => provider.getWork(book.key, options)).then((data) => {
+      if (data && !knownAuthors.length) loadAuthors(data.author_key || []);
+    });
+    if (provider.getEditions) load(setEditions, () => provider.getEditions(book.key, options));
+    else setEditions(IDLE);
+
+    return () => {
+      controller.abort();
+      moreRef.current?.abort();
+    };
+  }, [book.key, book.provider, authorKeys, attempt]);
+
+  async function loadMoreEditions() {
+    const provider = getProvider(book.provider || "openlibrary");
+    const loaded = editions.data.editions;
+    moreRef.current?.abort();
+    const controller = new AbortController();
+    moreRef.current = controller;
+    setMoreEditions(LOADING);
+    try {
+      const next = await provider.getEditions(book.key, { offset: loaded.length, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      const keys = new Set(loaded.map((e) => e.key));
+      setEditions((prev) => ({ ...prev, data: { editions: [...prev.data.editions, ...next.editions.filter((e) => !keys.has(e.key))], total: next.total } }));
+      setMoreEditions(IDLE);
+    } catch (err) {
+      if (!isAbortError(err) && !controller.signal.aborted) setMoreEditions({ status: "error", data: null });
+    }
+  }
+
+  return { work, editions, moreEditions, authors, loadMoreEditions, retry: () => setAttempt((n) => n + 1) };
+}
+
+const SectionError = ({ children, onRetry }) => {
+  const { t } = useI18n();
+  return (
+    <div className="alert alert-warning py-1 px-2 small d-flex align-items-center gap-2" role="alert">
+      {children}
+      <button className="btn btn-sm btn-link p-0 ms-auto" onClick={onRetry}>{t("common.retry")}</button>
+    </div>
+  );
+};
+
+const Loading = ({ label }) => (
+  <p className="small text-muted" role="status">
+    <span className="spinner-border spinner-border-sm me-1" aria-hidden="true" />
+    {label}
+  </p>
+);
+
+function editionLabel(edition) {
+  return [edition.publish_date, edition.publisher[0], edition.physical_format].filter(Boolean).join(" · ") || edition.title || edition.key;
+}
+
+function lifespan(author) {
+  if (!author.birth_date && !author.death_date) return "";
+  return `${author.birth_date || "?"} – ${author.death_date}`.trim();
+}
+
+const AuthorCard = ({ author, onAuthor }) => {
+  const { t } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+  const long = author.bio.length > 400;
+  return (
+    <div className="d-flex gap-2 mb-3">
+      {author.photo_url && <img src={author.photo_url} alt={author.name} className="rounded" style={{ width: 64, height: 80, objectFit: "cover" }} />}
+      <div className="small">
+        <div className="fw-semibold">
+          <button type="button" className="btn btn-link p-0 align-baseline fw-semibold" onClick={() => onAuthor({ key: author.key.replace("/authors/", ""), name: author.name })}>
+            {author.name}
+          </button>
+          {lifespan(author) && <span className="text-muted fw-normal"> ({lifespan(author)})</span>}
+        </div>
+        {author.bio && (
+          <p className="mb-0" style={{ whiteSpace: "pre-line" }}>
+            {long && !expanded ? `${author.bio.slice(0, 400)}…` : author.bio}
+            {long && (
+              <button className="btn btn-link btn-sm p-0 ms-1 align-baseline" onClick={() => setExpanded((v) => !v)}>
+                {expanded ? t("details.less") : t("details.more")}
+              </button>
+            )}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export const BookDetailsModal = ({ book, onClose, onAuthor, onSubject, compare }) => {
+  const i18n = useI18n();
+  const { t, locale, formatNumber } = i18n;
+  const { work, editions, moreEditions, authors, loadMoreEditions, retry } = useBookDetails(book);
+  const [editionKey, setEditionKey] = useState("");
+  const dialogRef = useRef(null);
+  useDialog(dialogRef, onClose);
+
+  const withWork = work.data ? mergeBook(book, work.data) : book;
+  // a book opened from a link may only know its authors by key
+  const full =
+    !(withWork.author_name || []).length && authors.data?.length
+      ? { ...withWork, author_name: authors.data.map((a) => a.name), author_key: authors.data.map((a) => a.key.replace("/authors/", "")) }
+      : withWork;
+  const editionList = editions.data?.editions || [];
+  const edition = editionList.find((e) => e.key === editionKey) || null;
+  // an edition without its own cover keeps showing the work's
+  const cover =
+    (edition && (edition.cover_i || edition.cover_url) && coverUrl({ ...full, cover_i: edition.cover_i, cover_url: edition.cover_url }, "L")) ||
+    coverUrl(full, "L");
+  const languages = edition?.language.length ? edition.language : full.language;
+  // with an edition picked, that edition is what gets compared
+  const compareTarget = edition ? editionAsBook(full, edition) : full;
+  const compared = Boolean(compare?.has(compareTarget.key));
+
+  return (
+    <div ref={dialogRef} className="modal d-block" role="dialog" aria-modal="true" aria-labelledby="book-details-title" tabIndex={-1} onClick={onClose}>
+      <div className="modal-dialog modal-lg modal-dialog-centered modal-dialog-scrollable" role="document" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-content">
+          <div className="modal-header">
+            <h2 className="modal-title h5" id="book-details-title">{edition?.title || full.title}</h2>
+            <button type="button" className="btn-close" onClick={onClose} aria-label={t("common.close")}></button>
+          </div>
+          <div className="modal-body">
+            <div className="row g-3">
+              <div className="col-12 col-md-4">
+                <img src={cover || PLACEHOLDER} alt={coverAlt(edition ? { title: edition.title || full.title } : full, Boolean(cover), i18n)} className="img-fluid rounded" />
+              </div>
+              <div className="col-12 col-md-8">
+                <p className="mb-1"><strong>{t("details.authors")}</strong> <AuthorLinks book={full} onAuthor={onAuthor} fallback={t("book.unknown")} /></p>
+                <p className="mb-1"><strong>{t("details.firstPublished")}</strong> {full.first_publish_year || t("book.na")}</p>
+                <p className="mb-2">
+                  <strong>{t("details.languages")}</strong>{" "}
+                  {Array.isArray(languages) && languages.length ? languages.map((code) => languageName(code, locale)).join(", ") : t("book.na")}
+                </p>
+
+                {editions.status === "loading" && <Loading label={t("details.loadingEditions")} />}
+                {editions.status === "error" && <SectionError onRetry={retry}>{t("details.editionsError")}</SectionError>}
+                {editionList.length > 0 && (
+                  <div className="mb-2">
+                    <label className="form-label small mb-1" htmlFor="edition-picker">
+                      <strong>{t("details.edition")}</strong>
+                      {editions.data.total > editionList.length && (
+                        <span className="text-muted"> {t("details.editionsShown", { shown: editionList.length, total: editions.data.total })}</span>
+                      )}
+                    </label>
+                    <select id="edition-picker" className="form-select form-select-sm" value={editionKey} onChange={(e) => setEditionKey(e.target.value)}>
+                      <option value="">{t("details.allEditions", { count: editions.data.total })}</option>
+                      {editionList.map((e) => (
+                        <option key={e.key} value={e.key}>{editionLabel(e)}</option>
+                      ))}
+                    </select>
+                    {moreEditions.status === "loading" && <Loading label={t("details.loadingEditions")} />}
+                    {moreEditions.status === "error" && <SectionError onRetry={loadMoreEditions}>{t("details.editionsError")}</SectionError>}
+                    {editions.data.total > editionList.length && moreEditions.status === "idle" && (
+                      <button type="button" className="btn btn-link btn-sm p-0" onClick={loadMoreEditions}>
+                        {t("details.moreEditions")}
+                      </button>
+                    )}
+                  </div>
+                )}
+                {edition && (
+                  <dl className="row small mb-2">
+                    <dt className="col-4">{t("details.publisher")}</dt>
+                    <dd className="col-8">{edition.publisher.join(", ") || "—"}</dd>
+                    <dt className="col-4">{t("details.published")}</dt>
+                    <dd className="col-8">{edition.publish_date || "—"}</dd>
+                    <dt className="col-4">{t("details.pages")}</dt>
+                    <dd className="col-8">{edition.number_of_pages ? formatNumber(edition.number_of_pages) : "—"}</dd>
+                    <dt className="col-4">{t("details.format")}</dt>
+                    <dd className="col-8">{edition.physical_format || "—"}</dd>
+                    <dt className="col-4">ISBN-13</dt>
+                    <dd className="col-8 font-monospace">{edition.isbn_13.join(", ") || "—"}</dd>
+                    <dt className="col-4">ISBN-10</dt>
+                    <dd className="col-8 font-monospace">{edition.isbn_10.join(", ") || "—"}</dd>
+                  </dl>
+                )}
+
+                {Array.isArray(full.subject) && full.subject.length > 0 && (
+                  <div className="mb-2">
+                    <strong>{t("details.subjects")}</strong>
+                    <div className="mt-1 d-flex flex-wrap gap-1">
+                      {full.subject.slice(0, 15).map((s, i) => (
+                        <button key={i} type="button" className="badge bg-light text-dark border" onClick={() => onSubject(s)}>
+                          {s}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <hr />
+            {work.status === "loading" && <Loading label={t("details.loadingDescription")} />}
+            {work.status === "error" && <SectionError onRetry={retry}>{t("details.workError")}</SectionError>}
+            {work.data?.description && <p style={{ whiteSpace: "pre-line" }}>{work.data.description}</p>}
+            {work.status === "ready" && !work.data.description && <p className="text-muted small">{t("details.noDescription")}</p>}
+            {work.data?.excerpts?.length > 0 && (
+              <>
+                <h3 className="h6">{t("details.excerpts")}</h3>
+                {work.data.excerpts.map((e, i) => (
+                  <blockquote key={i} className="blockquote small border-start ps-2">
+                    <p className="mb-1">{e.text}</p>
+                    {e.comment && <footer className="blockquote-footer mb-0">{e.comment}</footer>}
+                  </blockquote>
+                ))}
+              </>
+            )}
+            {work.data?.links?.length > 0 && (
+              <>
+                <h3 className="h6">{t("details.links")}</h3>
+                <ul className="small">
+                  {work.data.links.map((l) => (
+                    <li key={l.url}><a href={l.url} target="_blank" rel="noreferrer">{l.title}</a></li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            {authors.status !== "idle" && <h3 className="h6">{t("details.aboutAuthors", { count: Math.max(1, (authors.data || book.author_key || []).length) })}</h3>}
+            {authors.status === "loading" && <Loading label={t("details.loadingAuthors")} />}
+            {authors.status === "error" && <SectionError onRetry={retry}>{t("details.authorsError")}</SectionError>}
+            {(authors.data || []).map((a) => (
+              <AuthorCard key={a.key} author={a} onAuthor={onAuthor} />
+            ))}
+          </div>
+          <div className="modal-footer">
+            {compare && (
+              <button className="btn btn-outline-secondary me-auto" disabled={!compared && compare.full} onClick={() => compare.onToggle(compareTarget)}>
+                {compared ? t("details.removeFromCompare") : edition ? t("details.compareEdition") : t("details.addToCompare")}
+              </button>
+            )}
+            {bookUrl(full) && (
+              <a className="btn btn-primary" href={bookUrl(full)} target="_blank" rel="noreferrer">
+                {t("details.viewOn", { catalog: providerLabel(full) })}
+              </a>
+            )}
+            <button className="btn btn-secondary" onClick={onClose}>{t("common.close")}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
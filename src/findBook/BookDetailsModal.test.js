@@ -0,0 +1,116 @@
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { BookDetailsModal } from "./BookDetailsModal";
+import { makeAuthor, makeBook, makeEdition, registerProvider } from "./providers";
+import { catalogError } from "./errors";
+
+// A catalog whose answers each test hands out when it likes
+function fakeCatalog(id) {
+  const pending = { work: [], editions: [], author: [] };
+  const answerLater = (list) => () => new Promise((resolve, reject) => list.push({ resolve, reject }));
+  const provider = registerProvider({
+    id,
+    label: "Fake catalog",
+    getWork: jest.fn(answerLater(pending.work)),
+    getEditions: jest.fn(answerLater(pending.editions)),
+    getAuthor: jest.fn(answerLater(pending.author)),
+    coverUrl: () => null,
+    bookUrl: () => null,
+  });
+  return { provider, pending };
+}
+
+// As a search result has it
+const result = (provider) =>
+  makeBook(provider, {
+    key: "/works/OL1W",
+    title: "A Wizard of Earthsea",
+    author_name: ["Ursula K. Le Guin"],
+    author_key: ["OL1A"],
+    language: ["eng", "spa"],
+    first_publish_year: 1968,
+    edition_count: 12,
+    ebook_access: "borrowable",
+  });
+
+// As getWork has it: no author names, languages or edition count
+const workRecord = (provider) =>
+  ({ ...makeBook(provider, { key: "/works/OL1W", title: "A Wizard of Earthsea", author_key: ["OL1A"], subject: ["Wizards"] }), description: "Ged.", excerpts: [], links: [] });
+
+const leGuin = makeAuthor({ key: "/authors/OL1A", name: "Ursula K. Le Guin" });
+
+const renderModal = (book) => render(<BookDetailsModal book={book} onClose={() => {}} onAuthor={() => {}} onSubject={() => {}} />);
+// "Authors: …" and the like, label and value together
+const field = (label) => screen.getByText((_, el) => el.tagName === "P" && el.textContent.startsWith(label));
+
+test("the work record adds to what the search result showed, without blanking it", async () => {
+  const { pending } = fakeCatalog("fake-merge");
+  renderModal(result("fake-merge"));
+  expect(field("Authors:")).toHaveTextContent("Ursula K. Le Guin");
+
+  pending.work[0].resolve(workRecord("fake-merge"));
+  expect(await screen.findByText("Ged.")).toBeInTheDocument();
+  expect(field("Authors:")).toHaveTextContent("Ursula K. Le Guin");
+  expect(field("Languages:")).toHaveTextContent("English, Spanish");
+  expect(field("First published:")).toHaveTextContent("1968");
+  expect(screen.getByRole("button", { name: "Wizards" })).toBeInTheDocument();
+});
+
+test("a book opened from a link takes its author names from the author records", async () => {
+  const { pending } = fakeCatalog("fake-link");
+  renderModal(workRecord("fake-link"));
+  expect(field("Authors:")).toHaveTextContent("Unknown");
+
+  pending.work[0].resolve(workRecord("fake-link"));
+  pending.author[0].resolve(leGuin);
+  await waitFor(() => expect(field("Authors:")).toHaveTextContent("Ursula K. Le Guin"));
+});
+
+const editionPage = (from, count, total) => ({
+  editions: Array.from({ length: count }, (_, i) => makeEdition({ key: `/books/OL${from + i + 1}M`, publish_date: String(1968 + from + i) })),
+  total,
+});
+
+test("says while the work and editions load, and when they fail, with a way to try again", async () => {
+  const { provider, pending } = fakeCatalog("fake-errors");
+  renderModal(result("fake-errors"));
+  expect(screen.getByText("Loading description…")).toBeInTheDocument();
+  expect(screen.getByText("Loading editions…")).toBeInTheDocument();
+
+  pending.work[0].reject(catalogError("http", "HTTP 503", { status: 503 }));
+  pending.editions[0].reject(catalogError("network", "Network request failed"));
+  const workAlert = await screen.findByText("Couldn't load the full record for this book.");
+  expect(screen.getByText("Couldn't load the editions.")).toBeInTheDocument();
+  // what the search result knew is still shown
+  expect(field("Authors:")).toHaveTextContent("Ursula K. Le Guin");
+
+  fireEvent.click(within(workAlert).getByRole("button", { name: "Retry" }));
+  expect(provider.getWork).toHaveBeenCalledTimes(2);
+  expect(provider.getEditions).toHaveBeenCalledTimes(2);
+  pending.work[1].resolve(workRecord("fake-errors"));
+  pending.editions[1].resolve(editionPage(0, 2, 2));
+  expect(await screen.findByText("Ged.")).toBeInTheDocument();
+  expect(screen.getByRole("option", { name: "All editions (2)" })).toBeInTheDocument();
+  expect(screen.queryByRole("alert")).toBeNull();
+});
+
+test("loads more editions a page at a time until it has them all", async () => {
+  const { provider, pending } = fakeCatalog("fake-editions");
+  renderModal(result("fake-editions"));
+  pending.editions[0].resolve(editionPage(0, 50, 60));
+  expect(await screen.findByText("(first 50 of 60)")).toBeInTheDocument();
+  expect(screen.getAllByRole("option")).toHaveLength(51);
+
+  fireEvent.click(screen.getByRole("button", { name: "Load more editions" }));
+  expect(provider.getEditions).toHaveBeenLastCalledWith("/works/OL1W", expect.objectContaining({ offset: 50 }));
+  expect(screen.getAllByText("Loading editions…")).toHaveLength(1);
+  pending.editions[1].reject(catalogError("network", "Network request failed"));
+  const alert = await screen.findByRole("alert");
+  expect(alert).toHaveTextContent("Couldn't load the editions.");
+  expect(screen.getAllByRole("option")).toHaveLength(51);
+
+  fireEvent.click(within(alert).getByRole("button", { name: "Retry" }));
+  pending.editions[2].resolve(editionPage(50, 10, 60));
+  await waitFor(() => expect(screen.getAllByRole("option")).toHaveLength(61));
+  expect(screen.queryByRole("button", { name: "Load more editions" })).toBeNull();
+  expect(screen.queryByText("(first 50 of 60)")).toBeNull();
+});
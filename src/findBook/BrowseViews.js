@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from "react";
+import { isAbortError } from "./requestCache";
+import { describeError } from "./errors";
+import { fetchAuthorWorks, fetchSubject } from "./browse";
+import { handleGridKeys } from "./a11y";
+import { useI18n } from "./useI18n";
+
+// One page of an author's or subject's books, refetched as `page` changes
+function usePagedFetch(load, deps) {
+  const [page, setPage] = useState(1);
+  const [state, setState] = useState({ loading: true, error: null, data: null });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+    load(page, { signal: controller.signal })
+      .then((data) => setState({ loading: false, error: null, data }))
+      .catch((e) => {
+        if (isAbortError(e) || controller.signal.aborted) return;
+        setState({ loading: false, error: e, data: null });
+      });
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [...deps, page, attempt]);
+
+  const goTo = (next) => {
+    setPage(next);
+    window.scrollTo(0, 0);
+  };
+  return { ...state, page, goTo, retry: () => setAttempt((n) => n + 1) };
+}
+
+const Pager = ({ page, totalPages, onChange }) => {
+  const { t } = useI18n();
+  return (
+    totalPages > 1 && (
+      <nav className="d-flex justify-content-center align-items-center gap-2 my-3" aria-label={t("pager.label")}>
+        <button className="btn btn-outline-secondary btn-sm" disabled={page <= 1} onClick={() => onChange(page - 1)} aria-label={t("pager.previous")}>
+          {t("pager.prev")}
+        </button>
+        <span className="small text-muted" role="status">
+          {t("pager.pageOf", { page, total: totalPages })}
+        </span>
+        <button className="btn btn-outline-secondary btn-sm" disabled={page >= totalPages} onClick={() => onChange(page + 1)} aria-label={t("pager.nextPage")}>
+          {t("pager.next")}
+        </button>
+      </nav>
+    )
+  );
+};
+
+const Books = ({ result, pageSize, renderCard, colClassName }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  if (result.error) {
+    return (
+      <div className="alert alert-warning d-flex align-items-center gap-2" role="alert">
+        {describeError(result.error, i18n)}
+        <button className="btn btn-sm btn-outline-secondary ms-auto" onClick={result.retry}>{t("common.retry")}</button>
+      </div>
+    );
+  }
+  if (!result.data) {
+    return (
+      <div className="text-center my-4">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">{t("browse.loading")}</span>
+        </div>
+      </div>
+    );
+  }
+  const { books, total, truncated } = result.data;
+  if (!books.length) return <p className="text-muted">{t("browse.none")}</p>;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  return (
+    <>
+      {truncated && <p className="small text-muted">{t("browse.truncated", { count: total })}</p>}
+      <div className="row" style={{ opacity: result.loading ? 0.5 : 1 }} aria-busy={result.loading} onKeyDown={handleGridKeys}>
+        {books.map((book) => (
+          <div className={colClassName} key={book.key}>
+            {renderCard(book)}
+          </div>
+        ))}
+      </div>
+      <Pager page={result.page} totalPages={totalPages} onChange={result.goTo} />
+    </>
+  );
+};
+
+const BackButton = ({ onBack }) => {
+  const { t } = useI18n();
+  return (
+    <button className="btn btn-link px-0 mb-2" onClick={onBack}>
+      {t("browse.back")}
+    </button>
+  );
+};
+
+// In-app author page: the author record when the catalog has one, then every book by them, oldest first
+export const AuthorView = ({ provider, author, pageSize, renderCard, colClassName, onBack }) => {
+  const { t } = useI18n();
+  const [record, setRecord] = useState(null);
+
+  useEffect(() => {
+    setRecord(null);
+    if (!author.key || !provider.getAuthor) return;
+    const controller = new AbortController();
+    provider
+      .getAuthor(author.key, { signal: controller.signal })
+      .then(setRecord)
+      // the bibliography is still worth showing without the bio
+      .catch(() => {});
+    return () => controller.abort();
+  }, [provider, author.key]);
+
+  const works = usePagedFetch((page, options) => fetchAuthorWorks(provider, author, { page, pageSize }, options), [provider, author.key, author.name, pageSize]);
+  const dates = record && (record.birth_date || record.death_date) ? `${record.birth_date || "?"} – ${record.death_date}`.trim() : "";
+
+  return (
+    <section>
+      <BackButton onBack={onBack} />
+      <div className="d-flex gap-3 mb-3">
+        {record?.photo_url && <img src={record.photo_url} alt={record.name} className="rounded" style={{ width: 96, height: 120, objectFit: "cover" }} />}
+        <div>
+          <h2 className="h4 mb-1">{record?.name || author.name}</h2>
+          {dates && <p className="text-muted mb-1">{dates}</p>}
+          {record?.bio && <p className="small mb-1" style={{ whiteSpace: "pre-line" }}>{record.bio}</p>}
+          {works.data && <p className="small text-muted mb-0">{t("browse.authorBooks", { count: works.data.total })}</p>}
+        </div>
+      </div>
+      <Books result={works} pageSize={pageSize} renderCard={renderCard} colClassName={colClassName} />
+    </section>
+  );
+};
+
+// Subject browse: the subject's top books with neighbouring subjects and authors to hop to
+export const SubjectView = ({ provider, subject, pageSize, renderCard, colClassName, onBack, onSubject, onAuthor }) => {
+  const { t, formatNumber } = useI18n();
+  const result = usePagedFetch((page, options) => fetchSubject(provider, subject, { page, pageSize }, options), [provider, subject, pageSize]);
+  const data = result.data;
+
+  return (
+    <section>
+      <BackButton onBack={onBack} />
+      <h2 className="h4 mb-1">{data?.name || subject}</h2>
+      {data && <p className="small text-muted">{t("browse.books", { count: data.total })}</p>}
+
+      {data?.subjects?.length > 0 && (
+        <div className="mb-2">
+          <small className="text-muted me-1">{t("browse.relatedSubjects")}</small>
+          {data.subjects.map((s) => (
+            <button key={s.name} className="btn btn-sm btn-outline-secondary me-1 mb-1" onClick={() => onSubject(s.name)}>
+              {s.name} <span className="text-muted">({formatNumber(s.count)})</span>
+            </button>
+          ))}
+        </div>
+      )}
+      {data?.authors?.length > 0 && (
+        <div className="mb-3">
+          <small className="text-muted me-1">{t("browse.authors")}</small>
+          {data.authors.map((a) => (
+            <button key={a.key || a.name} className="btn btn-sm btn-outline-primary me-1 mb-1" onClick={() => onAuthor({ key: a.key, name: a.name })}>
+              {a.name} <span className="text-muted">({formatNumber(a.count)})</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <Books result={result} pageSize={pageSize} renderCard={renderCard} colClassName={colClassName} />
+    </section>
+  );
+};
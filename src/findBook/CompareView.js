@@ -0,0 +1,129 @@
+import React, { useRef } from "react";
+import { coverUrl } from "./providers";
+import { PLACEHOLDER } from "./BookCard";
+import { MAX_COMPARE, MIN_COMPARE, compareRows, compareSubjects } from "./compare";
+import { useDialog } from "./a11y";
+import { useI18n } from "./useI18n";
+
+// The books picked for comparison, kept at the bottom of the screen while
+// the results are paged through
+export const CompareTray = ({ books, onRemove, onClear, onOpen }) => {
+  const { t } = useI18n();
+  return (
+    <div className="position-sticky bottom-0 bg-body border rounded shadow p-2 mb-3 d-flex flex-wrap align-items-center gap-2" style={{ zIndex: 1020 }} role="region" aria-label={t("compare.region")}>
+      <small className="text-muted">{t("compare.trayCount", { count: books.length, max: MAX_COMPARE })}</small>
+      {books.map((book) => (
+        <span key={book.key} className="badge rounded-pill text-bg-light border d-inline-flex align-items-center gap-1 text-truncate" style={{ maxWidth: 220 }}>
+          <span className="text-truncate">{book.title}</span>
+          <button type="button" className="btn-close" style={{ fontSize: "0.5rem" }} aria-label={t("compare.removeBook", { title: book.title })} onClick={() => onRemove(book)} />
+        </span>
+      ))}
+      <div className="ms-auto d-flex gap-2">
+        <button className="btn btn-sm btn-link" onClick={onClear}>
+          {t("common.clear")}
+        </button>
+        <button
+          className="btn btn-sm btn-primary"
+          disabled={books.length < MIN_COMPARE}
+          onClick={onOpen}
+          title={books.length < MIN_COMPARE ? t("compare.pickAtLeast", { count: MIN_COMPARE }) : undefined}
+        >
+          {t("compare.open", { count: books.length })}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SubjectList = ({ subjects }) =>
+  subjects.length ? (
+    <div className="d-flex flex-wrap gap-1">
+      {subjects.map((s) => (
+        <span key={s} className="badge bg-light text-dark border fw-normal">{s}</span>
+      ))}
+    </div>
+  ) : (
+    <span className="text-muted">—</span>
+  );
+
+// Side-by-side table; rows whose values differ are highlighted
+export const CompareModal = ({ books, onRemove, onDetails, onClose }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const rows = compareRows(books, i18n);
+  const subjects = compareSubjects(books);
+  const dialogRef = useRef(null);
+  useDialog(dialogRef, onClose);
+
+  return (
+    <div ref={dialogRef} className="modal d-block" role="dialog" aria-modal="true" aria-labelledby="compare-title" tabIndex={-1} onClick={onClose}>
+      <div className="modal-dialog modal-xl modal-dialog-centered modal-dialog-scrollable" role="document" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-content">
+          <div className="modal-header">
+            <h2 className="modal-title h5" id="compare-title">{t("compare.title", { count: books.length })}</h2>
+            <button type="button" className="btn-close" onClick={onClose} aria-label={t("common.close")}></button>
+          </div>
+          <div className="modal-body">
+            <div className="table-responsive">
+              <table className="table table-sm align-top">
+                <thead>
+                  <tr>
+                    <th scope="col" style={{ width: 140 }}><span className="visually-hidden">{t("compare.field")}</span></th>
+                    {books.map((book) => (
+                      <th scope="col" key={book.key}>
+                        <img src={coverUrl(book, "M") || PLACEHOLDER} alt="" className="rounded mb-2 d-block" style={{ height: 140, objectFit: "cover" }} />
+                        {book.edition ? (
+                          <>
+                            <span className="fw-semibold">{book.title}</span> <span className="badge bg-secondary">{t("compare.edition")}</span>
+                          </>
+                        ) : (
+                          <button className="btn btn-link p-0 text-start fw-semibold" onClick={() => onDetails(book)}>
+                            {book.title}
+                          </button>
+                        )}
+                        <div>
+                          <button className="btn btn-link btn-sm p-0 text-muted" onClick={() => onRemove(book)}>
+                            {t("common.remove")}
+                          </button>
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => (
+                    <tr key={row.id} className={row.differs ? "table-warning" : ""}>
+                      <th scope="row">{row.label}</th>
+                      {row.values.map((value, i) => (
+                        <td key={books[i].key}>{value}</td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr>
+                    <th scope="row">{t("compare.sharedSubjects")}</th>
+                    <td colSpan={books.length}>
+                      <SubjectList subjects={subjects.shared} />
+                    </td>
+                  </tr>
+                  <tr className="table-warning">
+                    <th scope="row">{t("compare.uniqueSubjects")}</th>
+                    {subjects.unique.map((list, i) => (
+                      <td key={books[i].key}>
+                        <SubjectList subjects={list.slice(0, 12)} />
+                        {list.length > 12 && <small className="text-muted">{t("compare.andMore", { count: list.length - 12 })}</small>}
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <small className="text-muted">{t("compare.highlightNote")}</small>
+          </div>
+          <div className="modal-footer">
+            <button className="btn btn-secondary" onClick={onClose}>{t("common.close")}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { useI18n } from "./useI18n";
+
+const FacetGroup = ({ facet, onToggle }) => {
+  const { t, formatNumber } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+  // selected values always stay visible, however far down the list they are
+  const collapsible = Boolean(facet.limit) && facet.options.length > facet.limit;
+  const shown = collapsible && !expanded ? facet.options.filter((o, i) => i < facet.limit || o.selected) : facet.options;
+  const hidden = facet.options.length - shown.length;
+
+  return (
+    <fieldset className="mb-3">
+      <legend className="fs-6 fw-semibold mb-1">{facet.label}</legend>
+      {shown.map((option) => {
+        const id = `facet-${facet.id}-${option.value}`;
+        return (
+          <div key={option.value} className="form-check small">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id={id}
+              checked={option.selected}
+              disabled={!option.count && !option.selected}
+              onChange={() => onToggle(facet.id, option.value)}
+            />
+            <label className="form-check-label d-flex justify-content-between gap-2" htmlFor={id}>
+              <span className="text-truncate" title={option.label}>{option.label}</span>
+              <span className="text-muted">{formatNumber(option.count)}</span>
+            </label>
+          </div>
+        );
+      })}
+      {collapsible && (expanded || hidden > 0) && (
+        <button className="btn btn-link btn-sm p-0" onClick={() => setExpanded((v) => !v)} aria-expanded={expanded}>
+          {expanded ? t("facets.showFewer") : t("facets.showMore", { count: hidden })}
+        </button>
+      )}
+    </fieldset>
+  );
+};
+
+// Filters computed from the results on screen (see ./facets), with counts
+export const FacetSidebar = ({ facets, onToggle }) => {
+  const { t } = useI18n();
+  return (
+    <aside aria-label={t("facets.label")}>
+      {facets.map((facet) => (
+        <FacetGroup key={facet.id} facet={facet} onToggle={onToggle} />
+      ))}
+    </aside>
+  );
+};
+
+// The active facet choices, each removable on its own
+export const FacetChips = ({ chips, onRemove, onClear }) => {
+  const { t } = useI18n();
+  return (
+    <div className="d-flex flex-wrap gap-1 mb-2 align-items-center">
+      {chips.map((chip) => (
+        <span key={`${chip.id}:${chip.value}`} className="badge rounded-pill text-bg-primary d-inline-flex align-items-center gap-1">
+          {chip.label}
+          <button
+            type="button"
+            className="btn-close btn-close-white"
+            style={{ fontSize: "0.5rem" }}
+            aria-label={t("facets.remove", { label: chip.label })}
+            onClick={() => onRemove(chip.id, chip.value)}
+          />
+        </span>
+      ))}
+      <button className="btn btn-link btn-sm p-0 ms-1" onClick={onClear}>
+        {t("facets.clear")}
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,195 @@
+import React, { useEffect, useRef, useState } from "react";
+import { EXPORT_FORMATS, exportLibrary, parseImport, resolveImport } from "./bookFormats";
+import { isbnMessage } from "./isbn";
+import { today } from "./library";
+import { useI18n } from "./useI18n";
+
+// Save text (or a ready-made Blob) as a file. The URL is revoked on a later
+// tick: some browsers start the download after click() has returned.
+export function download(data, filename, mime) {
+  const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+// Export buttons for the saved books, plus an import panel that resolves each
+// row against the current catalog and shows a preview before anything is merged.
+export const ImportExport = ({ library, provider, onImport }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState("");
+  const [preview, setPreview] = useState(null); // { format, rows, done }
+  const [include, setInclude] = useState({}); // row index -> bool
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  function exportAs(format) {
+    const spec = EXPORT_FORMATS.find((f) => f.id === format);
+    const stamp = today();
+    download(exportLibrary(library, format), `bookfinder-${format === "goodreads" ? "goodreads-" : ""}${stamp}.${spec.ext}`, spec.mime);
+  }
+
+  async function readFile(e) {
+    const file = e.target.files[0];
+    if (file) setText(await file.text());
+    e.target.value = "";
+  }
+
+  async function startPreview() {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    let parsed;
+    try {
+      parsed = parseImport(text);
+    } catch {
+      setPreview({ format: "json", rows: [], done: true, error: t("import.badJson") });
+      return;
+    }
+    // rows that can't be ISBNs are shown as misses straight away
+    const rows = parsed.rows.map((row) => ({ ...row, pending: row.isbnCheck?.valid !== false }));
+    setPreview({ format: parsed.format, rows, done: false });
+    setInclude({});
+
+    const existingKeys = new Set(library.entries.map((e) => e.book.key));
+    const results = await resolveImport(provider, parsed.rows, {
+      existingKeys,
+      signal: controller.signal,
+      onRow: (index, result) =>
+        setPreview((prev) => prev && { ...prev, rows: prev.rows.map((r, i) => (i === index ? result : r)) }),
+    });
+    if (controller.signal.aborted) return;
+    setPreview({ format: parsed.format, rows: results, done: true });
+    setInclude(Object.fromEntries(results.map((r, i) => [i, Boolean(r?.book && !r.duplicate)])));
+  }
+
+  function commit() {
+    const items = preview.rows.filter((r, i) => include[i] && r.book).map((r) => ({ book: r.book, ...r.entry }));
+    onImport(items);
+    setPreview(null);
+    setText("");
+    setOpen(false);
+  }
+
+  const rows = preview?.rows || [];
+  const matched = rows.filter((r) => r?.book).length;
+  const unmatched = rows.filter((r) => r && !r.book && !r.pending).length;
+  const duplicates = rows.filter((r) => r?.duplicate).length;
+  const selectedCount = rows.filter((r, i) => include[i] && r?.book).length;
+
+  return (
+    <div className="mb-3">
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <small className="text-muted">{t("import.export")}</small>
+        {EXPORT_FORMATS.map((f) => (
+          <button key={f.id} className="btn btn-sm btn-outline-secondary" disabled={!library.entries.length} onClick={() => exportAs(f.id)}>
+            {f.label}
+          </button>
+        ))}
+        <button className={`btn btn-sm ${open ? "btn-secondary" : "btn-outline-primary"}`} onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+          {t("import.open")}
+        </button>
+      </div>
+
+      {open && (
+        <div className="card card-body mt-2">
+          <p className="small text-muted mb-2">{t("import.help")}</p>
+          <textarea
+            className="form-control form-control-sm font-monospace mb-2"
+            rows={5}
+            aria-label={t("import.data")}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <div className="d-flex flex-wrap gap-2 align-items-center mb-2">
+            <input type="file" className="form-control form-control-sm w-auto" accept=".csv,.json,.txt,text/csv,application/json,text/plain" aria-label={t("import.file")} onChange={readFile} />
+            <button className="btn btn-sm btn-primary" onClick={startPreview} disabled={!text.trim()}>
+              {t("import.preview")}
+            </button>
+          </div>
+
+          {preview && (
+            <>
+              {preview.error ? (
+                <div className="alert alert-warning py-2 mb-2">{preview.error}</div>
+              ) : (
+                <p className="small mb-2">
+                  {t("import.summary", { format: t(`import.format.${preview.format}`), rows: rows.length, matched, unmatched, duplicates })}
+                  {!preview.done && ` · ${t("import.lookingUp")}`}
+                </p>
+              )}
+              {rows.length > 0 && (
+                <div className="table-responsive" style={{ maxHeight: 320 }}>
+                  <table className="table table-sm align-middle mb-2">
+                    <thead>
+                      <tr>
+                        <th scope="col"><span className="visually-hidden">{t("import.include")}</span></th>
+                        <th scope="col">{t("import.row")}</th>
+                        <th scope="col">{t("import.fromFile")}</th>
+                        <th scope="col">{t("import.match")}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map((row, i) => (
+                        <tr key={i} className={row?.book ? (row.duplicate ? "table-warning" : "") : row.pending ? "" : "table-danger"}>
+                          <td>
+                            <input
+                              type="checkbox"
+                              className="form-check-input"
+                              aria-label={t("import.rowLabel", { line: row.line })}
+                              disabled={!row?.book || !preview.done}
+                              checked={Boolean(include[i])}
+                              onChange={(e) => setInclude({ ...include, [i]: e.target.checked })}
+                            />
+                          </td>
+                          <td className="small text-muted">{row.line}</td>
+                          <td className="small">
+                            {row.title || row.isbn}
+                            {row.title && row.author && <span className="text-muted"> — {row.author}</span>}
+                          </td>
+                          <td className="small">
+                            {row.pending ? (
+                              <span className="text-muted">…</span>
+                            ) : row.book ? (
+                              <>
+                                {row.book.title}
+                                <span className="text-muted"> — {(row.book.author_name || []).join(", ")}</span>
+                                {row.duplicate && (
+                                  <span className="badge bg-warning text-dark ms-1">{row.duplicate === "saved" ? t("import.alreadySaved") : t("import.duplicateRow")}</span>
+                                )}
+                              </>
+                            ) : (
+                              <span className="text-danger">
+                                {row.isbnCheck?.valid === false ? isbnMessage(row.isbnCheck, i18n) : row.error || t("import.noMatch")}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div className="d-flex gap-2">
+                <button className="btn btn-sm btn-success" disabled={!preview.done || !selectedCount} onClick={commit}>
+                  {t("import.commit", { count: selectedCount })}
+                </button>
+                <button className="btn btn-sm btn-outline-secondary" onClick={() => setPreview(null)}>
+                  {t("common.cancel")}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,242 @@
+import React, { useEffect, useRef, useState } from "react";
+import { decodeEan13 } from "./barcode";
+import { isbnMessage, parseIsbn, parseIsbnBatch } from "./isbn";
+import { resolveImport } from "./bookFormats";
+import { useI18n } from "./useI18n";
+
+const MAX_IMAGE_SIZE = 1600; // px; bigger photos are scaled down before decoding
+const SCAN_INTERVAL = 250; // ms between camera frames
+
+function imageDataOf(source, width, height, canvas = document.createElement("canvas")) {
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) return null;
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function loadImage(file) {
+  const url = URL.createObjectURL(file);
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("That file isn't an image we can read."));
+    img.src = url;
+  }).finally(() => URL.revokeObjectURL(url));
+}
+
+// Reads the barcode on the back of a book from a photo or the camera. The
+// decoding (./barcode) runs here in the browser; nothing is uploaded.
+const BarcodeScanner = ({ onIsbn }) => {
+  const { t } = useI18n();
+  const [status, setStatus] = useState(null); // { tone: muted | success | danger, text }
+  const [cameraOn, setCameraOn] = useState(false);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  function found(code) {
+    const isbn = parseIsbn(code);
+    if (!isbn.valid) {
+      setStatus({ tone: "danger", text: t("scan.notIsbn", { code }) });
+      return false;
+    }
+    setStatus({ tone: "success", text: t("scan.found", { isbn: isbn.isbn13 }) });
+    onIsbn(isbn.isbn13);
+    return true;
+  }
+
+  async function readPhoto(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setStatus({ tone: "muted", text: t("scan.looking") });
+    try {
+      const img = await loadImage(file);
+      const imageData = imageDataOf(img, img.naturalWidth, img.naturalHeight);
+      const code = imageData && decodeEan13(imageData);
+      if (!code) setStatus({ tone: "danger", text: t("scan.none") });
+      else found(code);
+    } catch {
+      setStatus({ tone: "danger", text: t("scan.unreadable") });
+    }
+  }
+
+  async function startCamera() {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setStatus({ tone: "danger", text: t("scan.noCamera") });
+      return;
+    }
+    try {
+      streamRef.current = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+      setStatus({ tone: "muted", text: t("scan.holdSteady") });
+      setCameraOn(true);
+    } catch {
+      setStatus({ tone: "danger", text: t("scan.cameraFailed") });
+    }
+  }
+
+  // Decode a frame every SCAN_INTERVAL until something is found
+  useEffect(() => {
+    if (!cameraOn) return;
+    const video = videoRef.current;
+    video.srcObject = streamRef.current;
+    video.play?.().catch(() => {});
+    const canvas = document.createElement("canvas");
+    const timer = setInterval(() => {
+      if (video.readyState < 2 || !video.videoWidth) return;
+      const imageData = imageDataOf(video, video.videoWidth, video.videoHeight, canvas);
+      const code = imageData && decodeEan13(imageData, { lines: 12 });
+      if (code && found(code)) setCameraOn(false);
+    }, SCAN_INTERVAL);
+    return () => {
+      clearInterval(timer);
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cameraOn]);
+
+  return (
+    <div>
+      <h3 className="h6">{t("scan.title")}</h3>
+      <div className="d-flex flex-wrap gap-2 align-items-center">
+        <input type="file" className="form-control form-control-sm w-auto" accept="image/*" capture="environment" aria-label={t("scan.photo")} onChange={readPhoto} />
+        {cameraOn ? (
+          <button className="btn btn-sm btn-outline-secondary" onClick={() => setCameraOn(false)}>
+            {t("scan.stopCamera")}
+          </button>
+        ) : (
+          <button className="btn btn-sm btn-outline-primary" onClick={startCamera}>
+            📷 {t("scan.useCamera")}
+          </button>
+        )}
+      </div>
+      {cameraOn && <video ref={videoRef} className="mt-2 rounded border w-100" style={{ maxWidth: 360 }} muted playsInline aria-label={t("scan.preview")} />}
+      {status && (
+        <p className={`small mt-2 mb-0 text-${status.tone}`} role="status">
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// A pasted list of ISBNs, each checked and then looked up in the catalog
+const IsbnBatch = ({ provider, isSaved, onDetails, onToggleSave }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [text, setText] = useState("");
+  const [rows, setRows] = useState(null); // parseIsbnBatch rows, plus { pending, book, error } once looked up
+  const [done, setDone] = useState(false);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  async function lookUp() {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    const parsed = parseIsbnBatch(text).map((row) => ({ ...row, pending: row.valid }));
+    setRows(parsed);
+    setDone(false);
+    const valid = parsed.filter((row) => row.valid);
+    const update = (index, result) =>
+      setRows((prev) => prev.map((row) => (row.line === valid[index].line ? { ...row, pending: false, book: result.book, error: result.error } : row)));
+    await resolveImport(
+      provider,
+      valid.map((row) => ({ line: row.line, title: "", author: "", isbn: row.isbn13, entry: {} })),
+      { existingKeys: new Set(), signal: controller.signal, onRow: update }
+    );
+    if (!controller.signal.aborted) setDone(true);
+  }
+
+  const list = rows || [];
+  const foundBooks = list.filter((row) => row.book);
+  const invalid = list.filter((row) => !row.valid).length;
+  const missing = done ? list.filter((row) => row.valid && !row.book).length : 0;
+  const unsaved = foundBooks.filter((row) => !isSaved(row.book));
+
+  return (
+    <div>
+      <h3 className="h6">{t("isbnBatch.title")}</h3>
+      <textarea
+        className="form-control form-control-sm font-monospace mb-2"
+        rows={4}
+        placeholder={t("isbnBatch.placeholder")}
+        aria-label={t("isbnBatch.label")}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <div className="d-flex flex-wrap gap-2 align-items-center mb-2">
+        <button className="btn btn-sm btn-primary" onClick={lookUp} disabled={!text.trim()}>
+          {t("isbnBatch.lookUp")}
+        </button>
+        {rows && (
+          <small className="text-muted" role="status">
+            {t("isbnBatch.summary", { count: list.length, found: foundBooks.length, missing, invalid })}
+            {!done && ` · ${t("import.lookingUp")}`}
+          </small>
+        )}
+        {done && unsaved.length > 0 && (
+          <button className="btn btn-sm btn-outline-success ms-auto" onClick={() => unsaved.forEach((row) => onToggleSave(row.book))}>
+            {t("isbnBatch.saveFound", { count: unsaved.length })}
+          </button>
+        )}
+      </div>
+      {list.length > 0 && (
+        <div className="table-responsive" style={{ maxHeight: 320 }}>
+          <table className="table table-sm align-middle mb-0">
+            <thead>
+              <tr>
+                <th scope="col">{t("isbnBatch.isbn")}</th>
+                <th scope="col">{t("isbnBatch.book")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {list.map((row) => (
+                <tr key={row.line} className={row.book ? "table-success" : !row.valid || (done && !row.pending) ? "table-danger" : ""}>
+                  <td className="small font-monospace">{row.valid ? row.isbn13 : row.input}</td>
+                  <td className="small">
+                    {!row.valid ? (
+                      <span className="text-danger">{isbnMessage(row, i18n)}</span>
+                    ) : row.pending ? (
+                      <span className="text-muted">…</span>
+                    ) : row.book ? (
+                      <div className="d-flex align-items-center gap-2">
+                        <button className="btn btn-link btn-sm p-0 text-start" onClick={() => onDetails(row.book)}>
+                          {row.book.title}
+                        </button>
+                        <span className="text-muted text-truncate">{(row.book.author_name || []).join(", ")}</span>
+                        <button className="btn btn-sm btn-outline-secondary ms-auto" onClick={() => onToggleSave(row.book)}>
+                          {isSaved(row.book) ? t("book.saved") : t("book.save")}
+                        </button>
+                      </div>
+                    ) : (
+                      <span className="text-danger">{row.error || t("isbnBatch.notFound")}</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const IsbnTools = ({ provider, onIsbn, isSaved, onDetails, onToggleSave }) => (
+  <div className="card card-body mt-3 bg-light">
+    <div className="row g-4">
+      <div className="col-12 col-lg-5">
+        <BarcodeScanner onIsbn={onIsbn} />
+      </div>
+      <div className="col-12 col-lg-7">
+        <IsbnBatch provider={provider} isSaved={isSaved} onDetails={onDetails} onToggleSave={onToggleSave} />
+      </div>
+    </div>
+  </div>
+);
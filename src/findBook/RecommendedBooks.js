@@ -0,0 +1,121 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { coverUrl } from "./providers";
+import { PLACEHOLDER } from "./BookCard";
+import { isAbortError } from "./requestCache";
+import { describeError } from "./errors";
+import { buildProfile, explainReasons, fetchCandidates, recommend, seedQueries } from "./recommendations";
+import { useI18n } from "./useI18n";
+
+const Recommendation = ({ item, onDetails, onSave, onDismiss }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { book, reasons } = item;
+  return (
+    <div className="card h-100">
+      <div className="row g-0 h-100">
+        <div className="col-3">
+          <img
+            src={coverUrl(book, "S") || PLACEHOLDER}
+            alt=""
+            className="img-fluid rounded-start"
+            style={{ objectFit: "cover", height: "100%", maxHeight: 160 }}
+          />
+        </div>
+        <div className="col-9">
+          <div className="card-body p-2 d-flex flex-column gap-1 h-100">
+            <button className="btn btn-link p-0 text-start small fw-semibold text-truncate" title={book.title} onClick={() => onDetails(book)}>
+              {book.title}
+            </button>
+            <div className="small text-muted text-truncate">{(book.author_name || []).join(", ") || t("book.unknownAuthor")}</div>
+            <ul className="small text-muted ps-3 mb-1">
+              {explainReasons(reasons, i18n).map((line) => (
+                <li key={line}>{line}</li>
+              ))}
+            </ul>
+            <div className="d-flex gap-1 mt-auto">
+              <button className="btn btn-sm btn-outline-success" onClick={() => onSave(book)}>
+                {t("book.save")}
+              </button>
+              <button
+                className="btn btn-sm btn-outline-secondary"
+                onClick={() => onDismiss(book.key)}
+                aria-label={t("recommended.dismissLabel", { title: book.title })}
+              >
+                {t("recommended.dismiss")}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// "Recommended for you", from what the saved books have in common (see
+// ./recommendations). Dismissed books stay hidden until restored.
+export const RecommendedBooks = ({ provider, entries, dismissed, onDismiss, onRestore, onSave, onDetails }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [candidates, setCandidates] = useState({ status: "idle", books: [], error: null });
+  const [attempt, setAttempt] = useState(0);
+
+  const profile = useMemo(() => buildProfile(entries), [entries]);
+  // only a change in what gets searched for needs a new fetch
+  const seeds = JSON.stringify(seedQueries(profile));
+
+  useEffect(() => {
+    if (seeds === "[]") {
+      setCandidates({ status: "idle", books: [], error: null });
+      return;
+    }
+    const controller = new AbortController();
+    setCandidates((prev) => ({ ...prev, status: "loading", error: null }));
+    fetchCandidates(provider, profile, {}, { signal: controller.signal })
+      .then((books) => setCandidates({ status: "ready", books, error: null }))
+      .catch((e) => {
+        if (!isAbortError(e)) setCandidates({ status: "error", books: [], error: e });
+      });
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [provider, seeds, attempt]);
+
+  const savedKeys = useMemo(() => new Set(entries.map((e) => e.book.key)), [entries]);
+  const items = useMemo(() => recommend(candidates.books, profile, { savedKeys, dismissed }), [candidates.books, profile, savedKeys, dismissed]);
+
+  if (!entries.length) return null;
+
+  return (
+    <section className="mt-4" aria-labelledby="recommended-title" aria-busy={candidates.status === "loading"}>
+      <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-2">
+        <h2 className="h5 mb-0" id="recommended-title">✨ {t("recommended.title")}</h2>
+        {dismissed.length > 0 && (
+          <button className="btn btn-link btn-sm p-0" onClick={onRestore}>
+            {t("recommended.restore", { count: dismissed.length })}
+          </button>
+        )}
+      </div>
+      {candidates.status === "loading" && !items.length && <p className="text-muted small">{t("recommended.loading")}</p>}
+      {candidates.status === "error" && (
+        <div className="alert alert-warning d-flex align-items-center gap-2 py-2">
+          <span>{describeError(candidates.error, i18n)}</span>
+          <button className="btn btn-sm btn-outline-secondary ms-auto" onClick={() => setAttempt((n) => n + 1)}>
+            {t("common.retry")}
+          </button>
+        </div>
+      )}
+      {candidates.status === "ready" && !items.length && (
+        <p className="text-muted small">{t("recommended.none")}</p>
+      )}
+      {candidates.status === "idle" && (
+        <p className="text-muted small">{t("recommended.noSeeds")}</p>
+      )}
+      <div className="row">
+        {items.map((item) => (
+          <div className="col-12 col-md-6 col-lg-4 mb-3" key={item.book.key}>
+            <Recommendation item={item} onDetails={onDetails} onSave={onSave} onDismiss={onDismiss} />
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
@@ -0,0 +1,193 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { describeError } from "./errors";
+import { VirtualGrid } from "./VirtualGrid";
+import { FacetChips, FacetSidebar } from "./FacetSidebar";
+import { EMPTY_FACETS, computeFacets, facetChips, toggleFacet } from "./facets";
+import { PAGE_SIZES, searchStatus } from "./searchRequest";
+import { handleGridKeys } from "./a11y";
+import { useI18n } from "./useI18n";
+
+export const CARD_COL = "col-12 col-sm-6 col-lg-4 mb-4";
+
+// The results of a search: facet sidebar, status and paging row, errors and
+// empty states, and the cards. `search` is what ./useBookSearch returns;
+// renderCard(book) draws one card (BookFinder's BookCard with its handlers).
+//
+//   continuous         one long list with "Load more" rather than pages
+//   onLayoutChange(mode)  classic | continuous
+//   onPageSizeChange(n)
+//   onFacetsChange(facets)  facets narrow the results already loaded, no new search
+export const ResultsGrid = ({ search, continuous, pageSize, onLayoutChange, onPageSizeChange, onFacetsChange, renderCard }) => {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const { books, shownBooks, facets, facetsActive, page, totalPages, total, loading, error, searched } = search;
+  const [jumpTo, setJumpTo] = useState("");
+  const headingRef = useRef(null); // where focus goes on a page change
+  const loadMoreRef = useRef(null);
+
+  const facetList = useMemo(() => computeFacets(books, facets, i18n), [books, facets, i18n]);
+  const toggleFacetValue = (id, value) => onFacetsChange(toggleFacet(facets, id, value));
+
+  // Continuous mode: fetch the next page as the "Load more" row scrolls into view
+  useEffect(() => {
+    const target = loadMoreRef.current;
+    if (!continuous || !target || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) search.loadMore();
+      },
+      { rootMargin: "600px 0px" }
+    );
+    observer.observe(target);
+    return () => observer.disconnect();
+  });
+
+  // Prev/Next/Go: focus moves to the top of the results (the button pressed
+  // may be disabled on the new page) and the status line announces the page
+  function goToPage(target) {
+    search.setPage(target);
+    headingRef.current?.focus({ preventScroll: true });
+    headingRef.current?.scrollIntoView?.({ block: "start" });
+  }
+
+  function jumpToPage(e) {
+    e.preventDefault();
+    const target = parseInt(jumpTo, 10);
+    if (target >= 1 && target <= totalPages) goToPage(target);
+    setJumpTo("");
+  }
+
+  const statusText = searchStatus(
+    { loading, total, truncated: search.truncated, approximate: search.approximate, page, totalPages, continuous, active: Boolean(search.query || search.clauses.length) },
+    i18n
+  );
+
+  return (
+    <div className="row">
+      {(books.length > 0 || facetsActive) && (
+        <div className="col-12 col-md-3">
+          <FacetSidebar facets={facetList} onToggle={toggleFacetValue} />
+        </div>
+      )}
+      <section className="col" aria-labelledby="results" aria-busy={loading}>
+        <h2 className="visually-hidden" id="results" tabIndex={-1} ref={headingRef}>
+          {t("app.results")}
+        </h2>
+        {/* Status row; screen readers hear it as it changes */}
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <small className="text-muted" role="status">{statusText}</small>
+          <div className="d-flex align-items-center gap-2 flex-wrap justify-content-end">
+            <div className="btn-group btn-group-sm" role="group" aria-label={t("app.layout")}>
+              <button className={`btn ${continuous ? "btn-outline-secondary" : "btn-secondary"}`} onClick={() => onLayoutChange("classic")} aria-pressed={!continuous}>
+                {t("app.pages")}
+              </button>
+              <button className={`btn ${continuous ? "btn-secondary" : "btn-outline-secondary"}`} onClick={() => onLayoutChange("continuous")} aria-pressed={continuous}>
+                {t("app.continuous")}
+              </button>
+            </div>
+            <select className="form-select form-select-sm w-auto" aria-label={t("app.perPageLabel")} value={pageSize} onChange={(e) => onPageSizeChange(Number(e.target.value))}>
+              {PAGE_SIZES.map((n) => (
+                <option key={n} value={n}>{t("app.perPage", { count: n })}</option>
+              ))}
+            </select>
+            {!continuous && totalPages > 1 && (
+              <nav aria-label={t("app.resultsPages")} className="d-flex align-items-center gap-2">
+                <ul className="pagination pagination-sm mb-0">
+                  <li className={`page-item ${page === 1 ? "disabled" : ""}`}>
+                    <button className="page-link" onClick={() => goToPage(Math.max(1, page - 1))} disabled={page === 1} aria-label={t("pager.previous")}>
+                      {t("app.prev")}
+                    </button>
+                  </li>
+                  <li className="page-item active" aria-current="page">
+                    <span className="page-link">
+                      {formatNumber(page)} / {formatNumber(totalPages)}
+                      <span className="visually-hidden"> {t("app.pagesSuffix")}</span>
+                    </span>
+                  </li>
+                  <li className={`page-item ${page >= totalPages ? "disabled" : ""}`}>
+                    <button className="page-link" onClick={() => goToPage(Math.min(totalPages, page + 1))} disabled={page >= totalPages} aria-label={t("pager.nextPage")}>
+                      {t("app.next")}
+                    </button>
+                  </li>
+                </ul>
+                <form className="input-group input-group-sm" style={{ width: 120 }} onSubmit={jumpToPage}>
+                  <input
+                    type="number"
+                    className="form-control"
+                    min={1}
+                    max={totalPages}
+                    placeholder={t("app.page")}
+                    aria-label={t("app.goToPage")}
+                    value={jumpTo}
+                    onChange={(e) => setJumpTo(e.target.value)}
+                  />
+                  <button className="btn btn-outline-secondary" type="submit">{t("app.go")}</button>
+                </form>
+              </nav>
+            )}
+            {continuous && books.length > 0 && (
+              <small className="text-muted" role="status">{t("app.showing", { shown: books.length, total })}</small>
+            )}
+            {facetsActive && books.length > 0 && (
+              <small className="text-muted" role="status">{t("app.filtered", { count: shownBooks.length, loaded: books.length })}</small>
+            )}
+          </div>
+        </div>
+
+        {/* Error banner */}
+        {error && (
+          <div className="alert alert-warning d-flex align-items-center gap-2" role="alert">
+            <span>{describeError(error, i18n)}</span>
+            <button className="btn btn-sm btn-outline-secondary ms-auto" onClick={search.runSearch} disabled={loading}>
+              {t("common.retry")}
+            </button>
+          </div>
+        )}
+
+        {/* Empty state: the search worked, nothing matched */}
+        {searched && !loading && !error && !books.length && (
+          <div className="text-center text-muted py-5">
+            <p className="mb-1">{t("browse.none")}</p>
+            <small>{t("app.noneHint")}</small>
+          </div>
+        )}
+
+        {facetsActive && (
+          <FacetChips chips={facetChips(facets, i18n)} onRemove={toggleFacetValue} onClear={() => onFacetsChange(EMPTY_FACETS)} />
+        )}
+        {facetsActive && books.length > 0 && !shownBooks.length && (
+          <div className="text-center text-muted py-5">
+            <p className="mb-1">{t("app.noneFiltered")}</p>
+            <small>{t("app.noneFilteredHint")}</small>
+          </div>
+        )}
+
+        {loading && !books.length && (
+          <div className="text-center py-5" aria-hidden="true">{t("common.loading")}</div>
+        )}
+        {continuous ? (
+          <>
+            <div onKeyDown={handleGridKeys}>
+              <VirtualGrid items={shownBooks} getKey={(book) => book.key} colClassName={CARD_COL} renderItem={renderCard} />
+            </div>
+            {books.length > 0 && page < totalPages && (
+              <div className="text-center mb-4" ref={loadMoreRef}>
+                <button className="btn btn-outline-primary" onClick={search.loadMore} disabled={loading}>
+                  {loading ? t("common.loading") : t("app.loadMore")}
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="row" onKeyDown={handleGridKeys}>
+            {shownBooks.map((book) => (
+              <div className={CARD_COL} key={book.key}>
+                {renderCard(book)}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
@@ -0,0 +1,259 @@
+import React, { useState } from "react";
+import { coverUrl } from "./providers";
+import { CompareToggle, PLACEHOLDER } from "./BookCard";
+import { coverAlt } from "./a11y";
+import {
+  SHELF_SORTS,
+  STATUSES,
+  addShelf,
+  deleteShelf,
+  filterEntries,
+  moveBook,
+  removeBook,
+  renameShelf,
+  sortEntries,
+  updateEntry,
+} from "./library";
+import { useI18n } from "./useI18n";
+
+// Built-in shelves are named in the reader's language; their own shelves keep
+// the names they were given
+const shelfName = (shelf, t) => (shelf.builtin ? t(`shelf.${shelf.id}`) : shelf.name);
+
+const StarRating = ({ value, onChange, label }) => {
+  const { t } = useI18n();
+  return (
+    <div role="radiogroup" aria-label={label} className="d-inline-flex">
+      {[1, 2, 3, 4, 5].map((n) => (
+        <button
+          key={n}
+          type="button"
+          role="radio"
+          aria-checked={value === n}
+          aria-label={t("shelves.stars", { count: n })}
+          className="btn btn-link btn-sm p-0 text-decoration-none text-warning"
+          // clicking the current rating again clears it
+          onClick={() => onChange(value === n ? 0 : n)}
+        >
+          {n <= value ? "★" : "☆"}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const ShelfEntry = ({ entry, shelves, onUpdate, onMove, onRemove, onDetails, compare }) => {
+  const { t, formatDate } = useI18n();
+  const { book } = entry;
+  const [showNotes, setShowNotes] = useState(Boolean(entry.notes));
+  return (
+    <div className="card h-100 border-success">
+      <div className="row g-0 h-100">
+        <div className="col-3">
+          <img
+            src={coverUrl(book, "S") || PLACEHOLDER}
+            alt={coverAlt(book, Boolean(coverUrl(book, "S")))}
+            className="img-fluid rounded-start"
+            style={{ objectFit: "cover", height: "100%", maxHeight: 180, cursor: "pointer" }}
+            onClick={() => onDetails(book)}
+          />
+        </div>
+        <div className="col-9">
+          <div className="card-body p-2 d-flex flex-column gap-1 h-100">
+            <button className="btn btn-link p-0 text-start small fw-semibold text-truncate text-reset" title={book.title} onClick={() => onDetails(book)}>
+              {book.title}
+            </button>
+            <div className="small text-muted text-truncate" title={(book.author_name || []).join(", ")}>{(book.author_name || []).join(", ")}</div>
+            <div className="d-flex gap-1">
+              <select className="form-select form-select-sm" aria-label={t("shelves.shelf")} value={entry.shelfId} onChange={(e) => onMove(e.target.value)}>
+                {shelves.map((s) => (
+                  <option key={s.id} value={s.id}>{shelfName(s, t)}</option>
+                ))}
+              </select>
+              <select className="form-select form-select-sm" aria-label={t("shelves.status")} value={entry.status} onChange={(e) => onUpdate({ status: e.target.value })}>
+                {STATUSES.map((s) => (
+                  <option key={s.id} value={s.id}>{t(`status.${s.id}`)}</option>
+                ))}
+              </select>
+            </div>
+            <StarRating value={entry.rating} label={t("shelves.rating", { title: book.title })} onChange={(rating) => onUpdate({ rating })} />
+            <div className="d-flex gap-1">
+              <input
+                type="date"
+                className="form-control form-control-sm"
+                aria-label={t("shelves.started")}
+                title={t("shelves.started")}
+                value={entry.startedAt || ""}
+                onChange={(e) => onUpdate({ startedAt: e.target.value || null })}
+              />
+              <input
+                type="date"
+                className="form-control form-control-sm"
+                aria-label={t("shelves.finished")}
+                title={t("shelves.finished")}
+                value={entry.finishedAt || ""}
+                onChange={(e) => onUpdate({ finishedAt: e.target.value || null })}
+              />
+            </div>
+            {showNotes && (
+              <textarea
+                className="form-control form-control-sm"
+                rows={2}
+                aria-label={t("shelves.notes")}
+                placeholder={t("shelves.notes")}
+                value={entry.notes}
+                onChange={(e) => onUpdate({ notes: e.target.value })}
+              />
+            )}
+            <div className="mt-auto d-flex gap-1">
+              <button className="btn btn-sm btn-outline-secondary" onClick={() => setShowNotes((v) => !v)} aria-expanded={showNotes}>
+                {t("shelves.notes")}
+              </button>
+              <button className="btn btn-sm btn-outline-danger" onClick={onRemove}>
+                {t("common.remove")}
+              </button>
+              {compare && (
+                <CompareToggle book={book} compared={compare.has(book.key)} full={compare.full} onToggle={compare.onToggle} className="ms-auto align-self-center" />
+              )}
+            </div>
+            {entry.addedAt && <div className="small text-muted">{t("shelves.added", { date: formatDate(entry.addedAt) })}</div>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// The Saved drawer: one tab per shelf, with filtering and sorting inside a shelf.
+// `children` (e.g. import/export tools) render under the heading. `compare`,
+// when given, is { has(key), full, onToggle(book) } for the compare checkboxes.
+export const SavedDrawer = ({ library, onChange, onDetails, compare, children }) => {
+  const { t, formatNumber } = useI18n();
+  const [activeShelf, setActiveShelf] = useState(""); // "" = all shelves
+  const [status, setStatus] = useState("");
+  const [text, setText] = useState("");
+  const [sort, setSort] = useState("added");
+  const [newShelf, setNewShelf] = useState("");
+
+  const shelf = library.shelves.find((s) => s.id === activeShelf);
+  const shelfId = shelf ? shelf.id : "";
+  const entries = sortEntries(filterEntries(library.entries, { shelfId, status, text }), sort);
+  const countOn = (id) => library.entries.filter((e) => e.shelfId === id).length;
+
+  function createShelf(e) {
+    e.preventDefault();
+    const next = addShelf(library, newShelf);
+    if (next === library) return;
+    onChange(next);
+    setActiveShelf(next.shelves[next.shelves.length - 1].id);
+    setNewShelf("");
+  }
+
+  function rename() {
+    const name = window.prompt(t("shelves.renamePrompt"), shelf.name);
+    if (name) onChange(renameShelf(library, shelf.id, name));
+  }
+
+  function remove() {
+    if (!window.confirm(t("shelves.deleteConfirm", { name: shelf.name, fallback: t("shelf.want") }))) return;
+    onChange(deleteShelf(library, shelf.id));
+    setActiveShelf("");
+  }
+
+  return (
+    <section className="mt-4">
+      <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-2">
+        <h2 className="h5 mb-0">⭐ {t("shelves.title", { count: library.entries.length })}</h2>
+        <form className="input-group input-group-sm w-auto" onSubmit={createShelf}>
+          <input
+            type="text"
+            className="form-control"
+            placeholder={t("shelves.newShelf")}
+            aria-label={t("shelves.newShelfName")}
+            value={newShelf}
+            onChange={(e) => setNewShelf(e.target.value)}
+          />
+          <button className="btn btn-outline-success" type="submit">{t("shelves.addShelf")}</button>
+        </form>
+      </div>
+
+      {children}
+
+      <ul className="nav nav-tabs mb-2">
+        <li className="nav-item">
+          <button className={`nav-link ${shelfId ? "" : "active"}`} onClick={() => setActiveShelf("")}>
+            {t("shelves.all", { count: library.entries.length })}
+          </button>
+        </li>
+        {library.shelves.map((s) => (
+          <li className="nav-item" key={s.id}>
+            <button className={`nav-link ${shelfId === s.id ? "active" : ""}`} onClick={() => setActiveShelf(s.id)}>
+              {shelfName(s, t)} ({formatNumber(countOn(s.id))})
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {shelf && !shelf.builtin && (
+        <div className="d-flex gap-1 mb-2">
+          <button className="btn btn-sm btn-outline-secondary" onClick={rename}>{t("shelves.rename")}</button>
+          <button className="btn btn-sm btn-outline-danger" onClick={remove}>{t("shelves.delete")}</button>
+        </div>
+      )}
+
+      {library.entries.length === 0 ? (
+        <p className="text-muted">{t("shelves.empty")}</p>
+      ) : (
+        <>
+          <div className="row g-2 mb-3 align-items-center">
+            <div className="col-12 col-md-4">
+              <input
+                type="search"
+                className="form-control form-control-sm"
+                placeholder={t("shelves.filterPlaceholder")}
+                aria-label={t("shelves.filter")}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+              />
+            </div>
+            <div className="col-6 col-md-3">
+              <select className="form-select form-select-sm" aria-label={t("shelves.filterStatus")} value={status} onChange={(e) => setStatus(e.target.value)}>
+                <option value="">{t("shelves.anyStatus")}</option>
+                {STATUSES.map((s) => (
+                  <option key={s.id} value={s.id}>{t(`status.${s.id}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-6 col-md-3">
+              <select className="form-select form-select-sm" aria-label={t("shelves.sort")} value={sort} onChange={(e) => setSort(e.target.value)}>
+                {SHELF_SORTS.map((s) => (
+                  <option key={s.id} value={s.id}>{t(`shelfSort.${s.id}`)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {entries.length === 0 ? (
+            <p className="text-muted">{t("shelves.noMatch")}</p>
+          ) : (
+            <div className="row">
+              {entries.map((entry) => (
+                <div className="col-12 col-md-6 col-lg-4 mb-3" key={`saved-${entry.book.key}`}>
+                  <ShelfEntry
+                    entry={entry}
+                    shelves={library.shelves}
+                    onUpdate={(patch) => onChange((lib) => updateEntry(lib, entry.book.key, patch))}
+                    onMove={(id) => onChange((lib) => moveBook(lib, entry.book.key, id))}
+                    onRemove={() => onChange((lib) => removeBook(lib, entry.book.key))}
+                    onDetails={onDetails}
+                    compare={compare}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
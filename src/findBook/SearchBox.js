@@ -0,0 +1,160 @@
+import React, { useEffect, useRef, useState } from "react";
+import { isAbortError } from "./requestCache";
+import { fetchSuggestions, highlightParts, matchingRecent } from "./suggestions";
+import { useI18n } from "./useI18n";
+
+const LIST_ID = "search-suggestions";
+
+const Highlighted = ({ text, query }) =>
+  highlightParts(text, query).map((part, i) => (part.match ? <mark key={i} className="p-0">{part.text}</mark> : <span key={i}>{part.text}</span>));
+
+// The query input with a suggestion dropdown (ARIA combobox): recent searches
+// that start with what's typed, then matching titles/authors from the catalog.
+// With nothing typed it lists the recent searches. `inputRef` reaches the
+// input itself, e.g. for the "/" shortcut.
+export const SearchBox = ({ value, field, provider, recent, onChange, onSearch, onPickRecent, onClearRecent, invalid = false, describedBy, inputRef }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [suggestions, setSuggestions] = useState([]);
+  const typedRef = useRef(false); // only suggest for typing, not for a value set from outside
+
+  useEffect(() => {
+    if (!typedRef.current) {
+      setSuggestions([]);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      fetchSuggestions(provider, value, field, { signal: controller.signal })
+        .then(setSuggestions)
+        .catch((e) => {
+          // suggestions are a nicety; a failure just means none
+          if (!isAbortError(e)) setSuggestions([]);
+        });
+    }, 200);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value, field, provider]);
+
+  const typed = value.trim();
+  const recentOptions = (typed ? matchingRecent(recent, typed) : recent).map((entry) => ({ type: "recent", text: entry.query, entry }));
+  const suggestionOptions = typed ? suggestions.filter((s) => !recentOptions.some((r) => r.text.toLowerCase() === s.text.toLowerCase())) : [];
+  const options = [...recentOptions, ...suggestionOptions.map((s) => ({ type: "suggestion", ...s }))];
+  const expanded = open && options.length > 0;
+
+  function close() {
+    setOpen(false);
+    setActive(-1);
+  }
+
+  function choose(option) {
+    typedRef.current = false;
+    close();
+    if (option.type === "recent") onPickRecent(option.entry);
+    else onSearch(option.text);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!expanded) {
+        setOpen(true);
+        return;
+      }
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      // wraps round, passing through "nothing selected" (back to the input)
+      setActive((i) => ((i + step + 1 + options.length + 1) % (options.length + 1)) - 1);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (expanded && active >= 0) choose(options[active]);
+      else {
+        close();
+        onSearch(value);
+      }
+    } else if (e.key === "Escape" && expanded) {
+      e.preventDefault();
+      close();
+    }
+  }
+
+  const optionId = (i) => `${LIST_ID}-${i}`;
+
+  return (
+    <div className="position-relative flex-grow-1">
+      <input
+        ref={inputRef}
+        type="text"
+        className={`form-control rounded-end-0 ${invalid ? "is-invalid" : ""}`}
+        placeholder={t("search.placeholder")}
+        aria-label={t("search.label")}
+        aria-keyshortcuts="/"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-invalid={invalid || undefined}
+        aria-describedby={describedBy}
+        aria-expanded={expanded}
+        aria-controls={LIST_ID}
+        aria-activedescendant={expanded && active >= 0 ? optionId(active) : undefined}
+        autoComplete="off"
+        value={value}
+        onChange={(e) => {
+          typedRef.current = true;
+          setOpen(true);
+          setActive(-1);
+          onChange(e.target.value);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={close}
+        onKeyDown={onKeyDown}
+      />
+      {expanded && (
+        <ul id={LIST_ID} role="listbox" aria-label={t("search.suggestions")} className="list-group position-absolute w-100 shadow-sm" style={{ zIndex: 1000, top: "100%" }}>
+          {options.map((option, i) => (
+            <li
+              key={`${option.type}-${option.kind || option.entry.field}-${option.text}`}
+              id={optionId(i)}
+              role="option"
+              aria-selected={i === active}
+              className={`list-group-item list-group-item-action d-flex justify-content-between gap-2 py-1 ${i === active ? "active" : ""}`}
+              style={{ cursor: "pointer" }}
+              // keep focus in the input so onBlur doesn't close the list before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(option)}
+              onMouseEnter={() => setActive(i)}
+            >
+              <span className="text-truncate">
+                {option.type === "recent" && <span aria-hidden="true">🕘 </span>}
+                <Highlighted text={option.text} query={typed} />
+              </span>
+              <small className={i === active ? "" : "text-muted"}>
+                {option.type === "recent"
+                  ? option.entry.field === "all"
+                    ? t("search.recent")
+                    : t("search.recentIn", { field: t(`field.${option.entry.field}`) })
+                  : t(`field.${option.kind}`)}
+              </small>
+            </li>
+          ))}
+          {recentOptions.length > 0 && !typed && (
+            <li className="list-group-item py-1 text-end" role="presentation">
+              <button
+                type="button"
+                className="btn btn-link btn-sm p-0"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => {
+                  onClearRecent();
+                  close();
+                }}
+              >
+                {t("search.clearRecent")}
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,200 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listProviders } from "./providers";
+import { AdvancedSearch } from "./AdvancedSearch";
+import { SearchBox } from "./SearchBox";
+import { IsbnTools } from "./IsbnTools";
+import { SORTS } from "./sorting";
+import { COMMON_LANGUAGES, LANGUAGES, languageCode, languageName } from "./languages";
+import { isbnMessage } from "./isbn";
+import { describeSearch } from "./suggestions";
+import { SEARCH_FIELDS } from "./searchRequest";
+import { useI18n } from "./useI18n";
+
+// The search card: field, search box, filters, catalog, pinned searches, and
+// the advanced and ISBN panels. `search` is what ./useBookSearch returns.
+//
+//   onSearch(text)    Enter, the Search button or a picked suggestion
+//   recent / onPickRecent(entry) / onClearRecent()   the search box history
+//   pinned / onPin() / onRunPinned(search) / onUnpin(id)
+//   onIsbn(isbn)      a scanned barcode; isSaved, onDetails and onToggleSave
+//                     are for the books the ISBN list finds
+export const SearchControls = ({
+  search,
+  provider,
+  onProviderChange,
+  onSearch,
+  recent,
+  onPickRecent,
+  onClearRecent,
+  pinned,
+  onPin,
+  onRunPinned,
+  onUnpin,
+  onIsbn,
+  isSaved,
+  onDetails,
+  onToggleSave,
+  inputRef,
+}) => {
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+  const { query, field, clauses, ebookOnly, lang, sort, isbnCheck, loading } = search;
+  const [showAdvanced, setShowAdvanced] = useState(clauses.length > 0);
+  const [showIsbnTools, setShowIsbnTools] = useState(false); // barcode scanning and ISBN lists, see ./IsbnTools
+
+  // clauses arriving from the URL (back/forward, a pinned search) open the panel they're edited in
+  useEffect(() => {
+    if (clauses.length) setShowAdvanced(true);
+  }, [clauses]);
+
+  // The language list, in the reader's language and alphabet
+  const languagesByName = useMemo(
+    () =>
+      LANGUAGES.map((l) => ({ code: l.code, name: languageName(l.code, i18n.locale) })).sort((a, b) =>
+        a.name.localeCompare(b.name, i18n.locale)
+      ),
+    [i18n.locale]
+  );
+
+  return (
+    <section className="card mb-3 shadow-sm" aria-labelledby="search-heading">
+      <div className="card-body">
+        <h2 className="visually-hidden" id="search-heading">{t("app.search")}</h2>
+        <div className="row g-2 align-items-center">
+          <div className="col-12 col-md-4">
+            <div className="input-group">
+              <span className="input-group-text">{t("app.in")}</span>
+              <select className="form-select" aria-label={t("app.searchIn")} value={field} onChange={(e) => search.setField(e.target.value)}>
+                {SEARCH_FIELDS.map((id) => (
+                  <option key={id} value={id}>{id === "all" ? t("app.allFields") : t(`field.${id}`)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="col-12 col-md-8">
+            <div className="input-group">
+              <SearchBox
+                value={query}
+                field={field}
+                provider={provider}
+                recent={recent}
+                onChange={search.setQuery}
+                onSearch={onSearch}
+                onPickRecent={onPickRecent}
+                onClearRecent={onClearRecent}
+                invalid={Boolean(isbnCheck && !isbnCheck.valid)}
+                describedBy={isbnCheck ? "isbn-check" : undefined}
+                inputRef={inputRef}
+              />
+              <button className="btn btn-primary" onClick={() => onSearch(query)} disabled={loading}>
+                {t("app.search")}
+              </button>
+              <button
+                className="btn btn-outline-secondary"
+                onClick={onPin}
+                disabled={!query.trim() && !clauses.length}
+                title={t("app.pin")}
+                aria-label={t("app.pin")}
+              >
+                📌
+              </button>
+              <button
+                className={`btn ${showAdvanced ? "btn-secondary" : "btn-outline-secondary"}`}
+                onClick={() => setShowAdvanced((v) => !v)}
+                aria-expanded={showAdvanced}
+              >
+                {t("app.advanced")}
+                {clauses.length ? ` (${formatNumber(clauses.length)})` : ""}
+              </button>
+              <button
+                className={`btn ${showIsbnTools ? "btn-secondary" : "btn-outline-secondary"}`}
+                onClick={() => setShowIsbnTools((v) => !v)}
+                aria-expanded={showIsbnTools}
+                title={t("app.isbnTools")}
+              >
+                📷 ISBN
+              </button>
+            </div>
+            {isbnCheck && (
+              <div id="isbn-check" className={`form-text ${isbnCheck.valid ? "" : "text-danger"}`} aria-live="polite">
+                {isbnCheck.valid ? `ISBN-13 ${isbnCheck.isbn13}${isbnCheck.isbn10 ? ` · ISBN-10 ${isbnCheck.isbn10}` : ""}` : isbnMessage(isbnCheck, i18n)}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="row g-2 mt-2">
+          <div className="col-6 col-md-3">
+            <div className="form-check">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                id="ebookOnly"
+                checked={ebookOnly}
+                onChange={(e) => search.setEbookOnly(e.target.checked)}
+              />
+              <label className="form-check-label" htmlFor="ebookOnly">
+                {t("app.ebookOnly")}
+              </label>
+            </div>
+          </div>
+          <div className="col-6 col-md-3">
+            <select className="form-select" aria-label={t("app.bookLanguage")} value={lang && languageCode(lang)} onChange={(e) => search.setLang(e.target.value)}>
+              <option value="">{t("app.anyLanguage")}</option>
+              <optgroup label={t("app.commonLanguages")}>
+                {COMMON_LANGUAGES.map((code) => (
+                  <option key={code} value={code}>{languageName(code, i18n.locale)}</option>
+                ))}
+              </optgroup>
+              <optgroup label={t("app.allLanguages")}>
+                {languagesByName.map((l) => (
+                  <option key={l.code} value={l.code}>{l.name}</option>
+                ))}
+              </optgroup>
+            </select>
+          </div>
+          <div className="col-6 col-md-3">
+            <div className="input-group">
+              <span className="input-group-text">{t("app.sort")}</span>
+              <select className="form-select" aria-label={t("app.sort")} value={sort} onChange={(e) => search.setSort(e.target.value)}>
+                {SORTS.map((s) => (
+                  <option key={s.id} value={s.id}>{t(`sort.${s.id}`)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="col-6 col-md-3">
+            <div className="input-group">
+              <span className="input-group-text">{t("app.catalog")}</span>
+              <select className="form-select" aria-label={t("app.catalog")} value={provider.id} onChange={(e) => onProviderChange(e.target.value)}>
+                {listProviders().map((p) => (
+                  // catalogs named after their service keep that name
+                  <option key={p.id} value={p.id}>{i18n.has(`provider.${p.id}`) ? t(`provider.${p.id}`) : p.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {pinned.length > 0 && (
+          <div className="d-flex flex-wrap gap-1 mt-2 align-items-center">
+            <small className="text-muted">{t("app.pinned")}</small>
+            {pinned.map((p) => (
+              <div key={p.id} className="btn-group btn-group-sm">
+                <button className="btn btn-outline-primary" onClick={() => onRunPinned(p)}>
+                  {describeSearch(p, i18n)}
+                </button>
+                <button className="btn btn-outline-primary" aria-label={t("app.unpin", { search: describeSearch(p, i18n) })} onClick={() => onUnpin(p.id)}>
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {showAdvanced && <AdvancedSearch clauses={clauses} onChange={search.setClauses} />}
+        {showIsbnTools && <IsbnTools provider={provider} onIsbn={onIsbn} isSaved={isSaved} onDetails={onDetails} onToggleSave={onToggleSave} />}
+      </div>
+    </section>
+  );
+};
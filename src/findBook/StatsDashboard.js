@@ -0,0 +1,304 @@
+import React, { useId, useMemo, useRef, useState } from "react";
+import { useLocalStorage } from "./useLocalStorage";
+import { GOALS_KEY, readingStats, statsYears } from "./readingStats";
+import { languageName } from "./languages";
+import { download } from "./ImportExport";
+import { today } from "./library";
+import { useI18n } from "./useI18n";
+
+const CHART_WIDTH = 360;
+
+// A bar chart drawn in SVG. `data` is [{ label, value }]; columns run along
+// the bottom, rows run down the side with their labels in front. Colours
+// come from the text colours, so the chart follows the theme, and everything
+// is mirrored on a right-to-left page.
+const BarChart = ({ title, data, rows = false }) => {
+  const { t, dir, formatNumber } = useI18n();
+  const titleId = useId();
+  const descId = useId();
+  if (!data.length || data.every((d) => !d.value)) {
+    return (
+      <figure className="mb-0">
+        <figcaption className="small fw-semibold mb-1">{title}</figcaption>
+        <p className="text-muted small mb-0">{t("stats.empty")}</p>
+      </figure>
+    );
+  }
+
+  const rtl = dir === "rtl";
+  // x of something `w` wide that starts `pos` from the reading start
+  const x = (pos, w = 0) => (rtl ? CHART_WIDTH - pos - w : pos);
+  const max = Math.max(...data.map((d) => d.value));
+  let height;
+  let marks;
+
+  if (rows) {
+    const rowHeight = 22;
+    const labelWidth = CHART_WIDTH * 0.4;
+    const barSpace = CHART_WIDTH - labelWidth - 36; // room for the count after the bar
+    height = data.length * rowHeight;
+    marks = data.map((d, i) => {
+      const y = i * rowHeight;
+      const w = Math.max(2, (d.value / max) * barSpace);
+      return (
+        <g key={d.label}>
+          <text x={x(labelWidth - 6)} y={y + 15} fontSize="11" textAnchor={rtl ? "start" : "end"} fill="currentColor">
+            {d.label.length > 24 ? `${d.label.slice(0, 23)}…` : d.label}
+          </text>
+          <rect className="text-primary" fill="currentColor" x={x(labelWidth, w)} y={y + 4} width={w} height={rowHeight - 8} rx="2">
+            <title>{`${d.label}: ${formatNumber(d.value)}`}</title>
+          </rect>
+          <text x={x(labelWidth + w + 4)} y={y + 15} fontSize="11" textAnchor={rtl ? "end" : "start"} fill="currentColor">
+            {formatNumber(d.value)}
+          </text>
+        </g>
+      );
+    });
+  } else {
+    const plot = 120;
+    const slot = CHART_WIDTH / data.length;
+    const w = slot * 0.7;
+    // a long run of decades labels every few columns, and leaves the counts to the tooltips
+    const labelEvery = Math.ceil(data.length / 12);
+    height = plot + 34;
+    marks = data.map((d, i) => {
+      const h = (d.value / max) * plot;
+      const left = x(i * slot + (slot - w) / 2, w);
+      return (
+        <g key={d.label}>
+          <rect className="text-primary" fill="currentColor" x={left} y={16 + plot - h} width={w} height={h} rx="2">
+            <title>{`${d.label}: ${formatNumber(d.value)}`}</title>
+          </rect>
+          {d.value > 0 && labelEvery === 1 && (
+            <text x={left + w / 2} y={12 + plot - h} fontSize="10" textAnchor="middle" fill="currentColor">
+              {formatNumber(d.value)}
+            </text>
+          )}
+          {i % labelEvery === 0 && (
+            <text x={left + w / 2} y={height - 4} fontSize="10" textAnchor="middle" fill="currentColor">
+              {d.label}
+            </text>
+          )}
+        </g>
+      );
+    });
+  }
+
+  return (
+    <figure className="mb-0">
+      <figcaption className="small fw-semibold mb-1" id={titleId}>{title}</figcaption>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+        width="100%"
+        className="text-body d-block"
+        role="img"
+        aria-labelledby={titleId}
+        aria-describedby={descId}
+      >
+        <desc id={descId}>{data.map((d) => `${d.label}: ${formatNumber(d.value)}`).join(", ")}</desc>
+        {marks}
+      </svg>
+    </figure>
+  );
+};
+
+// An SVG on the page as an image, with the colours the stylesheet gave it
+// written in (a stylesheet doesn't travel with the markup)
+function svgToImage(svg) {
+  const copy = svg.cloneNode(true);
+  copy.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  const painted = [...svg.querySelectorAll("[fill='currentColor']")];
+  const copies = [...copy.querySelectorAll("[fill='currentColor']")];
+  painted.forEach((el, i) => copies[i].setAttribute("fill", getComputedStyle(el).color));
+  const { width, height } = svg.viewBox.baseVal;
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve({ image, ratio: height / width });
+    image.onerror = reject;
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(copy))}`;
+  });
+}
+
+// The stats view as a PNG: its text lines, then each chart under its caption
+async function renderImage(root, lines, dir) {
+  const WIDTH = 720;
+  const PAD = 24;
+  const SCALE = 2;
+  const figures = [...root.querySelectorAll("figure")].filter((f) => f.querySelector("svg"));
+  const charts = await Promise.all(
+    figures.map(async (f) => ({ caption: f.querySelector("figcaption").textContent, ...(await svgToImage(f.querySelector("svg"))) }))
+  );
+  const chartWidth = WIDTH - 2 * PAD;
+  const height = PAD + lines.length * 26 + charts.reduce((sum, c) => sum + 30 + c.ratio * chartWidth, 0) + PAD;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH * SCALE;
+  canvas.height = Math.ceil(height * SCALE);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(SCALE, SCALE);
+  const style = getComputedStyle(root);
+  ctx.fillStyle = getComputedStyle(document.body).backgroundColor || "#fff";
+  ctx.fillRect(0, 0, WIDTH, height);
+  ctx.fillStyle = style.color;
+  ctx.direction = dir;
+  ctx.textAlign = "start";
+  const textX = dir === "rtl" ? WIDTH - PAD : PAD;
+
+  let y = PAD;
+  lines.forEach((line, i) => {
+    ctx.font = `${i === 0 ? "bold 20px" : "15px"} ${style.fontFamily}`;
+    y += 22;
+    ctx.fillText(line, textX, y);
+    y += 4;
+  });
+  for (const chart of charts) {
+    ctx.font = `bold 14px ${style.fontFamily}`;
+    y += 24;
+    ctx.fillText(chart.caption, textX, y);
+    y += 6;
+    ctx.drawImage(chart.image, PAD, y, chartWidth, chart.ratio * chartWidth);
+    y += chart.ratio * chartWidth;
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+// Reading goal, streaks and charts over the saved books (see
+// ./readingStats). Worked out from `library` on every render, so saving,
+// removing or finishing a book shows straight away.
+export const StatsDashboard = ({ library }) => {
+  const i18n = useI18n();
+  const { t, formatNumber, formatDate } = i18n;
+  const [goals, setGoals] = useLocalStorage(GOALS_KEY, {});
+  const years = useMemo(() => statsYears(library.entries), [library.entries]);
+  const [chosenYear, setYear] = useState(years[0]);
+  // the chosen year drops out of the list once its last finished book is removed
+  const year = years.includes(chosenYear) ? chosenYear : years[0];
+  const [exportError, setExportError] = useState(null);
+  const rootRef = useRef(null);
+
+  const goal = Number(goals[year]) || 0;
+  const stats = useMemo(() => readingStats(library, { year, goal }), [library, year, goal]);
+
+  if (!library.entries.length) return null;
+
+  const { goal: progress, streaks } = stats;
+  const monthLabel = (month) => formatDate(`${month}-01`, { month: "short", year: "numeric" });
+  const pace = progress.done
+    ? t("stats.goalDone")
+    : progress.ahead > 0
+      ? t("stats.ahead", { count: progress.ahead })
+      : progress.ahead < 0
+        ? t("stats.behind", { count: -progress.ahead })
+        : t("stats.onPace");
+  const goalLine = goal ? `${t("stats.goalProgress", { read: progress.finished, count: goal })} · ${pace}` : t("stats.noGoal");
+  const streakLine = streaks.longest
+    ? `${t("stats.currentStreak", { count: streaks.current })} · ${t("stats.longestStreak", { count: streaks.longest, month: monthLabel(streaks.longestEnd) })}`
+    : t("stats.noStreak");
+  const totals = t("stats.totals", { saved: stats.saved, finished: stats.finished });
+
+  const charts = [
+    {
+      id: "months",
+      title: t("stats.perMonth", { year: String(year) }),
+      data: stats.months.map((value, i) => ({ label: formatDate(`2000-${String(i + 1).padStart(2, "0")}-01`, { month: "short" }), value })),
+    },
+    { id: "decades", title: t("stats.decades"), data: stats.decades.map((d) => ({ label: t("facet.decadeValue", { decade: String(d.decade) }), value: d.count })) },
+    { id: "languages", title: t("stats.languages"), data: stats.languages.map((l) => ({ label: languageName(l.value, i18n.locale), value: l.count })), rows: true },
+    { id: "subjects", title: t("stats.subjects"), data: stats.subjects.map((s) => ({ label: s.label, value: s.count })), rows: true },
+    { id: "authors", title: t("stats.authors"), data: stats.authors.map((a) => ({ label: a.label, value: a.count })), rows: true },
+  ];
+
+  function changeGoal(value) {
+    const n = Math.max(0, Math.floor(Number(value) || 0));
+    setGoals((prev) => ({ ...prev, [year]: n }));
+  }
+
+  const stamp = today();
+
+  function exportJson() {
+    download(JSON.stringify({ exportedAt: new Date().toISOString(), ...stats }, null, 2), `bookfinder-stats-${stamp}.json`, "application/json");
+  }
+
+  async function exportImage() {
+    setExportError(null);
+    try {
+      const blob = await renderImage(rootRef.current, [`${t("stats.title")} · ${year}`, goalLine, streakLine, totals], i18n.dir);
+      if (!blob) throw new Error("canvas gave no image");
+      download(blob, `bookfinder-stats-${stamp}.png`, "image/png");
+    } catch {
+      setExportError(t("stats.imageFailed"));
+    }
+  }
+
+  return (
+    <section className="mt-4" aria-labelledby="stats-title" ref={rootRef}>
+      <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mb-2">
+        <h2 className="h5 mb-0" id="stats-title">📊 {t("stats.title")}</h2>
+        <div className="d-flex align-items-center gap-2">
+          <select className="form-select form-select-sm w-auto" aria-label={t("stats.year")} value={year} onChange={(e) => setYear(Number(e.target.value))}>
+            {years.map((y) => (
+              <option key={y} value={y}>{y}</option>
+            ))}
+          </select>
+          <button className="btn btn-sm btn-outline-secondary" onClick={exportImage}>{t("stats.exportImage")}</button>
+          <button className="btn btn-sm btn-outline-secondary" onClick={exportJson}>{t("stats.exportJson")}</button>
+        </div>
+      </div>
+      {exportError && <div className="alert alert-warning py-2" role="alert">{exportError}</div>}
+
+      <div className="row g-3">
+        <div className="col-12 col-md-6">
+          <div className="card h-100">
+            <div className="card-body">
+              <label className="form-label small fw-semibold" htmlFor="reading-goal">{t("stats.goalLabel", { year: String(year) })}</label>
+              <input
+                id="reading-goal"
+                type="number"
+                min={0}
+                className="form-control form-control-sm mb-2"
+                style={{ maxWidth: 120 }}
+                value={goal || ""}
+                onChange={(e) => changeGoal(e.target.value)}
+              />
+              {goal > 0 && (
+                <div
+                  className="progress mb-2"
+                  role="progressbar"
+                  aria-label={t("stats.goal", { year: String(year) })}
+                  aria-valuemin={0}
+                  aria-valuemax={goal}
+                  aria-valuenow={Math.min(progress.finished, goal)}
+                  aria-valuetext={t("stats.goalProgress", { read: progress.finished, count: goal })}
+                >
+                  <div className={`progress-bar ${progress.done ? "bg-success" : ""}`} style={{ width: `${progress.percent}%` }}>
+                    {formatNumber(progress.percent)}%
+                  </div>
+                </div>
+              )}
+              <p className="small mb-0" aria-live="polite">{goalLine}</p>
+            </div>
+          </div>
+        </div>
+        <div className="col-12 col-md-6">
+          <div className="card h-100">
+            <div className="card-body">
+              <h3 className="h6">{t("stats.streaks")}</h3>
+              <p className="small mb-1">{streakLine}</p>
+              <p className="small text-muted mb-1">{t("stats.streakHint")}</p>
+              <p className="small mb-0">{totals}</p>
+            </div>
+          </div>
+        </div>
+        {charts.map((chart) => (
+          <div className="col-12 col-lg-6" key={chart.id}>
+            <div className="card h-100">
+              <div className="card-body">
+                <BarChart title={chart.title} data={chart.data} rows={chart.rows} />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
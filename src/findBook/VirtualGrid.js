@@ -0,0 +1,82 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from "react";
+
+// Bootstrap breakpoints behind the results grid's col-12 col-sm-6 col-lg-4
+function columnsFor(width) {
+  if (width >= 992) return 3;
+  if (width >= 576) return 2;
+  return 1;
+}
+
+function readViewport(container) {
+  return {
+    scrollY: window.scrollY,
+    height: window.innerHeight,
+    width: window.innerWidth,
+    // where the grid starts, in page coordinates
+    offsetTop: container ? container.getBoundingClientRect().top + window.scrollY : 0,
+  };
+}
+
+// Window-scrolled grid that only mounts the rows near the viewport; the rest
+// is stood in for by two spacers. Rows are assumed to be about as tall as the
+// first one rendered.
+export const VirtualGrid = ({ items, getKey, renderItem, colClassName, estimatedRowHeight = 480, overscan = 2 }) => {
+  const containerRef = useRef(null);
+  const firstRowRef = useRef(null);
+  const [viewport, setViewport] = useState(() => readViewport(null));
+  const [rowHeight, setRowHeight] = useState(estimatedRowHeight);
+
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => setViewport(readViewport(containerRef.current)));
+    };
+    update();
+    window.addEventListener("scroll", update, { passive: true });
+    window.addEventListener("resize", update);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  }, []);
+
+  // the grid can move down the page as content above it changes
+  useEffect(() => {
+    setViewport(readViewport(containerRef.current));
+  }, [items.length]);
+
+  // measure a real row once one is on screen
+  useLayoutEffect(() => {
+    const height = firstRowRef.current?.offsetHeight;
+    if (height && Math.abs(height - rowHeight) > 1) setRowHeight(height);
+  }, [rowHeight, viewport, items]);
+
+  const columns = columnsFor(viewport.width);
+  const rowCount = Math.ceil(items.length / columns);
+  const relativeTop = viewport.scrollY - viewport.offsetTop;
+  const start = Math.max(0, Math.floor(relativeTop / rowHeight) - overscan);
+  const end = Math.min(rowCount, Math.ceil((relativeTop + viewport.height) / rowHeight) + overscan);
+
+  const rows = [];
+  for (let r = start; r < end; r++) {
+    rows.push(
+      <div className="row" key={r} ref={r === start ? firstRowRef : null}>
+        {items.slice(r * columns, (r + 1) * columns).map((item) => (
+          <div className={colClassName} key={getKey(item)}>
+            {renderItem(item)}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef}>
+      <div style={{ height: start * rowHeight }} aria-hidden="true" />
+      {rows}
+      <div style={{ height: Math.max(0, rowCount - end) * rowHeight }} aria-hidden="true" />
+    </div>
+  );
+};
@@ -0,0 +1,119 @@
+import { useEffect, useRef } from "react";
+import { defaultI18n } from "./i18n";
+
+// Keyboard and screen-reader plumbing shared by the results grid and the
+// dialogs. The key handling is plain functions; useDialog wires a modal up.
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ");
+
+// Covers are described by what they're the cover of; a missing one says so
+// rather than describing the placeholder picture
+export const coverAlt = (book, hasCover = true, { t } = defaultI18n) => t(hasCover ? "cover.alt" : "cover.none", { title: book.title });
+
+// Where a key press moves focus in a grid of `count` items laid out in
+// `columns` columns, or null for keys the grid doesn't handle. Moves stop at
+// the edges rather than wrapping round.
+export function gridNextIndex(key, index, count, columns) {
+  const last = count - 1;
+  switch (key) {
+    case "ArrowRight":
+      return Math.min(index + 1, last);
+    case "ArrowLeft":
+      return Math.max(index - 1, 0);
+    case "ArrowDown":
+      return index + columns <= last ? index + columns : index;
+    case "ArrowUp":
+      return index - columns >= 0 ? index - columns : index;
+    case "Home":
+      return 0;
+    case "End":
+      return last;
+    default:
+      return null;
+  }
+}
+
+// Columns on screen, counted as the items sharing the first one's row
+function columnsOf(items) {
+  const top = items[0].getBoundingClientRect().top;
+  const columns = items.findIndex((item) => item.getBoundingClientRect().top !== top);
+  return columns > 0 ? columns : items.length;
+}
+
+const MIRRORED = { ArrowLeft: "ArrowRight", ArrowRight: "ArrowLeft" };
+
+// onKeyDown for a container of [data-grid-item] cards: arrow keys, Home and
+// End move between cards while focus is on a card itself (keys typed into a
+// card's buttons and checkboxes are theirs). Right-to-left pages read the
+// row the other way, so left and right swap.
+export function handleGridKeys(e) {
+  if (!e.target.matches("[data-grid-item]") || e.altKey || e.ctrlKey || e.metaKey) return;
+  const items = [...e.currentTarget.querySelectorAll("[data-grid-item]")];
+  const rtl = e.currentTarget.closest("[dir]")?.dir === "rtl";
+  const key = rtl ? MIRRORED[e.key] || e.key : e.key;
+  const next = gridNextIndex(key, items.indexOf(e.target), items.length, columnsOf(items));
+  if (next === null) return;
+  e.preventDefault();
+  items[next].focus();
+  items[next].scrollIntoView?.({ block: "nearest" });
+}
+
+// Makes the element in `ref` behave as a modal dialog while it's mounted:
+// focus moves into it, Tab and Shift+Tab cycle inside it, Escape calls
+// onClose, the page behind stops scrolling, and on close focus goes back to
+// whatever opened it.
+export function useDialog(ref, onClose) {
+  const closeRef = useRef(onClose);
+  closeRef.current = onClose;
+
+  useEffect(() => {
+    const dialog = ref.current;
+    const opener = document.activeElement;
+    document.body.classList.add("modal-open");
+    dialog.focus();
+
+    function onKeyDown(e) {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        closeRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = [...dialog.querySelectorAll(FOCUSABLE)];
+      if (!items.length) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+    // focus that gets out some other way (a click on the page, a script) is brought back
+    function onFocusIn(e) {
+      if (!dialog.contains(e.target)) dialog.focus();
+    }
+
+    dialog.addEventListener("keydown", onKeyDown);
+    document.addEventListener("focusin", onFocusIn);
+    return () => {
+      dialog.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("focusin", onFocusIn);
+      document.body.classList.remove("modal-open");
+      // the opener may have gone, e.g. a card from results that have since changed
+      if (opener?.isConnected) opener.focus({ preventScroll: true });
+    };
+  }, [ref]);
+}
@@ -0,0 +1,136 @@
+import { fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { axe } from "jest-axe";
+import catalog from "../../public/catalog.json";
+import { coverAlt, gridNextIndex } from "./a11y";
+import { BookCard } from "./BookCard";
+import { CompareModal } from "./CompareView";
+import { BookFinder } from "./findBook";
+
+// as the local catalog keys them
+const [hobbit, fellowship] = catalog.books.map((book) => ({ ...book, key: `local:${book.id}` }));
+
+test("gridNextIndex moves by cells and rows and stops at the edges", () => {
+  // 7 cards in 3 columns: 0 1 2 / 3 4 5 / 6
+  expect(gridNextIndex("ArrowRight", 0, 7, 3)).toBe(1);
+  expect(gridNextIndex("ArrowRight", 6, 7, 3)).toBe(6);
+  expect(gridNextIndex("ArrowLeft", 0, 7, 3)).toBe(0);
+  expect(gridNextIndex("ArrowDown", 1, 7, 3)).toBe(4);
+  expect(gridNextIndex("ArrowDown", 4, 7, 3)).toBe(4); // nothing below
+  expect(gridNextIndex("ArrowUp", 4, 7, 3)).toBe(1);
+  expect(gridNextIndex("ArrowUp", 1, 7, 3)).toBe(1);
+  expect(gridNextIndex("Home", 5, 7, 3)).toBe(0);
+  expect(gridNextIndex("End", 0, 7, 3)).toBe(6);
+  expect(gridNextIndex("a", 0, 7, 3)).toBeNull();
+});
+
+test("coverAlt names the book, and says when there's no cover", () => {
+  expect(coverAlt({ title: "The Hobbit" })).toBe("Cover of The Hobbit");
+  expect(coverAlt({ title: "The Hobbit" }, false)).toBe("No cover available for The Hobbit");
+});
+
+test("a book card has no axe violations and opens its details on Enter", async () => {
+  const onDetails = jest.fn();
+  const { container } = render(
+    <BookCard book={hobbit} saved={false} onToggleSave={() => {}} onDetails={onDetails} onAuthor={() => {}} onSubject={() => {}} onToggleCompare={() => {}} />
+  );
+  expect(await axe(container)).toHaveNoViolations();
+  const card = screen.getByRole("article", { name: hobbit.title });
+  fireEvent.keyDown(card, { key: "Enter" });
+  expect(onDetails).toHaveBeenCalledWith(hobbit);
+  // Enter on a button inside the card is the button's
+  fireEvent.keyDown(screen.getByRole("button", { name: "Details" }), { key: "Enter" });
+  expect(onDetails).toHaveBeenCalledTimes(1);
+});
+
+test("a dialog takes focus, keeps Tab inside, closes on Escape and gives focus back", async () => {
+  const opener = document.createElement("button");
+  document.body.appendChild(opener);
+  opener.focus();
+  const onClose = jest.fn();
+  const { container, unmount } = render(<CompareModal books={[hobbit, fellowship]} onRemove={() => {}} onDetails={() => {}} onClose={onClose} />);
+
+  const dialog = screen.getByRole("dialog", { name: "Compare 2 books" });
+  expect(dialog).toHaveFocus();
+  expect(document.body).toHaveClass("modal-open");
+  expect(await axe(container)).toHaveNoViolations();
+
+  const buttons = within(dialog).getAllByRole("button");
+  buttons[buttons.length - 1].focus();
+  fireEvent.keyDown(buttons[buttons.length - 1], { key: "Tab" });
+  expect(buttons[0]).toHaveFocus();
+  fireEvent.keyDown(buttons[0], { key: "Tab", shiftKey: true });
+  expect(buttons[buttons.length - 1]).toHaveFocus();
+
+  fireEvent.keyDown(buttons[0], { key: "Escape" });
+  expect(onClose).toHaveBeenCalled();
+  unmount();
+  expect(opener).toHaveFocus();
+  expect(document.body).not.toHaveClass("modal-open");
+  opener.remove();
+});
+
+describe("the search page", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => catalog }));
+    window.history.replaceState(null, "", "/?catalog=local&q=hobbit");
+  });
+
+  test("has no axe violations with results or with the Details modal open", async () => {
+    const { container } = render(<BookFinder />);
+    const details = await screen.findAllByRole("button", { name: "Details" }, { timeout: 2000 });
+    expect(screen.getByText(/\d+ results?/)).toHaveAttribute("role", "status");
+    expect(await axe(container)).toHaveNoViolations();
+
+    details[0].focus();
+    fireEvent.click(details[0]);
+    const dialog = screen.getByRole("dialog");
+    await waitFor(() => expect(within(dialog).queryByText(/Loading/)).toBeNull());
+    expect(await axe(container)).toHaveNoViolations();
+
+    fireEvent.keyDown(dialog, { key: "Escape" });
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(details[0]).toHaveFocus();
+    // closing went back a history entry; let that land before the next test
+    await waitFor(() => expect(window.location.search).not.toMatch(/work=/));
+  }, 60000);
+
+  test("arrow keys move between cards and / focuses the search box", async () => {
+    window.history.replaceState(null, "", "/?catalog=local&q=tolkien");
+    render(<BookFinder />);
+    await screen.findAllByRole("button", { name: "Details" }, { timeout: 2000 });
+    const cards = screen.getAllByRole("article");
+    cards[0].focus();
+    // jsdom lays nothing out, so every card counts as one row
+    fireEvent.keyDown(cards[0], { key: "ArrowRight" });
+    expect(cards[1]).toHaveFocus();
+    fireEvent.keyDown(cards[1], { key: "End" });
+    expect(cards[cards.length - 1]).toHaveFocus();
+
+    fireEvent.keyDown(cards[cards.length - 1], { key: "/" });
+    expect(screen.getByRole("combobox", { name: "Search books" })).toHaveFocus();
+  });
+
+  test("switching language translates the page, is remembered, and mirrors it for Arabic", async () => {
+    window.history.replaceState(null, "", "/?catalog=local&q=tolkien");
+    render(<BookFinder />);
+    await screen.findAllByRole("button", { name: "Details" }, { timeout: 2000 });
+
+    fireEvent.change(screen.getByRole("combobox", { name: "Language" }), { target: { value: "es" } });
+    expect(await screen.findAllByRole("button", { name: "Detalles" })).not.toHaveLength(0);
+    expect(screen.getByRole("combobox", { name: "Buscar libros" })).toBeInTheDocument();
+    expect(document.documentElement).toHaveAttribute("lang", "es");
+    expect(JSON.parse(localStorage.getItem("bookfinder.locale"))).toBe("es");
+
+    fireEvent.change(screen.getByRole("combobox", { name: "Idioma" }), { target: { value: "ar" } });
+    expect(document.documentElement).toHaveAttribute("dir", "rtl");
+    // left and right swap on a right-to-left page
+    const cards = screen.getAllByRole("article");
+    cards[1].focus();
+    fireEvent.keyDown(cards[1], { key: "ArrowRight" });
+    expect(cards[0]).toHaveFocus();
+
+    fireEvent.change(screen.getByRole("combobox", { name: "اللغة" }), { target: { value: "en" } });
+    expect(document.documentElement).toHaveAttribute("dir", "ltr");
+  });
+});
@@ -0,0 +1,141 @@
+// EAN-13 barcode decoding, done in the browser from an ImageData (a photo
+// drawn onto a canvas, or a camera frame). Book barcodes are EAN-13s whose
+// digits are the ISBN-13.
+//
+// Each scan line is cut into black/white runs; after the 101 start guard
+// come 6 left digits (4 runs, 7 modules each, in L or G code), the 01010
+// middle guard, 6 right digits (R code) and the 101 end guard. The L/G
+// pattern of the left digits gives the first digit.
+
+// Run widths in modules, starting with a space (L and R codes share widths)
+const L_WIDTHS = ["3211", "2221", "2122", "1411", "1132", "1231", "1114", "1312", "1213", "3112"].map((w) => [...w].map(Number));
+// G code is R code mirrored
+const G_WIDTHS = L_WIDTHS.map((w) => [...w].reverse());
+const FIRST_DIGIT_PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL"];
+
+const RUNS_PER_CODE = 3 + 24 + 5 + 24 + 3;
+const MIN_CONTRAST = 40;
+const MAX_DIGIT_ERROR = 0.4; // mean per-run difference from the pattern, in modules
+
+export function ean13CheckDigit(first12) {
+  const sum = [...first12].reduce((total, d, i) => total + Number(d) * (i % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+// [{ dark, width }] for a line of grey values, split at the midpoint of its range
+function toRuns(values) {
+  let min = 255;
+  let max = 0;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (max - min < MIN_CONTRAST) return [];
+  const threshold = (min + max) / 2;
+  const runs = [];
+  for (const v of values) {
+    const dark = v < threshold;
+    const last = runs[runs.length - 1];
+    if (last && last.dark === dark) last.width += 1;
+    else runs.push({ dark, width: 1 });
+  }
+  return runs;
+}
+
+// Whether `widths` are each about one module wide
+const isGuard = (widths, module) => widths.every((w) => w > module * 0.5 && w < module * 1.6);
+
+function matchDigit(widths, patterns) {
+  const total = widths.reduce((a, b) => a + b, 0);
+  const modules = widths.map((w) => (w * 7) / total);
+  let best = { digit: -1, error: Infinity };
+  patterns.forEach((pattern, digit) => {
+    const error = pattern.reduce((sum, p, i) => sum + Math.abs(p - modules[i]), 0) / 4;
+    if (error < best.error) best = { digit, error };
+  });
+  return best;
+}
+
+// The 13 digits from runs starting at a start guard, or null
+function decodeAt(runs, start) {
+  const widthsAt = (from, count) => runs.slice(from, from + count).map((r) => r.width);
+  const startGuard = widthsAt(start, 3);
+  const module = startGuard.reduce((a, b) => a + b, 0) / 3;
+  if (!isGuard(startGuard, module)) return null;
+  // a quiet zone before the code (or the edge of the image)
+  if (start > 0 && runs[start - 1].width < module * 3) return null;
+
+  let at = start + 3;
+  let parity = "";
+  const digits = [];
+  for (let i = 0; i < 6; i++, at += 4) {
+    const widths = widthsAt(at, 4);
+    const l = matchDigit(widths, L_WIDTHS);
+    const g = matchDigit(widths, G_WIDTHS);
+    const best = l.error <= g.error ? l : g;
+    if (best.error > MAX_DIGIT_ERROR) return null;
+    digits.push(best.digit);
+    parity += best === l ? "L" : "G";
+  }
+  const middle = widthsAt(at, 5);
+  const middleModule = middle.reduce((a, b) => a + b, 0) / 5;
+  if (!isGuard(middle, middleModule)) return null;
+  at += 5;
+  for (let i = 0; i < 6; i++, at += 4) {
+    const best = matchDigit(widthsAt(at, 4), L_WIDTHS);
+    if (best.error > MAX_DIGIT_ERROR) return null;
+    digits.push(best.digit);
+  }
+  const endGuard = widthsAt(at, 3);
+  if (!isGuard(endGuard, endGuard.reduce((a, b) => a + b, 0) / 3)) return null;
+
+  const first = FIRST_DIGIT_PARITY.indexOf(parity);
+  if (first < 0) return null;
+  const code = `${first}${digits.join("")}`;
+  return ean13CheckDigit(code.slice(0, 12)) === Number(code[12]) ? code : null;
+}
+
+// The EAN-13 on one line of grey values (read either way round), or null
+export function decodeEan13Line(values) {
+  for (const line of [values, [...values].reverse()]) {
+    const runs = toRuns(line);
+    for (let i = 0; i + RUNS_PER_CODE <= runs.length; i++) {
+      if (!runs[i].dark) continue;
+      const code = decodeAt(runs, i);
+      if (code) return code;
+    }
+  }
+  return null;
+}
+
+function greyscale({ data, width, height }) {
+  const grey = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+  }
+  return grey;
+}
+
+// Scans `lines` rows and as many columns (for a barcode photographed on its
+// side) and returns the code most lines agree on, or null.
+export function decodeEan13(imageData, { lines = 24 } = {}) {
+  const { width, height } = imageData;
+  const grey = greyscale(imageData);
+  const votes = new Map();
+  const vote = (code) => code && votes.set(code, (votes.get(code) || 0) + 1);
+  for (let n = 1; n <= lines; n++) {
+    const y = Math.floor((height * n) / (lines + 1));
+    vote(decodeEan13Line(grey.subarray(y * width, (y + 1) * width)));
+  }
+  if (!votes.size) {
+    for (let n = 1; n <= lines; n++) {
+      const x = Math.floor((width * n) / (lines + 1));
+      const column = new Uint8ClampedArray(height);
+      for (let y = 0; y < height; y++) column[y] = grey[y * width + x];
+      vote(decodeEan13Line(column));
+    }
+  }
+  let best = null;
+  for (const [code, count] of votes) if (!best || count > votes.get(best)) best = code;
+  return best;
+}
@@ -0,0 +1,77 @@
+import { decodeEan13, decodeEan13Line, ean13CheckDigit } from "./barcode";
+
+// Fixture images are drawn here rather than checked in: an EAN-13 rendered
+// at a given module width, with anti-aliased edges, noise and uneven light
+// like a phone photo.
+
+const L = ["0001101", "0011001", "0010011", "0111101", "0100011", "0110001", "0101111", "0111011", "0110111", "0001011"];
+const G = L.map((code) => [...code].map((b) => (b === "1" ? "0" : "1")).reverse().join(""));
+const R = L.map((code) => [...code].map((b) => (b === "1" ? "0" : "1")).join(""));
+const PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL"];
+
+function modules(code) {
+  const d = [...code].map(Number);
+  const left = d.slice(1, 7).map((digit, i) => (PARITY[d[0]][i] === "L" ? L : G)[digit]);
+  const right = d.slice(7).map((digit) => R[digit]);
+  return `101${left.join("")}01010${right.join("")}101`;
+}
+
+function random(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return s / 2147483648;
+  };
+}
+
+function fixture(code, { module = 2, height = 40, noise = 0, gradient = 0, sideways = false, seed = 1 } = {}) {
+  const bits = modules(code);
+  const quiet = 10 * module;
+  const width = Math.ceil(bits.length * module + 2 * quiet);
+  const rand = random(seed);
+  // how dark each column is: the share of it covered by bars
+  const darkness = Array.from({ length: width }, (_, x) => {
+    let covered = 0;
+    for (let step = 0; step < 4; step++) {
+      const m = Math.floor((x + (step + 0.5) / 4 - quiet) / module);
+      if (bits[m] === "1") covered += 0.25;
+    }
+    return covered;
+  });
+  const [w, h] = sideways ? [height, width] : [width, height];
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const light = 230 - (gradient * x) / width;
+      const value = light - darkness[x] * (light - 30) + (rand() - 0.5) * noise;
+      const i = sideways ? x * w + y : y * w + x;
+      data.set([value, value, value, 255], i * 4);
+    }
+  }
+  return { width: w, height: h, data };
+}
+
+test("computes the EAN-13 check digit", () => {
+  expect(ean13CheckDigit("978013110362")).toBe(7);
+  expect(ean13CheckDigit("979103230569")).toBe(0);
+});
+
+test("decodes clean fixtures, whichever way round", () => {
+  expect(decodeEan13(fixture("9780131103627"))).toBe("9780131103627");
+  expect(decodeEan13(fixture("9791032305690", { module: 3 }))).toBe("9791032305690");
+  expect(decodeEan13(fixture("9780547928227", { sideways: true }))).toBe("9780547928227");
+  const line = fixture("9780547928227", { height: 1 });
+  const grey = Array.from({ length: line.width }, (_, x) => line.data[x * 4]);
+  expect(decodeEan13Line(grey.reverse())).toBe("9780547928227");
+});
+
+test("decodes photo-like fixtures: odd scale, noise and uneven light", () => {
+  expect(decodeEan13(fixture("9780131103627", { module: 2.6, noise: 60, seed: 7 }))).toBe("9780131103627");
+  expect(decodeEan13(fixture("9780547928227", { module: 3.3, noise: 40, gradient: 80, seed: 3 }))).toBe("9780547928227");
+});
+
+test("finds nothing in a blank image or a broken code", () => {
+  expect(decodeEan13({ width: 50, height: 10, data: new Uint8ClampedArray(50 * 10 * 4).fill(255) })).toBeNull();
+  // the check digit is off by one
+  expect(decodeEan13(fixture("9780131103628"))).toBeNull();
+});
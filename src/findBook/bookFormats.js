@@ -0,0 +1,328 @@
+// Export saved books to CSV, JSON, BibTeX, RIS and Goodreads CSV, and read
+// Goodreads exports, our own JSON, or plain ISBN lists back in.
+
+import { STATUSES } from "./library";
+import { makeClause } from "./queryBuilder";
+import { cleanIsbn, parseIsbn } from "./isbn";
+import { defaultI18n } from "./i18n";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", ext: "csv", mime: "text/csv" },
+  { id: "json", label: "JSON", ext: "json", mime: "application/json" },
+  { id: "bibtex", label: "BibTeX", ext: "bib", mime: "application/x-bibtex" },
+  { id: "ris", label: "RIS", ext: "ris", mime: "application/x-research-info-systems" },
+  { id: "goodreads", label: "Goodreads CSV", ext: "csv", mime: "text/csv" },
+];
+
+// --- CSV ---
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvText(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180: quoted cells may hold commas, doubled quotes and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^﻿/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+const isbnOf = (book, length) => (book.isbn || []).map((i) => String(i).replace(/[\s-]/g, "")).find((i) => i.length === length) || "";
+// exported files are in English whatever language the app is in
+const statusLabel = (id) => (STATUSES.some((s) => s.id === id) ? defaultI18n.t(`status.${id}`) : id);
+
+export function toCsv(library) {
+  const shelfName = (id) => library.shelves.find((s) => s.id === id)?.name || id;
+  return toCsvText(
+    ["Title", "Authors", "First published", "ISBN-13", "ISBN-10", "Shelf", "Status", "Rating", "Started", "Finished", "Notes", "Key", "Catalog"],
+    library.entries.map(({ book, ...e }) => [
+      book.title,
+      (book.author_name || []).join("; "),
+      book.first_publish_year || "",
+      isbnOf(book, 13),
+      isbnOf(book, 10),
+      shelfName(e.shelfId),
+      statusLabel(e.status),
+      e.rating || "",
+      e.startedAt || "",
+      e.finishedAt || "",
+      e.notes,
+      book.key,
+      book.provider || "openlibrary",
+    ])
+  );
+}
+
+export function toJson(library) {
+  return JSON.stringify({ format: "bookfinder", exportedAt: new Date().toISOString(), ...library }, null, 2);
+}
+
+// --- citations ---
+
+function citeKey(book, used) {
+  const author = ((book.author_name || [])[0] || "anon").split(/\s+/).pop().toLowerCase().replace(/[^a-z0-9]/g, "");
+  const word = (book.title || "").toLowerCase().split(/\s+/).find((w) => w.length > 3 && !["the", "with", "from"].includes(w)) || "book";
+  const base = `${author || "anon"}${book.first_publish_year || ""}${word.replace(/[^a-z0-9]/g, "")}`;
+  let key = base;
+  for (let n = 2; used.has(key); n++) key = `${base}${String.fromCharCode(95 + n)}`;
+  used.add(key);
+  return key;
+}
+
+const bibEscape = (text) => String(text).replace(/([{}&%$#_])/g, "\\$1");
+
+export function toBibtex(library) {
+  const used = new Set();
+  return library.entries
+    .map(({ book, notes }) => {
+      const fields = [
+        ["title", `{${bibEscape(book.title)}}`],
+        ["author", (book.author_name || []).map(bibEscape).join(" and ")],
+        ["year", book.first_publish_year],
+        ["publisher", (book.publisher || [])[0] && bibEscape(book.publisher[0])],
+        ["isbn", isbnOf(book, 13) || isbnOf(book, 10)],
+        ["url", book.url],
+        ["note", notes && bibEscape(notes)],
+      ].filter(([, v]) => v);
+      return `@book{${citeKey(book, used)},\n${fields.map(([k, v]) => `  ${k} = {${v}}`).join(",\n")}\n}\n`;
+    })
+    .join("\n");
+}
+
+export function toRis(library) {
+  return library.entries
+    .map(({ book, notes }) => {
+      const lines = [["TY", "BOOK"], ["TI", book.title]];
+      (book.author_name || []).forEach((a) => lines.push(["AU", a]));
+      if (book.first_publish_year) lines.push(["PY", book.first_publish_year]);
+      if ((book.publisher || [])[0]) lines.push(["PB", book.publisher[0]]);
+      const isbn = isbnOf(book, 13) || isbnOf(book, 10);
+      if (isbn) lines.push(["SN", isbn]);
+      if (book.url) lines.push(["UR", book.url]);
+      if (notes) lines.push(["N1", notes.replace(/\r?\n/g, " ")]);
+      lines.push(["ER", ""]);
+      return lines.map(([tag, value]) => `${tag}  - ${value}`).join("\r\n");
+    })
+    .join("\r\n\r\n") + "\r\n";
+}
+
+// --- Goodreads ---
+
+const GOODREADS_SHELVES = { want: "to-read", reading: "currently-reading", finished: "read" };
+const FROM_GOODREADS_SHELF = { "to-read": "want", "currently-reading": "reading", read: "finished" };
+
+const goodreadsDate = (date) => (date ? date.replace(/-/g, "/") : "");
+
+// Same columns Goodreads' own export uses, so it re-imports there cleanly
+export function toGoodreadsCsv(library) {
+  const shelfName = (id) => library.shelves.find((s) => s.id === id)?.name || id;
+  return toCsvText(
+    ["Title", "Author", "Additional Authors", "ISBN", "ISBN13", "My Rating", "Original Publication Year", "Date Read", "Date Added", "Bookshelves", "Exclusive Shelf", "My Review"],
+    library.entries.map(({ book, ...e }) => {
+      const shelf = GOODREADS_SHELVES[e.status] || "to-read";
+      const custom = GOODREADS_SHELVES[e.shelfId] ? "" : shelfName(e.shelfId).toLowerCase().replace(/\s+/g, "-");
+      return [
+        book.title,
+        (book.author_name || [])[0] || "",
+        (book.author_name || []).slice(1).join(", "),
+        isbnOf(book, 10),
+        isbnOf(book, 13),
+        e.rating || 0,
+        book.first_publish_year || "",
+        goodreadsDate(e.finishedAt),
+        goodreadsDate((e.addedAt || "").slice(0, 10)),
+        [custom, shelf].filter(Boolean).join(", "),
+        shelf,
+        e.notes,
+      ];
+    })
+  );
+}
+
+export function exportLibrary(library, format) {
+  if (format === "json") return toJson(library);
+  if (format === "bibtex") return toBibtex(library);
+  if (format === "ris") return toRis(library);
+  if (format === "goodreads") return toGoodreadsCsv(library);
+  return toCsv(library);
+}
+
+// --- import ---
+
+const toIsoDate = (value) => {
+  const m = String(value || "").match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  return m ? `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}` : null;
+};
+
+export function parseGoodreadsCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const col = (name) => header.findIndex((h) => h.trim().toLowerCase() === name.toLowerCase());
+  const idx = {
+    title: col("Title"),
+    author: col("Author"),
+    isbn: col("ISBN"),
+    isbn13: col("ISBN13"),
+    rating: col("My Rating"),
+    shelf: col("Exclusive Shelf"),
+    dateRead: col("Date Read"),
+    dateAdded: col("Date Added"),
+    review: col("My Review"),
+  };
+  const get = (row, i) => (i >= 0 ? (row[i] || "").trim() : "");
+  return rows.map((row, line) => {
+    const status = FROM_GOODREADS_SHELF[get(row, idx.shelf)] || "want";
+    return {
+      line: line + 2,
+      title: get(row, idx.title),
+      author: get(row, idx.author),
+      isbn: cleanIsbn(get(row, idx.isbn13)) || cleanIsbn(get(row, idx.isbn)),
+      entry: {
+        shelfId: status,
+        status,
+        rating: Math.min(5, Math.max(0, parseInt(get(row, idx.rating), 10) || 0)),
+        finishedAt: toIsoDate(get(row, idx.dateRead)),
+        notes: get(row, idx.review),
+        ...(toIsoDate(get(row, idx.dateAdded)) && { addedAt: new Date(toIsoDate(get(row, idx.dateAdded))).toISOString() }),
+      },
+    };
+  });
+}
+
+// Every token is kept with the line it's on; ones that can't be ISBNs carry
+// their parseIsbn result in `isbnCheck` and aren't looked up
+export function parseIsbnList(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .flatMap((lineText, i) =>
+      lineText
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+        .map((token) => {
+          const isbnCheck = parseIsbn(token);
+          return { line: i + 1, title: "", author: "", isbn: isbnCheck.valid ? cleanIsbn(token) : token, entry: {}, isbnCheck };
+        })
+    );
+}
+
+// Our own JSON export carries full book records, so nothing needs resolving.
+// Entries keep the name of their shelf so a missing one can be made again.
+function parseBookfinderJson(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data.map((book) => ({ book })) : data.entries || [];
+  const shelfNames = new Map((data.shelves || []).map((s) => [s.id, s.name]));
+  return entries
+    .filter((e) => e && e.book && e.book.key)
+    .map(({ book, ...entry }, i) => ({
+      line: i + 1,
+      title: book.title,
+      author: (book.author_name || [])[0] || "",
+      isbn: "",
+      book,
+      entry: shelfNames.has(entry.shelfId) ? { ...entry, shelfName: shelfNames.get(entry.shelfId) } : entry,
+    }));
+}
+
+export function detectImportFormat(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+  const firstLine = trimmed.split(/\r?\n/)[0].toLowerCase();
+  if (firstLine.includes("title") && (firstLine.includes("author") || firstLine.includes("isbn"))) return "goodreads";
+  return "isbn";
+}
+
+export function parseImport(text) {
+  const format = detectImportFormat(text);
+  if (format === "json") return { format, rows: parseBookfinderJson(text) };
+  if (format === "goodreads") return { format, rows: parseGoodreadsCsv(text) };
+  return { format, rows: parseIsbnList(text) };
+}
+
+// Find the catalog record for one import row: by ISBN first, then by title + author
+export async function resolveRow(provider, row, options) {
+  if (row.book) return row.book;
+  const base = { ebookOnly: false, lang: "", sort: "relevance", page: 1, pageSize: 1 };
+  if (row.isbn) {
+    const { books } = await provider.search({ ...base, query: row.isbn, field: "isbn" }, options);
+    if (books[0]) return books[0];
+  }
+  if (row.title) {
+    const clauses = row.author ? [makeClause("author", row.author)] : [];
+    const { books } = await provider.search({ ...base, query: row.title, field: "title", clauses }, options);
+    if (books[0]) return books[0];
+  }
+  return null;
+}
+
+// Resolve rows a few at a time, reporting each as it lands. Duplicates are
+// flagged against the library and against earlier rows of the same import.
+export async function resolveImport(provider, rows, { existingKeys, signal, onRow, concurrency = 3 }) {
+  const results = new Array(rows.length);
+  const seen = new Set();
+  let next = 0;
+
+  async function worker() {
+    while (next < rows.length && !signal?.aborted) {
+      const index = next++;
+      const row = rows[index];
+      let book = null;
+      let error = null;
+      try {
+        if (row.isbnCheck?.valid !== false) book = await resolveRow(provider, row, { signal });
+      } catch (e) {
+        if (e?.name === "AbortError") return;
+        error = e.message || "Lookup failed";
+      }
+      results[index] = { ...row, book, error };
+      onRow?.(index, results[index]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, rows.length) }, worker));
+
+  // flag duplicates in row order once everything is known
+  return results.map((result) => {
+    if (!result || !result.book) return result;
+    const duplicate = existingKeys.has(result.book.key) ? "saved" : seen.has(result.book.key) ? "import" : null;
+    seen.add(result.book.key);
+    return { ...result, duplicate };
+  });
+}
@@ -0,0 +1,99 @@
+import {
+  detectImportFormat,
+  parseCsv,
+  parseGoodreadsCsv,
+  parseImport,
+  parseIsbnList,
+  resolveImport,
+  toBibtex,
+  toCsv,
+  toGoodreadsCsv,
+  toJson,
+  toRis,
+} from "./bookFormats";
+import { addShelf, emptyLibrary, importEntries, migrateSaved, moveBook, updateEntry } from "./library";
+
+const kr = {
+  key: "/works/OL2W",
+  title: 'The C Programming Language, "2nd" ed.',
+  author_name: ["Brian W. Kernighan", "Dennis M. Ritchie"],
+  first_publish_year: 1978,
+  isbn: ["0131103628", "9780131103627"],
+};
+
+const library = updateEntry(migrateSaved([kr]), kr.key, { status: "finished", rating: 5, notes: "Classic, still\nrelevant" });
+
+test("csv cells with quotes, commas and newlines survive a round trip", () => {
+  const [header, row] = parseCsv(toCsv(library));
+  expect(header[0]).toBe("Title");
+  expect(row[0]).toBe(kr.title);
+  expect(row[10]).toBe("Classic, still\nrelevant");
+});
+
+test("goodreads export reads back with shelf, rating and isbn", () => {
+  const [row] = parseGoodreadsCsv(toGoodreadsCsv(library));
+  expect(row).toMatchObject({ title: kr.title, author: "Brian W. Kernighan", isbn: "9780131103627" });
+  expect(row.entry).toMatchObject({ status: "finished", shelfId: "finished", rating: 5 });
+});
+
+test("reads Goodreads' quoted ISBN cells", () => {
+  const csv = 'Book Id,Title,Author,ISBN,ISBN13,My Rating,Exclusive Shelf,Date Read\n1,Dune,Frank Herbert,="0441013597",="9780441013593",4,read,2023/05/01\n';
+  const [row] = parseGoodreadsCsv(csv);
+  expect(row).toMatchObject({ title: "Dune", isbn: "9780441013593" });
+  expect(row.entry).toMatchObject({ rating: 4, finishedAt: "2023-05-01" });
+});
+
+test("a JSON export imports back into the same library, custom shelves included", () => {
+  const withShelf = moveBook(addShelf(library, "Classics"), kr.key, "classics");
+  const { rows } = parseImport(toJson(withShelf));
+  const restored = importEntries(emptyLibrary(), rows.map((r) => ({ book: r.book, ...r.entry })));
+  expect(restored.shelves).toEqual(withShelf.shelves);
+  expect(restored.entries).toEqual(withShelf.entries);
+});
+
+test("citations", () => {
+  expect(toBibtex(library)).toMatch(/^@book\{kernighan1978programming,/);
+  expect(toBibtex(library)).toContain("author = {Brian W. Kernighan and Dennis M. Ritchie}");
+  expect(toRis(library)).toContain("TY  - BOOK\r\nTI  - The C Programming Language");
+  expect(toRis(library)).toContain("SN  - 9780131103627");
+});
+
+test("detects the import format", () => {
+  expect(detectImportFormat(toJson(library))).toBe("json");
+  expect(detectImportFormat(toGoodreadsCsv(library))).toBe("goodreads");
+  expect(detectImportFormat("978-0-13-110362-7\n0441013597")).toBe("isbn");
+  expect(parseImport(toJson(library)).rows[0].book.key).toBe(kr.key);
+});
+
+test("keeps every token of an ISBN list with its line, invalid ones included", () => {
+  const rows = parseIsbnList("978-0-13-110362-7, junk\n\n0441013597;0441013598\n");
+  expect(rows.map((r) => [r.line, r.isbn, r.isbnCheck.error])).toEqual([
+    [1, "9780131103627", null],
+    [1, "junk", "characters"],
+    [3, "0441013597", null],
+    [3, "0441013598", "checksum"],
+  ]);
+});
+
+test("resolves rows through ISBN search and flags duplicates", async () => {
+  const dune = { key: "/works/OL3W", title: "Dune" };
+  const provider = {
+    search: jest.fn(async ({ query, field }) => ({
+      books: field === "isbn" && query === "0441013597" ? [dune] : field === "isbn" && query === "9780131103627" ? [kr] : [],
+      total: 1,
+    })),
+  };
+  const rows = parseIsbnList("9780131103627\n0441013597\n0441013597\n9999999999\n12345");
+  const results = await resolveImport(provider, rows, { existingKeys: new Set([kr.key]) });
+
+  expect(results.map((r) => [r.book?.key || null, r.duplicate || null])).toEqual([
+    [kr.key, "saved"],
+    [dune.key, null],
+    [dune.key, "import"],
+    [null, null],
+    [null, null],
+  ]);
+  // only the rows that could be ISBNs are looked up
+  expect(provider.search).toHaveBeenCalledTimes(4);
+  expect(results[4]).toMatchObject({ line: 5, isbn: "12345", book: null, isbnCheck: { error: "length" } });
+});
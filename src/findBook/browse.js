@@ -0,0 +1,44 @@
+import { makeClause } from "./queryBuilder";
+import { searchSorted } from "./sorting";
+
+// Author and subject views. Catalogs with their own endpoints (getAuthorWorks,
+// getSubject) answer directly; any other catalog is asked for an exact
+// author/subject search, and the subject view's neighbours are counted from
+// the books that come back.
+
+const search = (provider, field, value, sort, { page, pageSize }, options) =>
+  searchSorted(provider, { query: "", field: "all", clauses: [makeClause(field, value, { exact: true })], sort, page, pageSize }, options);
+
+// `author` is { key, name }; the key is only known for catalogs that have author records
+export function fetchAuthorWorks(provider, author, paging, options) {
+  if (author.key && provider.getAuthorWorks) return provider.getAuthorWorks(author.key, paging, options);
+  return search(provider, "author", author.name, "old", paging, options);
+}
+
+export async function fetchSubject(provider, name, paging, options) {
+  if (provider.getSubject) return provider.getSubject(name, paging, options);
+  const result = await search(provider, "subject", name, "relevance", paging, options);
+  return { name, ...result, ...relatedFromBooks(result.books, name) };
+}
+
+// Most frequent other subjects and authors among `books`
+export function relatedFromBooks(books, subject = "", limit = 12) {
+  const subjects = new Map();
+  const authors = new Map();
+  const skip = subject.trim().toLowerCase();
+  for (const book of books) {
+    for (const s of new Set(book.subject || [])) {
+      if (s.toLowerCase() === skip) continue;
+      subjects.set(s, (subjects.get(s) || 0) + 1);
+    }
+    (book.author_name || []).forEach((name, i) => {
+      const prev = authors.get(name);
+      authors.set(name, { key: prev?.key || (book.author_key || [])[i] || null, name, count: (prev?.count || 0) + 1 });
+    });
+  }
+  const top = (list) => list.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)).slice(0, limit);
+  return {
+    subjects: top([...subjects].map(([name, count]) => ({ name, count }))),
+    authors: top([...authors.values()]),
+  };
+}
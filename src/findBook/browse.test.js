@@ -0,0 +1,48 @@
+import { createLocalCatalogProvider } from "./providers";
+import { fetchAuthorWorks, fetchSubject, relatedFromBooks } from "./browse";
+
+const catalog = () =>
+  createLocalCatalogProvider({
+    books: [
+      { id: "hobbit", title: "The Hobbit", author_name: ["J.R.R. Tolkien"], first_publish_year: 1937, subject: ["Fantasy", "Dragons"] },
+      { id: "silm", title: "The Silmarillion", author_name: ["J.R.R. Tolkien", "Christopher Tolkien"], first_publish_year: 1977, subject: ["Fantasy"] },
+      { id: "lotr", title: "The Lord of the Rings", author_name: ["J.R.R. Tolkien"], first_publish_year: 1954, subject: ["Fantasy", "Quests"] },
+      { id: "earthsea", title: "A Wizard of Earthsea", author_name: ["Ursula K. Le Guin"], first_publish_year: 1968, subject: ["Fantasy", "Dragons"] },
+    ],
+  });
+
+test("lists an author's books oldest first without author records", async () => {
+  const result = await fetchAuthorWorks(catalog(), { key: null, name: "J.R.R. Tolkien" }, { page: 1, pageSize: 2 });
+  expect(result.total).toBe(3);
+  expect(result.books.map((b) => b.title)).toEqual(["The Hobbit", "The Lord of the Rings"]);
+});
+
+test("prefers the catalog's own author and subject endpoints", async () => {
+  const provider = {
+    getAuthorWorks: jest.fn(async () => ({ books: [], total: 0 })),
+    getSubject: jest.fn(async () => ({ name: "Fantasy", books: [], total: 0, subjects: [], authors: [] })),
+  };
+  await fetchAuthorWorks(provider, { key: "OL26320A", name: "J.R.R. Tolkien" }, { page: 2, pageSize: 10 });
+  expect(provider.getAuthorWorks).toHaveBeenCalledWith("OL26320A", { page: 2, pageSize: 10 }, undefined);
+  await fetchSubject(provider, "Fantasy", { page: 1, pageSize: 10 });
+  expect(provider.getSubject).toHaveBeenCalled();
+});
+
+test("counts related subjects and authors from the matching books", async () => {
+  const result = await fetchSubject(catalog(), "Dragons", { page: 1, pageSize: 20 });
+  expect(result.total).toBe(2);
+  expect(result.subjects).toEqual([{ name: "Fantasy", count: 2 }]);
+  expect(result.authors.map((a) => a.name)).toEqual(["J.R.R. Tolkien", "Ursula K. Le Guin"]);
+});
+
+test("ranks by count, then name", () => {
+  const { subjects, authors } = relatedFromBooks(
+    [
+      { subject: ["b", "a"], author_name: ["Y"], author_key: ["OL2A"] },
+      { subject: ["b", "c"], author_name: ["X", "Y"] },
+    ],
+    "c"
+  );
+  expect(subjects).toEqual([{ name: "b", count: 2 }, { name: "a", count: 1 }]);
+  expect(authors).toEqual([{ key: "OL2A", name: "Y", count: 2 }, { key: null, name: "X", count: 1 }]);
+});
@@ -0,0 +1,74 @@
+import { accessLevel } from "./facets";
+import { languageName } from "./languages";
+import { defaultI18n } from "./i18n";
+
+// Compare view: two to four books, or editions picked in the Details modal,
+// side by side. The selection is a plain list of book records.
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+export const isCompared = (list, key) => list.some((b) => b.key === key);
+
+// Adds or removes `book`; a full list stays as it is
+export function toggleCompare(list, book) {
+  if (isCompared(list, book.key)) return list.filter((b) => b.key !== book.key);
+  return list.length >= MAX_COMPARE ? list : [...list, book];
+}
+
+// An edition compared as a book of its own, keeping the work's authors,
+// subjects and first publication
+export function editionAsBook(work, edition) {
+  return {
+    ...work,
+    key: edition.key,
+    title: edition.title || work.title,
+    edition: {
+      publish_date: edition.publish_date,
+      publisher: edition.publisher,
+      physical_format: edition.physical_format,
+      number_of_pages: edition.number_of_pages,
+    },
+    language: edition.language.length ? edition.language : work.language,
+    isbn: [...edition.isbn_13, ...edition.isbn_10],
+    cover_i: edition.cover_i || (edition.cover_url ? null : work.cover_i),
+    cover_url: edition.cover_url || (edition.cover_i ? null : work.cover_url),
+  };
+}
+
+const normalize = (text) => String(text).trim().toLowerCase();
+
+// { shared: subjects every book has, unique: per book, the subjects no other book has }
+export function compareSubjects(books) {
+  const sets = books.map((book) => new Map((book.subject || []).map((s) => [normalize(s), s])));
+  const shared = sets.length ? [...sets[0]].filter(([id]) => sets.every((set) => set.has(id))).map(([, s]) => s) : [];
+  const unique = sets.map((set, i) => [...set].filter(([id]) => sets.every((other, j) => j === i || !other.has(id))).map(([, s]) => s));
+  return { shared, unique };
+}
+
+const editionText = ({ edition }, { t }) =>
+  edition
+    ? [edition.publish_date, edition.publisher[0], edition.physical_format, edition.number_of_pages && t("compare.pages", { count: edition.number_of_pages })]
+        .filter(Boolean)
+        .join(" · ") || "—"
+    : t("compare.anyEdition");
+
+// Labels are "compare.<id>" in the message catalogs (see ./i18n)
+const ROWS = [
+  { id: "authors", value: (book, { t }) => (book.author_name || []).join(", ") || t("book.unknown") },
+  { id: "firstPublished", value: (book) => (book.first_publish_year ? String(book.first_publish_year) : "—") },
+  { id: "edition", value: editionText, onlyWithEditions: true },
+  { id: "editions", value: (book, { formatNumber }) => (book.edition_count ? formatNumber(book.edition_count) : "—") },
+  { id: "languages", value: (book, { locale }) => (book.language || []).map((code) => languageName(code, locale)).join(", ") || "—" },
+  { id: "ebook", value: (book, { t }) => t(`access.${accessLevel(book)}`) },
+];
+
+// [{ id, label, values: one string per book, differs }]; the edition row only
+// appears when an edition is being compared
+export function compareRows(books, i18n = defaultI18n) {
+  const hasEditions = books.some((book) => book.edition);
+  return ROWS.filter((row) => !row.onlyWithEditions || hasEditions).map((row) => {
+    const values = books.map((book) => row.value(book, i18n));
+    return { id: row.id, label: i18n.t(`compare.${row.id}`), values, differs: new Set(values).size > 1 };
+  });
+}
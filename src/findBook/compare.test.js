@@ -0,0 +1,31 @@
+import { MAX_COMPARE, compareRows, compareSubjects, editionAsBook, toggleCompare } from "./compare";
+
+const hobbit = { key: "/works/OL1W", title: "The Hobbit", author_name: ["J.R.R. Tolkien"], first_publish_year: 1937, edition_count: 120, language: ["eng"], ebook_access: "borrowable", subject: ["Fantasy", "Dragons", "Wizards"] };
+const lotr = { key: "/works/OL2W", title: "The Lord of the Rings", author_name: ["J.R.R. Tolkien"], first_publish_year: 1954, edition_count: 200, language: ["eng", "fre"], ebook_access: "no_ebook", subject: ["fantasy", "Rings", "Wizards"] };
+
+test("adds and removes books up to the limit", () => {
+  let list = [];
+  for (let i = 0; i < MAX_COMPARE + 1; i++) list = toggleCompare(list, { key: `k${i}` });
+  expect(list.map((b) => b.key)).toEqual(["k0", "k1", "k2", "k3"]);
+  expect(toggleCompare(list, { key: "k1" }).map((b) => b.key)).toEqual(["k0", "k2", "k3"]);
+});
+
+test("splits subjects into shared and differing", () => {
+  expect(compareSubjects([hobbit, lotr])).toEqual({ shared: ["Fantasy", "Wizards"], unique: [["Dragons"], ["Rings"]] });
+});
+
+test("builds table rows and marks the ones that differ", () => {
+  const rows = compareRows([hobbit, lotr]);
+  expect(rows.map((r) => r.label)).toEqual(["Authors", "First published", "Editions", "Languages", "eBook"]);
+  expect(rows.find((r) => r.label === "Authors")).toMatchObject({ values: ["J.R.R. Tolkien", "J.R.R. Tolkien"], differs: false });
+  expect(rows.find((r) => r.label === "Languages")).toMatchObject({ values: ["English", "English, French"], differs: true });
+  expect(rows.find((r) => r.label === "eBook").values).toEqual(["Borrowable", "No eBook"]);
+});
+
+test("compares an edition as a book with its own details", () => {
+  const edition = { key: "/books/OL9M", title: "", publish_date: "1999", publisher: ["HarperCollins"], physical_format: "Paperback", number_of_pages: 310, language: [], isbn_13: ["9780261102217"], isbn_10: [], cover_i: null, cover_url: null };
+  const book = editionAsBook(hobbit, edition);
+  expect(book).toMatchObject({ key: "/books/OL9M", title: "The Hobbit", language: ["eng"], isbn: ["9780261102217"] });
+  const rows = compareRows([hobbit, book]);
+  expect(rows.find((r) => r.label === "Edition").values).toEqual(["Any edition", "1999 · HarperCollins · Paperback · 310 pages"]);
+});
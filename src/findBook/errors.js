@@ -0,0 +1,64 @@
+import { defaultI18n } from "./i18n";
+
+// What can go wrong talking to a catalog. Every failure from ./requestCache
+// (other than an abort) is an Error named "CatalogError" with a `kind`:
+//
+//   network      the request never got a response
+//   offline      no network and nothing cached for the request
+//   http         the catalog answered with an error status (`status`)
+//   rateLimited  429 Too Many Requests; `retryAfter` is in ms when the catalog said
+//   malformed    the response wasn't JSON, or not the shape that was expected
+
+export function catalogError(kind, message, { status = null, retryAfter = null, cause } = {}) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.name = "CatalogError";
+  error.kind = kind;
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+export const isCatalogError = (e) => e?.name === "CatalogError";
+
+export const offlineError = () => catalogError("offline", "You're offline.");
+
+export const isOfflineError = (e) => isCatalogError(e) && e.kind === "offline";
+
+export function httpError(status, retryAfter = null) {
+  if (status === 429) return catalogError("rateLimited", "Too many requests", { status, retryAfter });
+  return catalogError("http", `HTTP ${status}`, { status });
+}
+
+// Worth trying again by itself: the connection dropped, the server had a
+// moment, or it asked us to slow down
+export function isTransient(error) {
+  if (!isCatalogError(error)) return false;
+  if (error.kind === "network" || error.kind === "rateLimited") return true;
+  return error.kind === "http" && (error.status >= 500 || error.status === 408);
+}
+
+// Retry-After is either delta-seconds or an HTTP date; returns ms or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// One sentence for the user, in the language of `i18n` (see ./i18n)
+export function describeError(error, { t } = defaultI18n) {
+  if (!isCatalogError(error)) return t("error.generic");
+  switch (error.kind) {
+    case "offline":
+      return t("error.offline");
+    case "network":
+      return t("error.network");
+    case "rateLimited":
+      return error.retryAfter ? t("error.rateLimitedFor", { count: Math.ceil(error.retryAfter / 1000) }) : t("error.rateLimited");
+    case "malformed":
+      return t("error.malformed");
+    default:
+      return t(error.status >= 500 ? "error.server" : "error.http", { status: String(error.status) });
+  }
+}
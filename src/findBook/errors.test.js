@@ -0,0 +1,23 @@
+import { catalogError, describeError, httpError, isTransient, parseRetryAfter } from "./errors";
+
+test("reads Retry-After as seconds or as a date", () => {
+  const now = Date.parse("2024-01-01T00:00:00Z");
+  expect(parseRetryAfter("30", now)).toBe(30000);
+  expect(parseRetryAfter("Mon, 01 Jan 2024 00:01:00 GMT", now)).toBe(60000);
+  expect(parseRetryAfter(null, now)).toBeNull();
+  expect(parseRetryAfter("soon", now)).toBeNull();
+});
+
+test("only network trouble, server errors and rate limits are transient", () => {
+  expect(isTransient(catalogError("network", "x"))).toBe(true);
+  expect(isTransient(httpError(503))).toBe(true);
+  expect(isTransient(httpError(429))).toBe(true);
+  expect(isTransient(httpError(404))).toBe(false);
+  expect(isTransient(catalogError("malformed", "x"))).toBe(false);
+  expect(isTransient(new Error("boom"))).toBe(false);
+});
+
+test("tells the user how long to wait when rate limited", () => {
+  expect(describeError(httpError(429, 4500))).toMatch("Try again in 5 seconds");
+  expect(describeError(httpError(500))).toMatch("error 500");
+});
@@ -0,0 +1,105 @@
+import { languageCode, languageName } from "./languages";
+import { defaultI18n } from "./i18n";
+
+// Facet sidebar: values and counts computed from the results in hand, and
+// the filtering they do. A selection is { facetId: [value, ...] }; values
+// within a facet are alternatives (OR), different facets all apply (AND).
+
+// Open Library's "printdisabled" scans are only lent to print-disabled
+// readers, so for everyone else they count as no eBook.
+const ACCESS = { public: "public", borrowable: "borrowable" };
+export const ACCESS_LEVELS = ["public", "borrowable", "none"];
+
+export const accessLevel = (book) => ACCESS[book.ebook_access] || (book.has_fulltext ? "borrowable" : "none");
+
+// Labels are "facet.<id>" in the message catalogs (see ./i18n); `format`
+// gives a value's label in the language of the i18n passed
+export const FACETS = [
+  {
+    id: "access",
+    values: (book) => [accessLevel(book)],
+    format: (value, { t }) => t(`access.${value}`),
+    order: (a, b) => ACCESS_LEVELS.indexOf(a.value) - ACCESS_LEVELS.indexOf(b.value),
+  },
+  {
+    id: "language",
+    values: (book) => (book.language || []).map(languageCode),
+    format: (value, { locale }) => languageName(value, locale),
+  },
+  {
+    id: "decade",
+    values: (book) => (book.first_publish_year ? [String(Math.floor(book.first_publish_year / 10) * 10)] : []),
+    format: (value, { t }) => t("facet.decadeValue", { decade: value }),
+    order: (a, b) => Number(b.value) - Number(a.value),
+  },
+  { id: "subject", values: (book) => book.subject || [], format: (value) => value, limit: 8 },
+  { id: "author", values: (book) => book.author_name || [], format: (value) => value, limit: 8 },
+];
+
+export const EMPTY_FACETS = {};
+
+const facetById = (id) => FACETS.find((f) => f.id === id);
+
+const valuesOf = (book, facet) => [...new Set(facet.values(book))];
+
+function matches(book, selected, skipId) {
+  return Object.entries(selected).every(([id, values]) => {
+    const facet = facetById(id);
+    if (id === skipId || !facet || !values.length) return true;
+    return valuesOf(book, facet).some((v) => values.includes(v));
+  });
+}
+
+export const applyFacets = (books, selected) => books.filter((book) => matches(book, selected));
+
+export const hasFacets = (selected) => Object.values(selected).some((values) => values.length > 0);
+
+// [{ ...facet, label, options: [{ value, label, count, selected }] }]. Each
+// facet's counts come from the books the *other* facets let through, so
+// picking a second language adds to the results rather than emptying the
+// list. A selected value stays listed even once nothing in the results has it.
+export function computeFacets(books, selected, i18n = defaultI18n) {
+  return FACETS.map((facet) => {
+    const chosen = selected[facet.id] || [];
+    const counts = new Map(chosen.map((value) => [value, 0]));
+    for (const book of books) {
+      if (!matches(book, selected, facet.id)) continue;
+      for (const value of valuesOf(book, facet)) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const options = [...counts]
+      .map(([value, count]) => ({ value, label: facet.format(value, i18n), count, selected: chosen.includes(value) }))
+      .sort(facet.order || ((a, b) => b.count - a.count || a.label.localeCompare(b.label, i18n.locale)));
+    return { ...facet, label: i18n.t(`facet.${facet.id}`), options };
+  }).filter((facet) => facet.options.length > 0);
+}
+
+export function toggleFacet(selected, id, value) {
+  const values = selected[id] || [];
+  const next = values.includes(value) ? values.filter((v) => v !== value) : [...values, value];
+  const { [id]: _, ...rest } = selected;
+  return next.length ? { ...rest, [id]: next } : rest;
+}
+
+// Active selections as removable chips: [{ id, value, label }]
+export function facetChips(selected, i18n = defaultI18n) {
+  return FACETS.flatMap((facet) =>
+    (selected[facet.id] || []).map((value) => ({
+      id: facet.id,
+      value,
+      label: i18n.t("facet.chip", { facet: i18n.t(`facet.${facet.id}`), value: facet.format(value, i18n) }),
+    }))
+  );
+}
+
+// URL form: &f=language:eng&f=decade:1950
+export const facetsToParams = (selected) => facetChips(selected).map(({ id, value }) => `${id}:${value}`);
+
+export function facetsFromParams(params) {
+  return params.reduce((selected, param) => {
+    const at = param.indexOf(":");
+    const id = param.slice(0, at);
+    const value = param.slice(at + 1);
+    if (at < 0 || !facetById(id) || !value || (selected[id] || []).includes(value)) return selected;
+    return { ...selected, [id]: [...(selected[id] || []), value] };
+  }, EMPTY_FACETS);
+}
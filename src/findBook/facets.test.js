@@ -0,0 +1,40 @@
+import { applyFacets, computeFacets, facetChips, facetsFromParams, facetsToParams, toggleFacet } from "./facets";
+
+const books = [
+  { key: "a", language: ["eng"], first_publish_year: 1954, subject: ["Fantasy"], author_name: ["Tolkien"], ebook_access: "borrowable" },
+  { key: "b", language: ["eng", "fre"], first_publish_year: 1937, subject: ["Fantasy", "Dragons"], author_name: ["Tolkien"], ebook_access: "public" },
+  { key: "c", language: ["spa"], first_publish_year: 1605, subject: ["Satire"], author_name: ["Cervantes"], ebook_access: "printdisabled" },
+  { key: "d", language: ["fra"], first_publish_year: null, subject: [], author_name: [], ebook_access: "no_ebook" },
+];
+
+const options = (facets, id) => facets.find((f) => f.id === id).options.map((o) => [o.label, o.count]);
+
+test("counts values in the results, with readable labels", () => {
+  const facets = computeFacets(books, {});
+  expect(options(facets, "language")).toEqual([["English", 2], ["French", 2], ["Spanish", 1]]);
+  expect(options(facets, "decade")).toEqual([["1950s", 1], ["1930s", 1], ["1600s", 1]]);
+  expect(options(facets, "access")).toEqual([["Free to read", 1], ["Borrowable", 1], ["No eBook", 2]]);
+});
+
+test("ORs values within a facet and ANDs across facets", () => {
+  let selected = toggleFacet({}, "language", "fre");
+  selected = toggleFacet(selected, "language", "spa");
+  expect(applyFacets(books, selected).map((b) => b.key)).toEqual(["b", "c", "d"]);
+  selected = toggleFacet(selected, "subject", "Fantasy");
+  expect(applyFacets(books, selected).map((b) => b.key)).toEqual(["b"]);
+  // a facet's own choices don't narrow its counts, the others' do
+  const facets = computeFacets(books, selected);
+  expect(options(facets, "language")).toEqual([["English", 2], ["French", 1], ["Spanish", 0]]);
+  expect(toggleFacet(toggleFacet({}, "author", "Tolkien"), "author", "Tolkien")).toEqual({});
+});
+
+test("turns a selection into chips and URL params and back", () => {
+  const selected = { decade: ["1950"], language: ["eng"] };
+  expect(facetChips(selected).map((c) => c.label)).toEqual(["Language: English", "First published: 1950s"]);
+  expect(facetsToParams(selected)).toEqual(["language:eng", "decade:1950"]);
+  expect(facetsFromParams(["language:eng", "decade:1950", "bogus:x", "language:eng", "subject:Science: history"])).toEqual({
+    language: ["eng"],
+    decade: ["1950"],
+    subject: ["Science: history"],
+  });
+});
@@ -1,401 +1,430 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import "bootstrap/dist/css/bootstrap.min.css";
+import { useLocalStorage } from "./useLocalStorage";
+import { DEFAULT_PROVIDER_ID, getProvider } from "./providers";
+import { parseSearchState, readUrlState, writeUrlState } from "./urlState";
+import { formatQuerySyntax } from "./queryBuilder";
+import { BookCard } from "./BookCard";
+import { BookDetailsModal } from "./BookDetailsModal";
+import { SavedDrawer } from "./SavedDrawer";
+import { ImportExport } from "./ImportExport";
+import { AuthorView, SubjectView } from "./BrowseViews";
+import { syncQueue, useOnlineStatus, usePendingSync } from "./offline";
+import { SearchControls } from "./SearchControls";
+import { CARD_COL, ResultsGrid } from "./ResultsGrid";
+import { RecommendedBooks } from "./RecommendedBooks";
+import { StatsDashboard } from "./StatsDashboard";
+import { CompareModal, CompareTray } from "./CompareView";
+import { MAX_COMPARE, MIN_COMPARE, isCompared, toggleCompare } from "./compare";
+import { DISMISSED_KEY } from "./recommendations";
+import { PINNED_KEY, RECENT_KEY, addRecent, pinSearch, unpinSearch } from "./suggestions";
+import { LIBRARY_KEY, findEntry, importEntries, loadLegacySaved, migrateSaved, savedBooks, toggleBook } from "./library";
+import { DEFAULT_PAGE_SIZE, normalizePageSize } from "./searchRequest";
+import { useBookSearch } from "./useBookSearch";
+import { THEMES, useTheme } from "./theme";
+import { LOCALES } from "./i18n";
+import { I18nProvider, useLocale } from "./useI18n";
+
+// ?author= / ?subject= show an author or subject view in place of the results
+function browseFromUrl(state) {
+  if (state.author) return { type: "author", key: state.authorKey, name: state.author };
+  if (state.subject) return { type: "subject", name: state.subject };
+  return null;
+}
 
+const browseParams = (browse) => ({
+  author: browse?.type === "author" ? browse.name : null,
+  authorKey: browse?.type === "author" ? browse.key : null,
+  subject: browse?.type === "subject" ? browse.name : null,
+});
 
+export const  BookFinder=()=> {
+  // Search state starts from the URL so links and refreshes restore the same search
+  const [initialUrl] = useState(readUrlState);
+  const [selected, setSelected] = useState(null); // for details modal
+  const [compareList, setCompareList] = useState([]); // books picked to compare, kept across pages and searches
+  const [showCompare, setShowCompare] = useState(false);
+  const [browse, setBrowse] = useState(() => browseFromUrl(initialUrl)); // author/subject view, see ./BrowseViews
+
+  // Saved books live on shelves (see ./library, shown in ./SavedDrawer); the
+  // first load moves the old single "bookfinder.saved" list onto Want to Read.
+  const [library, setLibrary] = useLocalStorage(LIBRARY_KEY, () => migrateSaved(loadLegacySaved()));
+  const saved = useMemo(() => savedBooks(library), [library]);
+
+  // Catalog the search runs against (see ./providers)
+  const [providerId, setProviderId] = useLocalStorage("bookfinder.provider", DEFAULT_PROVIDER_ID);
+  const provider = getProvider(providerId);
+
+  // Results layout: classic pages with Prev/Next, or continuous scrolling
+  const [viewMode, setViewMode] = useLocalStorage("bookfinder.viewMode", "classic"); // classic | continuous
+  const [storedPageSize, setPageSize] = useLocalStorage("bookfinder.pageSize", DEFAULT_PAGE_SIZE);
+  const pageSize = normalizePageSize(storedPageSize);
+  const continuous = viewMode === "continuous";
+
+  // Search box history (see ./suggestions)
+  const [recent, setRecent] = useLocalStorage(RECENT_KEY, []);
+  const [pinned, setPinned] = useLocalStorage(PINNED_KEY, []);
+  const [dismissed, setDismissed] = useLocalStorage(DISMISSED_KEY, []); // keys of recommendations turned down
+  const [theme, setTheme] = useTheme(); // see ./theme
+  const [i18n, setLocale] = useLocale(); // UI language, see ./i18n
+  const { t } = i18n;
+
+  const urlSyncedRef = useRef(false);
+  const detailsScrollRef = useRef(null); // scroll position to return to when the modal closes
+  const searchInputRef = useRef(null);
+
+  const online = useOnlineStatus();
+  const pendingSync = usePendingSync();
+
+  // Mirror each search into the URL as it runs. The first write only
+  // normalizes the address we were loaded with; after that every search gets
+  // its own history entry so back/forward step through them.
+  function syncUrl(state) {
+    const { work } = readUrlState();
+    writeUrlState(
+      {
+        query: state.query.trim(),
+        field: state.field,
+        advanced: formatQuerySyntax(state.clauses),
+        ebookOnly: state.ebookOnly,
+        lang: state.lang,
+        sort: state.sort,
+        facets: state.facets,
+        // a continuous list always starts over from the top
+        page: continuous ? 1 : state.page,
+        pageSize,
+        provider: providerId,
+        ...browseParams(browse),
+        work,
+      },
+      { replace: !urlSyncedRef.current }
+    );
+    urlSyncedRef.current = true;
+  }
 
-const PLACEHOLDER = "https://via.placeholder.com/150x220?text=No+Cover";
+  // Starting a search over also goes back from an author/subject view to the results
+  const search = useBookSearch({ initial: initialUrl, provider, pageSize, continuous, onRun: syncUrl, onNewSearch: () => setBrowse(null) });
+  const { query, field, clauses } = search;
+
+  // Caching queued while offline runs once the connection is back
+  useEffect(() => syncQueue.start(), []);
+
+  const changeProvider = search.withFacetReset(setProviderId);
+  const changeViewMode = search.withPageReset(setViewMode);
+  const changePageSize = search.withPageReset(setPageSize);
+
+  // Details modal is addressable as ?work=<key>; opening it adds a history
+  // entry so the back button closes it again.
+  function openDetails(book) {
+    // opening a result is as good a sign as any that the search was worth keeping
+    if (!browse && query.trim()) rememberSearch(query, field);
+    detailsScrollRef.current = window.scrollY;
+    setSelected(book);
+    writeUrlState({ ...readUrlState(), work: book.key }, { historyState: { details: true } });
+  }
 
-function useLocalStorage(key, initialValue) {
-  const [value, setValue] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initialValue;
-    } catch {
-      return initialValue;
-    }
-  });
-  useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(value));
-    } catch {}
-  }, [key, value]);
-  return [value, setValue];
-}
+  function closeDetails() {
+    setSelected(null);
+    if (window.history.state?.details) window.history.back();
+    else writeUrlState({ ...readUrlState(), work: null }, { replace: true });
+  }
 
-export const  BookFinder=()=> {
-  // Search state
-  const [query, setQuery] = useState("");
-  const [field, setField] = useState("all"); // all | title | author | subject | isbn
-  const [ebookOnly, setEbookOnly] = useState(false);
-  const [lang, setLang] = useState(""); // e.g., eng, spa, hin
-  const [sort, setSort] = useState("relevance"); // relevance | year_asc | year_desc
-
-  // Results state
-  const [books, setBooks] = useState([]);
-  const [total, setTotal] = useState(0);
-  const [page, setPage] = useState(1); // Open Library pages are 1-indexed via `page` param
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
-  const [selected, setSelected] = useState(null); // for details modal
+  function rememberSearch(text, inField) {
+    setRecent((list) => addRecent(list, { query: text, field: inField }));
+  }
 
-  // Saved list
-  const [saved, setSaved] = useLocalStorage("bookfinder.saved", []);
-
-  const pageSize = 20; // Open Library default
-
-  // Build the API URL safely based on chosen field + filters
-  const buildUrl = () => {
-    const params = new URLSearchParams();
-    params.set("page", String(page));
-
-    if (!query.trim()) {
-      params.set("q", "");
-    } else if (field === "title") {
-      params.set("title", query.trim());
-    } else if (field === "author") {
-      params.set("author", query.trim());
-    } else if (field === "subject") {
-      params.set("subject", query.trim());
-    } else if (field === "isbn") {
-      params.set("isbn", query.trim());
-    } else {
-      params.set("q", query.trim());
-    }
+  // Enter, the Search button or a picked suggestion: search now rather than after the debounce
+  function submitSearch(text) {
+    rememberSearch(text, field);
+    if (text === query) search.runSearch();
+    else search.setQuery(text);
+  }
+
+  function pickRecent(entry) {
+    rememberSearch(entry.query, entry.field);
+    search.setField(entry.field);
+    search.setQuery(entry.query);
+  }
 
-    if (ebookOnly) params.set("has_fulltext", "true");
-    if (lang) params.set("language", lang);
-
-    // limit fields to reduce response size
-    params.set(
-      "fields",
-      [
-        "key",
-        "title",
-        "author_name",
-        "cover_i",
-        "first_publish_year",
-        "ebook_access",
-        "has_fulltext",
-        "language",
-        "edition_count",
-        "subject",
-      ].join(",")
+  function pinCurrentSearch() {
+    const { ebookOnly, lang, sort } = search;
+    setPinned((list) =>
+      pinSearch(list, { query: query.trim(), field, advanced: formatQuerySyntax(clauses), ebookOnly, lang, sort, provider: providerId })
     );
+  }
 
-    return `https://openlibrary.org/search.json?${params.toString()}`;
-  };
+  // A scanned barcode searches for its book
+  function searchIsbn(isbn) {
+    rememberSearch(isbn, "isbn");
+    search.setField("isbn");
+    search.setQuery(isbn);
+  }
+
+  // A pinned search brings back its filters and catalog too
+  function runPinned(pinnedSearch) {
+    applyUrlState({ ...parseSearchState(""), ...pinnedSearch });
+  }
+
+  // Author and subject views get a history entry of their own too. Opened from
+  // the modal, they take over the modal's entry so back skips the closed modal.
+  function openBrowse(view) {
+    const fromDetails = Boolean(selected && window.history.state?.details);
+    detailsScrollRef.current = null;
+    setSelected(null);
+    setBrowse(view);
+    writeUrlState({ ...readUrlState(), ...browseParams(view), work: null }, { replace: fromDetails, historyState: { browse: true } });
+    window.scrollTo(0, 0);
+  }
 
-  // Fetch function
-  async function fetchBooks() {
-    setLoading(true);
-    setError("");
+  const openAuthor = (author) => openBrowse({ type: "author", ...author });
+  const openSubject = (name) => openBrowse({ type: "subject", name });
+
+  function closeBrowse() {
+    setBrowse(null);
+    if (window.history.state?.browse) window.history.back();
+    else writeUrlState({ ...readUrlState(), ...browseParams(null) }, { replace: true });
+  }
+
+  async function showWork(key, catalogId) {
+    if (!key) {
+      setSelected(null);
+      return;
+    }
+    const known = [...search.books, ...saved].find((b) => b.key === key);
+    if (known) {
+      setSelected(known);
+      return;
+    }
     try {
-      const url = buildUrl();
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-
-      let docs = Array.isArray(data.docs) ? data.docs : [];
-      if (sort === "year_asc") {
-        docs = [...docs].sort((a, b) => (a.first_publish_year || 0) - (b.first_publish_year || 0));
-      } else if (sort === "year_desc") {
-        docs = [...docs].sort((a, b) => (b.first_publish_year || 0) - (a.first_publish_year || 0));
-      }
-
-      setBooks(docs);
-      setTotal(Number(data.numFound || data.num_found || 0));
-      if (!docs.length) setError("No books found.");
-    } catch (e) {
-      setError("Network error. Please try again.");
-      setBooks([]);
-      setTotal(0);
-    } finally {
-      setLoading(false);
+      setSelected(await getProvider(catalogId).getWork(key));
+    } catch {
+      setSelected(null);
     }
   }
 
-  // Debounce search on query/filters/page changes
+  function applyUrlState(state) {
+    const catalogId = state.provider || DEFAULT_PROVIDER_ID;
+    search.restore(state);
+    if (state.pageSize) setPageSize(state.pageSize);
+    setProviderId(catalogId);
+    setBrowse(browseFromUrl(state));
+    showWork(state.work, catalogId);
+  }
+
+  // A shared link may name its catalog and point straight at a book;
+  // without a catalog it keeps the one chosen last time.
   useEffect(() => {
-    const handle = setTimeout(() => {
-      // avoid making a search when query is empty (initial load) unless user explicitly searches
-      if (!query.trim()) {
-        setBooks([]);
-        setTotal(0);
-        setError("");
-        setLoading(false);
-        return;
-      }
-      fetchBooks();
-    }, 300);
-    return () => clearTimeout(handle);
+    if (initialUrl.provider) setProviderId(initialUrl.provider);
+    if (initialUrl.pageSize) setPageSize(initialUrl.pageSize);
+    showWork(initialUrl.work, initialUrl.provider || providerId);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [query, field, ebookOnly, lang, sort, page]);
+  }, []);
 
-  // Reset to page 1 when query or filters change (not when page changes)
+  // Browser back/forward
   useEffect(() => {
-    setPage(1);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [query, field, ebookOnly, lang, sort]);
+    const onPopState = () => applyUrlState(readUrlState());
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  });
 
-  const totalPages = useMemo(() => Math.max(1, Math.ceil(total / pageSize)), [total]);
+  // "/" anywhere outside a form field (and with no dialog open) jumps to the search box
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey || document.body.classList.contains("modal-open")) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      e.preventDefault();
+      searchInputRef.current?.focus();
+    }
+    document.addEventListener("keydown", onKeyDown);
+    return () => document.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Facet choices only narrow what's loaded, so they update the URL in place
+  function changeFacets(next) {
+    search.setFacets(next);
+    writeUrlState({ ...readUrlState(), facets: next }, { replace: true });
+  }
+
+  // Put the page behind the Details modal back where it was on close
+  // (re-rendering the virtualized grid can otherwise move it). The modal
+  // itself keeps the page still, see useDialog in ./a11y.
+  useEffect(() => {
+    if (selected) return;
+    if (detailsScrollRef.current !== null) {
+      const y = detailsScrollRef.current;
+      detailsScrollRef.current = null;
+      requestAnimationFrame(() => window.scrollTo(0, y));
+    }
+  }, [selected]);
 
   function toggleSave(book) {
-    const id = book.key;
-    setSaved((prev) => {
-      const exists = prev.find((b) => b.key === id);
-      if (exists) return prev.filter((b) => b.key !== id);
-      return [...prev, book];
-    });
+    // a newly saved book is fetched in full for offline use, now or once online
+    if (!isSaved(book)) syncQueue.enqueue({ id: `cacheBook:${book.key}`, type: "cacheBook", book });
+    setLibrary((prev) => toggleBook(prev, book));
   }
 
-  const isSaved = (book) => saved.some((b) => b.key === book.key);
+  const isSaved = (book) => Boolean(findEntry(library, book.key));
 
-  return (
-    <div className="container py-4">
-      {/* Header */}
-      <header className="mb-4 text-center">
-        <h1 className="fw-bold">📚 Book Finder</h1>
-        <p className="text-muted mb-0">Search by title, author, subject, or ISBN. Filter by language and eBook availability.</p>
-      </header>
-
-      {/* Controls */}
-      <div className="card mb-3 shadow-sm">
-        <div className="card-body">
-          <div className="row g-2 align-items-center">
-            <div className="col-12 col-md-4">
-              <div className="input-group">
-                <span className="input-group-text">In</span>
-                <select className="form-select" value={field} onChange={(e) => setField(e.target.value)}>
-                  <option value="all">All fields</option>
-                  <option value="title">Title</option>
-                  <option value="author">Author</option>
-                  <option value="subject">Subject</option>
-                  <option value="isbn">ISBN</option>
-                </select>
-              </div>
-            </div>
-            <div className="col-12 col-md-8">
-              <div className="input-group">
-                <input
-                  type="text"
-                  className="form-control"
-                  placeholder="e.g., data structures, Tolkien, machine learning, 9780131103627"
-                  value={query}
-                  onChange={(e) => setQuery(e.target.value)}
-                  onKeyDown={(e) => { if (e.key === 'Enter') fetchBooks(); }}
-                />
-                <button className="btn btn-primary" onClick={() => fetchBooks()} disabled={loading}>
-                  Search
-                </button>
-              </div>
-            </div>
-          </div>
+  const toggleCompared = (book) => setCompareList((list) => toggleCompare(list, book));
+  const compare = { has: (key) => isCompared(compareList, key), full: compareList.length >= MAX_COMPARE, onToggle: toggleCompared };
 
-          <div className="row g-2 mt-2">
-            <div className="col-6 col-md-3">
-              <div className="form-check">
-                <input
-                  className="form-check-input"
-                  type="checkbox"
-                  id="ebookOnly"
-                  checked={ebookOnly}
-                  onChange={(e) => setEbookOnly(e.target.checked)}
-                />
-                <label className="form-check-label" htmlFor="ebookOnly">
-                  eBook only
-                </label>
-              </div>
-            </div>
-            <div className="col-6 col-md-3">
-              <select className="form-select" value={lang} onChange={(e) => setLang(e.target.value)}>
-                <option value="">Any language</option>
-                <option value="eng">English</option>
-                <option value="spa">Spanish</option>
-                <option value="fra">French</option>
-                <option value="deu">German</option>
-                <option value="hin">Hindi</option>
-                <option value="jpn">Japanese</option>
-                <option value="zho">Chinese</option>
-              </select>
-            </div>
-            <div className="col-12 col-md-6">
-              <div className="input-group">
-                <span className="input-group-text">Sort</span>
-                <select className="form-select" value={sort} onChange={(e) => setSort(e.target.value)}>
-                  <option value="relevance">Relevance</option>
-                  <option value="year_asc">Year ↑</option>
-                  <option value="year_desc">Year ↓</option>
-                </select>
-              </div>
+  // fewer than two books is no longer a comparison
+  function removeCompared(book) {
+    if (compareList.length <= MIN_COMPARE) setShowCompare(false);
+    toggleCompared(book);
+  }
+
+  function openCompared(book) {
+    setShowCompare(false);
+    openDetails(book);
+  }
+
+  const renderCard = (book) => (
+    <BookCard
+      book={book}
+      saved={isSaved(book)}
+      onToggleSave={toggleSave}
+      onDetails={openDetails}
+      onAuthor={openAuthor}
+      onSubject={openSubject}
+      compared={compare.has(book.key)}
+      compareFull={compare.full}
+      onToggleCompare={toggleCompared}
+    />
+  );
+
+  return (
+    <I18nProvider value={i18n}>
+      <div className="container py-4">
+        {!browse && (
+          <a href="#results" className="visually-hidden-focusable skip-link btn btn-light border">
+            {t("app.skipToResults")}
+          </a>
+        )}
+        {/* Header */}
+        <header className="mb-4 text-center">
+          <h1 className="fw-bold">📚 {t("app.title")}</h1>
+          <p className="text-muted mb-0">
+            {t("app.intro")} {t("app.shortcutBefore")}
+            <kbd>/</kbd>
+            {t("app.shortcutAfter")}
+          </p>
+          <div className="mt-2 d-flex justify-content-center align-items-center gap-2 flex-wrap">
+            <div role="status">
+              {online ? (
+                <span className="badge bg-success-subtle text-success-emphasis">● {t("app.online")}</span>
+              ) : (
+                <span className="badge bg-warning text-dark">● {t("app.offline")}</span>
+              )}
+              {pendingSync > 0 && (
+                <span className="badge bg-secondary ms-1">{t("app.pendingSync", { count: pendingSync })}</span>
+              )}
             </div>
+            <select className="form-select form-select-sm w-auto" aria-label={t("app.theme")} value={theme} onChange={(e) => setTheme(e.target.value)}>
+              {THEMES.map((th) => (
+                <option key={th.id} value={th.id}>{t(`theme.${th.id}`)}</option>
+              ))}
+            </select>
+            <select className="form-select form-select-sm w-auto" aria-label={t("app.language")} value={i18n.locale} onChange={(e) => setLocale(e.target.value)}>
+              {LOCALES.map((l) => (
+                <option key={l.id} value={l.id} lang={l.id}>{l.label}</option>
+              ))}
+            </select>
           </div>
-        </div>
-      </div>
+        </header>
+
+        <SearchControls
+          search={search}
+          provider={provider}
+          onProviderChange={changeProvider}
+          onSearch={submitSearch}
+          recent={recent}
+          onPickRecent={pickRecent}
+          onClearRecent={() => setRecent([])}
+          pinned={pinned}
+          onPin={pinCurrentSearch}
+          onRunPinned={runPinned}
+          onUnpin={(id) => setPinned((list) => unpinSearch(list, id))}
+          onIsbn={searchIsbn}
+          isSaved={isSaved}
+          onDetails={openDetails}
+          onToggleSave={toggleSave}
+          inputRef={searchInputRef}
+        />
+
+        {/* Author / subject views */}
+        {browse?.type === "author" && (
+          <AuthorView
+            key={`${browse.key}-${browse.name}`}
+            provider={provider}
+            author={browse}
+            pageSize={pageSize}
+            renderCard={renderCard}
+            colClassName={CARD_COL}
+            onBack={closeBrowse}
+          />
+        )}
+        {browse?.type === "subject" && (
+          <SubjectView
+            key={browse.name}
+            provider={provider}
+            subject={browse.name}
+            pageSize={pageSize}
+            renderCard={renderCard}
+            colClassName={CARD_COL}
+            onBack={closeBrowse}
+            onSubject={openSubject}
+            onAuthor={openAuthor}
+          />
+        )}
 
-      {/* Status row */}
-      <div className="d-flex justify-content-between align-items-center mb-2">
-        <small className="text-muted">{loading ? "Searching…" : total ? `${total.toLocaleString()} results` : query ? "No results" : ""}</small>
-        {totalPages > 1 && (
-          <nav aria-label="pagination">
-            <ul className="pagination pagination-sm mb-0">
-              <li className={`page-item ${page === 1 ? "disabled" : ""}`}>
-                <button className="page-link" onClick={() => setPage((p) => Math.max(1, p - 1))}>
-                  Prev
-                </button>
-              </li>
-              <li className="page-item disabled">
-                <span className="page-link">{page} / {totalPages}</span>
-              </li>
-              <li className={`page-item ${page >= totalPages ? "disabled" : ""}`}>
-                <button className="page-link" onClick={() => setPage((p) => Math.min(totalPages, p + 1))}>
-                  Next
-                </button>
-              </li>
-            </ul>
-          </nav>
+        {!browse && (
+          <ResultsGrid
+            search={search}
+            continuous={continuous}
+            pageSize={pageSize}
+            onLayoutChange={changeViewMode}
+            onPageSizeChange={changePageSize}
+            onFacetsChange={changeFacets}
+            renderCard={renderCard}
+          />
         )}
-      </div>
 
-      {/* Error banner */}
-      {error && (
-        <div className="alert alert-warning" role="alert">
-          {error}
-        </div>
-      )}
-
-      {/* Results grid */}
-      <div className="row">
-        {loading && !books.length && (
-          <div className="col-12 text-center py-5">Loading…</div>
+        <SavedDrawer library={library} onChange={setLibrary} onDetails={openDetails} compare={compare}>
+          <ImportExport library={library} provider={provider} onImport={(items) => setLibrary((lib) => importEntries(lib, items))} />
+        </SavedDrawer>
+
+        <StatsDashboard library={library} />
+
+        <RecommendedBooks
+          provider={provider}
+          entries={library.entries}
+          dismissed={dismissed}
+          onDismiss={(key) => setDismissed((list) => [...list, key])}
+          onRestore={() => setDismissed([])}
+          onSave={toggleSave}
+          onDetails={openDetails}
+        />
+
+        {/* Details Modal */}
+        {selected && (
+          <BookDetailsModal key={selected.key} book={selected} onClose={closeDetails} onAuthor={openAuthor} onSubject={openSubject} compare={compare} />
         )}
-        {books.map((book) => (
-          <div className="col-12 col-sm-6 col-lg-4 mb-4" key={book.key}>
-            <div className="card h-100 shadow-sm">
-              <img
-                src={book.cover_i ? `https://covers.openlibrary.org/b/id/${book.cover_i}-M.jpg` : PLACEHOLDER}
-                alt={book.title}
-                className="card-img-top"
-                style={{ objectFit: "cover", height: 220 }}
-              />
-              <div className="card-body d-flex flex-column">
-                <h5 className="card-title mb-1">{book.title}</h5>
-                <p className="card-text text-muted mb-1" title={(book.author_name || []).join(", ")}> {(book.author_name || []).join(", ") || "Unknown author"}</p>
-                <p className="card-text mb-2"><small className="text-muted">First published: {book.first_publish_year || "N/A"}</small></p>
-                <div className="d-flex gap-2 mb-2 flex-wrap">
-                  {(book.ebook_access === "public" || book.has_fulltext) && (
-                    <span className="badge bg-success">eBook</span>
-                  )}
-                  {Array.isArray(book.language) && book.language.length > 0 && (
-                    <span className="badge bg-secondary">{book.language[0]}</span>
-                  )}
-                  {book.edition_count ? (
-                    <span className="badge bg-info text-dark">{book.edition_count} ed.</span>
-                  ) : null}
-                </div>
-                <div className="mt-auto d-flex gap-2">
-                  <a
-                    className="btn btn-outline-primary btn-sm"
-                    href={`https://openlibrary.org${book.key}`}
-                    target="_blank"
-                    rel="noreferrer"
-                  >
-                    Open Library
-                  </a>
-                  <button className="btn btn-outline-secondary btn-sm" onClick={() => setSelected(book)}>
-                    Details
-                  </button>
-                  <button
-                    className={`btn btn-sm ${isSaved(book) ? "btn-success" : "btn-outline-success"}`}
-                    onClick={() => toggleSave(book)}
-                  >
-                    {isSaved(book) ? "Saved" : "Save"}
-                  </button>
-                </div>
-              </div>
-            </div>
-          </div>
-        ))}
-      </div>
 
-      {/* Saved drawer */}
-      <section className="mt-4">
-        <h5 className="mb-2">⭐ Saved ({saved.length})</h5>
-        {saved.length === 0 ? (
-          <p className="text-muted">Use the Save button on any card to keep it here.</p>
-        ) : (
-          <div className="row">
-            {saved.map((book) => (
-              <div className="col-6 col-md-4 col-lg-3 mb-3" key={`saved-${book.key}`}>
-                <div className="card h-100 border-success">
-                  <img
-                    src={book.cover_i ? `https://covers.openlibrary.org/b/id/${book.cover_i}-S.jpg` : PLACEHOLDER}
-                    alt={book.title}
-                    className="card-img-top"
-                    style={{ objectFit: "cover", height: 140 }}
-                  />
-                  <div className="card-body p-2 d-flex flex-column">
-                    <div className="small fw-semibold text-truncate" title={book.title}>{book.title}</div>
-                    <div className="small text-muted text-truncate" title={(book.author_name || []).join(", ")}>{(book.author_name || []).join(", ")}</div>
-                    <button className="btn btn-sm btn-outline-danger mt-auto" onClick={() => toggleSave(book)}>
-                      Remove
-                    </button>
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
+        {/* Compare */}
+        {compareList.length > 0 && (
+          <CompareTray books={compareList} onRemove={removeCompared} onClear={() => setCompareList([])} onOpen={() => setShowCompare(true)} />
         )}
-      </section>
-
-      {/* Details Modal */}
-      {selected && (
-        <div className="modal d-block" role="dialog" onClick={() => setSelected(null)}>
-          <div className="modal-dialog modal-lg modal-dialog-centered" role="document" onClick={(e) => e.stopPropagation()}>
-            <div className="modal-content">
-              <div className="modal-header">
-                <h5 className="modal-title">{selected.title}</h5>
-                <button type="button" className="btn-close" onClick={() => setSelected(null)} aria-label="Close"></button>
-              </div>
-              <div className="modal-body">
-                <div className="row g-3">
-                  <div className="col-12 col-md-4">
-                    <img
-                      src={selected.cover_i ? `https://covers.openlibrary.org/b/id/${selected.cover_i}-L.jpg` : PLACEHOLDER}
-                      alt={selected.title}
-                      className="img-fluid rounded"
-                    />
-                  </div>
-                  <div className="col-12 col-md-8">
-                    <p className="mb-1"><strong>Authors:</strong> {(selected.author_name || []).join(", ") || "Unknown"}</p>
-                    <p className="mb-1"><strong>First published:</strong> {selected.first_publish_year || "N/A"}</p>
-                    <p className="mb-2"><strong>Languages:</strong> {Array.isArray(selected.language) ? selected.language.join(", ") : "N/A"}</p>
-                    {Array.isArray(selected.subject) && selected.subject.length > 0 && (
-                      <div className="mb-2">
-                        <strong>Subjects:</strong>
-                        <div className="mt-1 d-flex flex-wrap gap-1">
-                          {selected.subject.slice(0, 15).map((s, i) => (
-                            <span key={i} className="badge bg-light text-dark border">{s}</span>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                </div>
-              </div>
-              <div className="modal-footer">
-                <a className="btn btn-primary" href={`https://openlibrary.org${selected.key}`} target="_blank" rel="noreferrer">View on Open Library</a>
-                <button className="btn btn-secondary" onClick={() => setSelected(null)}>Close</button>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* Footer */}
-      <footer className="mt-5 text-center text-muted small">
-        Built for Alex • React + Bootstrap • Open Library API
-      </footer>
-    </div>
+        {showCompare && (
+          <CompareModal books={compareList} onRemove={removeCompared} onDetails={openCompared} onClose={() => setShowCompare(false)} />
+        )}
+
+        {/* Footer */}
+        <footer className="mt-5 text-center text-muted small">
+          {t("app.footer")}
+        </footer>
+      </div>
+    </I18nProvider>
   );
 }
 
@@ -0,0 +1,97 @@
+import en from "./locales/en";
+import es from "./locales/es";
+import hi from "./locales/hi";
+import ar from "./locales/ar";
+
+// UI text and formatting per locale. Message catalogs (./locales) are flat
+// { key: message } objects; a message is a string with {placeholders}, or
+// for counts an object of CLDR plural forms ({ one, other, ... }) picked by
+// the `count` parameter. A key a catalog lacks falls back to English.
+//
+// Number parameters are formatted for the locale; pass a string for numbers
+// that shouldn't be, like years.
+
+export const LOCALES = [
+  { id: "en", label: "English", messages: en },
+  { id: "es", label: "Español", messages: es },
+  { id: "hi", label: "हिन्दी", messages: hi },
+  { id: "ar", label: "العربية", messages: ar, dir: "rtl" },
+];
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_KEY = "bookfinder.locale";
+
+const localeById = (id) => LOCALES.find((l) => l.id === id);
+
+export const isSupportedLocale = (id) => Boolean(localeById(id));
+
+// The first supported language among the browser's, e.g. ["es-MX", "en"] -> "es"
+export function matchLocale(tags = []) {
+  for (const tag of tags) {
+    const id = String(tag).toLowerCase().split("-")[0];
+    if (isSupportedLocale(id)) return id;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export const localeDirection = (id) => localeById(id)?.dir || "ltr";
+
+// Keys of the English catalog that `id`'s catalog lacks, or lacks plural forms
+// for; what the fallback is covering for
+export function missingTranslations(id) {
+  const messages = localeById(id)?.messages || {};
+  return Object.keys(en).filter((key) => {
+    const message = messages[key];
+    if (message === undefined) return true;
+    return typeof en[key] === "object" && (typeof message !== "object" || message.other === undefined);
+  });
+}
+
+function interpolate(message, params, formatNumber) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+}
+
+// { locale, dir, t, has, formatNumber, formatDate }. `onMissing(key, locale)`
+// hears about every key answered by the fallback (or by nothing).
+export function createI18n(locale, { onMissing } = {}) {
+  const id = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+  const messages = localeById(id).messages;
+  const numbers = new Intl.NumberFormat(id);
+  const plurals = { [id]: new Intl.PluralRules(id), en: new Intl.PluralRules("en") };
+  const formatNumber = (n) => numbers.format(n);
+
+  function t(key, params = {}) {
+    let message = messages[key];
+    let from = id;
+    if (message === undefined) {
+      onMissing?.(key, id);
+      message = en[key];
+      from = "en";
+    }
+    if (message === undefined) return key;
+    if (typeof message === "object") {
+      const form = plurals[from].select(params.count ?? 0);
+      message = message[form] ?? message.other;
+    }
+    return interpolate(message, params, formatNumber);
+  }
+
+  // Dates are Date objects, timestamps or ISO strings; a bare YYYY-MM-DD is
+  // that calendar day wherever the reader is
+  function formatDate(value, options = { dateStyle: "medium" }) {
+    if (!value) return "";
+    const dayOnly = typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dayOnly ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    return new Intl.DateTimeFormat(id, dayOnly ? { ...options, timeZone: "UTC" } : options).format(date);
+  }
+
+  return { locale: id, dir: localeDirection(id), t, has: (key) => key in messages || key in en, formatNumber, formatDate };
+}
+
+// What the pure modules use when no locale is passed in
+export const defaultI18n = createI18n(DEFAULT_LOCALE);
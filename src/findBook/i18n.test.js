@@ -0,0 +1,81 @@
+import { LOCALES, createI18n, localeDirection, matchLocale, missingTranslations } from "./i18n";
+import en from "./locales/en";
+
+const placeholders = (message) =>
+  new Set((typeof message === "object" ? Object.values(message) : [message]).flatMap((m) => [...m.matchAll(/\{(\w+)\}/g)].map((x) => x[1])));
+
+describe.each(LOCALES.filter((l) => l.id !== "en").map((l) => [l.id, l.messages]))("the %s catalog", (id, messages) => {
+  test("translates every English message", () => {
+    expect(missingTranslations(id)).toEqual([]);
+  });
+
+  test("has no keys English doesn't", () => {
+    expect(Object.keys(messages).filter((key) => !(key in en))).toEqual([]);
+  });
+
+  test("only uses placeholders the English message is given", () => {
+    const strays = Object.entries(messages).filter(([key, message]) => {
+      const known = placeholders(en[key] || "");
+      return [...placeholders(message)].some((name) => !known.has(name));
+    });
+    expect(strays.map(([key]) => key)).toEqual([]);
+  });
+});
+
+test("fills in placeholders and formats numbers for the locale", () => {
+  const { t } = createI18n("en");
+  expect(t("compare.toggleLabel", { title: "The Hobbit" })).toBe("Compare The Hobbit");
+  expect(t("results.count", { count: 12345 })).toBe("12,345 results");
+  expect(createI18n("es").formatNumber(12345.5)).toBe("12.345,5");
+  // years are passed as strings so they aren't grouped
+  expect(t("book.firstPublished", { year: "1937" })).toBe("First published: 1937");
+});
+
+test("picks plural forms by the locale's rules", () => {
+  const en = createI18n("en");
+  expect(en.t("results.count", { count: 1 })).toBe("1 result");
+  expect(en.t("results.count", { count: 0 })).toBe("0 results");
+  // Hindi counts 0 as singular
+  expect(createI18n("hi").t("browse.books", { count: 0 })).toBe("0 किताब");
+  const ar = createI18n("ar");
+  expect(ar.t("results.count", { count: 2 })).toBe("نتيجتان");
+  expect(ar.t("results.count", { count: 5 })).toBe(`${ar.formatNumber(5)} نتائج`);
+  expect(ar.t("results.count", { count: 11 })).toBe(`${ar.formatNumber(11)} نتيجة`);
+  // a form the catalog leaves out is answered by `other`
+  expect(ar.t("compare.open", { count: 2 })).toBe(`مقارنة ${ar.formatNumber(2)}`);
+});
+
+test("falls back to English and reports what it had to", () => {
+  const onMissing = jest.fn();
+  const { t } = createI18n("es", { onMissing });
+  expect(t("book.save")).toBe("Guardar");
+  expect(onMissing).not.toHaveBeenCalled();
+  expect(t("no.such.key")).toBe("no.such.key");
+  expect(onMissing).toHaveBeenCalledWith("no.such.key", "es");
+});
+
+test("an unsupported locale is English", () => {
+  const i18n = createI18n("fr");
+  expect(i18n.locale).toBe("en");
+  expect(i18n.t("book.save")).toBe("Save");
+});
+
+test("matches the browser's languages to a supported locale", () => {
+  expect(matchLocale(["fr-FR", "es-MX", "en"])).toBe("es");
+  expect(matchLocale(["HI"])).toBe("hi");
+  expect(matchLocale(["fr", "de"])).toBe("en");
+  expect(matchLocale()).toBe("en");
+});
+
+test("knows which locales read right to left", () => {
+  expect(localeDirection("ar")).toBe("rtl");
+  expect(localeDirection("es")).toBe("ltr");
+  expect(createI18n("ar").dir).toBe("rtl");
+});
+
+test("formats dates for the locale, keeping bare dates on their day", () => {
+  expect(createI18n("en").formatDate("2024-03-05")).toBe("Mar 5, 2024");
+  expect(createI18n("es").formatDate("2024-03-05")).toBe("5 mar 2024");
+  expect(createI18n("en").formatDate("")).toBe("");
+  expect(createI18n("en").formatDate("not a date")).toBe("not a date");
+});
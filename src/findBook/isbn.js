@@ -0,0 +1,77 @@
+import { defaultI18n } from "./i18n";
+
+// ISBN-10 / ISBN-13: cleaning up what was typed or scanned, checksum
+// validation and conversion between the two forms.
+
+// Drops an "ISBN"/"ISBN-13:" label, hyphens and spaces, and the ="..." that
+// spreadsheet exports (Goodreads') wrap ISBNs in to keep them from being mangled
+export function cleanIsbn(text) {
+  return String(text || "")
+    .trim()
+    .replace(/^="?([^"]*)"?$/, "$1")
+    .replace(/^isbn(?:-?1[03])?:?/i, "")
+    .replace(/[\s\-‐‑–]/g, "")
+    .toUpperCase();
+}
+
+function isbn10CheckDigit(first9) {
+  const sum = [...first9].reduce((total, d, i) => total + Number(d) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+}
+
+function isbn13CheckDigit(first12) {
+  const sum = [...first12].reduce((total, d, i) => total + Number(d) * (i % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+export const isValidIsbn10 = (isbn) => /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+
+export const isValidIsbn13 = (isbn) => /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+
+export function toIsbn13(isbn10) {
+  const first12 = `978${isbn10.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+}
+
+// Only 978- ISBNs have a 10-digit form
+export function toIsbn10(isbn13) {
+  if (!isbn13.startsWith("978")) return null;
+  const first9 = isbn13.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+}
+
+// { valid, isbn10, isbn13, error } for whatever was typed. `error` is one of
+// "empty", "characters", "length" or "checksum".
+export function parseIsbn(text) {
+  const isbn = cleanIsbn(text);
+  const invalid = (error) => ({ input: text, valid: false, isbn10: null, isbn13: null, error });
+  if (!isbn) return invalid("empty");
+  if (!/^\d+X?$/.test(isbn)) return invalid("characters");
+  if (isbn.length === 10) {
+    return isValidIsbn10(isbn) ? { input: text, valid: true, isbn10: isbn, isbn13: toIsbn13(isbn), error: null } : invalid("checksum");
+  }
+  if (isbn.length === 13 && !isbn.includes("X")) {
+    return isValidIsbn13(isbn) ? { input: text, valid: true, isbn10: toIsbn10(isbn), isbn13: isbn, error: null } : invalid("checksum");
+  }
+  return invalid("length");
+}
+
+// Why an ISBN isn't valid, for the user (see ./i18n)
+export const isbnMessage = (result, { t } = defaultI18n) => (result.error ? t(`isbn.${result.error}`) : "");
+
+// The same book whichever form either side is written in
+export function sameIsbn(a, b) {
+  const x = parseIsbn(a);
+  const y = parseIsbn(b);
+  return x.valid && y.valid ? x.isbn13 === y.isbn13 : cleanIsbn(a) === cleanIsbn(b);
+}
+
+// One ISBN per line (commas and semicolons also separate)
+export function parseIsbnBatch(text) {
+  return String(text || "")
+    .split(/[\n,;]+/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line, i) => ({ line: i + 1, ...parseIsbn(line) }));
+}
@@ -0,0 +1,39 @@
+import { cleanIsbn, isbnMessage, parseIsbn, parseIsbnBatch, sameIsbn, toIsbn10, toIsbn13 } from "./isbn";
+
+test("strips labels, hyphens and spaces", () => {
+  expect(cleanIsbn("ISBN-13: 978-0-13-110362-7")).toBe("9780131103627");
+  expect(cleanIsbn(" 0-8044-2957-x ")).toBe("080442957X");
+  // spreadsheet-safe cells, before and after CSV unquoting
+  expect(cleanIsbn('="9780441013593"')).toBe("9780441013593");
+  expect(cleanIsbn("=0441013597")).toBe("0441013597");
+  expect(cleanIsbn('=""')).toBe("");
+});
+
+test("checks ISBN-10 and ISBN-13 check digits", () => {
+  expect(parseIsbn("0131103628")).toMatchObject({ valid: true, isbn10: "0131103628", isbn13: "9780131103627" });
+  expect(parseIsbn("080442957X")).toMatchObject({ valid: true, isbn13: "9780804429573" });
+  expect(parseIsbn("978-0-13-110362-7")).toMatchObject({ valid: true, isbn10: "0131103628" });
+  expect(parseIsbn("9780131103628")).toMatchObject({ valid: false, error: "checksum" });
+  expect(parseIsbn("0131103627")).toMatchObject({ valid: false, error: "checksum" });
+  expect(parseIsbn("013110362")).toMatchObject({ valid: false, error: "length" });
+  expect(parseIsbn("01311O3628")).toMatchObject({ valid: false, error: "characters" });
+  expect(isbnMessage(parseIsbn("9780131103628"))).toMatch("check digit");
+});
+
+test("converts between 10 and 13 digits", () => {
+  expect(toIsbn13("054792822X")).toBe("9780547928227");
+  expect(toIsbn10("9780547928227")).toBe("054792822X");
+  // 979 ISBNs have no 10-digit form
+  expect(parseIsbn("9791032305690")).toMatchObject({ valid: true, isbn10: null });
+  expect(sameIsbn("054792822x", "978-0-547-92822-7")).toBe(true);
+  expect(sameIsbn("0547928227", "978-0-547-92822-7")).toBe(false);
+});
+
+test("reads a pasted list, keeping the invalid lines", () => {
+  const rows = parseIsbnBatch("0131103628\n\n978-0-13-110362-8, 9780547928227");
+  expect(rows.map((r) => [r.line, r.valid, r.isbn13])).toEqual([
+    [1, true, "9780131103627"],
+    [2, false, null],
+    [3, true, "9780547928227"],
+  ]);
+});
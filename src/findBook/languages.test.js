@@ -0,0 +1,16 @@
+import { LANGUAGES, languageCode, languageName, sameLanguage, toAlpha2 } from "./languages";
+
+test("covers ISO 639-2 with readable names", () => {
+  expect(LANGUAGES.length).toBeGreaterThan(480);
+  expect(languageName("eng")).toBe("English");
+  expect(languageName("spa")).toBe("Spanish");
+  expect(languageName("xx-unknown")).toBe("xx-unknown");
+});
+
+test("treats bibliographic, terminology and two-letter codes as one language", () => {
+  expect(languageCode("fra")).toBe("fre");
+  expect(languageCode("de")).toBe("ger");
+  expect(toAlpha2("chi")).toBe("zh");
+  expect(toAlpha2("ace")).toBeNull();
+  expect(sameLanguage("zho", "chi")).toBe(true);
+});
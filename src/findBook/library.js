@@ -0,0 +1,216 @@
+// Reading lists ("shelves"). Everything here is a pure function over the
+// library object kept in localStorage under "bookfinder.library":
+//
+//   { version, shelves: [{ id, name, builtin }], entries: [entry] }
+//   entry = { book, shelfId, status, startedAt, finishedAt, rating, notes, addedAt }
+//
+// A book sits on exactly one shelf. Dates are YYYY-MM-DD strings, rating is 0-5.
+
+export const LIBRARY_KEY = "bookfinder.library";
+export const LEGACY_SAVED_KEY = "bookfinder.saved";
+
+// Status labels are "status.<id>", sort labels "shelfSort.<id>" and the
+// built-in shelves' names "shelf.<id>" in the message catalogs (see ./i18n);
+// the names stored here are what exports and older versions see.
+export const STATUSES = [{ id: "want" }, { id: "reading" }, { id: "finished" }, { id: "abandoned" }];
+
+export const DEFAULT_SHELVES = [
+  { id: "want", name: "Want to Read", builtin: true },
+  { id: "reading", name: "Reading", builtin: true },
+  { id: "finished", name: "Finished", builtin: true },
+];
+
+export const DEFAULT_SHELF_ID = "want";
+
+export const SHELF_SORTS = [{ id: "added" }, { id: "title" }, { id: "author" }, { id: "rating" }, { id: "year" }, { id: "finished" }];
+
+// The reader's own date; toISOString() would give UTC's, a day off near midnight
+export function today(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function emptyLibrary() {
+  return { version: 1, shelves: DEFAULT_SHELVES.map((s) => ({ ...s })), entries: [] };
+}
+
+function makeEntry(book, shelfId, patch = {}) {
+  return {
+    book,
+    shelfId,
+    status: DEFAULT_SHELVES.some((s) => s.id === shelfId) ? shelfId : "want",
+    startedAt: null,
+    finishedAt: null,
+    rating: 0,
+    notes: "",
+    addedAt: new Date().toISOString(),
+    ...patch,
+  };
+}
+
+// The old single Saved list becomes the "Want to Read" shelf
+export function migrateSaved(saved) {
+  const library = emptyLibrary();
+  if (!Array.isArray(saved)) return library;
+  const seen = new Set();
+  for (const book of saved) {
+    if (!book || !book.key || seen.has(book.key)) continue;
+    seen.add(book.key);
+    library.entries.push(makeEntry(book, DEFAULT_SHELF_ID));
+  }
+  return library;
+}
+
+export function loadLegacySaved(storage = window.localStorage) {
+  try {
+    return JSON.parse(storage.getItem(LEGACY_SAVED_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+export const findEntry = (library, key) => library.entries.find((e) => e.book.key === key);
+export const savedBooks = (library) => library.entries.map((e) => e.book);
+
+export function addBook(library, book, shelfId = DEFAULT_SHELF_ID, patch) {
+  if (findEntry(library, book.key)) return library;
+  return { ...library, entries: [...library.entries, makeEntry(book, shelfId, patch)] };
+}
+
+// The shelf an imported book goes on, as [library, shelfId]. Built-in shelves
+// go by id; a custom one by name, made if the import names it (our JSON export
+// does) and it isn't there. Anything else falls back to Want to Read.
+function importShelf(library, shelfId, shelfName) {
+  if (DEFAULT_SHELVES.some((s) => s.id === shelfId)) return [library, shelfId];
+  const name = String(shelfName || "").trim();
+  if (name) {
+    const withShelf = addShelf(library, name);
+    return [withShelf, withShelf.shelves.find((s) => s.name.toLowerCase() === name.toLowerCase()).id];
+  }
+  return [library, library.shelves.some((s) => s.id === shelfId) ? shelfId : DEFAULT_SHELF_ID];
+}
+
+// Bulk add from an import: [{ book, shelfName, ...entry fields }]. Books
+// already saved are left alone.
+export function importEntries(library, items) {
+  const keys = new Set(library.entries.map((e) => e.book.key));
+  let next = library;
+  const added = [];
+  for (const { book, shelfName, ...patch } of items) {
+    if (!book || keys.has(book.key)) continue;
+    keys.add(book.key);
+    const [withShelf, shelfId] = importShelf(next, patch.shelfId, shelfName);
+    next = withShelf;
+    added.push(makeEntry(book, shelfId, { ...patch, shelfId }));
+  }
+  return added.length ? { ...next, entries: [...next.entries, ...added] } : library;
+}
+
+export function removeBook(library, key) {
+  return { ...library, entries: library.entries.filter((e) => e.book.key !== key) };
+}
+
+export function toggleBook(library, book) {
+  return findEntry(library, book.key) ? removeBook(library, book.key) : addBook(library, book);
+}
+
+// Status changes fill in the matching date the first time round
+function withStatusDates(entry, status) {
+  const next = { ...entry, status };
+  if (status === "reading" && !next.startedAt) next.startedAt = today();
+  if (status === "finished") {
+    if (!next.finishedAt) next.finishedAt = today();
+    if (!next.startedAt) next.startedAt = next.finishedAt;
+  }
+  return next;
+}
+
+export function updateEntry(library, key, patch) {
+  return {
+    ...library,
+    entries: library.entries.map((e) => {
+      if (e.book.key !== key) return e;
+      const next = patch.status && patch.status !== e.status ? withStatusDates(e, patch.status) : e;
+      return { ...next, ...patch };
+    }),
+  };
+}
+
+// Moving onto a built-in shelf also sets the matching status
+export function moveBook(library, key, shelfId) {
+  if (!library.shelves.some((s) => s.id === shelfId)) return library;
+  return {
+    ...library,
+    entries: library.entries.map((e) => {
+      if (e.book.key !== key) return e;
+      const builtin = DEFAULT_SHELVES.some((s) => s.id === shelfId);
+      return { ...(builtin && e.status !== shelfId ? withStatusDates(e, shelfId) : e), shelfId };
+    }),
+  };
+}
+
+function slug(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "shelf";
+}
+
+export function addShelf(library, name) {
+  const trimmed = name.trim();
+  if (!trimmed || library.shelves.some((s) => s.name.toLowerCase() === trimmed.toLowerCase())) return library;
+  const taken = new Set(library.shelves.map((s) => s.id));
+  let id = slug(trimmed);
+  for (let n = 2; taken.has(id); n++) id = `${slug(trimmed)}-${n}`;
+  return { ...library, shelves: [...library.shelves, { id, name: trimmed, builtin: false }] };
+}
+
+export function renameShelf(library, id, name) {
+  const trimmed = name.trim();
+  if (!trimmed) return library;
+  return { ...library, shelves: library.shelves.map((s) => (s.id === id ? { ...s, name: trimmed } : s)) };
+}
+
+// Books on a deleted shelf fall back to Want to Read rather than disappearing
+export function deleteShelf(library, id) {
+  const shelf = library.shelves.find((s) => s.id === id);
+  if (!shelf || shelf.builtin) return library;
+  return {
+    ...library,
+    shelves: library.shelves.filter((s) => s.id !== id),
+    entries: library.entries.map((e) => (e.shelfId === id ? { ...e, shelfId: DEFAULT_SHELF_ID } : e)),
+  };
+}
+
+export function filterEntries(entries, { shelfId = "", status = "", text = "" } = {}) {
+  const q = text.trim().toLowerCase();
+  return entries.filter(
+    (e) =>
+      (!shelfId || e.shelfId === shelfId) &&
+      (!status || e.status === status) &&
+      (!q ||
+        [e.book.title, ...(e.book.author_name || []), e.notes].some((v) => String(v || "").toLowerCase().includes(q)))
+  );
+}
+
+const byText = (get) => (a, b) => get(a).localeCompare(get(b), undefined, { sensitivity: "base" });
+// Missing values go last
+const byValueDesc = (get) => (a, b) => {
+  const x = get(a);
+  const y = get(b);
+  if (!x && !y) return 0;
+  if (!x) return 1;
+  if (!y) return -1;
+  return x < y ? 1 : x > y ? -1 : 0;
+};
+
+const ENTRY_COMPARATORS = {
+  added: byValueDesc((e) => e.addedAt),
+  title: byText((e) => e.book.title || ""),
+  author: byText((e) => (e.book.author_name || [])[0] || "￿"),
+  rating: byValueDesc((e) => e.rating),
+  year: byValueDesc((e) => e.book.first_publish_year),
+  finished: byValueDesc((e) => e.finishedAt),
+};
+
+export function sortEntries(entries, sort = "added") {
+  const compare = ENTRY_COMPARATORS[sort] || ENTRY_COMPARATORS.added;
+  return [...entries].sort(compare);
+}
@@ -0,0 +1,92 @@
+import {
+  addBook,
+  addShelf,
+  deleteShelf,
+  filterEntries,
+  findEntry,
+  importEntries,
+  migrateSaved,
+  moveBook,
+  sortEntries,
+  today,
+  updateEntry,
+} from "./library";
+
+const hobbit = { key: "/works/OL1W", title: "The Hobbit", author_name: ["J.R.R. Tolkien"], first_publish_year: 1937 };
+const dune = { key: "/works/OL2W", title: "Dune", author_name: ["Frank Herbert"], first_publish_year: 1965 };
+
+test("moves the old saved list onto Want to Read", () => {
+  const library = migrateSaved([hobbit, dune, hobbit]);
+  expect(library.shelves.map((s) => s.id)).toEqual(["want", "reading", "finished"]);
+  expect(library.entries.map((e) => [e.book.key, e.shelfId, e.status])).toEqual([
+    ["/works/OL1W", "want", "want"],
+    ["/works/OL2W", "want", "want"],
+  ]);
+  expect(migrateSaved(null).entries).toEqual([]);
+});
+
+test("today is the local date, not UTC's", () => {
+  const tz = process.env.TZ;
+  try {
+    // a day ahead of UTC: 00:30 on 1 January is still 31 December in UTC
+    process.env.TZ = "Pacific/Auckland";
+    expect(today(new Date(2024, 0, 1, 0, 30))).toBe("2024-01-01");
+    process.env.TZ = "America/Los_Angeles";
+    expect(today(new Date(2023, 11, 31, 23, 30))).toBe("2023-12-31");
+  } finally {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  }
+});
+
+test("moving to a built-in shelf sets status and dates", () => {
+  let library = addBook(migrateSaved([]), hobbit);
+  library = moveBook(library, hobbit.key, "reading");
+  expect(findEntry(library, hobbit.key)).toMatchObject({ shelfId: "reading", status: "reading" });
+  expect(findEntry(library, hobbit.key).startedAt).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+  library = updateEntry(library, hobbit.key, { status: "finished", rating: 4, notes: "Loved it" });
+  expect(findEntry(library, hobbit.key)).toMatchObject({ status: "finished", rating: 4, notes: "Loved it" });
+  expect(findEntry(library, hobbit.key).finishedAt).toBeTruthy();
+});
+
+test("custom shelves can be added and deleted without losing books", () => {
+  let library = addShelf(migrateSaved([hobbit]), "Book club");
+  expect(addShelf(library, "book club")).toBe(library);
+  const club = library.shelves.find((s) => s.name === "Book club");
+  library = moveBook(library, hobbit.key, club.id);
+  expect(findEntry(library, hobbit.key).shelfId).toBe(club.id);
+
+  library = deleteShelf(library, club.id);
+  expect(library.shelves.some((s) => s.id === club.id)).toBe(false);
+  expect(findEntry(library, hobbit.key).shelfId).toBe("want");
+  expect(deleteShelf(library, "want")).toBe(library);
+});
+
+test("an import goes onto its shelf by name, making the shelf if it's missing", () => {
+  const library = addShelf(migrateSaved([]), "Book club");
+  const imported = importEntries(library, [
+    { book: hobbit, shelfId: "book-club", shelfName: "Book club" },
+    { book: dune, shelfId: "sci-fi", shelfName: "Sci-fi", status: "reading" },
+    { book: { key: "/works/OL3W" }, shelfId: "gone" },
+    { book: { key: "/works/OL4W" }, shelfId: "finished", shelfName: "Finished" },
+  ]);
+  expect(imported.shelves.map((s) => s.name)).toEqual(["Want to Read", "Reading", "Finished", "Book club", "Sci-fi"]);
+  expect(imported.entries.map((e) => [e.shelfId, e.status])).toEqual([
+    ["book-club", "want"],
+    ["sci-fi", "reading"],
+    ["want", "want"],
+    ["finished", "finished"],
+  ]);
+  expect(imported.entries[0]).not.toHaveProperty("shelfName");
+  // nothing new, nothing changes
+  expect(importEntries(imported, [{ book: hobbit, shelfId: "other", shelfName: "Other" }])).toBe(imported);
+});
+
+test("filters and sorts a shelf", () => {
+  let library = migrateSaved([hobbit, dune]);
+  library = updateEntry(library, dune.key, { rating: 5 });
+  expect(filterEntries(library.entries, { text: "tolkien" }).map((e) => e.book.key)).toEqual([hobbit.key]);
+  expect(sortEntries(library.entries, "rating").map((e) => e.book.key)).toEqual([dune.key, hobbit.key]);
+  expect(sortEntries(library.entries, "title").map((e) => e.book.title)).toEqual(["Dune", "The Hobbit"]);
+});
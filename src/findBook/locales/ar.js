@@ -0,0 +1,504 @@
+// Arabic, written right to left. Keys follow ./en; counted nouns take all six
+// plural forms (zero, one, two, few, many, other). Arrows point the way the
+// page reads.
+const ar = {
+  // ../errors
+  "error.generic": "حدث خطأ ما. يُرجى المحاولة مرة أخرى.",
+  "error.offline": "أنت غير متصل ولم يُجرَ هذا البحث من قبل. الكتب المحفوظة وعمليات البحث السابقة ما زالت تعمل.",
+  "error.network": "تعذّر الوصول إلى الفهرس. تحقق من اتصالك وحاول مرة أخرى.",
+  "error.rateLimited": "يتلقى الفهرس طلبات كثيرة جدًا. يُرجى الانتظار لحظة ثم المحاولة مرة أخرى.",
+  "error.rateLimitedFor": {
+    zero: "يتلقى الفهرس طلبات كثيرة جدًا. حاول مرة أخرى الآن.",
+    one: "يتلقى الفهرس طلبات كثيرة جدًا. حاول مرة أخرى بعد ثانية واحدة.",
+    two: "يتلقى الفهرس طلبات كثيرة جدًا. حاول مرة أخرى بعد ثانيتين.",
+    few: "يتلقى الفهرس طلبات كثيرة جدًا. حاول مرة أخرى بعد {count} ثوانٍ.",
+    many: "يتلقى الفهرس طلبات كثيرة جدًا. حاول مرة أخرى بعد {count} ثانية.",
+    other: "يتلقى الفهرس طلبات كثيرة جدًا. حاول مرة أخرى بعد {count} ثانية.",
+  },
+  "error.malformed": "أرسل الفهرس ردًا لم نتمكن من قراءته. يُرجى المحاولة مرة أخرى.",
+  "error.server": "يواجه الفهرس مشكلة (خطأ {status}). يُرجى المحاولة مرة أخرى.",
+  "error.http": "لم يتمكن الفهرس من الرد على هذا الطلب (خطأ {status}).",
+
+  // ../isbn
+  "isbn.empty": "أدخل رقم ISBN.",
+  "isbn.characters": "يتكون رقم ISBN من أرقام فقط (وحرف X في نهاية بعض أرقام ISBN-10).",
+  "isbn.length": "يتكون رقم ISBN من 10 أو 13 رقمًا.",
+  "isbn.checksum": "رقم التحقق في رقم ISBN هذا غير مطابق؛ ربما يوجد خطأ في الكتابة.",
+
+  // ../facets
+  "facet.access": "إتاحة الكتاب الإلكتروني",
+  "facet.language": "اللغة",
+  "facet.decade": "أول نشر",
+  "facet.subject": "الموضوع",
+  "facet.author": "المؤلف",
+  "facet.decadeValue": "عقد {decade}",
+  "facet.chip": "{facet}: {value}",
+  "access.public": "قراءة مجانية",
+  "access.borrowable": "متاح للاستعارة",
+  "access.none": "لا يوجد كتاب إلكتروني",
+
+  // ../compare
+  "compare.authors": "المؤلفون",
+  "compare.firstPublished": "أول نشر",
+  "compare.edition": "الطبعة",
+  "compare.editions": "الطبعات",
+  "compare.languages": "اللغات",
+  "compare.ebook": "كتاب إلكتروني",
+  "compare.anyEdition": "أي طبعة",
+  "compare.pages": {
+    zero: "بلا صفحات",
+    one: "صفحة واحدة",
+    two: "صفحتان",
+    few: "{count} صفحات",
+    many: "{count} صفحة",
+    other: "{count} صفحة",
+  },
+
+  // ../sorting
+  "sort.relevance": "الصلة",
+  "sort.old": "السنة ↑",
+  "sort.new": "السنة ↓",
+  "sort.title": "العنوان",
+  "sort.editions": "الأكثر طبعات",
+  "sort.rating": "الأعلى تقييمًا",
+  "sort.random": "عشوائي",
+
+  // ../queryBuilder
+  "field.all": "أي حقل",
+  "field.title": "العنوان",
+  "field.author": "المؤلف",
+  "field.subject": "الموضوع",
+  "field.isbn": "ISBN",
+  "field.publisher": "الناشر",
+  "field.place": "المكان",
+  "field.year": "أول نشر",
+  "clause.is": "{field} هو {value}",
+  "clause.contains": "{field} يحتوي على {value}",
+  "clause.year": "{field} {value}",
+
+  // ../suggestions
+  "pinned.any": "(أي شيء)",
+  "pinned.inField": "{text} في {field}",
+  "pinned.ebooks": "كتب إلكترونية",
+
+  // ../library
+  "status.want": "أريد قراءته",
+  "status.reading": "أقرؤه",
+  "status.finished": "انتهيت منه",
+  "status.abandoned": "تركته",
+  "shelf.want": "أريد قراءتها",
+  "shelf.reading": "أقرؤها",
+  "shelf.finished": "انتهيت منها",
+  "shelfSort.added": "المضافة حديثًا",
+  "shelfSort.title": "العنوان",
+  "shelfSort.author": "المؤلف",
+  "shelfSort.rating": "تقييمي",
+  "shelfSort.year": "أول نشر",
+  "shelfSort.finished": "تاريخ الانتهاء",
+
+  // ../recommendations
+  "recommend.byAuthor": {
+    one: "من تأليف {author}، مثل كتاب واحد من كتبك المحفوظة",
+    two: "من تأليف {author}، مثل كتابين من كتبك المحفوظة",
+    few: "من تأليف {author}، مثل {count} كتب من كتبك المحفوظة",
+    many: "من تأليف {author}، مثل {count} كتابًا من كتبك المحفوظة",
+    other: "من تأليف {author}، مثل {count} كتاب من كتبك المحفوظة",
+  },
+  "recommend.aboutSubjects": "عن {subjects}، مثل كتب حفظتها",
+  "recommend.fromDecade": {
+    one: "من عقد {decade}، مثل كتاب واحد من كتبك المحفوظة",
+    two: "من عقد {decade}، مثل كتابين من كتبك المحفوظة",
+    few: "من عقد {decade}، مثل {count} كتب من كتبك المحفوظة",
+    many: "من عقد {decade}، مثل {count} كتابًا من كتبك المحفوظة",
+    other: "من عقد {decade}، مثل {count} كتاب من كتبك المحفوظة",
+  },
+
+  // ../a11y
+  "cover.alt": "غلاف {title}",
+  "cover.none": "لا يتوفر غلاف لكتاب {title}",
+
+  // ../theme
+  "theme.auto": "مظهر النظام",
+  "theme.light": "المظهر الفاتح",
+  "theme.dark": "المظهر الداكن",
+  "theme.contrast": "مظهر عالي التباين",
+
+  // ../BookCard
+  "book.unknownAuthor": "مؤلف غير معروف",
+  "book.unknown": "غير معروف",
+  "book.na": "غير متوفر",
+  "book.firstPublished": "أول نشر: {year}",
+  "book.ebook": "كتاب إلكتروني",
+  "book.editions": {
+    zero: "لا طبعات",
+    one: "طبعة واحدة",
+    two: "طبعتان",
+    few: "{count} طبعات",
+    many: "{count} طبعة",
+    other: "{count} طبعة",
+  },
+  "book.editionsShort": { other: "{count} ط." },
+  "book.details": "التفاصيل",
+  "book.save": "حفظ",
+  "book.saved": "محفوظ",
+  "compare.toggle": "مقارنة",
+  "compare.toggleLabel": "مقارنة {title}",
+  "compare.full": {
+    one: "تتسع المقارنة لكتاب واحد على الأكثر",
+    two: "تتسع المقارنة لكتابين على الأكثر",
+    few: "تتسع المقارنة لـ {count} كتب على الأكثر",
+    many: "تتسع المقارنة لـ {count} كتابًا على الأكثر",
+    other: "تتسع المقارنة لـ {count} كتاب على الأكثر",
+  },
+
+  // shared by several components
+  "common.retry": "إعادة المحاولة",
+  "common.close": "إغلاق",
+  "common.cancel": "إلغاء",
+  "common.remove": "إزالة",
+  "common.clear": "مسح",
+  "common.loading": "جارٍ التحميل…",
+
+  // ../BookDetailsModal
+  "details.less": "أقل",
+  "details.more": "المزيد",
+  "details.authors": "المؤلفون:",
+  "details.firstPublished": "أول نشر:",
+  "details.languages": "اللغات:",
+  "details.loadingEditions": "جارٍ تحميل الطبعات…",
+  "details.editionsError": "تعذّر تحميل الطبعات.",
+  "details.edition": "الطبعة",
+  "details.editionsShown": "(أول {shown} من {total})",
+  "details.moreEditions": "تحميل المزيد من الطبعات",
+  "details.allEditions": { other: "كل الطبعات ({count})" },
+  "details.publisher": "الناشر",
+  "details.published": "تاريخ النشر",
+  "details.pages": "الصفحات",
+  "details.format": "الشكل",
+  "details.subjects": "المواضيع:",
+  "details.loadingDescription": "جارٍ تحميل الوصف…",
+  "details.workError": "تعذّر تحميل السجل الكامل لهذا الكتاب.",
+  "details.noDescription": "لا يتوفر وصف.",
+  "details.excerpts": "مقتطفات",
+  "details.links": "روابط",
+  "details.aboutAuthors": { one: "عن المؤلف", two: "عن المؤلفَين", other: "عن المؤلفين" },
+  "details.loadingAuthors": "جارٍ تحميل المؤلفين…",
+  "details.authorsError": "تعذّر تحميل تفاصيل المؤلفين.",
+  "details.removeFromCompare": "إزالة من المقارنة",
+  "details.compareEdition": "مقارنة هذه الطبعة",
+  "details.addToCompare": "إضافة إلى المقارنة",
+  "details.viewOn": "عرض في {catalog}",
+
+  // ../CompareView
+  "compare.region": "مقارنة",
+  "compare.trayCount": { other: "مقارنة ({count}/{max}):" },
+  "compare.removeBook": "إزالة {title} من المقارنة",
+  "compare.pickAtLeast": {
+    one: "اختر كتابًا واحدًا على الأقل",
+    two: "اختر كتابين على الأقل",
+    few: "اختر {count} كتب على الأقل",
+    many: "اختر {count} كتابًا على الأقل",
+    other: "اختر {count} كتاب على الأقل",
+  },
+  "compare.open": { other: "مقارنة {count}" },
+  "compare.title": {
+    one: "مقارنة كتاب واحد",
+    two: "مقارنة كتابين",
+    few: "مقارنة {count} كتب",
+    many: "مقارنة {count} كتابًا",
+    other: "مقارنة {count} كتاب",
+  },
+  "compare.field": "الحقل",
+  "compare.sharedSubjects": "مواضيع مشتركة",
+  "compare.uniqueSubjects": "مواضيع هنا فقط",
+  "compare.andMore": { other: "و{count} أخرى" },
+  "compare.highlightNote": "الصفوف المميزة تختلف بين الكتب.",
+
+  // ../FacetSidebar
+  "facets.label": "تصفية النتائج",
+  "facets.showFewer": "عرض أقل",
+  "facets.showMore": { other: "عرض {count} أخرى" },
+  "facets.remove": "إزالة {label}",
+  "facets.clear": "مسح عوامل التصفية",
+
+  // ../SearchBox
+  "search.placeholder": "مثل: هياكل البيانات، Tolkien، تعلم الآلة، 9780131103627",
+  "search.label": "البحث عن كتب",
+  "search.suggestions": "اقتراحات",
+  "search.recent": "حديث",
+  "search.recentIn": "حديث · {field}",
+  "search.clearRecent": "مسح عمليات البحث الحديثة",
+
+  // ../AdvancedSearch
+  "advanced.cycleOp": "تبديل AND / OR / NOT",
+  "advanced.edit": "تعديل",
+  "advanced.remove": "إزالة {clause}",
+  "advanced.clearAll": "مسح الكل",
+  "advanced.combine": "الدمج مع",
+  "advanced.field": "الحقل",
+  "advanced.match": "المطابقة",
+  "advanced.contains": "يحتوي على",
+  "advanced.is": "هو",
+  "advanced.value": "القيمة",
+  "advanced.yearPlaceholder": "مثل: 1950-1970",
+  "advanced.update": "تحديث",
+  "advanced.add": "إضافة شرط",
+  "advanced.fromYear": "من سنة",
+  "advanced.from": "من",
+  "advanced.toYear": "إلى سنة",
+  "advanced.to": "إلى",
+  "advanced.syntax": "صيغة البحث",
+  "advanced.apply": "تطبيق",
+
+  // ../SavedDrawer
+  "shelves.title": "المحفوظة ({count})",
+  "shelves.all": "الكل ({count})",
+  "shelves.stars": {
+    one: "نجمة واحدة",
+    two: "نجمتان",
+    few: "{count} نجوم",
+    many: "{count} نجمة",
+    other: "{count} نجمة",
+  },
+  "shelves.shelf": "الرف",
+  "shelves.status": "الحالة",
+  "shelves.rating": "تقييمك لكتاب {title}",
+  "shelves.started": "تاريخ البدء",
+  "shelves.finished": "تاريخ الانتهاء",
+  "shelves.notes": "ملاحظات",
+  "shelves.added": "أُضيف في {date}",
+  "shelves.renamePrompt": "إعادة تسمية الرف",
+  "shelves.deleteConfirm": "حذف رف «{name}»؟ ستنتقل كتبه إلى {fallback}.",
+  "shelves.newShelf": "رف جديد",
+  "shelves.newShelfName": "اسم الرف الجديد",
+  "shelves.addShelf": "إضافة رف",
+  "shelves.rename": "إعادة تسمية الرف",
+  "shelves.delete": "حذف الرف",
+  "shelves.empty": "استخدم زر الحفظ في أي بطاقة للاحتفاظ بالكتاب هنا.",
+  "shelves.filterPlaceholder": "التصفية حسب العنوان أو المؤلف أو الملاحظات",
+  "shelves.filter": "تصفية الكتب المحفوظة",
+  "shelves.filterStatus": "التصفية حسب الحالة",
+  "shelves.anyStatus": "أي حالة",
+  "shelves.sort": "ترتيب الكتب المحفوظة",
+  "shelves.noMatch": "لا توجد كتب محفوظة مطابقة.",
+
+  // ../RecommendedBooks
+  "recommended.title": "مقترحة لك",
+  "recommended.restore": {
+    one: "إظهار الكتاب المستبعد مرة أخرى",
+    two: "إظهار الكتابين المستبعدين مرة أخرى",
+    few: "إظهار {count} كتب مستبعدة مرة أخرى",
+    many: "إظهار {count} كتابًا مستبعدًا مرة أخرى",
+    other: "إظهار {count} كتاب مستبعد مرة أخرى",
+  },
+  "recommended.loading": "جارٍ البحث عن كتب تشبه ما حفظته…",
+  "recommended.none": "لا جديد لاقتراحه بعد. احفظ بضعة كتب أخرى لتوسيع البحث.",
+  "recommended.noSeeds": "تحتاج الكتب المحفوظة إلى مؤلفين أو مواضيع لتقديم الاقتراحات.",
+  "recommended.dismiss": "غير مهتم",
+  "recommended.dismissLabel": "غير مهتم بكتاب {title}",
+
+  // ../StatsDashboard
+  "stats.title": "إحصاءات القراءة",
+  "stats.year": "السنة",
+  "stats.goal": "هدف القراءة لعام {year}",
+  "stats.goalLabel": "الكتب المراد قراءتها في {year}",
+  "stats.goalProgress": {
+    one: "قُرئ {read} من كتاب واحد",
+    two: "قُرئ {read} من كتابين",
+    few: "قُرئ {read} من {count} كتب",
+    many: "قُرئ {read} من {count} كتابًا",
+    other: "قُرئ {read} من {count} كتاب",
+  },
+  "stats.noGoal": "حدّد هدفًا لمتابعة تقدّمك خلال السنة.",
+  "stats.goalDone": "تحقّق الهدف!",
+  "stats.ahead": {
+    one: "متقدّم على الخطة بكتاب واحد",
+    two: "متقدّم على الخطة بكتابين",
+    few: "متقدّم على الخطة بـ{count} كتب",
+    many: "متقدّم على الخطة بـ{count} كتابًا",
+    other: "متقدّم على الخطة بـ{count} كتاب",
+  },
+  "stats.behind": {
+    one: "متأخّر عن الخطة بكتاب واحد",
+    two: "متأخّر عن الخطة بكتابين",
+    few: "متأخّر عن الخطة بـ{count} كتب",
+    many: "متأخّر عن الخطة بـ{count} كتابًا",
+    other: "متأخّر عن الخطة بـ{count} كتاب",
+  },
+  "stats.onPace": "وفق الخطة تمامًا",
+  "stats.streaks": "السلاسل",
+  "stats.currentStreak": {
+    zero: "السلسلة الحالية: لا شيء",
+    one: "السلسلة الحالية: شهر واحد",
+    two: "السلسلة الحالية: شهران",
+    few: "السلسلة الحالية: {count} أشهر",
+    many: "السلسلة الحالية: {count} شهرًا",
+    other: "السلسلة الحالية: {count} شهر",
+  },
+  "stats.longestStreak": {
+    one: "الأطول: شهر واحد، حتى {month}",
+    two: "الأطول: شهران، حتى {month}",
+    few: "الأطول: {count} أشهر، حتى {month}",
+    many: "الأطول: {count} شهرًا، حتى {month}",
+    other: "الأطول: {count} شهر، حتى {month}",
+  },
+  "stats.noStreak": "أنهِ كتابًا لتبدأ سلسلة.",
+  "stats.streakHint": "السلسلة أشهر متتالية أُنهي في كل منها كتاب واحد على الأقل.",
+  "stats.totals": "{saved} محفوظة · {finished} منتهية",
+  "stats.perMonth": "الكتب المنتهية في كل شهر من {year}",
+  "stats.decades": "الكتب المحفوظة حسب عقد النشر الأول",
+  "stats.languages": "الكتب المحفوظة حسب اللغة",
+  "stats.subjects": "أبرز المواضيع",
+  "stats.authors": "أبرز المؤلفين",
+  "stats.empty": "لا شيء لعرضه بعد.",
+  "stats.exportImage": "تصدير صورة",
+  "stats.exportJson": "تصدير JSON",
+  "stats.imageFailed": "تعذّر على هذا المتصفح رسم الإحصاءات كصورة.",
+
+  // ../BrowseViews, and the results pager
+  "pager.label": "الصفحات",
+  "pager.prev": "▶ السابق",
+  "pager.next": "التالي ◀",
+  "pager.previous": "الصفحة السابقة",
+  "pager.nextPage": "الصفحة التالية",
+  "pager.pageOf": "الصفحة {page} من {total}",
+  "browse.loading": "جارٍ تحميل الكتب…",
+  "browse.none": "لم يُعثر على كتب.",
+  "browse.truncated": { other: "يُعرض أول {count} بالترتيب." },
+  "browse.back": "→ رجوع",
+  "browse.authorBooks": {
+    one: "كتاب واحد، الأقدم أولًا",
+    two: "كتابان، الأقدم أولًا",
+    few: "{count} كتب، الأقدم أولًا",
+    many: "{count} كتابًا، الأقدم أولًا",
+    other: "{count} كتاب، الأقدم أولًا",
+  },
+  "browse.books": {
+    zero: "لا كتب",
+    one: "كتاب واحد",
+    two: "كتابان",
+    few: "{count} كتب",
+    many: "{count} كتابًا",
+    other: "{count} كتاب",
+  },
+  "browse.relatedSubjects": "مواضيع ذات صلة:",
+  "browse.authors": "المؤلفون:",
+
+  // ../ImportExport
+  "import.export": "تصدير:",
+  "import.open": "استيراد…",
+  "import.help": "الصق أو اختر ملف تصدير مكتبة Goodreads، أو ملف تصدير JSON من Book Finder، أو قائمة بأرقام ISBN (رقم في كل سطر).",
+  "import.data": "بيانات الاستيراد",
+  "import.file": "ملف الاستيراد",
+  "import.preview": "معاينة",
+  "import.badJson": "لا يبدو هذا ملف تصدير JSON من Book Finder.",
+  "import.format.json": "JSON من Book Finder",
+  "import.format.goodreads": "CSV من Goodreads",
+  "import.format.isbn": "قائمة ISBN",
+  "import.summary": "{format}: {rows} صف · {matched} مطابق · {unmatched} غير مطابق · {duplicates} مكرر",
+  "import.lookingUp": "جارٍ البحث…",
+  "import.include": "استيراد",
+  "import.row": "الصف",
+  "import.fromFile": "من الملف",
+  "import.match": "المطابقة",
+  "import.rowLabel": "استيراد الصف {line}",
+  "import.alreadySaved": "محفوظ مسبقًا",
+  "import.duplicateRow": "صف مكرر",
+  "import.noMatch": "لا تطابق",
+  "import.commit": {
+    zero: "استيراد",
+    one: "استيراد كتاب واحد",
+    two: "استيراد كتابين",
+    few: "استيراد {count} كتب",
+    many: "استيراد {count} كتابًا",
+    other: "استيراد {count} كتاب",
+  },
+
+  // ../IsbnTools
+  "scan.title": "مسح رمز شريطي",
+  "scan.photo": "صورة الرمز الشريطي",
+  "scan.useCamera": "استخدام الكاميرا",
+  "scan.stopCamera": "إيقاف الكاميرا",
+  "scan.preview": "معاينة الكاميرا",
+  "scan.notIsbn": "قُرئ {code}، لكنه ليس رمز ISBN لكتاب.",
+  "scan.found": "عُثر على ISBN {isbn}.",
+  "scan.looking": "جارٍ البحث عن رمز شريطي…",
+  "scan.none": "لم يُعثر على رمز شريطي. جرّب صورة أوضح وأكثر استقامة يملأ فيها الرمز الإطار.",
+  "scan.unreadable": "هذا الملف ليس صورة يمكننا قراءتها.",
+  "scan.noCamera": "لا يمكن لهذا المتصفح استخدام الكاميرا هنا؛ ارفع صورة بدلًا من ذلك.",
+  "scan.holdSteady": "أمسك الرمز الشريطي ثابتًا أمام الكاميرا…",
+  "scan.cameraFailed": "تعذّر فتح الكاميرا. تحقق من إذن المتصفح، أو ارفع صورة بدلًا من ذلك.",
+  "isbnBatch.title": "البحث عن قائمة",
+  "isbnBatch.placeholder": "رقم ISBN في كل سطر، مثل\n978-0-13-110362-7\n0441013597",
+  "isbnBatch.label": "قائمة ISBN",
+  "isbnBatch.lookUp": "بحث",
+  "isbnBatch.summary": "{count} ISBN · {found} موجود · {missing} غير موجود · {invalid} غير صالح",
+  "isbnBatch.saveFound": { other: "حفظ الموجود ({count})" },
+  "isbnBatch.isbn": "ISBN",
+  "isbnBatch.book": "الكتاب",
+  "isbnBatch.notFound": "غير موجود في هذا الفهرس",
+
+  // ../findBook
+  "app.title": "Book Finder",
+  "app.intro": "ابحث بالعنوان أو المؤلف أو الموضوع أو رقم ISBN. صفِّ النتائج حسب اللغة وتوفر الكتاب الإلكتروني.",
+  "app.shortcutBefore": "اضغط ",
+  "app.shortcutAfter": " للانتقال إلى مربع البحث.",
+  "app.skipToResults": "الانتقال إلى النتائج",
+  "app.online": "متصل",
+  "app.offline": "غير متصل: الكتب المحفوظة وعمليات البحث السابقة فقط",
+  "app.pendingSync": { other: "{count} بانتظار المزامنة" },
+  "app.theme": "المظهر",
+  "app.language": "اللغة",
+  "app.search": "بحث",
+  "app.in": "في",
+  "app.searchIn": "البحث في",
+  "app.allFields": "كل الحقول",
+  "app.pin": "تثبيت هذا البحث",
+  "app.advanced": "متقدم",
+  "app.isbnTools": "مسح رمز شريطي أو البحث عن قائمة أرقام ISBN",
+  "app.ebookOnly": "الكتب الإلكترونية فقط",
+  "app.bookLanguage": "لغة الكتاب",
+  "app.anyLanguage": "أي لغة",
+  "app.commonLanguages": "الشائعة",
+  "app.allLanguages": "كل اللغات",
+  "app.sort": "الترتيب",
+  "app.catalog": "الفهرس",
+  "app.pinned": "المثبتة:",
+  "app.unpin": "إلغاء تثبيت {search}",
+  "app.results": "النتائج",
+  "app.layout": "تخطيط النتائج",
+  "app.pages": "صفحات",
+  "app.continuous": "متواصل",
+  "app.perPageLabel": "النتائج في كل صفحة",
+  "app.perPage": { other: "{count} في الصفحة" },
+  "app.resultsPages": "صفحات النتائج",
+  "app.prev": "السابق",
+  "app.next": "التالي",
+  "app.pagesSuffix": "صفحات",
+  "app.page": "الصفحة",
+  "app.goToPage": "الانتقال إلى صفحة",
+  "app.go": "انتقال",
+  "app.showing": "عرض {shown} من {total}",
+  "app.filtered": { other: "{count} من {loaded} محمّلة تطابق عوامل التصفية" },
+  "app.noneHint": "جرّب كلمات أقل أو حقلًا آخر أو فهرسًا مختلفًا.",
+  "app.noneFiltered": "لا تطابق أي من النتائج المحمّلة عوامل التصفية هذه.",
+  "app.noneFilteredHint": "أزل أحد عوامل التصفية، أو حمّل مزيدًا من النتائج.",
+  "app.loadMore": "تحميل المزيد",
+  "app.footer": "صُنع من أجل Alex • React + Bootstrap • Open Library API",
+  "results.searching": "جارٍ البحث…",
+  "results.count": {
+    zero: "لا نتائج",
+    one: "نتيجة واحدة",
+    two: "نتيجتان",
+    few: "{count} نتائج",
+    many: "{count} نتيجة",
+    other: "{count} نتيجة",
+  },
+  "results.countApprox": { one: "نحو نتيجة واحدة", two: "نحو نتيجتين", few: "نحو {count} نتائج", other: "نحو {count} نتيجة" },
+  "results.truncated": "(مرتبة: أولى النتائج فقط)",
+  "results.page": "الصفحة {page} من {total}",
+  "results.noResults": "لا نتائج",
+  "provider.local": "الفهرس المحلي",
+};
+
+export default ar;
@@ -0,0 +1,391 @@
+// English: the source catalog every other locale is checked against (see
+// ../i18n). Plural messages need at least `one` and `other`.
+const en = {
+  // ../errors
+  "error.generic": "Something went wrong. Please try again.",
+  "error.offline": "You're offline and this search hasn't been run before. Saved books and earlier searches still work.",
+  "error.network": "Couldn't reach the catalog. Check your connection and try again.",
+  "error.rateLimited": "The catalog is getting too many requests. Please wait a moment and try again.",
+  "error.rateLimitedFor": {
+    one: "The catalog is getting too many requests. Try again in {count} second.",
+    other: "The catalog is getting too many requests. Try again in {count} seconds.",
+  },
+  "error.malformed": "The catalog sent back a response we couldn't read. Please try again.",
+  "error.server": "The catalog is having trouble (error {status}). Please try again.",
+  "error.http": "The catalog couldn't answer this request (error {status}).",
+
+  // ../isbn
+  "isbn.empty": "Enter an ISBN.",
+  "isbn.characters": "An ISBN only has digits (and an X at the end of some ISBN-10s).",
+  "isbn.length": "An ISBN has 10 or 13 digits.",
+  "isbn.checksum": "That ISBN's check digit doesn't match; there's probably a typo.",
+
+  // ../facets
+  "facet.access": "eBook access",
+  "facet.language": "Language",
+  "facet.decade": "First published",
+  "facet.subject": "Subject",
+  "facet.author": "Author",
+  "facet.decadeValue": "{decade}s",
+  "facet.chip": "{facet}: {value}",
+  "access.public": "Free to read",
+  "access.borrowable": "Borrowable",
+  "access.none": "No eBook",
+
+  // ../compare
+  "compare.authors": "Authors",
+  "compare.firstPublished": "First published",
+  "compare.edition": "Edition",
+  "compare.editions": "Editions",
+  "compare.languages": "Languages",
+  "compare.ebook": "eBook",
+  "compare.anyEdition": "Any edition",
+  "compare.pages": { one: "{count} page", other: "{count} pages" },
+
+  // ../sorting
+  "sort.relevance": "Relevance",
+  "sort.old": "Year ↑",
+  "sort.new": "Year ↓",
+  "sort.title": "Title",
+  "sort.editions": "Most editions",
+  "sort.rating": "Top rated",
+  "sort.random": "Random",
+
+  // ../queryBuilder
+  "field.all": "Any field",
+  "field.title": "Title",
+  "field.author": "Author",
+  "field.subject": "Subject",
+  "field.isbn": "ISBN",
+  "field.publisher": "Publisher",
+  "field.place": "Place",
+  "field.year": "First published",
+  "clause.is": "{field} is {value}",
+  "clause.contains": "{field} contains {value}",
+  "clause.year": "{field} {value}",
+
+  // ../suggestions
+  "pinned.any": "(any)",
+  "pinned.inField": "{text} in {field}",
+  "pinned.ebooks": "eBooks",
+
+  // ../library
+  "status.want": "Want to read",
+  "status.reading": "Reading",
+  "status.finished": "Finished",
+  "status.abandoned": "Abandoned",
+  "shelf.want": "Want to Read",
+  "shelf.reading": "Reading",
+  "shelf.finished": "Finished",
+  "shelfSort.added": "Recently added",
+  "shelfSort.title": "Title",
+  "shelfSort.author": "Author",
+  "shelfSort.rating": "My rating",
+  "shelfSort.year": "First published",
+  "shelfSort.finished": "Date finished",
+
+  // ../recommendations
+  "recommend.byAuthor": {
+    one: "By {author}, like {count} of your saved books",
+    other: "By {author}, like {count} of your saved books",
+  },
+  "recommend.aboutSubjects": "About {subjects}, like books you saved",
+  "recommend.fromDecade": {
+    one: "From the {decade}s, like {count} of your saved books",
+    other: "From the {decade}s, like {count} of your saved books",
+  },
+
+  // ../a11y
+  "cover.alt": "Cover of {title}",
+  "cover.none": "No cover available for {title}",
+
+  // ../theme
+  "theme.auto": "System theme",
+  "theme.light": "Light theme",
+  "theme.dark": "Dark theme",
+  "theme.contrast": "High contrast theme",
+
+  // ../BookCard
+  "book.unknownAuthor": "Unknown author",
+  "book.unknown": "Unknown",
+  "book.na": "N/A",
+  "book.firstPublished": "First published: {year}",
+  "book.ebook": "eBook",
+  "book.editions": { one: "{count} edition", other: "{count} editions" },
+  "book.editionsShort": { one: "{count} ed.", other: "{count} ed." },
+  "book.details": "Details",
+  "book.save": "Save",
+  "book.saved": "Saved",
+  "compare.toggle": "Compare",
+  "compare.toggleLabel": "Compare {title}",
+  "compare.full": { one: "Compare holds {count} book at most", other: "Compare holds {count} books at most" },
+
+  // shared by several components
+  "common.retry": "Retry",
+  "common.close": "Close",
+  "common.cancel": "Cancel",
+  "common.remove": "Remove",
+  "common.clear": "Clear",
+  "common.loading": "Loading…",
+
+  // ../BookDetailsModal
+  "details.less": "Less",
+  "details.more": "More",
+  "details.authors": "Authors:",
+  "details.firstPublished": "First published:",
+  "details.languages": "Languages:",
+  "details.loadingEditions": "Loading editions…",
+  "details.editionsError": "Couldn't load the editions.",
+  "details.edition": "Edition",
+  "details.editionsShown": "(first {shown} of {total})",
+  "details.moreEditions": "Load more editions",
+  "details.allEditions": { one: "All editions ({count})", other: "All editions ({count})" },
+  "details.publisher": "Publisher",
+  "details.published": "Published",
+  "details.pages": "Pages",
+  "details.format": "Format",
+  "details.subjects": "Subjects:",
+  "details.loadingDescription": "Loading description…",
+  "details.workError": "Couldn't load the full record for this book.",
+  "details.noDescription": "No description available.",
+  "details.excerpts": "Excerpts",
+  "details.links": "Links",
+  "details.aboutAuthors": { one: "About the author", other: "About the authors" },
+  "details.loadingAuthors": "Loading authors…",
+  "details.authorsError": "Couldn't load the author details.",
+  "details.removeFromCompare": "Remove from compare",
+  "details.compareEdition": "Compare this edition",
+  "details.addToCompare": "Add to compare",
+  "details.viewOn": "View on {catalog}",
+
+  // ../CompareView
+  "compare.region": "Compare",
+  "compare.trayCount": { one: "Compare ({count}/{max}):", other: "Compare ({count}/{max}):" },
+  "compare.removeBook": "Remove {title} from compare",
+  "compare.pickAtLeast": { one: "Pick at least {count} book", other: "Pick at least {count} books" },
+  "compare.open": { one: "Compare {count}", other: "Compare {count}" },
+  "compare.title": { one: "Compare {count} book", other: "Compare {count} books" },
+  "compare.field": "Field",
+  "compare.sharedSubjects": "Subjects in common",
+  "compare.uniqueSubjects": "Subjects only here",
+  "compare.andMore": { one: "and {count} more", other: "and {count} more" },
+  "compare.highlightNote": "Highlighted rows differ between the books.",
+
+  // ../FacetSidebar
+  "facets.label": "Filter results",
+  "facets.showFewer": "Show fewer",
+  "facets.showMore": { one: "Show {count} more", other: "Show {count} more" },
+  "facets.remove": "Remove {label}",
+  "facets.clear": "Clear filters",
+
+  // ../SearchBox
+  "search.placeholder": "e.g., data structures, Tolkien, machine learning, 9780131103627",
+  "search.label": "Search books",
+  "search.suggestions": "Suggestions",
+  "search.recent": "Recent",
+  "search.recentIn": "Recent · {field}",
+  "search.clearRecent": "Clear recent searches",
+
+  // ../AdvancedSearch
+  "advanced.cycleOp": "Change AND / OR / NOT",
+  "advanced.edit": "Edit",
+  "advanced.remove": "Remove {clause}",
+  "advanced.clearAll": "Clear all",
+  "advanced.combine": "Combine with",
+  "advanced.field": "Field",
+  "advanced.match": "Match",
+  "advanced.contains": "contains",
+  "advanced.is": "is",
+  "advanced.value": "Value",
+  "advanced.yearPlaceholder": "e.g., 1950-1970",
+  "advanced.update": "Update",
+  "advanced.add": "Add clause",
+  "advanced.fromYear": "From year",
+  "advanced.from": "from",
+  "advanced.toYear": "To year",
+  "advanced.to": "to",
+  "advanced.syntax": "Query syntax",
+  "advanced.apply": "Apply",
+
+  // ../SavedDrawer
+  "shelves.title": "Saved ({count})",
+  "shelves.all": "All ({count})",
+  "shelves.stars": { one: "{count} star", other: "{count} stars" },
+  "shelves.shelf": "Shelf",
+  "shelves.status": "Status",
+  "shelves.rating": "Your rating for {title}",
+  "shelves.started": "Started",
+  "shelves.finished": "Finished",
+  "shelves.notes": "Notes",
+  "shelves.added": "Added {date}",
+  "shelves.renamePrompt": "Rename shelf",
+  "shelves.deleteConfirm": "Delete the \"{name}\" shelf? Its books move to {fallback}.",
+  "shelves.newShelf": "New shelf",
+  "shelves.newShelfName": "New shelf name",
+  "shelves.addShelf": "Add shelf",
+  "shelves.rename": "Rename shelf",
+  "shelves.delete": "Delete shelf",
+  "shelves.empty": "Use the Save button on any card to keep it here.",
+  "shelves.filterPlaceholder": "Filter by title, author or notes",
+  "shelves.filter": "Filter saved books",
+  "shelves.filterStatus": "Filter by status",
+  "shelves.anyStatus": "Any status",
+  "shelves.sort": "Sort saved books",
+  "shelves.noMatch": "No saved books match.",
+
+  // ../RecommendedBooks
+  "recommended.title": "Recommended for you",
+  "recommended.restore": { one: "Show {count} dismissed again", other: "Show {count} dismissed again" },
+  "recommended.loading": "Finding books like the ones you saved…",
+  "recommended.none": "Nothing new to recommend yet. Save a few more books to widen the net.",
+  "recommended.noSeeds": "Saved books need authors or subjects for recommendations.",
+  "recommended.dismiss": "Not interested",
+  "recommended.dismissLabel": "Not interested in {title}",
+
+  // ../StatsDashboard
+  "stats.title": "Reading stats",
+  "stats.year": "Year",
+  "stats.goal": "Reading goal for {year}",
+  "stats.goalLabel": "Books to read in {year}",
+  "stats.goalProgress": { one: "{read} of {count} book read", other: "{read} of {count} books read" },
+  "stats.noGoal": "Set a goal to follow your progress through the year.",
+  "stats.goalDone": "Goal reached!",
+  "stats.ahead": { one: "{count} book ahead of schedule", other: "{count} books ahead of schedule" },
+  "stats.behind": { one: "{count} book behind schedule", other: "{count} books behind schedule" },
+  "stats.onPace": "Right on schedule",
+  "stats.streaks": "Streaks",
+  "stats.currentStreak": { one: "Current streak: {count} month", other: "Current streak: {count} months" },
+  "stats.longestStreak": { one: "Longest: {count} month, to {month}", other: "Longest: {count} months, to {month}" },
+  "stats.noStreak": "Finish a book to start a streak.",
+  "stats.streakHint": "A streak is a run of months with at least one book finished in each.",
+  "stats.totals": "{saved} saved · {finished} finished",
+  "stats.perMonth": "Books finished per month in {year}",
+  "stats.decades": "Saved books by decade first published",
+  "stats.languages": "Saved books by language",
+  "stats.subjects": "Top subjects",
+  "stats.authors": "Top authors",
+  "stats.empty": "Nothing to show yet.",
+  "stats.exportImage": "Export image",
+  "stats.exportJson": "Export JSON",
+  "stats.imageFailed": "This browser couldn't draw the stats as an image.",
+
+  // ../BrowseViews, and the results pager
+  "pager.label": "Pages",
+  "pager.prev": "◀ Prev",
+  "pager.next": "Next ▶",
+  "pager.previous": "Previous page",
+  "pager.nextPage": "Next page",
+  "pager.pageOf": "Page {page} of {total}",
+  "browse.loading": "Loading books…",
+  "browse.none": "No books found.",
+  "browse.truncated": { one: "Showing the first {count} book in order.", other: "Showing the first {count} books in order." },
+  "browse.back": "← Back",
+  "browse.authorBooks": { one: "{count} book, oldest first", other: "{count} books, oldest first" },
+  "browse.books": { one: "{count} book", other: "{count} books" },
+  "browse.relatedSubjects": "Related subjects:",
+  "browse.authors": "Authors:",
+
+  // ../ImportExport
+  "import.export": "Export:",
+  "import.open": "Import…",
+  "import.help": "Paste or choose a Goodreads library export, a Book Finder JSON export, or a list of ISBNs (one per line).",
+  "import.data": "Import data",
+  "import.file": "Import file",
+  "import.preview": "Preview",
+  "import.badJson": "That doesn't look like a Book Finder JSON export.",
+  "import.format.json": "Book Finder JSON",
+  "import.format.goodreads": "Goodreads CSV",
+  "import.format.isbn": "ISBN list",
+  "import.summary": "{format}: {rows} rows · {matched} matched · {unmatched} unmatched · {duplicates} duplicates",
+  "import.lookingUp": "looking up…",
+  "import.include": "Import",
+  "import.row": "Row",
+  "import.fromFile": "From file",
+  "import.match": "Match",
+  "import.rowLabel": "Import row {line}",
+  "import.alreadySaved": "Already saved",
+  "import.duplicateRow": "Duplicate row",
+  "import.noMatch": "No match",
+  "import.commit": { one: "Import {count} book", other: "Import {count} books" },
+
+  // ../IsbnTools
+  "scan.title": "Scan a barcode",
+  "scan.photo": "Barcode photo",
+  "scan.useCamera": "Use camera",
+  "scan.stopCamera": "Stop camera",
+  "scan.preview": "Camera preview",
+  "scan.notIsbn": "Read {code}, but that isn't a book's ISBN barcode.",
+  "scan.found": "Found ISBN {isbn}.",
+  "scan.looking": "Looking for a barcode…",
+  "scan.none": "No barcode found. Try a sharper, straighter photo with the barcode filling the frame.",
+  "scan.unreadable": "That file isn't an image we can read.",
+  "scan.noCamera": "This browser can't use a camera here; upload a photo instead.",
+  "scan.holdSteady": "Hold the barcode steady in front of the camera…",
+  "scan.cameraFailed": "Couldn't open the camera. Check the browser's permission, or upload a photo instead.",
+  "isbnBatch.title": "Look up a list",
+  "isbnBatch.placeholder": "One ISBN per line, e.g.\n978-0-13-110362-7\n0441013597",
+  "isbnBatch.label": "ISBN list",
+  "isbnBatch.lookUp": "Look up",
+  "isbnBatch.summary": "{count} ISBNs · {found} found · {missing} not found · {invalid} invalid",
+  "isbnBatch.saveFound": { one: "Save {count} found", other: "Save {count} found" },
+  "isbnBatch.isbn": "ISBN",
+  "isbnBatch.book": "Book",
+  "isbnBatch.notFound": "Not found in this catalog",
+
+  // ../findBook
+  "app.title": "Book Finder",
+  "app.intro": "Search by title, author, subject, or ISBN. Filter by language and eBook availability.",
+  "app.shortcutBefore": "Press ",
+  "app.shortcutAfter": " to jump to the search box.",
+  "app.skipToResults": "Skip to results",
+  "app.online": "Online",
+  "app.offline": "Offline: saved books and earlier searches only",
+  "app.pendingSync": { one: "{count} waiting to sync", other: "{count} waiting to sync" },
+  "app.theme": "Theme",
+  "app.language": "Language",
+  "app.search": "Search",
+  "app.in": "In",
+  "app.searchIn": "Search in",
+  "app.allFields": "All fields",
+  "app.pin": "Pin this search",
+  "app.advanced": "Advanced",
+  "app.isbnTools": "Scan a barcode or look up a list of ISBNs",
+  "app.ebookOnly": "eBook only",
+  "app.bookLanguage": "Book language",
+  "app.anyLanguage": "Any language",
+  "app.commonLanguages": "Common",
+  "app.allLanguages": "All languages",
+  "app.sort": "Sort",
+  "app.catalog": "Catalog",
+  "app.pinned": "Pinned:",
+  "app.unpin": "Unpin {search}",
+  "app.results": "Results",
+  "app.layout": "Results layout",
+  "app.pages": "Pages",
+  "app.continuous": "Continuous",
+  "app.perPageLabel": "Results per page",
+  "app.perPage": { one: "{count} per page", other: "{count} per page" },
+  "app.resultsPages": "Results pages",
+  "app.prev": "Prev",
+  "app.next": "Next",
+  "app.pagesSuffix": "pages",
+  "app.page": "Page",
+  "app.goToPage": "Go to page",
+  "app.go": "Go",
+  "app.showing": "Showing {shown} of {total}",
+  "app.filtered": { one: "{count} of {loaded} loaded matches the filters", other: "{count} of {loaded} loaded match the filters" },
+  "app.noneHint": "Try fewer words, another field or a different catalog.",
+  "app.noneFiltered": "None of the loaded results match these filters.",
+  "app.noneFilteredHint": "Remove a filter, or load more results.",
+  "app.loadMore": "Load more",
+  "app.footer": "Built for Alex • React + Bootstrap • Open Library API",
+  "results.searching": "Searching…",
+  "results.count": { one: "{count} result", other: "{count} results" },
+  "results.countApprox": { one: "About {count} result", other: "About {count} results" },
+  "results.truncated": "(sorted: first results only)",
+  "results.page": "page {page} of {total}",
+  "results.noResults": "No results",
+  "provider.local": "Local catalog",
+};
+
+export default en;
@@ -0,0 +1,393 @@
+// Spanish. Keys follow ./en; plural forms are one and other.
+const es = {
+  // ../errors
+  "error.generic": "Algo salió mal. Inténtalo de nuevo.",
+  "error.offline": "No tienes conexión y esta búsqueda no se había hecho antes. Los libros guardados y las búsquedas anteriores siguen funcionando.",
+  "error.network": "No se pudo contactar con el catálogo. Revisa tu conexión e inténtalo de nuevo.",
+  "error.rateLimited": "El catálogo está recibiendo demasiadas solicitudes. Espera un momento e inténtalo de nuevo.",
+  "error.rateLimitedFor": {
+    one: "El catálogo está recibiendo demasiadas solicitudes. Inténtalo de nuevo dentro de {count} segundo.",
+    other: "El catálogo está recibiendo demasiadas solicitudes. Inténtalo de nuevo dentro de {count} segundos.",
+  },
+  "error.malformed": "El catálogo devolvió una respuesta que no pudimos leer. Inténtalo de nuevo.",
+  "error.server": "El catálogo tiene problemas (error {status}). Inténtalo de nuevo.",
+  "error.http": "El catálogo no pudo responder a esta solicitud (error {status}).",
+
+  // ../isbn
+  "isbn.empty": "Escribe un ISBN.",
+  "isbn.characters": "Un ISBN solo tiene dígitos (y una X al final de algunos ISBN-10).",
+  "isbn.length": "Un ISBN tiene 10 o 13 dígitos.",
+  "isbn.checksum": "El dígito de control de ese ISBN no coincide; probablemente hay un error.",
+
+  // ../facets
+  "facet.access": "Acceso al eBook",
+  "facet.language": "Idioma",
+  "facet.decade": "Primera publicación",
+  "facet.subject": "Tema",
+  "facet.author": "Autor",
+  "facet.decadeValue": "Años {decade}",
+  "facet.chip": "{facet}: {value}",
+  "access.public": "Lectura gratuita",
+  "access.borrowable": "En préstamo",
+  "access.none": "Sin eBook",
+
+  // ../compare
+  "compare.authors": "Autores",
+  "compare.firstPublished": "Primera publicación",
+  "compare.edition": "Edición",
+  "compare.editions": "Ediciones",
+  "compare.languages": "Idiomas",
+  "compare.ebook": "eBook",
+  "compare.anyEdition": "Cualquier edición",
+  "compare.pages": { one: "{count} página", other: "{count} páginas" },
+
+  // ../sorting
+  "sort.relevance": "Relevancia",
+  "sort.old": "Año ↑",
+  "sort.new": "Año ↓",
+  "sort.title": "Título",
+  "sort.editions": "Más ediciones",
+  "sort.rating": "Mejor valorados",
+  "sort.random": "Aleatorio",
+
+  // ../queryBuilder
+  "field.all": "Cualquier campo",
+  "field.title": "Título",
+  "field.author": "Autor",
+  "field.subject": "Tema",
+  "field.isbn": "ISBN",
+  "field.publisher": "Editorial",
+  "field.place": "Lugar",
+  "field.year": "Primera publicación",
+  "clause.is": "{field} es {value}",
+  "clause.contains": "{field} contiene {value}",
+  "clause.year": "{field} {value}",
+
+  // ../suggestions
+  "pinned.any": "(cualquiera)",
+  "pinned.inField": "{text} en {field}",
+  "pinned.ebooks": "eBooks",
+
+  // ../library
+  "status.want": "Quiero leer",
+  "status.reading": "Leyendo",
+  "status.finished": "Terminado",
+  "status.abandoned": "Abandonado",
+  "shelf.want": "Quiero leer",
+  "shelf.reading": "Leyendo",
+  "shelf.finished": "Terminados",
+  "shelfSort.added": "Añadidos recientemente",
+  "shelfSort.title": "Título",
+  "shelfSort.author": "Autor",
+  "shelfSort.rating": "Mi valoración",
+  "shelfSort.year": "Primera publicación",
+  "shelfSort.finished": "Fecha de fin",
+
+  // ../recommendations
+  "recommend.byAuthor": {
+    one: "De {author}, como {count} de tus libros guardados",
+    other: "De {author}, como {count} de tus libros guardados",
+  },
+  "recommend.aboutSubjects": "Sobre {subjects}, como libros que guardaste",
+  "recommend.fromDecade": {
+    one: "De los años {decade}, como {count} de tus libros guardados",
+    other: "De los años {decade}, como {count} de tus libros guardados",
+  },
+
+  // ../a11y
+  "cover.alt": "Portada de {title}",
+  "cover.none": "No hay portada de {title}",
+
+  // ../theme
+  "theme.auto": "Tema del sistema",
+  "theme.light": "Tema claro",
+  "theme.dark": "Tema oscuro",
+  "theme.contrast": "Tema de alto contraste",
+
+  // ../BookCard
+  "book.unknownAuthor": "Autor desconocido",
+  "book.unknown": "Desconocido",
+  "book.na": "N/D",
+  "book.firstPublished": "Primera publicación: {year}",
+  "book.ebook": "eBook",
+  "book.editions": { one: "{count} edición", other: "{count} ediciones" },
+  "book.editionsShort": { one: "{count} ed.", other: "{count} ed." },
+  "book.details": "Detalles",
+  "book.save": "Guardar",
+  "book.saved": "Guardado",
+  "compare.toggle": "Comparar",
+  "compare.toggleLabel": "Comparar {title}",
+  "compare.full": { one: "Se puede comparar {count} libro como máximo", other: "Se pueden comparar {count} libros como máximo" },
+
+  // shared by several components
+  "common.retry": "Reintentar",
+  "common.close": "Cerrar",
+  "common.cancel": "Cancelar",
+  "common.remove": "Quitar",
+  "common.clear": "Borrar",
+  "common.loading": "Cargando…",
+
+  // ../BookDetailsModal
+  "details.less": "Menos",
+  "details.more": "Más",
+  "details.authors": "Autores:",
+  "details.firstPublished": "Primera publicación:",
+  "details.languages": "Idiomas:",
+  "details.loadingEditions": "Cargando ediciones…",
+  "details.editionsError": "No se pudieron cargar las ediciones.",
+  "details.edition": "Edición",
+  "details.editionsShown": "(primeras {shown} de {total})",
+  "details.moreEditions": "Cargar más ediciones",
+  "details.allEditions": { one: "Todas las ediciones ({count})", other: "Todas las ediciones ({count})" },
+  "details.publisher": "Editorial",
+  "details.published": "Publicado",
+  "details.pages": "Páginas",
+  "details.format": "Formato",
+  "details.subjects": "Temas:",
+  "details.loadingDescription": "Cargando descripción…",
+  "details.workError": "No se pudo cargar la ficha completa de este libro.",
+  "details.noDescription": "No hay descripción.",
+  "details.excerpts": "Fragmentos",
+  "details.links": "Enlaces",
+  "details.aboutAuthors": { one: "Sobre el autor", other: "Sobre los autores" },
+  "details.loadingAuthors": "Cargando autores…",
+  "details.authorsError": "No se pudieron cargar los datos de los autores.",
+  "details.removeFromCompare": "Quitar de la comparación",
+  "details.compareEdition": "Comparar esta edición",
+  "details.addToCompare": "Añadir a la comparación",
+  "details.viewOn": "Ver en {catalog}",
+
+  // ../CompareView
+  "compare.region": "Comparar",
+  "compare.trayCount": { one: "Comparar ({count}/{max}):", other: "Comparar ({count}/{max}):" },
+  "compare.removeBook": "Quitar {title} de la comparación",
+  "compare.pickAtLeast": { one: "Elige al menos {count} libro", other: "Elige al menos {count} libros" },
+  "compare.open": { one: "Comparar {count}", other: "Comparar {count}" },
+  "compare.title": { one: "Comparar {count} libro", other: "Comparar {count} libros" },
+  "compare.field": "Campo",
+  "compare.sharedSubjects": "Temas en común",
+  "compare.uniqueSubjects": "Temas solo aquí",
+  "compare.andMore": { one: "y {count} más", other: "y {count} más" },
+  "compare.highlightNote": "Las filas resaltadas difieren entre los libros.",
+
+  // ../FacetSidebar
+  "facets.label": "Filtrar resultados",
+  "facets.showFewer": "Mostrar menos",
+  "facets.showMore": { one: "Mostrar {count} más", other: "Mostrar {count} más" },
+  "facets.remove": "Quitar {label}",
+  "facets.clear": "Borrar filtros",
+
+  // ../SearchBox
+  "search.placeholder": "p. ej., estructuras de datos, Tolkien, aprendizaje automático, 9780131103627",
+  "search.label": "Buscar libros",
+  "search.suggestions": "Sugerencias",
+  "search.recent": "Reciente",
+  "search.recentIn": "Reciente · {field}",
+  "search.clearRecent": "Borrar búsquedas recientes",
+
+  // ../AdvancedSearch
+  "advanced.cycleOp": "Cambiar AND / OR / NOT",
+  "advanced.edit": "Editar",
+  "advanced.remove": "Quitar {clause}",
+  "advanced.clearAll": "Borrar todo",
+  "advanced.combine": "Combinar con",
+  "advanced.field": "Campo",
+  "advanced.match": "Coincidencia",
+  "advanced.contains": "contiene",
+  "advanced.is": "es",
+  "advanced.value": "Valor",
+  "advanced.yearPlaceholder": "p. ej., 1950-1970",
+  "advanced.update": "Actualizar",
+  "advanced.add": "Añadir condición",
+  "advanced.fromYear": "Desde el año",
+  "advanced.from": "desde",
+  "advanced.toYear": "Hasta el año",
+  "advanced.to": "hasta",
+  "advanced.syntax": "Sintaxis de búsqueda",
+  "advanced.apply": "Aplicar",
+
+  // ../SavedDrawer
+  "shelves.title": "Guardados ({count})",
+  "shelves.all": "Todos ({count})",
+  "shelves.stars": { one: "{count} estrella", other: "{count} estrellas" },
+  "shelves.shelf": "Estantería",
+  "shelves.status": "Estado",
+  "shelves.rating": "Tu valoración de {title}",
+  "shelves.started": "Empezado",
+  "shelves.finished": "Terminado",
+  "shelves.notes": "Notas",
+  "shelves.added": "Añadido el {date}",
+  "shelves.renamePrompt": "Cambiar el nombre de la estantería",
+  "shelves.deleteConfirm": "¿Eliminar la estantería «{name}»? Sus libros pasarán a {fallback}.",
+  "shelves.newShelf": "Nueva estantería",
+  "shelves.newShelfName": "Nombre de la nueva estantería",
+  "shelves.addShelf": "Añadir estantería",
+  "shelves.rename": "Renombrar estantería",
+  "shelves.delete": "Eliminar estantería",
+  "shelves.empty": "Usa el botón Guardar de cualquier tarjeta para tener el libro aquí.",
+  "shelves.filterPlaceholder": "Filtrar por título, autor o notas",
+  "shelves.filter": "Filtrar libros guardados",
+  "shelves.filterStatus": "Filtrar por estado",
+  "shelves.anyStatus": "Cualquier estado",
+  "shelves.sort": "Ordenar libros guardados",
+  "shelves.noMatch": "Ningún libro guardado coincide.",
+
+  // ../RecommendedBooks
+  "recommended.title": "Recomendados para ti",
+  "recommended.restore": { one: "Volver a mostrar {count} descartado", other: "Volver a mostrar {count} descartados" },
+  "recommended.loading": "Buscando libros parecidos a los que guardaste…",
+  "recommended.none": "Todavía no hay nada nuevo que recomendar. Guarda algunos libros más para ampliar la búsqueda.",
+  "recommended.noSeeds": "Los libros guardados necesitan autores o temas para las recomendaciones.",
+  "recommended.dismiss": "No me interesa",
+  "recommended.dismissLabel": "No me interesa {title}",
+
+  // ../StatsDashboard
+  "stats.title": "Estadísticas de lectura",
+  "stats.year": "Año",
+  "stats.goal": "Meta de lectura para {year}",
+  "stats.goalLabel": "Libros para leer en {year}",
+  "stats.goalProgress": { one: "{read} de {count} libro leído", other: "{read} de {count} libros leídos" },
+  "stats.noGoal": "Fija una meta para seguir tu progreso a lo largo del año.",
+  "stats.goalDone": "¡Meta cumplida!",
+  "stats.ahead": { one: "{count} libro por delante del plan", other: "{count} libros por delante del plan" },
+  "stats.behind": { one: "{count} libro por detrás del plan", other: "{count} libros por detrás del plan" },
+  "stats.onPace": "Justo a tiempo",
+  "stats.streaks": "Rachas",
+  "stats.currentStreak": { one: "Racha actual: {count} mes", other: "Racha actual: {count} meses" },
+  "stats.longestStreak": { one: "La más larga: {count} mes, hasta {month}", other: "La más larga: {count} meses, hasta {month}" },
+  "stats.noStreak": "Termina un libro para empezar una racha.",
+  "stats.streakHint": "Una racha es una serie de meses con al menos un libro terminado en cada uno.",
+  "stats.totals": "{saved} guardados · {finished} terminados",
+  "stats.perMonth": "Libros terminados por mes en {year}",
+  "stats.decades": "Libros guardados por década de primera publicación",
+  "stats.languages": "Libros guardados por idioma",
+  "stats.subjects": "Temas principales",
+  "stats.authors": "Autores principales",
+  "stats.empty": "Todavía no hay nada que mostrar.",
+  "stats.exportImage": "Exportar imagen",
+  "stats.exportJson": "Exportar JSON",
+  "stats.imageFailed": "Este navegador no pudo dibujar las estadísticas como imagen.",
+
+  // ../BrowseViews, and the results pager
+  "pager.label": "Páginas",
+  "pager.prev": "◀ Anterior",
+  "pager.next": "Siguiente ▶",
+  "pager.previous": "Página anterior",
+  "pager.nextPage": "Página siguiente",
+  "pager.pageOf": "Página {page} de {total}",
+  "browse.loading": "Cargando libros…",
+  "browse.none": "No se encontraron libros.",
+  "browse.truncated": { one: "Se muestra el primer libro en orden.", other: "Se muestran los primeros {count} libros en orden." },
+  "browse.back": "← Volver",
+  "browse.authorBooks": { one: "{count} libro, del más antiguo al más reciente", other: "{count} libros, del más antiguo al más reciente" },
+  "browse.books": { one: "{count} libro", other: "{count} libros" },
+  "browse.relatedSubjects": "Temas relacionados:",
+  "browse.authors": "Autores:",
+
+  // ../ImportExport
+  "import.export": "Exportar:",
+  "import.open": "Importar…",
+  "import.help": "Pega o elige una exportación de la biblioteca de Goodreads, una exportación JSON de Book Finder o una lista de ISBN (uno por línea).",
+  "import.data": "Datos a importar",
+  "import.file": "Archivo a importar",
+  "import.preview": "Vista previa",
+  "import.badJson": "Eso no parece una exportación JSON de Book Finder.",
+  "import.format.json": "JSON de Book Finder",
+  "import.format.goodreads": "CSV de Goodreads",
+  "import.format.isbn": "Lista de ISBN",
+  "import.summary": "{format}: {rows} filas · {matched} encontradas · {unmatched} sin coincidencia · {duplicates} duplicadas",
+  "import.lookingUp": "buscando…",
+  "import.include": "Importar",
+  "import.row": "Fila",
+  "import.fromFile": "Del archivo",
+  "import.match": "Coincidencia",
+  "import.rowLabel": "Importar la fila {line}",
+  "import.alreadySaved": "Ya guardado",
+  "import.duplicateRow": "Fila duplicada",
+  "import.noMatch": "Sin coincidencia",
+  "import.commit": { one: "Importar {count} libro", other: "Importar {count} libros" },
+
+  // ../IsbnTools
+  "scan.title": "Escanear un código de barras",
+  "scan.photo": "Foto del código de barras",
+  "scan.useCamera": "Usar la cámara",
+  "scan.stopCamera": "Detener la cámara",
+  "scan.preview": "Vista de la cámara",
+  "scan.notIsbn": "Se leyó {code}, pero no es el código ISBN de un libro.",
+  "scan.found": "ISBN encontrado: {isbn}.",
+  "scan.looking": "Buscando un código de barras…",
+  "scan.none": "No se encontró ningún código de barras. Prueba con una foto más nítida y recta en la que el código ocupe todo el encuadre.",
+  "scan.unreadable": "No podemos leer ese archivo como imagen.",
+  "scan.noCamera": "Este navegador no puede usar una cámara aquí; sube una foto.",
+  "scan.holdSteady": "Mantén el código de barras quieto delante de la cámara…",
+  "scan.cameraFailed": "No se pudo abrir la cámara. Revisa el permiso del navegador o sube una foto.",
+  "isbnBatch.title": "Buscar una lista",
+  "isbnBatch.placeholder": "Un ISBN por línea, p. ej.\n978-0-13-110362-7\n0441013597",
+  "isbnBatch.label": "Lista de ISBN",
+  "isbnBatch.lookUp": "Buscar",
+  "isbnBatch.summary": "{count} ISBN · {found} encontrados · {missing} no encontrados · {invalid} no válidos",
+  "isbnBatch.saveFound": { one: "Guardar {count} encontrado", other: "Guardar {count} encontrados" },
+  "isbnBatch.isbn": "ISBN",
+  "isbnBatch.book": "Libro",
+  "isbnBatch.notFound": "No está en este catálogo",
+
+  // ../findBook
+  "app.title": "Book Finder",
+  "app.intro": "Busca por título, autor, tema o ISBN. Filtra por idioma y disponibilidad en eBook.",
+  "app.shortcutBefore": "Pulsa ",
+  "app.shortcutAfter": " para ir al cuadro de búsqueda.",
+  "app.skipToResults": "Saltar a los resultados",
+  "app.online": "En línea",
+  "app.offline": "Sin conexión: solo libros guardados y búsquedas anteriores",
+  "app.pendingSync": { one: "{count} pendiente de sincronizar", other: "{count} pendientes de sincronizar" },
+  "app.theme": "Tema",
+  "app.language": "Idioma",
+  "app.search": "Buscar",
+  "app.in": "En",
+  "app.searchIn": "Buscar en",
+  "app.allFields": "Todos los campos",
+  "app.pin": "Fijar esta búsqueda",
+  "app.advanced": "Avanzada",
+  "app.isbnTools": "Escanear un código de barras o buscar una lista de ISBN",
+  "app.ebookOnly": "Solo eBook",
+  "app.bookLanguage": "Idioma del libro",
+  "app.anyLanguage": "Cualquier idioma",
+  "app.commonLanguages": "Frecuentes",
+  "app.allLanguages": "Todos los idiomas",
+  "app.sort": "Ordenar",
+  "app.catalog": "Catálogo",
+  "app.pinned": "Fijadas:",
+  "app.unpin": "Dejar de fijar {search}",
+  "app.results": "Resultados",
+  "app.layout": "Disposición de los resultados",
+  "app.pages": "Páginas",
+  "app.continuous": "Continua",
+  "app.perPageLabel": "Resultados por página",
+  "app.perPage": { one: "{count} por página", other: "{count} por página" },
+  "app.resultsPages": "Páginas de resultados",
+  "app.prev": "Anterior",
+  "app.next": "Siguiente",
+  "app.pagesSuffix": "páginas",
+  "app.page": "Página",
+  "app.goToPage": "Ir a la página",
+  "app.go": "Ir",
+  "app.showing": "Mostrando {shown} de {total}",
+  "app.filtered": {
+    one: "{count} de {loaded} cargados coincide con los filtros",
+    other: "{count} de {loaded} cargados coinciden con los filtros",
+  },
+  "app.noneHint": "Prueba con menos palabras, otro campo u otro catálogo.",
+  "app.noneFiltered": "Ninguno de los resultados cargados coincide con estos filtros.",
+  "app.noneFilteredHint": "Quita un filtro o carga más resultados.",
+  "app.loadMore": "Cargar más",
+  "app.footer": "Hecho para Alex • React + Bootstrap • API de Open Library",
+  "results.searching": "Buscando…",
+  "results.count": { one: "{count} resultado", other: "{count} resultados" },
+  "results.countApprox": { one: "Alrededor de {count} resultado", other: "Alrededor de {count} resultados" },
+  "results.truncated": "(ordenados: solo los primeros resultados)",
+  "results.page": "página {page} de {total}",
+  "results.noResults": "Sin resultados",
+  "provider.local": "Catálogo local",
+};
+
+export default es;
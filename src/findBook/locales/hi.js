@@ -0,0 +1,393 @@
+// Hindi. Keys follow ./en; plural forms are one (which covers 0 and 1) and other.
+const hi = {
+  // ../errors
+  "error.generic": "कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।",
+  "error.offline": "आप ऑफ़लाइन हैं और यह खोज पहले नहीं की गई थी। सहेजी गई किताबें और पिछली खोजें अब भी काम करती हैं।",
+  "error.network": "कैटलॉग से संपर्क नहीं हो सका। अपना कनेक्शन जाँचें और फिर से कोशिश करें।",
+  "error.rateLimited": "कैटलॉग को बहुत ज़्यादा अनुरोध मिल रहे हैं। कृपया थोड़ी देर रुककर फिर से कोशिश करें।",
+  "error.rateLimitedFor": {
+    one: "कैटलॉग को बहुत ज़्यादा अनुरोध मिल रहे हैं। {count} सेकंड बाद फिर से कोशिश करें।",
+    other: "कैटलॉग को बहुत ज़्यादा अनुरोध मिल रहे हैं। {count} सेकंड बाद फिर से कोशिश करें।",
+  },
+  "error.malformed": "कैटलॉग ने ऐसा जवाब भेजा जिसे हम पढ़ नहीं सके। कृपया फिर से कोशिश करें।",
+  "error.server": "कैटलॉग में समस्या है (त्रुटि {status})। कृपया फिर से कोशिश करें।",
+  "error.http": "कैटलॉग इस अनुरोध का जवाब नहीं दे सका (त्रुटि {status})।",
+
+  // ../isbn
+  "isbn.empty": "ISBN दर्ज करें।",
+  "isbn.characters": "ISBN में केवल अंक होते हैं (और कुछ ISBN-10 के अंत में X)।",
+  "isbn.length": "ISBN में 10 या 13 अंक होते हैं।",
+  "isbn.checksum": "उस ISBN का जाँच अंक मेल नहीं खाता; शायद टाइपिंग में गलती है।",
+
+  // ../facets
+  "facet.access": "ई-बुक उपलब्धता",
+  "facet.language": "भाषा",
+  "facet.decade": "पहली बार प्रकाशित",
+  "facet.subject": "विषय",
+  "facet.author": "लेखक",
+  "facet.decadeValue": "{decade} का दशक",
+  "facet.chip": "{facet}: {value}",
+  "access.public": "मुफ़्त में पढ़ें",
+  "access.borrowable": "उधार उपलब्ध",
+  "access.none": "ई-बुक नहीं",
+
+  // ../compare
+  "compare.authors": "लेखक",
+  "compare.firstPublished": "पहली बार प्रकाशित",
+  "compare.edition": "संस्करण",
+  "compare.editions": "संस्करण",
+  "compare.languages": "भाषाएँ",
+  "compare.ebook": "ई-बुक",
+  "compare.anyEdition": "कोई भी संस्करण",
+  "compare.pages": { one: "{count} पृष्ठ", other: "{count} पृष्ठ" },
+
+  // ../sorting
+  "sort.relevance": "प्रासंगिकता",
+  "sort.old": "वर्ष ↑",
+  "sort.new": "वर्ष ↓",
+  "sort.title": "शीर्षक",
+  "sort.editions": "सबसे ज़्यादा संस्करण",
+  "sort.rating": "सबसे ऊँची रेटिंग",
+  "sort.random": "यादृच्छिक",
+
+  // ../queryBuilder
+  "field.all": "कोई भी फ़ील्ड",
+  "field.title": "शीर्षक",
+  "field.author": "लेखक",
+  "field.subject": "विषय",
+  "field.isbn": "ISBN",
+  "field.publisher": "प्रकाशक",
+  "field.place": "स्थान",
+  "field.year": "पहली बार प्रकाशित",
+  "clause.is": "{field} {value} है",
+  "clause.contains": "{field} में {value} है",
+  "clause.year": "{field} {value}",
+
+  // ../suggestions
+  "pinned.any": "(कोई भी)",
+  "pinned.inField": "{field} में {text}",
+  "pinned.ebooks": "ई-बुक",
+
+  // ../library
+  "status.want": "पढ़नी है",
+  "status.reading": "पढ़ रहे हैं",
+  "status.finished": "पढ़ ली",
+  "status.abandoned": "छोड़ दी",
+  "shelf.want": "पढ़नी हैं",
+  "shelf.reading": "पढ़ रहे हैं",
+  "shelf.finished": "पढ़ ली गईं",
+  "shelfSort.added": "हाल में जोड़ी गईं",
+  "shelfSort.title": "शीर्षक",
+  "shelfSort.author": "लेखक",
+  "shelfSort.rating": "मेरी रेटिंग",
+  "shelfSort.year": "पहली बार प्रकाशित",
+  "shelfSort.finished": "पूरी करने की तारीख़",
+
+  // ../recommendations
+  "recommend.byAuthor": {
+    one: "{author} की, आपकी {count} सहेजी गई किताब की तरह",
+    other: "{author} की, आपकी {count} सहेजी गई किताबों की तरह",
+  },
+  "recommend.aboutSubjects": "{subjects} के बारे में, आपकी सहेजी गई किताबों की तरह",
+  "recommend.fromDecade": {
+    one: "{decade} के दशक की, आपकी {count} सहेजी गई किताब की तरह",
+    other: "{decade} के दशक की, आपकी {count} सहेजी गई किताबों की तरह",
+  },
+
+  // ../a11y
+  "cover.alt": "{title} का आवरण",
+  "cover.none": "{title} का आवरण उपलब्ध नहीं है",
+
+  // ../theme
+  "theme.auto": "सिस्टम थीम",
+  "theme.light": "हल्की थीम",
+  "theme.dark": "गहरी थीम",
+  "theme.contrast": "उच्च कंट्रास्ट थीम",
+
+  // ../BookCard
+  "book.unknownAuthor": "अज्ञात लेखक",
+  "book.unknown": "अज्ञात",
+  "book.na": "उपलब्ध नहीं",
+  "book.firstPublished": "पहली बार प्रकाशित: {year}",
+  "book.ebook": "ई-बुक",
+  "book.editions": { one: "{count} संस्करण", other: "{count} संस्करण" },
+  "book.editionsShort": { one: "{count} सं.", other: "{count} सं." },
+  "book.details": "विवरण",
+  "book.save": "सहेजें",
+  "book.saved": "सहेजी गई",
+  "compare.toggle": "तुलना करें",
+  "compare.toggleLabel": "{title} की तुलना करें",
+  "compare.full": { one: "अधिकतम {count} किताब की तुलना हो सकती है", other: "अधिकतम {count} किताबों की तुलना हो सकती है" },
+
+  // shared by several components
+  "common.retry": "फिर से कोशिश करें",
+  "common.close": "बंद करें",
+  "common.cancel": "रद्द करें",
+  "common.remove": "हटाएँ",
+  "common.clear": "साफ़ करें",
+  "common.loading": "लोड हो रहा है…",
+
+  // ../BookDetailsModal
+  "details.less": "कम",
+  "details.more": "और",
+  "details.authors": "लेखक:",
+  "details.firstPublished": "पहली बार प्रकाशित:",
+  "details.languages": "भाषाएँ:",
+  "details.loadingEditions": "संस्करण लोड हो रहे हैं…",
+  "details.editionsError": "संस्करण लोड नहीं हो सके।",
+  "details.edition": "संस्करण",
+  "details.editionsShown": "({total} में से पहले {shown})",
+  "details.moreEditions": "और संस्करण लोड करें",
+  "details.allEditions": { one: "सभी संस्करण ({count})", other: "सभी संस्करण ({count})" },
+  "details.publisher": "प्रकाशक",
+  "details.published": "प्रकाशित",
+  "details.pages": "पृष्ठ",
+  "details.format": "प्रारूप",
+  "details.subjects": "विषय:",
+  "details.loadingDescription": "विवरण लोड हो रहा है…",
+  "details.workError": "इस किताब का पूरा रिकॉर्ड लोड नहीं हो सका।",
+  "details.noDescription": "कोई विवरण उपलब्ध नहीं है।",
+  "details.excerpts": "अंश",
+  "details.links": "लिंक",
+  "details.aboutAuthors": { one: "लेखक के बारे में", other: "लेखकों के बारे में" },
+  "details.loadingAuthors": "लेखक लोड हो रहे हैं…",
+  "details.authorsError": "लेखकों का विवरण लोड नहीं हो सका।",
+  "details.removeFromCompare": "तुलना से हटाएँ",
+  "details.compareEdition": "इस संस्करण की तुलना करें",
+  "details.addToCompare": "तुलना में जोड़ें",
+  "details.viewOn": "{catalog} पर देखें",
+
+  // ../CompareView
+  "compare.region": "तुलना",
+  "compare.trayCount": { one: "तुलना ({count}/{max}):", other: "तुलना ({count}/{max}):" },
+  "compare.removeBook": "{title} को तुलना से हटाएँ",
+  "compare.pickAtLeast": { one: "कम से कम {count} किताब चुनें", other: "कम से कम {count} किताबें चुनें" },
+  "compare.open": { one: "{count} की तुलना करें", other: "{count} की तुलना करें" },
+  "compare.title": { one: "{count} किताब की तुलना", other: "{count} किताबों की तुलना" },
+  "compare.field": "फ़ील्ड",
+  "compare.sharedSubjects": "साझा विषय",
+  "compare.uniqueSubjects": "केवल यहाँ के विषय",
+  "compare.andMore": { one: "और {count}", other: "और {count}" },
+  "compare.highlightNote": "हाइलाइट की गई पंक्तियाँ किताबों के बीच अलग हैं।",
+
+  // ../FacetSidebar
+  "facets.label": "परिणाम छाँटें",
+  "facets.showFewer": "कम दिखाएँ",
+  "facets.showMore": { one: "{count} और दिखाएँ", other: "{count} और दिखाएँ" },
+  "facets.remove": "{label} हटाएँ",
+  "facets.clear": "फ़िल्टर साफ़ करें",
+
+  // ../SearchBox
+  "search.placeholder": "जैसे, डेटा स्ट्रक्चर, Tolkien, मशीन लर्निंग, 9780131103627",
+  "search.label": "किताबें खोजें",
+  "search.suggestions": "सुझाव",
+  "search.recent": "हाल की",
+  "search.recentIn": "हाल की · {field}",
+  "search.clearRecent": "हाल की खोजें साफ़ करें",
+
+  // ../AdvancedSearch
+  "advanced.cycleOp": "AND / OR / NOT बदलें",
+  "advanced.edit": "संपादित करें",
+  "advanced.remove": "{clause} हटाएँ",
+  "advanced.clearAll": "सब साफ़ करें",
+  "advanced.combine": "इसके साथ जोड़ें",
+  "advanced.field": "फ़ील्ड",
+  "advanced.match": "मिलान",
+  "advanced.contains": "में शामिल",
+  "advanced.is": "बराबर",
+  "advanced.value": "मान",
+  "advanced.yearPlaceholder": "जैसे, 1950-1970",
+  "advanced.update": "अपडेट करें",
+  "advanced.add": "शर्त जोड़ें",
+  "advanced.fromYear": "इस वर्ष से",
+  "advanced.from": "से",
+  "advanced.toYear": "इस वर्ष तक",
+  "advanced.to": "तक",
+  "advanced.syntax": "खोज सिंटैक्स",
+  "advanced.apply": "लागू करें",
+
+  // ../SavedDrawer
+  "shelves.title": "सहेजी गई ({count})",
+  "shelves.all": "सभी ({count})",
+  "shelves.stars": { one: "{count} सितारा", other: "{count} सितारे" },
+  "shelves.shelf": "शेल्फ़",
+  "shelves.status": "स्थिति",
+  "shelves.rating": "{title} के लिए आपकी रेटिंग",
+  "shelves.started": "शुरू की",
+  "shelves.finished": "पूरी की",
+  "shelves.notes": "नोट्स",
+  "shelves.added": "{date} को जोड़ी गई",
+  "shelves.renamePrompt": "शेल्फ़ का नाम बदलें",
+  "shelves.deleteConfirm": "\"{name}\" शेल्फ़ हटाएँ? इसकी किताबें {fallback} में चली जाएँगी।",
+  "shelves.newShelf": "नई शेल्फ़",
+  "shelves.newShelfName": "नई शेल्फ़ का नाम",
+  "shelves.addShelf": "शेल्फ़ जोड़ें",
+  "shelves.rename": "शेल्फ़ का नाम बदलें",
+  "shelves.delete": "शेल्फ़ हटाएँ",
+  "shelves.empty": "किसी भी कार्ड पर सहेजें बटन दबाकर किताब यहाँ रखें।",
+  "shelves.filterPlaceholder": "शीर्षक, लेखक या नोट्स से छाँटें",
+  "shelves.filter": "सहेजी गई किताबें छाँटें",
+  "shelves.filterStatus": "स्थिति से छाँटें",
+  "shelves.anyStatus": "कोई भी स्थिति",
+  "shelves.sort": "सहेजी गई किताबें क्रमबद्ध करें",
+  "shelves.noMatch": "कोई सहेजी गई किताब मेल नहीं खाती।",
+
+  // ../RecommendedBooks
+  "recommended.title": "आपके लिए सुझाव",
+  "recommended.restore": { one: "हटाई गई {count} किताब फिर दिखाएँ", other: "हटाई गई {count} किताबें फिर दिखाएँ" },
+  "recommended.loading": "आपकी सहेजी गई किताबों जैसी किताबें खोजी जा रही हैं…",
+  "recommended.none": "अभी सुझाने के लिए कुछ नया नहीं है। दायरा बढ़ाने के लिए कुछ और किताबें सहेजें।",
+  "recommended.noSeeds": "सुझावों के लिए सहेजी गई किताबों में लेखक या विषय होने चाहिए।",
+  "recommended.dismiss": "रुचि नहीं",
+  "recommended.dismissLabel": "{title} में रुचि नहीं",
+
+  // ../StatsDashboard
+  "stats.title": "पढ़ने के आँकड़े",
+  "stats.year": "वर्ष",
+  "stats.goal": "{year} का पढ़ने का लक्ष्य",
+  "stats.goalLabel": "{year} में पढ़ने के लिए किताबें",
+  "stats.goalProgress": { one: "{count} में से {read} किताब पढ़ी", other: "{count} में से {read} किताबें पढ़ीं" },
+  "stats.noGoal": "साल भर अपनी प्रगति देखने के लिए एक लक्ष्य तय करें।",
+  "stats.goalDone": "लक्ष्य पूरा हुआ!",
+  "stats.ahead": { one: "योजना से {count} किताब आगे", other: "योजना से {count} किताबें आगे" },
+  "stats.behind": { one: "योजना से {count} किताब पीछे", other: "योजना से {count} किताबें पीछे" },
+  "stats.onPace": "ठीक योजना के अनुसार",
+  "stats.streaks": "लगातार महीने",
+  "stats.currentStreak": { one: "मौजूदा सिलसिला: {count} महीना", other: "मौजूदा सिलसिला: {count} महीने" },
+  "stats.longestStreak": { one: "सबसे लंबा: {count} महीना, {month} तक", other: "सबसे लंबा: {count} महीने, {month} तक" },
+  "stats.noStreak": "सिलसिला शुरू करने के लिए एक किताब पूरी करें।",
+  "stats.streakHint": "सिलसिला लगातार ऐसे महीनों का होता है जिनमें हर महीने कम से कम एक किताब पूरी हुई हो।",
+  "stats.totals": "{saved} सहेजी गईं · {finished} पूरी हुईं",
+  "stats.perMonth": "{year} में हर महीने पूरी हुई किताबें",
+  "stats.decades": "पहले प्रकाशन के दशक के अनुसार सहेजी गई किताबें",
+  "stats.languages": "भाषा के अनुसार सहेजी गई किताबें",
+  "stats.subjects": "प्रमुख विषय",
+  "stats.authors": "प्रमुख लेखक",
+  "stats.empty": "अभी दिखाने के लिए कुछ नहीं है।",
+  "stats.exportImage": "छवि निर्यात करें",
+  "stats.exportJson": "JSON निर्यात करें",
+  "stats.imageFailed": "यह ब्राउज़र आँकड़ों को छवि के रूप में नहीं बना सका।",
+
+  // ../BrowseViews, and the results pager
+  "pager.label": "पृष्ठ",
+  "pager.prev": "◀ पिछला",
+  "pager.next": "अगला ▶",
+  "pager.previous": "पिछला पृष्ठ",
+  "pager.nextPage": "अगला पृष्ठ",
+  "pager.pageOf": "पृष्ठ {page} / {total}",
+  "browse.loading": "किताबें लोड हो रही हैं…",
+  "browse.none": "कोई किताब नहीं मिली।",
+  "browse.truncated": { one: "क्रम में पहली {count} किताब दिखाई जा रही है।", other: "क्रम में पहली {count} किताबें दिखाई जा रही हैं।" },
+  "browse.back": "← वापस",
+  "browse.authorBooks": { one: "{count} किताब, सबसे पुरानी पहले", other: "{count} किताबें, सबसे पुरानी पहले" },
+  "browse.books": { one: "{count} किताब", other: "{count} किताबें" },
+  "browse.relatedSubjects": "संबंधित विषय:",
+  "browse.authors": "लेखक:",
+
+  // ../ImportExport
+  "import.export": "निर्यात:",
+  "import.open": "आयात…",
+  "import.help": "Goodreads लाइब्रेरी का निर्यात, Book Finder JSON निर्यात, या ISBN की सूची (हर पंक्ति में एक) चिपकाएँ या चुनें।",
+  "import.data": "आयात डेटा",
+  "import.file": "आयात फ़ाइल",
+  "import.preview": "पूर्वावलोकन",
+  "import.badJson": "यह Book Finder JSON निर्यात जैसा नहीं लगता।",
+  "import.format.json": "Book Finder JSON",
+  "import.format.goodreads": "Goodreads CSV",
+  "import.format.isbn": "ISBN सूची",
+  "import.summary": "{format}: {rows} पंक्तियाँ · {matched} मिलीं · {unmatched} नहीं मिलीं · {duplicates} दोहराई गईं",
+  "import.lookingUp": "खोजा जा रहा है…",
+  "import.include": "आयात",
+  "import.row": "पंक्ति",
+  "import.fromFile": "फ़ाइल से",
+  "import.match": "मिलान",
+  "import.rowLabel": "पंक्ति {line} आयात करें",
+  "import.alreadySaved": "पहले से सहेजी गई",
+  "import.duplicateRow": "दोहराई गई पंक्ति",
+  "import.noMatch": "कोई मिलान नहीं",
+  "import.commit": { one: "{count} किताब आयात करें", other: "{count} किताबें आयात करें" },
+
+  // ../IsbnTools
+  "scan.title": "बारकोड स्कैन करें",
+  "scan.photo": "बारकोड की फ़ोटो",
+  "scan.useCamera": "कैमरा इस्तेमाल करें",
+  "scan.stopCamera": "कैमरा बंद करें",
+  "scan.preview": "कैमरा पूर्वावलोकन",
+  "scan.notIsbn": "{code} पढ़ा गया, लेकिन यह किसी किताब का ISBN बारकोड नहीं है।",
+  "scan.found": "ISBN {isbn} मिला।",
+  "scan.looking": "बारकोड खोजा जा रहा है…",
+  "scan.none": "कोई बारकोड नहीं मिला। ज़्यादा साफ़ और सीधी फ़ोटो लें जिसमें बारकोड पूरे फ़्रेम में हो।",
+  "scan.unreadable": "यह फ़ाइल ऐसी छवि नहीं है जिसे हम पढ़ सकें।",
+  "scan.noCamera": "यह ब्राउज़र यहाँ कैमरा इस्तेमाल नहीं कर सकता; इसके बजाय फ़ोटो अपलोड करें।",
+  "scan.holdSteady": "बारकोड को कैमरे के सामने स्थिर रखें…",
+  "scan.cameraFailed": "कैमरा नहीं खुल सका। ब्राउज़र की अनुमति जाँचें, या इसके बजाय फ़ोटो अपलोड करें।",
+  "isbnBatch.title": "सूची खोजें",
+  "isbnBatch.placeholder": "हर पंक्ति में एक ISBN, जैसे\n978-0-13-110362-7\n0441013597",
+  "isbnBatch.label": "ISBN सूची",
+  "isbnBatch.lookUp": "खोजें",
+  "isbnBatch.summary": "{count} ISBN · {found} मिले · {missing} नहीं मिले · {invalid} अमान्य",
+  "isbnBatch.saveFound": { one: "मिली {count} किताब सहेजें", other: "मिली {count} किताबें सहेजें" },
+  "isbnBatch.isbn": "ISBN",
+  "isbnBatch.book": "किताब",
+  "isbnBatch.notFound": "इस कैटलॉग में नहीं मिली",
+
+  // ../findBook
+  "app.title": "Book Finder",
+  "app.intro": "शीर्षक, लेखक, विषय या ISBN से खोजें। भाषा और ई-बुक उपलब्धता से छाँटें।",
+  "app.shortcutBefore": "खोज बॉक्स पर जाने के लिए ",
+  "app.shortcutAfter": " दबाएँ।",
+  "app.skipToResults": "परिणामों पर जाएँ",
+  "app.online": "ऑनलाइन",
+  "app.offline": "ऑफ़लाइन: केवल सहेजी गई किताबें और पिछली खोजें",
+  "app.pendingSync": { one: "{count} सिंक होने की प्रतीक्षा में", other: "{count} सिंक होने की प्रतीक्षा में" },
+  "app.theme": "थीम",
+  "app.language": "भाषा",
+  "app.search": "खोजें",
+  "app.in": "में",
+  "app.searchIn": "इसमें खोजें",
+  "app.allFields": "सभी फ़ील्ड",
+  "app.pin": "यह खोज पिन करें",
+  "app.advanced": "उन्नत",
+  "app.isbnTools": "बारकोड स्कैन करें या ISBN की सूची खोजें",
+  "app.ebookOnly": "केवल ई-बुक",
+  "app.bookLanguage": "किताब की भाषा",
+  "app.anyLanguage": "कोई भी भाषा",
+  "app.commonLanguages": "आम भाषाएँ",
+  "app.allLanguages": "सभी भाषाएँ",
+  "app.sort": "क्रम",
+  "app.catalog": "कैटलॉग",
+  "app.pinned": "पिन की गई:",
+  "app.unpin": "{search} अनपिन करें",
+  "app.results": "परिणाम",
+  "app.layout": "परिणामों का लेआउट",
+  "app.pages": "पृष्ठ",
+  "app.continuous": "लगातार",
+  "app.perPageLabel": "प्रति पृष्ठ परिणाम",
+  "app.perPage": { one: "प्रति पृष्ठ {count}", other: "प्रति पृष्ठ {count}" },
+  "app.resultsPages": "परिणामों के पृष्ठ",
+  "app.prev": "पिछला",
+  "app.next": "अगला",
+  "app.pagesSuffix": "पृष्ठ",
+  "app.page": "पृष्ठ",
+  "app.goToPage": "पृष्ठ पर जाएँ",
+  "app.go": "जाएँ",
+  "app.showing": "{total} में से {shown} दिखाए जा रहे हैं",
+  "app.filtered": {
+    one: "लोड किए गए {loaded} में से {count} फ़िल्टर से मेल खाता है",
+    other: "लोड किए गए {loaded} में से {count} फ़िल्टर से मेल खाते हैं",
+  },
+  "app.noneHint": "कम शब्द, कोई दूसरा फ़ील्ड या कोई दूसरा कैटलॉग आज़माएँ।",
+  "app.noneFiltered": "लोड किए गए कोई भी परिणाम इन फ़िल्टर से मेल नहीं खाते।",
+  "app.noneFilteredHint": "कोई फ़िल्टर हटाएँ, या और परिणाम लोड करें।",
+  "app.loadMore": "और लोड करें",
+  "app.footer": "Alex के लिए बनाया गया • React + Bootstrap • Open Library API",
+  "results.searching": "खोजा जा रहा है…",
+  "results.count": { one: "{count} परिणाम", other: "{count} परिणाम" },
+  "results.countApprox": { one: "लगभग {count} परिणाम", other: "लगभग {count} परिणाम" },
+  "results.truncated": "(क्रमबद्ध: केवल पहले परिणाम)",
+  "results.page": "पृष्ठ {page} / {total}",
+  "results.noResults": "कोई परिणाम नहीं",
+  "provider.local": "स्थानीय कैटलॉग",
+};
+
+export default hi;
@@ -0,0 +1,160 @@
+// A stand-in for the Open Library API, for tests: install() puts it in place
+// of global.fetch and it answers search.json, works, editions, authors and
+// subjects from a small made-up catalog, the way ./providers/openLibrary
+// asks for them. Every request is recorded; fail() makes the next ones go
+// wrong until recover().
+//
+//   const api = mockOpenLibrary().install();
+//   ...
+//   api.searches().at(-1).get("page")  // "2"
+
+const AUTHORS = [
+  { key: "OL1A", name: "Ursula K. Le Guin" },
+  { key: "OL2A", name: "Terry Pratchett" },
+  { key: "OL3A", name: "Octavia E. Butler" },
+];
+
+// 45 dragon books: three pages of 20, a third of them in Spanish, every
+// fourth one readable online
+export const MOCK_WORKS = Array.from({ length: 45 }, (_, i) => {
+  const author = AUTHORS[i % AUTHORS.length];
+  return {
+    key: `/works/OL${i + 1}W`,
+    title: `Dragon Book ${i + 1}`,
+    author_name: [author.name],
+    author_key: [author.key],
+    first_publish_year: 1960 + i,
+    language: [i % 3 === 2 ? "spa" : "eng"],
+    has_fulltext: i % 4 === 0,
+    ebook_access: i % 4 === 0 ? "public" : "no_ebook",
+    edition_count: 45 - i,
+    subject: ["Dragons", i % 2 ? "Fantasy" : "Science fiction"],
+    isbn: [String(9780000000000 + i)],
+  };
+});
+
+const json = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: async () => body,
+});
+
+const lower = (values) => (values || []).map((v) => String(v).toLowerCase());
+
+// "title:dragon author_key:OL1A" as a very small Solr: every word must match,
+// a field: prefix narrows it to that field
+function matchesQuery(work, q) {
+  const everything = [work.title, ...work.author_name, ...work.subject].join(" ").toLowerCase();
+  return q
+    .toLowerCase()
+    .replace(/[()"]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && word !== "and")
+    .every((word) => {
+      const [fieldName, value] = word.includes(":") ? word.split(/:(.*)/) : [null, word];
+      if (!fieldName) return everything.includes(value);
+      if (fieldName === "title") return work.title.toLowerCase().includes(value);
+      if (fieldName === "author") return lower(work.author_name).some((n) => n.includes(value));
+      return lower(work[fieldName]).some((v) => v.includes(value));
+    });
+}
+
+function search(works, params) {
+  let found = works.filter((work) => {
+    if (params.get("q") && !matchesQuery(work, params.get("q"))) return false;
+    if (params.get("title") && !work.title.toLowerCase().includes(params.get("title").toLowerCase())) return false;
+    if (params.get("author") && !lower(work.author_name).some((n) => n.includes(params.get("author").toLowerCase()))) return false;
+    if (params.get("subject") && !lower(work.subject).includes(params.get("subject").toLowerCase())) return false;
+    if (params.get("isbn") && !work.isbn.includes(params.get("isbn"))) return false;
+    if (params.get("has_fulltext") === "true" && !work.has_fulltext) return false;
+    if (params.get("language") && !work.language.includes(params.get("language"))) return false;
+    return true;
+  });
+  const sort = params.get("sort");
+  if (sort === "new") found = [...found].sort((a, b) => b.first_publish_year - a.first_publish_year);
+  if (sort === "old") found = [...found].sort((a, b) => a.first_publish_year - b.first_publish_year);
+  if (sort === "title") found = [...found].sort((a, b) => a.title.localeCompare(b.title));
+
+  const limit = Number(params.get("limit")) || 100;
+  const page = Number(params.get("page")) || 1;
+  return { numFound: found.length, docs: found.slice((page - 1) * limit, page * limit) };
+}
+
+function answer(works, url) {
+  const { pathname, searchParams } = url;
+  if (pathname === "/search.json") return json(200, search(works, searchParams));
+  if (pathname === "/search/authors.json") {
+    const q = (searchParams.get("q") || "").toLowerCase();
+    const docs = AUTHORS.filter((a) => a.name.toLowerCase().includes(q));
+    return json(200, { numFound: docs.length, docs });
+  }
+
+  const work = works.find((w) => pathname === `${w.key}.json`);
+  if (work) {
+    return json(200, {
+      key: work.key,
+      title: work.title,
+      authors: work.author_key.map((key) => ({ author: { key: `/authors/${key}` } })),
+      subjects: work.subject,
+      first_publish_date: String(work.first_publish_year),
+      description: `A book about dragons, number ${work.key.match(/\d+/)[0]}.`,
+    });
+  }
+  if (works.some((w) => pathname === `${w.key}/editions.json`)) return json(200, { size: 0, entries: [] });
+
+  const author = AUTHORS.find((a) => pathname === `/authors/${a.key}.json`);
+  if (author) return json(200, { key: `/authors/${author.key}`, name: author.name });
+
+  const subject = pathname.match(/^\/subjects\/(.+)\.json$/);
+  if (subject) {
+    const name = decodeURIComponent(subject[1]).replace(/_/g, " ");
+    const matching = works.filter((w) => lower(w.subject).includes(name));
+    return json(200, {
+      name,
+      work_count: matching.length,
+      works: matching.map((w) => ({ key: w.key, title: w.title, authors: [{ key: `/authors/${w.author_key[0]}`, name: w.author_name[0] }] })),
+    });
+  }
+  return json(404, { error: "notfound" });
+}
+
+export function mockOpenLibrary({ works = MOCK_WORKS } = {}) {
+  const requests = []; // every URL asked for, in order
+  let failure = null; // { status } or { network: true }
+  let originalFetch;
+
+  async function fetchMock(input, { signal } = {}) {
+    const url = new URL(String(input));
+    requests.push(url);
+    if (signal?.aborted) throw new DOMException("The request was aborted.", "AbortError");
+    if (failure?.network) throw new TypeError("Failed to fetch");
+    if (failure) return json(failure.status, { error: "failed" });
+    return answer(works, url);
+  }
+
+  const api = {
+    fetch: fetchMock,
+    requests,
+    // the query parameters of each search.json request
+    searches: () => requests.filter((url) => url.pathname === "/search.json").map((url) => url.searchParams),
+    // answer with this HTTP status, or { network: true } to not answer at all
+    fail: (how) => {
+      failure = typeof how === "number" ? { status: how } : how;
+      return api;
+    },
+    recover: () => {
+      failure = null;
+      return api;
+    },
+    install: () => {
+      originalFetch = global.fetch;
+      global.fetch = fetchMock;
+      return api;
+    },
+    uninstall: () => {
+      global.fetch = originalFetch;
+    },
+  };
+  return api;
+}
@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import { coverUrl, getProvider } from "./providers";
+import { isBrowserOnline } from "./requestCache";
+import { createSyncQueue } from "./syncQueue";
+import { cacheUrls } from "../serviceWorkerRegistration";
+
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(isBrowserOnline);
+  useEffect(() => {
+    const update = () => setOnline(isBrowserOnline());
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  return online;
+}
+
+// Fetch what the Details modal shows for a book, through the same requests it
+// makes, so a saved book opens fully from cache when there's no network.
+export async function cacheBookForOffline(book) {
+  const provider = getProvider(book.provider || "openlibrary");
+  const work = await provider.getWork(book.key);
+  const authorKeys = book.author_key?.length ? book.author_key : work.author_key || [];
+  await Promise.all([
+    provider.getEditions?.(book.key),
+    ...(provider.getAuthor ? authorKeys.map((key) => provider.getAuthor(key)) : []),
+  ]);
+  cacheUrls(["S", "M", "L"].map((size) => coverUrl(book, size)).filter(Boolean));
+}
+
+// Shared queue of network work that waits for a connection (see ./syncQueue)
+export const syncQueue = createSyncQueue({
+  handlers: {
+    cacheBook: ({ book }) => cacheBookForOffline(book),
+  },
+});
+
+export function usePendingSync() {
+  const [pending, setPending] = useState(() => syncQueue.pending().length);
+  useEffect(() => syncQueue.subscribe((actions) => setPending(actions.length)), []);
+  return pending;
+}
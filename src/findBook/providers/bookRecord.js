@@ -0,0 +1,81 @@
+// Every catalog provider maps its results onto this one record so the cards,
+// Saved drawer and Details modal never need to know where a book came from.
+// Field names follow Open Library's search docs, which is what the UI was
+// originally written against (and what older saved books in localStorage hold).
+export function makeBook(provider, fields) {
+  return {
+    key: fields.key,
+    title: fields.title || "Untitled",
+    author_name: toArray(fields.author_name),
+    author_key: toArray(fields.author_key),
+    cover_i: fields.cover_i || null,
+    cover_url: fields.cover_url || null,
+    first_publish_year: toYear(fields.first_publish_year),
+    ebook_access: fields.ebook_access || "no_ebook",
+    has_fulltext: Boolean(fields.has_fulltext),
+    language: toArray(fields.language),
+    edition_count: Number(fields.edition_count) || 0,
+    ratings_average: Number(fields.ratings_average) || null,
+    subject: toArray(fields.subject),
+    publisher: toArray(fields.publisher),
+    place: toArray(fields.place),
+    isbn: toArray(fields.isbn),
+    url: fields.url || null,
+    provider,
+  };
+}
+
+const EMPTY_BOOK = makeBook(null, {});
+
+// A fuller record of a book already shown (a work from getWork) laid over it.
+// Only the fields the fuller record has a value for are taken: a work record
+// that knows nothing of languages or author names keeps the search result's.
+export function mergeBook(book, fuller) {
+  const merged = { ...book };
+  for (const [field, value] of Object.entries(fuller)) {
+    if (value === undefined || value === null) continue;
+    if (field in EMPTY_BOOK && JSON.stringify(value) === JSON.stringify(EMPTY_BOOK[field])) continue;
+    merged[field] = value;
+  }
+  return merged;
+}
+
+// One printing of a work, for the Details modal's edition picker
+export function makeEdition(fields) {
+  return {
+    key: fields.key,
+    title: fields.title || "",
+    publisher: toArray(fields.publisher),
+    publish_date: fields.publish_date || "",
+    number_of_pages: Number(fields.number_of_pages) || null,
+    isbn_10: toArray(fields.isbn_10),
+    isbn_13: toArray(fields.isbn_13),
+    physical_format: fields.physical_format || "",
+    language: toArray(fields.language),
+    cover_i: fields.cover_i || null,
+    cover_url: fields.cover_url || null,
+  };
+}
+
+export function makeAuthor(fields) {
+  return {
+    key: fields.key,
+    name: fields.name || "Unknown",
+    bio: fields.bio || "",
+    birth_date: fields.birth_date || "",
+    death_date: fields.death_date || "",
+    photo_url: fields.photo_url || null,
+    url: fields.url || null,
+  };
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value.filter((v) => v !== null && v !== undefined && v !== "");
+  if (value === null || value === undefined || value === "") return [];
+  return [value];
+}
+
+function toYear(value) {
+  const year = parseInt(value, 10);
+  return Number.isFinite(year) ? year : null;
+}
@@ -0,0 +1,189 @@
+import { makeBook, makeEdition } from "./bookRecord";
+import { requestCache } from "../requestCache";
+import { parseYearRange, withMainQuery } from "../queryBuilder";
+import { languageCode, toAlpha2 } from "../languages";
+
+// Google Books uses two-letter language codes; the rest of the app uses the
+// three-letter codes Open Library returns (see ../languages).
+const fromAlpha2 = (code) => (code ? languageCode(code) : []);
+
+const FIELD_PREFIX = {
+  title: "intitle:",
+  author: "inauthor:",
+  subject: "subject:",
+  isbn: "isbn:",
+  publisher: "inpublisher:",
+};
+
+// Google's q only knows AND and "-" exclusion: OR is treated as AND, place
+// is ignored and year ranges are checked on the returned page (matchesYear),
+// which leaves the total an estimate (see search below).
+function compileClauses(clauses) {
+  return clauses
+    .filter((c) => FIELD_PREFIX[c.field] !== undefined || c.field === "all")
+    .map((c) => {
+      const prefix = FIELD_PREFIX[c.field] || "";
+      const value = c.field === "isbn" ? c.value.replace(/[\s-]/g, "") : c.value;
+      const terms = c.exact || c.field === "isbn" ? [`${prefix}"${value}"`] : value.split(/\s+/).map((w) => `${prefix}${w}`);
+      return terms.map((t) => (c.op === "NOT" ? `-${t}` : t)).join(" ");
+    })
+    .join(" ");
+}
+
+function matchesYear(book, clauses) {
+  return clauses
+    .filter((c) => c.field === "year")
+    .every((c) => {
+      const range = parseYearRange(c.value);
+      if (!range) return true;
+      const inRange =
+        book.first_publish_year !== null &&
+        (range.from === null || book.first_publish_year >= range.from) &&
+        (range.to === null || book.first_publish_year <= range.to);
+      return c.op === "NOT" ? !inRange : inRange;
+    });
+}
+
+const KEY_PREFIX = "gbooks:";
+
+export function createGoogleBooksProvider({
+  id = "googlebooks",
+  label = "Google Books",
+  baseUrl = "https://www.googleapis.com/books/v1",
+  apiKey = "",
+  cache = requestCache,
+} = {}) {
+  // null when nothing is left to send: Google has no year field, and it
+  // rejects an empty q, so a years-only search can't be asked at all
+  function buildUrl({ query = "", field = "all", clauses = [], ebookOnly = false, lang = "", sort = "relevance", page = 1, pageSize = 20 }) {
+    const params = new URLSearchParams();
+    const q = query.trim();
+    const compiled = clauses.length
+      ? compileClauses(withMainQuery(q, field, clauses))
+      : `${FIELD_PREFIX[field] || ""}${field === "isbn" ? q.replace(/[\s-]/g, "") : q}`;
+    if (!compiled.trim()) return null;
+    params.set("q", compiled);
+    // Google caps maxResults at 40
+    const limit = Math.min(pageSize, 40);
+    params.set("startIndex", String((page - 1) * limit));
+    params.set("maxResults", String(limit));
+    if (ebookOnly) params.set("filter", "ebooks");
+    if (lang) params.set("langRestrict", toAlpha2(lang) || lang);
+    if (sort === "new") params.set("orderBy", "newest");
+    if (apiKey) params.set("key", apiKey);
+    return `${baseUrl}/volumes?${params.toString()}`;
+  }
+
+  function toBook(volume) {
+    const info = volume.volumeInfo || {};
+    const access = volume.accessInfo || {};
+    const images = info.imageLinks || {};
+    const isbns = (info.industryIdentifiers || [])
+      .filter((i) => i.type === "ISBN_13" || i.type === "ISBN_10")
+      .map((i) => i.identifier);
+    const fullView = access.viewability === "ALL_PAGES" || access.publicDomain;
+
+    return makeBook(id, {
+      key: `${KEY_PREFIX}${volume.id}`,
+      title: info.subtitle ? `${info.title}: ${info.subtitle}` : info.title,
+      author_name: info.authors,
+      first_publish_year: info.publishedDate,
+      cover_url: https(images.thumbnail || images.smallThumbnail),
+      ebook_access: fullView ? "public" : access.viewability === "PARTIAL" ? "borrowable" : "no_ebook",
+      has_fulltext: fullView,
+      language: fromAlpha2(info.language),
+      subject: info.categories,
+      ratings_average: info.averageRating,
+      isbn: isbns,
+      url: info.infoLink || info.canonicalVolumeLink,
+    });
+  }
+
+  function getVolume(key, options) {
+    const volumeId = key.startsWith(KEY_PREFIX) ? key.slice(KEY_PREFIX.length) : key;
+    const params = apiKey ? `?key=${encodeURIComponent(apiKey)}` : "";
+    return cache.fetchJson(`${baseUrl}/volumes/${encodeURIComponent(volumeId)}${params}`, {
+      ...options,
+      validate: (volume) => typeof volume?.id === "string",
+    });
+  }
+
+  return {
+    id,
+    label,
+    // anything else is sorted client-side (see ../sorting)
+    sorts: ["relevance", "new"],
+    maxPageSize: 40,
+    buildUrl,
+
+    async search(params, options) {
+      const url = buildUrl(params);
+      if (!url) return { books: [], total: 0 };
+      // Google leaves `items` out when nothing matched, but always sends totalItems
+      const data = await cache.fetchJson(url, { ...options, validate: (d) => typeof d?.totalItems === "number" });
+      const items = Array.isArray(data.items) ? data.items : [];
+      const totalItems = Number(data.totalItems || 0);
+      const clauses = params.clauses || [];
+      if (!clauses.some((c) => c.field === "year")) return { books: items.map(toBook), total: totalItems };
+
+      // totalItems counts books outside the years too. Count the pages up to
+      // this one as full, plus one more page while Google has more to check.
+      const books = items.map(toBook).filter((book) => matchesYear(book, clauses));
+      const limit = Math.min(params.pageSize || 20, 40);
+      const offset = ((params.page || 1) - 1) * limit;
+      const more = offset + items.length < totalItems;
+      return { books, total: offset + books.length + (more ? limit : 0), approximate: true };
+    },
+
+    async getWork(key, options) {
+      const volume = await getVolume(key, options);
+      const info = volume.volumeInfo || {};
+      return {
+        ...toBook(volume),
+        description: stripHtml(info.description || ""),
+        excerpts: [],
+        links: [
+          info.previewLink && { title: "Preview", url: https(info.previewLink) },
+          volume.accessInfo?.webReaderLink && { title: "Read online", url: https(volume.accessInfo.webReaderLink) },
+        ].filter(Boolean),
+      };
+    },
+
+    // A Google volume already is a single edition
+    async getEditions(key, options) {
+      const volume = await getVolume(key, options);
+      const info = volume.volumeInfo || {};
+      const ids = info.industryIdentifiers || [];
+      const images = info.imageLinks || {};
+      const edition = makeEdition({
+        key: `${KEY_PREFIX}${volume.id}`,
+        title: info.subtitle ? `${info.title}: ${info.subtitle}` : info.title,
+        publisher: info.publisher,
+        publish_date: info.publishedDate,
+        number_of_pages: info.pageCount,
+        isbn_10: ids.filter((i) => i.type === "ISBN_10").map((i) => i.identifier),
+        isbn_13: ids.filter((i) => i.type === "ISBN_13").map((i) => i.identifier),
+        physical_format: info.printType === "BOOK" ? "" : (info.printType || "").toLowerCase(),
+        language: fromAlpha2(info.language),
+        cover_url: https(images.medium || images.small || images.thumbnail),
+      });
+      return { editions: [edition], total: 1 };
+    },
+
+    coverUrl(book) {
+      return book.cover_url || null;
+    },
+
+    bookUrl(book) {
+      return book.url;
+    },
+  };
+}
+
+function https(url) {
+  return url ? url.replace(/^http:/, "https:") : null;
+}
+
+function stripHtml(html) {
+  return html.replace(/<[^>]*>/g, "");
+}
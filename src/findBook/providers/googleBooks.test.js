@@ -0,0 +1,132 @@
+import { createGoogleBooksProvider } from "./googleBooks";
+import { createRequestCache } from "../requestCache";
+import { makeClause } from "../queryBuilder";
+
+// Trimmed from https://www.googleapis.com/books/v1/volumes?q=intitle:hobbit&maxResults=1
+const HOBBIT_VOLUME = {
+  kind: "books#volume",
+  id: "pD6arNyKyi8C",
+  volumeInfo: {
+    title: "The Hobbit",
+    subtitle: "Or There and Back Again",
+    authors: ["J.R.R. Tolkien"],
+    publisher: "HarperCollins UK",
+    publishedDate: "2012-02-15",
+    description: "<p>A <b>great</b> modern classic</p>",
+    industryIdentifiers: [
+      { type: "ISBN_13", identifier: "9780007458424" },
+      { type: "ISBN_10", identifier: "0007458428" },
+    ],
+    pageCount: 289,
+    printType: "BOOK",
+    categories: ["Fiction"],
+    averageRating: 4,
+    imageLinks: {
+      smallThumbnail: "http://books.google.com/books/content?id=pD6arNyKyi8C&printsec=frontcover&img=1&zoom=5",
+      thumbnail: "http://books.google.com/books/content?id=pD6arNyKyi8C&printsec=frontcover&img=1&zoom=1",
+    },
+    language: "en",
+    infoLink: "https://play.google.com/store/books/details?id=pD6arNyKyi8C",
+  },
+  accessInfo: { viewability: "PARTIAL", publicDomain: false },
+};
+
+const volume = (id, publishedDate) => ({ ...HOBBIT_VOLUME, id, volumeInfo: { ...HOBBIT_VOLUME.volumeInfo, publishedDate } });
+
+// A provider whose every request is answered with `body`
+function setup(body) {
+  const fetchImpl = jest.fn(async () => ({ ok: true, status: 200, json: async () => body }));
+  const provider = createGoogleBooksProvider({ baseUrl: "https://gb.test/books/v1", cache: createRequestCache({ fetchImpl }) });
+  return { provider, fetchImpl };
+}
+
+const params = (url) => new URL(url).searchParams;
+
+test("builds volume URLs with field prefixes, paging and filters", () => {
+  const { provider } = setup();
+  const url = provider.buildUrl({ query: "dune", field: "title", ebookOnly: true, lang: "spa", sort: "new", page: 3, pageSize: 20 });
+  expect(url.startsWith("https://gb.test/books/v1/volumes?")).toBe(true);
+  expect(Object.fromEntries(params(url))).toEqual({
+    q: "intitle:dune",
+    startIndex: "40",
+    maxResults: "20",
+    filter: "ebooks",
+    langRestrict: "es",
+    orderBy: "newest",
+  });
+  // Google caps a page at 40
+  expect(params(provider.buildUrl({ query: "dune", pageSize: 100 })).get("maxResults")).toBe("40");
+  expect(params(provider.buildUrl({ query: "978-0-441-01359-3", field: "isbn" })).get("q")).toBe("isbn:9780441013593");
+
+  const advanced = provider.buildUrl({ query: "dune", field: "all", clauses: [makeClause("author", "frank herbert"), makeClause("subject", "poetry", { op: "NOT" })] });
+  expect(params(advanced).get("q")).toBe("dune inauthor:frank inauthor:herbert -subject:poetry");
+  expect(params(createGoogleBooksProvider({ apiKey: "k" }).buildUrl({ query: "dune" })).get("key")).toBe("k");
+});
+
+test("normalizes a recorded volume into a book record", async () => {
+  const { provider } = setup({ kind: "books#volumes", totalItems: 1, items: [HOBBIT_VOLUME] });
+  const { books, total } = await provider.search({ query: "hobbit", field: "title" });
+  expect(total).toBe(1);
+  expect(books).toEqual([
+    {
+      key: "gbooks:pD6arNyKyi8C",
+      title: "The Hobbit: Or There and Back Again",
+      author_name: ["J.R.R. Tolkien"],
+      author_key: [],
+      cover_i: null,
+      cover_url: "https://books.google.com/books/content?id=pD6arNyKyi8C&printsec=frontcover&img=1&zoom=1",
+      first_publish_year: 2012,
+      ebook_access: "borrowable",
+      has_fulltext: false,
+      language: ["eng"],
+      edition_count: 0,
+      ratings_average: 4,
+      subject: ["Fiction"],
+      publisher: [],
+      place: [],
+      isbn: ["9780007458424", "0007458428"],
+      url: "https://play.google.com/store/books/details?id=pD6arNyKyi8C",
+      provider: "googlebooks",
+    },
+  ]);
+});
+
+test("a volume's details and its one edition", async () => {
+  const { provider, fetchImpl } = setup(HOBBIT_VOLUME);
+  const work = await provider.getWork("gbooks:pD6arNyKyi8C");
+  expect(fetchImpl.mock.calls[0][0]).toBe("https://gb.test/books/v1/volumes/pD6arNyKyi8C");
+  expect(work).toMatchObject({ key: "gbooks:pD6arNyKyi8C", description: "A great modern classic", excerpts: [] });
+
+  const { editions, total } = await provider.getEditions("gbooks:pD6arNyKyi8C");
+  expect(total).toBe(1);
+  expect(editions[0]).toMatchObject({ publisher: ["HarperCollins UK"], number_of_pages: 289, isbn_10: ["0007458428"], physical_format: "" });
+});
+
+test("a search of only years has nothing to send, so finds nothing", async () => {
+  const { provider, fetchImpl } = setup({ kind: "books#volumes", totalItems: 5, items: [volume("a", "1950")] });
+  const clauses = [makeClause("year", "1950-1970")];
+  expect(provider.buildUrl({ clauses })).toBeNull();
+  await expect(provider.search({ query: "", clauses })).resolves.toEqual({ books: [], total: 0 });
+  expect(fetchImpl).not.toHaveBeenCalled();
+});
+
+test("no items means no matches, but no totalItems means a broken reply", async () => {
+  await expect(setup({ kind: "books#volumes", totalItems: 0 }).provider.search({ query: "zzz" })).resolves.toEqual({ books: [], total: 0 });
+  await expect(setup({ kind: "books#volumes" }).provider.search({ query: "zzz" })).rejects.toMatchObject({ kind: "malformed" });
+});
+
+test("years are checked on the page, so the total becomes an estimate", async () => {
+  const items = [volume("a", "1937"), volume("b", "2012"), volume("c", "1966")];
+  const { provider } = setup({ kind: "books#volumes", totalItems: 100, items });
+  const clauses = [makeClause("year", "1900-1970")];
+
+  const first = await provider.search({ query: "hobbit", clauses, page: 1, pageSize: 3 });
+  expect(first.books.map((b) => b.key)).toEqual(["gbooks:a", "gbooks:c"]);
+  // what's been seen, plus one more page to look at
+  expect(first).toMatchObject({ total: 5, approximate: true });
+
+  // the last page Google has: no further pages are offered
+  const last = await provider.search({ query: "hobbit", clauses, page: 34, pageSize: 3 });
+  expect(last.total).toBe(99 + 2);
+  expect(await provider.search({ query: "hobbit" })).not.toHaveProperty("approximate");
+});
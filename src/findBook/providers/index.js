@@ -0,0 +1,72 @@
+import { createOpenLibraryProvider } from "./openLibrary";
+import { createGoogleBooksProvider } from "./googleBooks";
+import { createLocalCatalogProvider } from "./localCatalog";
+
+export { makeAuthor, makeBook, makeEdition, mergeBook } from "./bookRecord";
+export { createOpenLibraryProvider, createGoogleBooksProvider, createLocalCatalogProvider };
+
+// A provider is a plain object:
+//   id, label
+//   search({ query, field, clauses, ebookOnly, lang, sort, page, pageSize }, { signal }) -> { books, total, approximate }
+//     (clauses: advanced search, see ../queryBuilder; `approximate` when total is only an estimate)
+//   sorts: the orders search() applies itself; others are handled by ../sorting
+//   maxPageSize: largest pageSize search() accepts
+//   getWork(key, { signal }) -> book record plus `description`, `excerpts`, `links`
+//   getEditions(key, { offset, signal }) -> { editions, total }   (optional, see makeEdition;
+//     a page of them from `offset` on, when there are more than one page holds)
+//   getAuthor(authorKey, { signal }) -> author            (optional, see makeAuthor)
+//   getAuthorWorks(authorKey, { page, pageSize }, { signal }) -> { books, total }, oldest first (optional)
+//   getSubject(name, { page, pageSize }, { signal }) -> { name, books, total, subjects, authors } (optional)
+//     (without these, ../browse falls back to author/subject searches)
+//   suggest(text, { field }, { signal }) -> [{ kind, text }] (optional, see ../suggestions)
+//   coverUrl(book, "S" | "M" | "L") -> url or null
+//   bookUrl(book) -> url or null
+// The network-backed providers fetch through ../requestCache, so repeated
+// searches are answered from cache and a passed signal cancels them.
+const registry = new Map();
+
+export const DEFAULT_PROVIDER_ID = process.env.REACT_APP_CATALOG_PROVIDER || "openlibrary";
+
+export function registerProvider(provider) {
+  registry.set(provider.id, provider);
+  return provider;
+}
+
+export function listProviders() {
+  return [...registry.values()];
+}
+
+export function getProvider(id) {
+  return registry.get(id) || registry.get(DEFAULT_PROVIDER_ID) || registry.values().next().value;
+}
+
+registerProvider(
+  createOpenLibraryProvider({
+    baseUrl: process.env.REACT_APP_OPENLIBRARY_URL || undefined,
+  })
+);
+registerProvider(
+  createGoogleBooksProvider({
+    apiKey: process.env.REACT_APP_GOOGLE_BOOKS_KEY || "",
+  })
+);
+registerProvider(
+  createLocalCatalogProvider({
+    url: process.env.REACT_APP_LOCAL_CATALOG_URL || `${process.env.PUBLIC_URL || ""}/catalog.json`,
+  })
+);
+
+// Saved books from before providers existed carry no `provider`; they are Open Library docs.
+const providerFor = (book) => registry.get(book.provider || "openlibrary") || getProvider(book.provider);
+
+export function coverUrl(book, size = "M") {
+  return providerFor(book).coverUrl(book, size);
+}
+
+export function bookUrl(book) {
+  return providerFor(book).bookUrl(book);
+}
+
+export function providerLabel(book) {
+  return providerFor(book).label;
+}
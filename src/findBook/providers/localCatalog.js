@@ -0,0 +1,127 @@
+import { makeBook, makeEdition } from "./bookRecord";
+import { matchClauses, parseYearRange, withMainQuery } from "../queryBuilder";
+import { SORTS, sortBooks } from "../sorting";
+import { catalogError, httpError } from "../errors";
+import { sameIsbn } from "../isbn";
+import { sameLanguage } from "../languages";
+
+// An in-memory catalog, either handed a list of records directly or loaded
+// once from a JSON file (an array, or `{ "books": [...] }`). Useful as a
+// stand-in for an internal catalog and for working without the network.
+export function createLocalCatalogProvider({ id = "local", label = "Local catalog", books, url } = {}) {
+  let loading = null;
+  const seed = Math.random();
+  // Records may also carry description/excerpts/links/editions for the Details modal
+  const details = new Map();
+
+  function load() {
+    if (!loading) {
+      loading = books
+        ? Promise.resolve(books.map(toBook))
+        : fetch(url)
+            .catch((e) => {
+              throw catalogError("network", "Network request failed", { cause: e });
+            })
+            .then((res) => {
+              if (!res.ok) throw httpError(res.status);
+              return res.json().catch((e) => {
+                throw catalogError("malformed", "Catalog file isn't JSON", { cause: e });
+              });
+            })
+            .then((data) => {
+              const records = Array.isArray(data) ? data : data?.books;
+              if (!Array.isArray(records)) throw catalogError("malformed", "Catalog file has no list of books");
+              return records.map(toBook);
+            })
+            .catch((e) => {
+              // let the next search try again
+              loading = null;
+              throw e;
+            });
+    }
+    return loading;
+  }
+
+  function toBook(record) {
+    const book = makeBook(id, {
+      ...record,
+      key: String(record.key || record.id).startsWith(`${id}:`) ? record.key || record.id : `${id}:${record.key || record.id}`,
+    });
+    details.set(book.key, {
+      description: record.description || "",
+      excerpts: (record.excerpts || []).map((e) => (typeof e === "string" ? { text: e, comment: "" } : e)),
+      links: record.links || [],
+      editions: (record.editions || []).map(makeEdition),
+    });
+    return book;
+  }
+
+  return {
+    id,
+    label,
+    // the whole catalog is in memory, so every order is "server-side" here
+    sorts: SORTS.map((s) => s.id),
+    maxPageSize: 100,
+
+    async search({ query = "", field = "all", clauses = [], ebookOnly = false, lang = "", sort = "relevance", page = 1, pageSize = 20 }) {
+      const all = await load();
+      const searchClauses = withMainQuery(query, field, clauses);
+      const matches = all.filter(
+        (book) =>
+          matchClauses(searchClauses, (clause) => matchesClause(book, clause)) &&
+          (!ebookOnly || book.ebook_access === "public" || book.has_fulltext) &&
+          (!lang || book.language.some((l) => sameLanguage(l, lang)))
+      );
+      const sorted = sortBooks(matches, sort, { seed });
+      const start = (page - 1) * pageSize;
+      return { books: sorted.slice(start, start + pageSize), total: matches.length };
+    },
+
+    async getWork(key) {
+      const all = await load();
+      const book = all.find((b) => b.key === key);
+      if (!book) throw httpError(404);
+      const { editions, ...extra } = details.get(key);
+      return { ...book, ...extra };
+    },
+
+    async getEditions(key) {
+      await load();
+      const editions = details.get(key)?.editions || [];
+      return { editions, total: editions.length };
+    },
+
+    coverUrl(book) {
+      return book.cover_url || null;
+    },
+
+    bookUrl(book) {
+      return book.url;
+    },
+  };
+}
+
+// Whether one advanced-search clause (see ../queryBuilder) holds for a book
+export function matchesClause(book, { field, value, exact }) {
+  const q = value.toLowerCase();
+  // "is" compares the whole value, "contains" wants every word somewhere in it
+  const has = (values) =>
+    values.some((v) => {
+      const text = String(v).toLowerCase();
+      return exact ? text === q : q.split(/\s+/).every((word) => text.includes(word));
+    });
+  if (field === "title") return has([book.title]);
+  if (field === "author") return has(book.author_name);
+  if (field === "subject") return has(book.subject);
+  if (field === "publisher") return has(book.publisher);
+  if (field === "place") return has(book.place);
+  if (field === "isbn") return book.isbn.some((i) => sameIsbn(i, q));
+  if (field === "year") {
+    const range = parseYearRange(value);
+    const year = book.first_publish_year;
+    return Boolean(range) && year !== null && (range.from === null || year >= range.from) && (range.to === null || year <= range.to);
+  }
+  // across the title, authors and subjects the words may each be in a different one
+  const all = [book.title, ...book.author_name, ...book.subject];
+  return has(exact ? all : [all.join("\n")]);
+}
@@ -0,0 +1,83 @@
+import { createLocalCatalogProvider, matchesClause } from "./localCatalog";
+import { makeBook } from "./bookRecord";
+import { makeClause, parseQuerySyntax } from "../queryBuilder";
+
+// Records as they'd sit in public/catalog.json
+const CATALOG = {
+  books: [
+    {
+      id: "dune",
+      title: "Dune",
+      author_name: ["Frank Herbert"],
+      first_publish_year: "1965",
+      language: ["eng"],
+      subject: ["Science fiction", "Deserts"],
+      isbn: ["9780441013593"],
+      ebook_access: "public",
+      description: "Spice.",
+      excerpts: ["A beginning is the time for taking the most delicate care."],
+    },
+    { id: "hobbit", title: "The Hobbit", author_name: "J.R.R. Tolkien", first_publish_year: 1937, language: ["eng"], subject: ["Fantasy"] },
+    { key: "local:quijote", title: "Don Quijote", author_name: ["Miguel de Cervantes"], first_publish_year: 1605, language: ["spa"], subject: ["Satire"] },
+  ],
+};
+
+const realFetch = global.fetch;
+
+// The catalog file served by a stand-in fetch
+function served(body, { ok = true, status = 200 } = {}) {
+  global.fetch = jest.fn(async () => ({ ok, status, json: async () => body }));
+  return createLocalCatalogProvider({ url: "/catalog.json" });
+}
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+test("loads the catalog file once and normalizes its records", async () => {
+  const provider = served(CATALOG);
+  const { books, total } = await provider.search({ query: "", clauses: [], sort: "old" });
+  expect(total).toBe(3);
+  expect(books.map((b) => b.key)).toEqual(["local:quijote", "local:hobbit", "local:dune"]);
+  expect(books[2]).toEqual(makeBook("local", { ...CATALOG.books[0], key: "local:dune", first_publish_year: 1965 }));
+  expect(books[1]).toMatchObject({ author_name: ["J.R.R. Tolkien"], isbn: [], provider: "local" });
+
+  await provider.search({ query: "dune" });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch).toHaveBeenCalledWith("/catalog.json");
+  expect(await provider.getWork("local:dune")).toMatchObject({ description: "Spice.", excerpts: [{ text: expect.stringMatching(/^A beginning/) }] });
+});
+
+test("searches, filters and pages in memory", async () => {
+  const provider = served(CATALOG);
+  expect((await provider.search({ query: "herbert" })).books.map((b) => b.title)).toEqual(["Dune"]);
+  expect((await provider.search({ query: "", clauses: parseQuerySyntax("year:1900- -subject:fantasy") })).books.map((b) => b.title)).toEqual(["Dune"]);
+  expect((await provider.search({ query: "", clauses: [makeClause("all", "")], lang: "es" })).books.map((b) => b.title)).toEqual(["Don Quijote"]);
+  expect((await provider.search({ query: "", clauses: [makeClause("all", "")], ebookOnly: true })).total).toBe(1);
+  const page2 = await provider.search({ query: "", clauses: [makeClause("all", "")], sort: "title", page: 2, pageSize: 2 });
+  expect(page2).toMatchObject({ total: 3, books: [{ title: "The Hobbit" }] });
+});
+
+test("a file without a list of books, or that didn't load, is an error that can be retried", async () => {
+  await expect(served({ catalog: [] }).search({ query: "dune" })).rejects.toMatchObject({ kind: "malformed" });
+  const provider = served(null, { ok: false, status: 404 });
+  await expect(provider.search({ query: "dune" })).rejects.toMatchObject({ kind: "http", status: 404 });
+  global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => [CATALOG.books[0]] }));
+  expect((await provider.search({ query: "dune" })).total).toBe(1);
+});
+
+test("matches single clauses by field", () => {
+  const [dune] = CATALOG.books.map((record) => makeBook("local", record));
+  expect(matchesClause(dune, makeClause("title", "dune"))).toBe(true);
+  expect(matchesClause(dune, makeClause("author", "herbert frank"))).toBe(true);
+  expect(matchesClause(dune, makeClause("author", "herbert", { exact: true }))).toBe(false);
+  expect(matchesClause(dune, makeClause("author", "Frank Herbert", { exact: true }))).toBe(true);
+  expect(matchesClause(dune, makeClause("subject", "desert"))).toBe(true);
+  expect(matchesClause(dune, makeClause("isbn", "0441013597"))).toBe(true);
+  expect(matchesClause(dune, makeClause("year", "1960-1969"))).toBe(true);
+  expect(matchesClause(dune, makeClause("year", "-1950"))).toBe(false);
+  expect(matchesClause(dune, makeClause("year", "soon"))).toBe(false);
+  // "all" looks at title, authors and subjects
+  expect(matchesClause(dune, makeClause("all", "science herbert"))).toBe(true);
+  expect(matchesClause(dune, makeClause("publisher", "ace"))).toBe(false);
+});
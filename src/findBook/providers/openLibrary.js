@@ -0,0 +1,212 @@
+import { makeAuthor, makeBook, makeEdition } from "./bookRecord";
+import { requestCache } from "../requestCache";
+import { SORTS } from "../sorting";
+import { compileQuery, withMainQuery } from "../queryBuilder";
+import { suggestionsFromBooks } from "../suggestions";
+import { cleanIsbn } from "../isbn";
+import { languageCode } from "../languages";
+
+const SEARCH_FIELDS = [
+  "key",
+  "title",
+  "author_name",
+  "author_key",
+  "cover_i",
+  "first_publish_year",
+  "ebook_access",
+  "has_fulltext",
+  "language",
+  "edition_count",
+  "ratings_average",
+  "subject",
+];
+
+// Open Library, or any catalog that speaks its search.json API (pass baseUrl).
+export function createOpenLibraryProvider({
+  id = "openlibrary",
+  label = "Open Library",
+  baseUrl = "https://openlibrary.org",
+  coversUrl = "https://covers.openlibrary.org",
+  cache = requestCache,
+} = {}) {
+  // Build the API URL safely based on chosen field + filters
+  function buildUrl({ query = "", field = "all", clauses = [], ebookOnly = false, lang = "", sort = "relevance", page = 1, pageSize = 20 }) {
+    const params = new URLSearchParams();
+    params.set("page", String(page));
+    params.set("limit", String(pageSize));
+
+    const q = query.trim();
+    if (clauses.length) {
+      // advanced clauses go through Solr syntax, the main box included
+      params.set("q", compileQuery(withMainQuery(q, field, clauses)));
+    } else if (!q) {
+      params.set("q", "");
+    } else if (field === "title") {
+      params.set("title", q);
+    } else if (field === "author") {
+      params.set("author", q);
+    } else if (field === "subject") {
+      params.set("subject", q);
+    } else if (field === "isbn") {
+      params.set("isbn", cleanIsbn(q));
+    } else {
+      params.set("q", q);
+    }
+
+    if (ebookOnly) params.set("has_fulltext", "true");
+    if (lang) params.set("language", languageCode(lang));
+    // Open Library's sort names match ours (old, new, title, editions, rating, random)
+    if (sort && sort !== "relevance") params.set("sort", sort);
+
+    // limit fields to reduce response size
+    params.set("fields", SEARCH_FIELDS.join(","));
+
+    return `${baseUrl}/search.json?${params.toString()}`;
+  }
+
+  function toBook(doc) {
+    return makeBook(id, { ...doc, url: `${baseUrl}${doc.key}` });
+  }
+
+  // a reply without `docs` is broken, not empty (the cache rejects it, see ../errors)
+  const hasDocs = (data) => Array.isArray(data?.docs);
+  const isRecord = (data) => typeof data?.key === "string";
+
+  async function search(params, options) {
+    const data = await cache.fetchJson(buildUrl(params), { ...options, validate: hasDocs });
+    return {
+      books: data.docs.map(toBook),
+      total: Number(data.numFound || data.num_found || 0),
+    };
+  }
+
+  // Open Library text fields are either a string or { type, value }
+  const text = (value) => (typeof value === "string" ? value : value?.value || "");
+  const firstCover = (covers) => (Array.isArray(covers) ? covers.find((c) => c > 0) : null) || null;
+
+  return {
+    id,
+    label,
+    sorts: SORTS.map((s) => s.id),
+    maxPageSize: 100,
+    buildUrl,
+
+    search,
+
+    // `key` is a work key such as "/works/OL45804W"
+    async getWork(key, options) {
+      const work = await cache.fetchJson(`${baseUrl}${key}.json`, { ...options, validate: isRecord });
+      return {
+        ...makeBook(id, {
+          key: work.key,
+          title: work.title,
+          author_key: (work.authors || []).map((a) => a.author?.key?.replace("/authors/", "")).filter(Boolean),
+          cover_i: firstCover(work.covers),
+          subject: work.subjects,
+          place: work.subject_places,
+          first_publish_year: (work.first_publish_date || "").match(/\d{4}/)?.[0],
+          url: `${baseUrl}${work.key}`,
+        }),
+        description: text(work.description),
+        excerpts: (work.excerpts || []).map((e) => ({ text: text(e.excerpt), comment: e.comment || "" })).filter((e) => e.text),
+        links: (work.links || []).filter((l) => l.url).map((l) => ({ title: l.title || l.url, url: l.url })),
+      };
+    },
+
+    // A page of a work's editions: `offset` skips the ones already loaded
+    async getEditions(key, { offset = 0, limit = 50, ...options } = {}) {
+      const params = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+      const data = await cache.fetchJson(`${baseUrl}${key}/editions.json?${params.toString()}`, {
+        ...options,
+        validate: (d) => Array.isArray(d?.entries),
+      });
+      const editions = data.entries.map((e) =>
+        makeEdition({
+          key: e.key,
+          title: e.subtitle ? `${e.title}: ${e.subtitle}` : e.title,
+          publisher: e.publishers,
+          publish_date: e.publish_date,
+          number_of_pages: e.number_of_pages,
+          isbn_10: e.isbn_10,
+          isbn_13: e.isbn_13,
+          physical_format: e.physical_format,
+          language: (e.languages || []).map((l) => l.key.replace("/languages/", "")),
+          cover_i: firstCover(e.covers),
+        })
+      );
+      return { editions, total: Number(data.size) || editions.length };
+    },
+
+    // `key` is an author id such as "OL26320A" (as in a search doc's author_key)
+    async getAuthor(key, options) {
+      const path = key.startsWith("/authors/") ? key : `/authors/${key}`;
+      const author = await cache.fetchJson(`${baseUrl}${path}.json`, { ...options, validate: isRecord });
+      const photo = firstCover(author.photos);
+      return makeAuthor({
+        key: author.key,
+        name: author.personal_name && !author.name ? author.personal_name : author.name,
+        bio: text(author.bio),
+        birth_date: author.birth_date,
+        death_date: author.death_date,
+        photo_url: photo ? `${coversUrl}/a/id/${photo}-M.jpg` : null,
+        url: `${baseUrl}${author.key}`,
+      });
+    },
+
+    // Author names come from the author index, which knows authors with few books too
+    async suggest(text, { field }, options) {
+      if (field !== "author") {
+        const { books } = await search({ query: text, field, page: 1, pageSize: 10 }, options);
+        return suggestionsFromBooks(books, text, field);
+      }
+      const params = new URLSearchParams({ q: text, limit: "8" });
+      const data = await cache.fetchJson(`${baseUrl}/search/authors.json?${params.toString()}`, { ...options, validate: hasDocs });
+      return [...new Set(data.docs.map((a) => a.name).filter(Boolean))].map((name) => ({ kind: "author", text: name }));
+    },
+
+    // Everything filed under one author id, oldest first
+    getAuthorWorks(authorKey, { page = 1, pageSize = 20 } = {}, options) {
+      return search({ query: `author_key:${authorKey.replace("/authors/", "")}`, sort: "old", page, pageSize }, options);
+    },
+
+    // The subjects API ranks works by popularity and lists neighbouring subjects and authors
+    async getSubject(name, { page = 1, pageSize = 20 } = {}, options) {
+      const slug = encodeURIComponent(name.trim().toLowerCase().replace(/\s+/g, "_"));
+      const params = new URLSearchParams({ details: "true", limit: String(pageSize), offset: String((page - 1) * pageSize) });
+      const data = await cache.fetchJson(`${baseUrl}/subjects/${slug}.json?${params.toString()}`, {
+        ...options,
+        validate: (d) => Array.isArray(d?.works),
+      });
+      const books = data.works.map((w) =>
+        makeBook(id, {
+          key: w.key,
+          title: w.title,
+          author_name: (w.authors || []).map((a) => a.name),
+          author_key: (w.authors || []).map((a) => a.key.replace("/authors/", "")),
+          cover_i: w.cover_id,
+          first_publish_year: w.first_publish_year,
+          edition_count: w.edition_count,
+          has_fulltext: w.has_fulltext,
+          ebook_access: w.ebook_access,
+          subject: w.subject,
+          url: `${baseUrl}${w.key}`,
+        })
+      );
+      return {
+        name: data.name || name,
+        books,
+        total: Number(data.work_count) || books.length,
+        subjects: (data.subjects || []).map((s) => ({ name: s.name, count: s.count })),
+        authors: (data.authors || []).map((a) => ({ key: a.key.replace("/authors/", ""), name: a.name, count: a.count })),
+      };
+    },
+
+    coverUrl(book, size = "M") {
+      return book.cover_i ? `${coversUrl}/b/id/${book.cover_i}-${size}.jpg` : null;
+    },
+
+    bookUrl(book) {
+      return book.url || `${baseUrl}${book.key}`;
+    },
+  };
+}
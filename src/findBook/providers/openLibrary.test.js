@@ -0,0 +1,106 @@
+import { createOpenLibraryProvider } from "./openLibrary";
+import { createRequestCache } from "../requestCache";
+import { makeClause } from "../queryBuilder";
+
+// Trimmed from https://openlibrary.org/search.json?title=the+hobbit&limit=1
+const HOBBIT_SEARCH = {
+  numFound: 1,
+  start: 0,
+  numFoundExact: true,
+  docs: [
+    {
+      key: "/works/OL27482W",
+      title: "The Hobbit",
+      author_name: ["J.R.R. Tolkien"],
+      author_key: ["OL26320A"],
+      cover_i: 14627509,
+      first_publish_year: 1937,
+      ebook_access: "borrowable",
+      has_fulltext: true,
+      language: ["eng", "spa"],
+      edition_count: 1284,
+      ratings_average: 4.21,
+      subject: ["Fantasy", "Dragons"],
+    },
+  ],
+  num_found: 1,
+  q: "",
+  offset: null,
+};
+
+// A provider whose every request is answered with `body`
+function setup(body) {
+  const fetchImpl = jest.fn(async () => ({ ok: true, status: 200, json: async () => body }));
+  const provider = createOpenLibraryProvider({ baseUrl: "https://ol.test", cache: createRequestCache({ fetchImpl }) });
+  return { provider, fetchImpl };
+}
+
+const params = (url) => new URL(url).searchParams;
+
+test("builds search URLs for each field, with the filters", () => {
+  const { provider } = setup();
+  const url = provider.buildUrl({ query: " dune ", field: "title", ebookOnly: true, lang: "es", sort: "new", page: 3, pageSize: 50 });
+  expect(url.startsWith("https://ol.test/search.json?")).toBe(true);
+  expect(Object.fromEntries(params(url))).toMatchObject({ title: "dune", has_fulltext: "true", language: "spa", sort: "new", page: "3", limit: "50" });
+  expect(params(url).get("fields")).toContain("author_key");
+
+  expect(params(provider.buildUrl({ query: "ISBN 978-0-441-01359-3", field: "isbn" })).get("isbn")).toBe("9780441013593");
+  expect(params(provider.buildUrl({ query: "herbert", field: "author" })).get("author")).toBe("herbert");
+  const plain = params(provider.buildUrl({ query: "dune" }));
+  expect([plain.get("q"), plain.has("sort"), plain.get("page"), plain.get("limit")]).toEqual(["dune", false, "1", "20"]);
+});
+
+test("sends advanced clauses, the main box included, as one Solr query", () => {
+  const { provider } = setup();
+  const url = provider.buildUrl({ query: "dune", field: "title", clauses: [makeClause("year", "1960-1970"), makeClause("subject", "poetry", { op: "NOT" })] });
+  expect(params(url).get("q")).toBe("title:dune AND first_publish_year:[1960 TO 1970] AND NOT subject:poetry");
+  expect(params(url).has("title")).toBe(false);
+});
+
+test("normalizes a recorded search response into book records", async () => {
+  const { provider } = setup(HOBBIT_SEARCH);
+  const { books, total } = await provider.search({ query: "the hobbit", field: "title" });
+  expect(total).toBe(1);
+  expect(books).toEqual([
+    {
+      key: "/works/OL27482W",
+      title: "The Hobbit",
+      author_name: ["J.R.R. Tolkien"],
+      author_key: ["OL26320A"],
+      cover_i: 14627509,
+      cover_url: null,
+      first_publish_year: 1937,
+      ebook_access: "borrowable",
+      has_fulltext: true,
+      language: ["eng", "spa"],
+      edition_count: 1284,
+      ratings_average: 4.21,
+      subject: ["Fantasy", "Dragons"],
+      publisher: [],
+      place: [],
+      isbn: [],
+      url: "https://ol.test/works/OL27482W",
+      provider: "openlibrary",
+    },
+  ]);
+  expect(provider.coverUrl(books[0], "L")).toBe("https://covers.openlibrary.org/b/id/14627509-L.jpg");
+});
+
+test("a response without docs is malformed rather than empty", async () => {
+  const { provider, fetchImpl } = setup({ numFound: 3 });
+  await expect(provider.search({ query: "dune" })).rejects.toMatchObject({ kind: "malformed" });
+  // not something a retry would fix
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+  const empty = setup({ numFound: 0, docs: [] });
+  await expect(empty.provider.search({ query: "zzz" })).resolves.toEqual({ books: [], total: 0 });
+});
+
+test("asks for a work's editions a page at a time", async () => {
+  const { provider, fetchImpl } = setup({ size: 120, entries: [{ key: "/books/OL51M", title: "The Hobbit", publishers: ["Allen & Unwin"], languages: [{ key: "/languages/eng" }] }] });
+  const { editions, total } = await provider.getEditions("/works/OL27482W", { offset: 50 });
+  expect(params(fetchImpl.mock.calls[0][0]).get("offset")).toBe("50");
+  expect(params(fetchImpl.mock.calls[0][0]).get("limit")).toBe("50");
+  expect(total).toBe(120);
+  expect(editions[0]).toMatchObject({ key: "/books/OL51M", publisher: ["Allen & Unwin"], language: ["eng"] });
+});
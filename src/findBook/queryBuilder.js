@@ -0,0 +1,192 @@
+import { defaultI18n } from "./i18n";
+
+// Advanced search clauses and the small query language behind them.
+//
+// A clause is { field, value, exact, op }:
+//   field  all | title | author | subject | isbn | publisher | place | year
+//   value  free text; for `year` a range like "1950-1970", "1950-" or "-1970"
+//   exact  match the whole phrase ("is") rather than any of its words ("contains")
+//   op     how it joins the clauses before it: AND | OR | NOT (meaning AND NOT)
+//
+// Power-user syntax: author:tolkien year:1950-1970 -subject:poetry
+//   field:"some phrase"   exact phrase
+//   field:(some words)    contains these words
+//   -field:value / NOT    exclude
+//   OR field:value        either this or the clause before
+//   bare words            search all fields
+
+// Labels are "field.<id>" in the message catalogs (see ./i18n)
+export const CLAUSE_FIELDS = [
+  { id: "all" },
+  { id: "title" },
+  { id: "author" },
+  { id: "subject" },
+  { id: "isbn" },
+  { id: "publisher" },
+  { id: "place" },
+  { id: "year" },
+];
+
+const FIELD_IDS = CLAUSE_FIELDS.map((f) => f.id);
+
+// Open Library's Solr field for each clause field
+const SOLR_FIELDS = {
+  title: "title",
+  author: "author_name",
+  subject: "subject",
+  isbn: "isbn",
+  publisher: "publisher",
+  place: "place",
+  year: "first_publish_year",
+};
+
+export function makeClause(field, value, { exact = false, op = "AND" } = {}) {
+  return { field: FIELD_IDS.includes(field) ? field : "all", value: String(value).trim(), exact, op };
+}
+
+// The main search box (query + "In" select) behaves like one more clause
+export function withMainQuery(query, field, clauses = []) {
+  const q = (query || "").trim();
+  return q ? [makeClause(field, q), ...clauses] : clauses;
+}
+
+export function parseYearRange(value) {
+  const m = String(value).trim().match(/^(\d{1,4})?\s*(?:-|\.\.|–)?\s*(\d{1,4})?$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  const hasDash = /-|\.\.|–/.test(value);
+  const from = m[1] ? Number(m[1]) : null;
+  const to = m[2] ? Number(m[2]) : hasDash ? null : from;
+  return { from, to };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /(-?)(?:([a-z]+):)?("([^"]*)"?|\(([^)]*)\)?|[^\s"()]+)/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    tokens.push({
+      negate: m[1] === "-",
+      field: m[2] ? m[2].toLowerCase() : null,
+      raw: m[3],
+      quoted: m[4] !== undefined ? m[4] : null,
+      group: m[5] !== undefined ? m[5] : null,
+    });
+  }
+  return tokens;
+}
+
+export function parseQuerySyntax(text) {
+  const clauses = [];
+  let nextOp = "AND";
+  let bare = null; // consecutive bare words collect into one "all" clause
+
+  const push = (clause) => {
+    if (!clause.value) return;
+    clauses.push(clause);
+    nextOp = "AND";
+  };
+
+  for (const token of tokenize(text || "")) {
+    if (!token.field && token.quoted === null && token.group === null && !token.negate) {
+      const word = token.raw.toUpperCase();
+      if (word === "AND" || word === "OR" || word === "NOT") {
+        bare = null;
+        nextOp = word;
+        continue;
+      }
+    }
+
+    // a field with nothing after it ("author:") adds nothing
+    const empty = !token.field && token.raw.match(/^([a-z]+):$/i);
+    if (empty && FIELD_IDS.includes(empty[1].toLowerCase())) continue;
+
+    const op = token.negate ? "NOT" : nextOp;
+    const known = token.field && FIELD_IDS.includes(token.field);
+    // an unknown prefix like "foo:bar" is just text
+    const field = known ? token.field : "all";
+    const value = token.quoted !== null ? token.quoted : token.group !== null ? token.group : token.field && !known ? `${token.field}:${token.raw}` : token.raw;
+    const exact = token.quoted !== null;
+
+    if (field === "all" && !exact && op === "AND" && bare && token.group === null) {
+      bare.value = `${bare.value} ${value}`;
+      continue;
+    }
+    const clause = makeClause(field, value, { exact: exact && field !== "year", op: clauses.length || op !== "OR" ? op : "AND" });
+    push(clause);
+    bare = field === "all" && !exact && token.group === null ? clause : null;
+  }
+  return clauses;
+}
+
+export function formatClause(clause, index = 1) {
+  const prefix = index === 0 ? (clause.op === "NOT" ? "-" : "") : clause.op === "OR" ? "OR " : clause.op === "NOT" ? "-" : "";
+  const field = clause.field === "all" ? "" : `${clause.field}:`;
+  let value = clause.value;
+  if (clause.exact) value = `"${value.replace(/"/g, "")}"`;
+  else if (/\s/.test(value) && clause.field !== "year") value = `(${value.replace(/[()]/g, "")})`;
+  return `${prefix}${field}${value}`;
+}
+
+export function formatQuerySyntax(clauses = []) {
+  return clauses.map(formatClause).join(" ");
+}
+
+// Readable chip label, e.g. "Subject contains poetry"
+export function describeClause(clause, { t } = defaultI18n) {
+  const field = t(`field.${FIELD_IDS.includes(clause.field) ? clause.field : "all"}`);
+  if (clause.field === "year") {
+    const range = parseYearRange(clause.value);
+    const value = !range ? clause.value : range.from === range.to ? `${range.from}` : `${range.from ?? "…"}–${range.to ?? "…"}`;
+    return t("clause.year", { field, value });
+  }
+  return t(clause.exact ? "clause.is" : "clause.contains", { field, value: clause.value });
+}
+
+// Group clauses so OR binds to the clause before it: a AND (b OR c) AND NOT d
+function groupClauses(clauses) {
+  const groups = [];
+  for (const clause of clauses) {
+    if (!clause.value) continue;
+    if (clause.op === "OR" && groups.length) groups[groups.length - 1].clauses.push(clause);
+    else groups.push({ negate: clause.op === "NOT", clauses: [clause] });
+  }
+  return groups;
+}
+
+// Evaluate clauses against a record with a caller-supplied test for a single clause
+export function matchClauses(clauses, test) {
+  return groupClauses(clauses).every((group) => group.clauses.some(test) !== group.negate);
+}
+
+const SOLR_SPECIAL = /([+\-!(){}[\]^"~*?:\\/]|&&|\|\|)/g;
+const escapeSolr = (text) => text.replace(SOLR_SPECIAL, "\\$1");
+
+function compileClause(clause) {
+  const value = clause.value.trim();
+  if (clause.field === "year") {
+    const range = parseYearRange(value);
+    if (!range) return null;
+    return `first_publish_year:[${range.from ?? "*"} TO ${range.to ?? "*"}]`;
+  }
+  if (clause.field === "isbn") return `isbn:${value.replace(/[\s-]/g, "")}`;
+
+  const words = value.split(/\s+/).map(escapeSolr);
+  const body = clause.exact ? `"${value.replace(/["\\]/g, "\\$&")}"` : words.length > 1 ? `(${words.join(" ")})` : words[0];
+  return clause.field === "all" ? body : `${SOLR_FIELDS[clause.field]}:${body}`;
+}
+
+// Compile to Open Library's (Solr) query syntax, for the `q` parameter
+export function compileQuery(clauses) {
+  const groups = groupClauses(clauses)
+    .map((group) => {
+      const terms = group.clauses.map(compileClause).filter(Boolean);
+      if (!terms.length) return null;
+      const body = terms.length > 1 ? `(${terms.join(" OR ")})` : terms[0];
+      return { negate: group.negate, text: group.negate ? `NOT ${body}` : body };
+    })
+    .filter(Boolean);
+  if (!groups.length) return "";
+  // Solr can't answer a purely negative query on its own
+  const prefix = groups.every((g) => g.negate) ? "*:* AND " : "";
+  return prefix + groups.map((g) => g.text).join(" AND ");
+}
@@ -0,0 +1,59 @@
+import { compileQuery, formatQuerySyntax, makeClause, matchClauses, parseQuerySyntax, withMainQuery } from "./queryBuilder";
+
+test("parses fields, phrases, groups, exclusions and OR", () => {
+  expect(parseQuerySyntax('author:tolkien title:"the hobbit" subject:(dragons magic) -subject:poetry OR year:1950-1970 middle earth')).toEqual([
+    { field: "author", value: "tolkien", exact: false, op: "AND" },
+    { field: "title", value: "the hobbit", exact: true, op: "AND" },
+    { field: "subject", value: "dragons magic", exact: false, op: "AND" },
+    { field: "subject", value: "poetry", exact: false, op: "NOT" },
+    { field: "year", value: "1950-1970", exact: false, op: "OR" },
+    { field: "all", value: "middle earth", exact: false, op: "AND" },
+  ]);
+  // an unknown prefix is just text
+  expect(parseQuerySyntax("foo:bar")).toEqual([makeClause("all", "foo:bar")]);
+});
+
+test("formats clauses back into syntax that parses to the same clauses, and compiles them for Solr", () => {
+  const text = 'author:tolkien OR author:lewis title:"the hobbit" -subject:(children juvenile) year:1937-';
+  const clauses = parseQuerySyntax(text);
+  expect(formatQuerySyntax(clauses)).toBe(text);
+  expect(parseQuerySyntax(formatQuerySyntax(clauses))).toEqual(clauses);
+  expect(compileQuery(clauses)).toBe(
+    '(author_name:tolkien OR author_name:lewis) AND title:"the hobbit" AND NOT subject:(children juvenile) AND first_publish_year:[1937 TO *]'
+  );
+});
+
+test("copes with unbalanced quotes and parentheses, and empty fields", () => {
+  expect(parseQuerySyntax('title:"lord of the')).toEqual([makeClause("title", "lord of the", { exact: true })]);
+  expect(parseQuerySyntax("subject:(magic dragons")).toEqual([makeClause("subject", "magic dragons")]);
+  expect(parseQuerySyntax("tolkien) hobbit")).toEqual([makeClause("all", "tolkien hobbit")]);
+  expect(parseQuerySyntax("author:")).toEqual([]);
+  expect(parseQuerySyntax('author: title:"" subject:() dune')).toEqual([makeClause("all", "dune")]);
+  // a dangling operator joins nothing
+  expect(parseQuerySyntax("dune OR")).toEqual([makeClause("all", "dune")]);
+  expect(parseQuerySyntax("OR dune")).toEqual([makeClause("all", "dune")]);
+  // a year that isn't a range is left out of the query rather than sent as text
+  expect(compileQuery([makeClause("year", "soon")])).toBe("");
+});
+
+test("escapes Solr's special characters", () => {
+  expect(compileQuery([makeClause("title", "c++")])).toBe("title:c\\+\\+");
+  expect(compileQuery([makeClause("all", "what? (really) a:b")])).toBe("(what\\? \\(really\\) a\\:b)");
+  expect(compileQuery([makeClause("subject", "rock && roll || jazz")])).toBe("subject:(rock \\&& roll \\|| jazz)");
+  expect(compileQuery([makeClause("title", 'say "hi" \\ bye', { exact: true })])).toBe('title:"say \\"hi\\" \\\\ bye"');
+  expect(compileQuery([makeClause("isbn", "978-0-13-110362-7")])).toBe("isbn:9780131103627");
+});
+
+test("a query of only exclusions still has something to exclude from", () => {
+  expect(compileQuery(parseQuerySyntax("-subject:poetry"))).toBe("*:* AND NOT subject:poetry");
+  expect(compileQuery(withMainQuery("dune", "title", parseQuerySyntax("-subject:poetry")))).toBe("title:dune AND NOT subject:poetry");
+});
+
+test("matches clauses with OR binding to the clause before", () => {
+  const clauses = parseQuerySyntax("author:tolkien OR author:lewis -subject:poetry");
+  const book = (author, subject) => (clause) => clause.value === (clause.field === "author" ? author : subject);
+  expect(matchClauses(clauses, book("lewis", "fantasy"))).toBe(true);
+  expect(matchClauses(clauses, book("tolkien", "poetry"))).toBe(false);
+  expect(matchClauses(clauses, book("herbert", "fantasy"))).toBe(false);
+  expect(matchClauses([], book("herbert", "fantasy"))).toBe(true);
+});
@@ -0,0 +1,139 @@
+import { languageCode } from "./languages";
+import { GENERIC_SUBJECTS } from "./recommendations";
+import { today as todayDate } from "./library";
+
+// Reading statistics over the saved books (library entries, see ./library).
+// A book counts as read once it's Finished with a finish date; everything
+// else about it (decade, language, subjects, authors) counts as soon as it's
+// saved. Plain functions; ./StatsDashboard draws them.
+
+// Yearly goals, { [year]: books }
+export const GOALS_KEY = "bookfinder.readingGoals";
+
+const yearOf = (date) => Number(String(date || "").slice(0, 4)) || null;
+const monthOf = (date) => String(date || "").slice(0, 7); // YYYY-MM
+
+export const finishedEntries = (entries) => entries.filter((e) => e.status === "finished" && e.finishedAt);
+
+export const finishedIn = (entries, year) => finishedEntries(entries).filter((e) => yearOf(e.finishedAt) === year);
+
+// Books finished in each month of the year, January first
+export function finishedByMonth(entries, year) {
+  const months = Array(12).fill(0);
+  finishedIn(entries, year).forEach((e) => (months[Number(e.finishedAt.slice(5, 7)) - 1] += 1));
+  return months;
+}
+
+// How much of the year has gone by on `today`: 0 before it, 1 after it
+function yearElapsed(year, today) {
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  const now = Date.parse(`${today}T00:00:00Z`) + 24 * 60 * 60 * 1000; // today counts as gone by
+  return Math.min(1, Math.max(0, (now - start) / (end - start)));
+}
+
+// { year, goal, finished, percent, expected, ahead, done }. `expected` is
+// where the count would be by today going at an even pace; `ahead` is how
+// far in front of that (negative: behind).
+export function goalProgress(entries, goal, year, today = todayDate()) {
+  const finished = finishedIn(entries, year).length;
+  const expected = goal ? Math.floor(goal * yearElapsed(year, today)) : 0;
+  return {
+    year,
+    goal: goal || 0,
+    finished,
+    percent: goal ? Math.min(100, Math.round((finished / goal) * 100)) : 0,
+    expected,
+    ahead: finished - expected,
+    done: Boolean(goal) && finished >= goal,
+  };
+}
+
+// [{ value, label, count }], most first; a book counts once per value
+function countValues(entries, valuesOf, limit) {
+  const counts = new Map();
+  for (const { book } of entries) {
+    for (const [value, label] of new Map(valuesOf(book))) {
+      const prev = counts.get(value) || { value, label, count: 0 };
+      counts.set(value, { ...prev, count: prev.count + 1 });
+    }
+  }
+  const sorted = [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  return limit ? sorted.slice(0, limit) : sorted;
+}
+
+// [{ decade, count }] oldest first, with the empty decades in between
+export function decadeCounts(entries) {
+  const decades = entries.map((e) => e.book.first_publish_year).filter(Boolean).map((year) => Math.floor(year / 10) * 10);
+  if (!decades.length) return [];
+  const result = [];
+  for (let decade = Math.min(...decades); decade <= Math.max(...decades); decade += 10) {
+    result.push({ decade, count: decades.filter((d) => d === decade).length });
+  }
+  return result;
+}
+
+// Languages by their MARC code (see ./languages)
+export const languageCounts = (entries, limit = 8) =>
+  countValues(entries, (book) => (book.language || []).map((code) => [languageCode(code), languageCode(code)]), limit);
+
+// Subjects match whatever their case; catalog housekeeping ones are left out
+export const topSubjects = (entries, limit = 10) =>
+  countValues(
+    entries,
+    (book) => (book.subject || []).filter((s) => !GENERIC_SUBJECTS.has(s.trim().toLowerCase())).map((s) => [s.trim().toLowerCase(), s]),
+    limit
+  );
+
+export const topAuthors = (entries, limit = 10) => countValues(entries, (book) => (book.author_name || []).map((name) => [name, name]), limit);
+
+const nextMonth = (month) => {
+  const [y, m] = month.split("-").map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, "0")}`;
+};
+
+// Runs of consecutive months with at least one book finished (the library
+// only knows the day a book was finished, so months are the natural unit).
+// { current, longest, longestEnd }: a current run is still alive if last
+// month had a book, even before this month has one.
+export function readingStreaks(entries, today = todayDate()) {
+  const months = [...new Set(finishedEntries(entries).map((e) => monthOf(e.finishedAt)))].sort();
+  let longest = 0;
+  let longestEnd = null;
+  let run = 0;
+  months.forEach((month, i) => {
+    run = i > 0 && nextMonth(months[i - 1]) === month ? run + 1 : 1;
+    if (run > longest) {
+      longest = run;
+      longestEnd = month;
+    }
+  });
+
+  const thisMonth = monthOf(today);
+  const last = months[months.length - 1];
+  const alive = last === thisMonth || (last && nextMonth(last) === thisMonth);
+  return { current: alive ? run : 0, longest, longestEnd };
+}
+
+// Everything the stats view shows, for one year's goal
+export function readingStats(library, { year, goal = 0, today = todayDate() } = {}) {
+  const { entries } = library;
+  const shown = year || yearOf(today);
+  return {
+    year: shown,
+    saved: entries.length,
+    finished: finishedEntries(entries).length,
+    goal: goalProgress(entries, goal, shown, today),
+    months: finishedByMonth(entries, shown),
+    streaks: readingStreaks(entries, today),
+    decades: decadeCounts(entries),
+    languages: languageCounts(entries),
+    subjects: topSubjects(entries),
+    authors: topAuthors(entries),
+  };
+}
+
+// The years worth offering: this one, and every one a book was finished in, newest first
+export function statsYears(entries, today = todayDate()) {
+  return [...new Set([yearOf(today), ...finishedEntries(entries).map((e) => yearOf(e.finishedAt))])].sort((a, b) => b - a);
+}
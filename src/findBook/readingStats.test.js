@@ -0,0 +1,88 @@
+import {
+  decadeCounts,
+  finishedByMonth,
+  goalProgress,
+  languageCounts,
+  readingStats,
+  readingStreaks,
+  statsYears,
+  topAuthors,
+  topSubjects,
+} from "./readingStats";
+
+const entry = (key, book = {}, patch = {}) => ({
+  book: { key, title: key, ...book },
+  shelfId: patch.status || "want",
+  status: "want",
+  finishedAt: null,
+  ...patch,
+});
+const finished = (key, finishedAt, book) => entry(key, book, { status: "finished", finishedAt });
+
+const entries = [
+  finished("a", "2024-01-10", { first_publish_year: 1954, language: ["eng"], author_name: ["Tolkien"], subject: ["Fantasy", "Fiction"] }),
+  finished("b", "2024-01-28", { first_publish_year: 1937, language: ["eng", "fre"], author_name: ["Tolkien"], subject: ["fantasy", "Dragons"] }),
+  finished("c", "2024-03-02", { first_publish_year: 1605, language: ["spa"], author_name: ["Cervantes"], subject: ["Satire"] }),
+  finished("d", "2023-12-20", { first_publish_year: 1959, language: ["en"], author_name: ["Le Guin"] }),
+  // reading, or finished with no date: not counted as read
+  entry("e", { first_publish_year: 1969 }, { status: "reading" }),
+  entry("f", {}, { status: "finished", finishedAt: null }),
+];
+
+test("counts books finished in each month of a year", () => {
+  expect(finishedByMonth(entries, 2024)).toEqual([2, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  expect(finishedByMonth(entries, 2023)[11]).toBe(1);
+});
+
+test("tracks a yearly goal against an even pace", () => {
+  // 1 July is about half way through
+  expect(goalProgress(entries, 12, 2024, "2024-07-01")).toEqual({
+    year: 2024,
+    goal: 12,
+    finished: 3,
+    percent: 25,
+    expected: 6,
+    ahead: -3,
+    done: false,
+  });
+  expect(goalProgress(entries, 4, 2024, "2024-01-31")).toMatchObject({ expected: 0, ahead: 3 });
+  // a year that's over expects the whole goal
+  expect(goalProgress(entries, 1, 2023, "2024-07-01")).toMatchObject({ expected: 1, ahead: 0, done: true, percent: 100 });
+  expect(goalProgress(entries, 0, 2024, "2024-07-01")).toMatchObject({ goal: 0, percent: 0, expected: 0, done: false });
+});
+
+test("puts saved books in decades, with the empty ones in between", () => {
+  const decades = decadeCounts(entries.filter((e) => e.book.first_publish_year > 1900));
+  expect(decades).toEqual([
+    { decade: 1930, count: 1 },
+    { decade: 1940, count: 0 },
+    { decade: 1950, count: 2 },
+    { decade: 1960, count: 1 },
+  ]);
+  expect(decadeCounts([entry("x")])).toEqual([]);
+});
+
+test("counts languages by code, subjects whatever their case, and authors", () => {
+  expect(languageCounts(entries).map((l) => [l.value, l.count])).toEqual([["eng", 3], ["fre", 1], ["spa", 1]]);
+  // "Fiction" is catalog housekeeping rather than a subject worth charting
+  expect(topSubjects(entries).map((s) => [s.label, s.count])).toEqual([["Fantasy", 2], ["Dragons", 1], ["Satire", 1]]);
+  expect(topAuthors(entries, 1)).toEqual([{ value: "Tolkien", label: "Tolkien", count: 2 }]);
+});
+
+test("finds runs of months with a book finished", () => {
+  expect(readingStreaks(entries, "2024-03-15")).toEqual({ current: 1, longest: 2, longestEnd: "2024-01" });
+  // still alive while this month has no book yet
+  expect(readingStreaks(entries, "2024-04-01").current).toBe(1);
+  expect(readingStreaks(entries, "2024-05-01").current).toBe(0);
+  const yearEnd = [finished("x", "2023-11-02"), finished("y", "2023-12-02"), finished("z", "2024-01-05")];
+  expect(readingStreaks(yearEnd, "2024-01-20")).toEqual({ current: 3, longest: 3, longestEnd: "2024-01" });
+  expect(readingStreaks([], "2024-01-20")).toEqual({ current: 0, longest: 0, longestEnd: null });
+});
+
+test("gathers it all for a year, and offers the years with books finished", () => {
+  const stats = readingStats({ entries }, { year: 2024, goal: 10, today: "2024-03-15" });
+  expect(stats).toMatchObject({ year: 2024, saved: 6, finished: 4, goal: { finished: 3, goal: 10 } });
+  expect(stats.months).toHaveLength(12);
+  expect(readingStats({ entries: [] }, { today: "2024-03-15" }).year).toBe(2024);
+  expect(statsYears(entries, "2025-02-01")).toEqual([2025, 2024, 2023]);
+});
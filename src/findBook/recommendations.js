@@ -0,0 +1,120 @@
+import { makeClause } from "./queryBuilder";
+import { defaultI18n } from "./i18n";
+
+// "Recommended for you": what the saved books have in common (authors,
+// subjects, the decade they first came out) becomes a taste profile; a few
+// searches built from it bring back candidates, and each candidate is scored
+// by what it shares with the profile. Everything but fetchCandidates is a
+// plain function.
+
+export const DISMISSED_KEY = "bookfinder.dismissedRecommendations";
+
+const WEIGHTS = { author: 3, subject: 1, era: 0.5 };
+// Catalog housekeeping rather than anything about a reader's taste
+export const GENERIC_SUBJECTS = new Set(["fiction", "nonfiction", "accessible book", "protected daisy", "in library", "lending library", "large type books"]);
+
+const normalize = (text) => String(text).trim().toLowerCase();
+const decadeOf = (year) => (year ? Math.floor(year / 10) * 10 : null);
+
+// A rated book counts by its stars (3 stars = 1), an unrated one as 1
+const entryWeight = (entry) => (entry.rating ? entry.rating / 3 : 1);
+
+function tally(map, id, name, weight) {
+  const prev = map.get(id) || { name, weight: 0, count: 0 };
+  map.set(id, { name: prev.name, weight: prev.weight + weight, count: prev.count + 1 });
+}
+
+// From library entries ([{ book, rating }]): { authors, subjects, eras }, each
+// a Map of id -> { name, weight, count }
+export function buildProfile(entries) {
+  const profile = { authors: new Map(), subjects: new Map(), eras: new Map() };
+  for (const entry of entries) {
+    const { book } = entry;
+    const weight = entryWeight(entry);
+    new Set(book.author_name || []).forEach((name) => tally(profile.authors, normalize(name), name, weight));
+    new Set((book.subject || []).filter((s) => !GENERIC_SUBJECTS.has(normalize(s)))).forEach((s) =>
+      tally(profile.subjects, normalize(s), s, weight)
+    );
+    const decade = decadeOf(book.first_publish_year);
+    if (decade !== null) tally(profile.eras, decade, String(decade), weight);
+  }
+  return profile;
+}
+
+const strongest = (map, limit) =>
+  [...map.values()].sort((a, b) => b.weight - a.weight || b.count - a.count || a.name.localeCompare(b.name)).slice(0, limit);
+
+// The searches worth running for candidates: [{ field, value }]
+export function seedQueries(profile, { authors = 2, subjects = 3 } = {}) {
+  return [
+    ...strongest(profile.authors, authors).map((a) => ({ field: "author", value: a.name })),
+    ...strongest(profile.subjects, subjects).map((s) => ({ field: "subject", value: s.name })),
+  ];
+}
+
+// { score, reasons: [{ type: author | subject | era, value, count }] }
+export function scoreBook(book, profile) {
+  let score = 0;
+  const reasons = [];
+  for (const name of new Set(book.author_name || [])) {
+    const match = profile.authors.get(normalize(name));
+    if (!match) continue;
+    score += WEIGHTS.author * match.weight;
+    reasons.push({ type: "author", value: match.name, count: match.count });
+  }
+  const subjects = [...new Set((book.subject || []).map(normalize))]
+    .map((id) => profile.subjects.get(id))
+    .filter(Boolean)
+    .sort((a, b) => b.weight - a.weight);
+  for (const match of subjects) {
+    score += WEIGHTS.subject * match.weight;
+  }
+  // the strongest few are enough of an explanation
+  subjects.slice(0, 3).forEach((match) => reasons.push({ type: "subject", value: match.name, count: match.count }));
+  const era = profile.eras.get(decadeOf(book.first_publish_year));
+  if (era) {
+    score += WEIGHTS.era * era.weight;
+    reasons.push({ type: "era", value: era.name, count: era.count });
+  }
+  return { score, reasons };
+}
+
+// Scored, deduplicated candidates minus saved and dismissed books. Sharing
+// only an era with the saved books isn't a recommendation.
+export function recommend(candidates, profile, { savedKeys = new Set(), dismissed = [], limit = 12 } = {}) {
+  const skip = new Set([...savedKeys, ...dismissed]);
+  const seen = new Set();
+  const results = [];
+  for (const book of candidates) {
+    if (!book?.key || skip.has(book.key) || seen.has(book.key)) continue;
+    seen.add(book.key);
+    const { score, reasons } = scoreBook(book, profile);
+    if (reasons.some((r) => r.type !== "era")) results.push({ book, score, reasons });
+  }
+  return results.sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title)).slice(0, limit);
+}
+
+// One line per kind of reason, e.g. "By Ursula K. Le Guin, like 2 of your saved books"
+export function explainReasons(reasons, { t } = defaultI18n) {
+  const of = (type) => reasons.filter((r) => r.type === type);
+  const lines = of("author").map((r) => t("recommend.byAuthor", { author: r.value, count: r.count }));
+  const subjects = of("subject");
+  if (subjects.length) lines.push(t("recommend.aboutSubjects", { subjects: subjects.map((r) => r.value).join(", ") }));
+  of("era").forEach((r) => lines.push(t("recommend.fromDecade", { decade: r.value, count: r.count })));
+  return lines;
+}
+
+// Runs the seed searches; one failing still leaves the others' books, all
+// failing is an error.
+export async function fetchCandidates(provider, profile, { perQuery = 20 } = {}, options) {
+  const searches = seedQueries(profile).map(({ field, value }) =>
+    provider.search(
+      { query: "", field: "all", clauses: [makeClause(field, value, { exact: true })], sort: "relevance", page: 1, pageSize: perQuery },
+      options
+    )
+  );
+  const settled = await Promise.allSettled(searches);
+  const failed = settled.filter((s) => s.status === "rejected");
+  if (settled.length && failed.length === settled.length) throw failed[0].reason;
+  return settled.filter((s) => s.status === "fulfilled").flatMap((s) => s.value.books);
+}
@@ -0,0 +1,52 @@
+import { buildProfile, explainReasons, fetchCandidates, recommend, scoreBook, seedQueries } from "./recommendations";
+
+const saved = [
+  { book: { key: "/works/1", title: "A Wizard of Earthsea", author_name: ["Ursula K. Le Guin"], subject: ["Fantasy", "Wizards", "Fiction"], first_publish_year: 1968 }, rating: 0 },
+  { book: { key: "/works/2", title: "The Left Hand of Darkness", author_name: ["Ursula K. Le Guin"], subject: ["Science fiction", "Gender"], first_publish_year: 1969 }, rating: 0 },
+  { book: { key: "/works/3", title: "The Hobbit", author_name: ["J.R.R. Tolkien"], subject: ["Fantasy", "Dragons"], first_publish_year: 1937 }, rating: 3 },
+];
+const profile = buildProfile(saved);
+
+test("builds a profile and the searches to run from the saved books", () => {
+  expect(profile.authors.get("ursula k. le guin")).toEqual({ name: "Ursula K. Le Guin", weight: 2, count: 2 });
+  // catalog housekeeping subjects are left out
+  expect(profile.subjects.has("fiction")).toBe(false);
+  expect(seedQueries(profile, { authors: 1, subjects: 1 })).toEqual([
+    { field: "author", value: "Ursula K. Le Guin" },
+    { field: "subject", value: "Fantasy" },
+  ]);
+});
+
+test("scores shared authors above shared subjects and eras, and says why", () => {
+  const sameAuthor = { key: "/works/4", title: "The Dispossessed", author_name: ["Ursula K. Le Guin"], subject: [], first_publish_year: 1974 };
+  const sameSubject = { key: "/works/5", title: "Eragon", author_name: ["Christopher Paolini"], subject: ["Dragons", "fantasy"], first_publish_year: 2002 };
+  expect(scoreBook(sameAuthor, profile).score).toBeGreaterThan(scoreBook(sameSubject, profile).score);
+  const { reasons } = scoreBook({ ...sameSubject, first_publish_year: 1965 }, profile);
+  expect(explainReasons(reasons)).toEqual(["About Fantasy, Dragons, like books you saved", "From the 1960s, like 2 of your saved books"]);
+  expect(explainReasons(scoreBook(sameAuthor, profile).reasons)).toEqual(["By Ursula K. Le Guin, like 2 of your saved books"]);
+});
+
+test("leaves out saved, dismissed, repeated and era-only books", () => {
+  const candidates = [
+    saved[0].book,
+    { key: "/works/4", title: "The Dispossessed", author_name: ["Ursula K. Le Guin"] },
+    { key: "/works/4", title: "The Dispossessed", author_name: ["Ursula K. Le Guin"] },
+    { key: "/works/6", title: "Tehanu", author_name: ["Ursula K. Le Guin"] },
+    { key: "/works/7", title: "Slaughterhouse-Five", author_name: ["Kurt Vonnegut"], first_publish_year: 1969 },
+  ];
+  const results = recommend(candidates, profile, { savedKeys: new Set(saved.map((e) => e.book.key)), dismissed: ["/works/6"] });
+  expect(results.map((r) => r.book.key)).toEqual(["/works/4"]);
+});
+
+test("keeps the candidates from the searches that worked", async () => {
+  const provider = {
+    search: jest.fn(async ({ clauses }) => {
+      if (clauses[0].field === "author") throw new Error("down");
+      return { books: [{ key: `/works/${clauses[0].value}` }], total: 1 };
+    }),
+  };
+  const books = await fetchCandidates(provider, profile);
+  expect(books.map((b) => b.key)).toEqual(["/works/Fantasy", "/works/Dragons", "/works/Gender"]);
+  provider.search.mockRejectedValue(new Error("offline"));
+  await expect(fetchCandidates(provider, profile)).rejects.toThrow("offline");
+});
@@ -0,0 +1,338 @@
+// Caching JSON fetch for catalog requests.
+//
+// - responses are keyed by the normalized URL (parameter order doesn't matter)
+// - entries expire after `ttl` ms; the least recently used go first past `maxEntries`
+// - with `persist`, entries are also kept in IndexedDB and survive a reload;
+//   that store is held to `maxEntries` too, dropping the oldest writes first
+// - identical requests already on the wire share one fetch
+// - every caller may pass its own AbortSignal; the shared fetch is only
+//   cancelled once every caller waiting on it has gone away
+// - failures come back as typed errors (see ./errors); transient ones are
+//   retried with exponential backoff, honouring a 429's Retry-After
+// - a caller may pass `validate(data)`; a response that fails it is a
+//   "malformed" error and is never cached
+// - offline (or when the network keeps failing), an expired entry is better
+//   than nothing: the last answer for that URL is served as "stale", as long
+//   as it expired less than `maxStaleAge` ago
+//
+// Everything that happens is reported to `subscribe` listeners and counted
+// in `stats()`, so hits and misses can be checked from tests.
+
+import { catalogError, httpError, isCatalogError, isTransient, offlineError, parseRetryAfter } from "./errors";
+
+const DB_STORE = "responses";
+
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    parsed.searchParams.sort();
+    parsed.hash = "";
+    return parsed.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+export const abortError = () => new DOMException("The request was aborted.", "AbortError");
+
+export const isAbortError = (e) => e?.name === "AbortError";
+
+export const isBrowserOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+
+export function createRequestCache({
+  ttl = 5 * 60 * 1000,
+  maxEntries = 100,
+  persist = false,
+  dbName = "bookfinder-cache",
+  now = () => Date.now(),
+  fetchImpl = (...args) => fetch(...args),
+  isOnline = isBrowserOnline,
+  retries = 2,
+  backoff = 500, // ms before the first retry, doubled for each one after
+  maxRetryDelay = 10 * 1000, // a longer Retry-After is left to the user
+  maxStaleAge = 7 * 24 * 60 * 60 * 1000, // past expiry, after which an entry isn't served even stale
+} = {}) {
+  const entries = new Map(); // key -> { data, expires }; Map order doubles as LRU order
+  const inflight = new Map(); // key -> { promise, controller, waiters }
+  const listeners = new Set();
+  const counts = { hits: 0, misses: 0, deduped: 0, aborted: 0, evicted: 0, stale: 0, retries: 0 };
+  const db = persist ? openDb(dbName) : null;
+
+  function emit(type, key, extra) {
+    if (type === "hit") counts.hits += 1;
+    if (type === "miss") counts.misses += 1;
+    if (type === "dedupe") counts.deduped += 1;
+    if (type === "abort") counts.aborted += 1;
+    if (type === "evict") counts.evicted += 1;
+    if (type === "stale") counts.stale += 1;
+    if (type === "retry") counts.retries += 1;
+    listeners.forEach((listener) => listener({ type, key, ...extra }));
+  }
+
+  // expired entries stay until evicted, as the offline fallback
+  function readMemory(key) {
+    const entry = entries.get(key);
+    if (!entry || entry.expires <= now()) return undefined;
+    // touch: move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.data;
+  }
+
+  function writeMemory(key, data, expires = now() + ttl) {
+    entries.delete(key);
+    entries.set(key, { data, expires });
+    while (entries.size > maxEntries) {
+      const oldest = entries.keys().next().value;
+      entries.delete(oldest);
+      emit("evict", oldest);
+    }
+  }
+
+  // One request, with its failure classified
+  async function request(url, signal, validate) {
+    let res;
+    try {
+      res = await fetchImpl(url, { signal });
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      throw isOnline() ? catalogError("network", "Network request failed", { cause: e }) : offlineError();
+    }
+    if (!res.ok) throw httpError(res.status, parseRetryAfter(res.headers?.get("Retry-After"), now()));
+    let data;
+    try {
+      data = await res.json();
+    } catch (e) {
+      throw catalogError("malformed", "Response isn't JSON", { cause: e });
+    }
+    if (validate && !validate(data)) throw catalogError("malformed", "Response is missing expected fields");
+    return data;
+  }
+
+  async function requestWithRetry(key, url, signal, validate) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request(url, signal, validate);
+      } catch (e) {
+        const wait = e.retryAfter ?? backoff * 2 ** attempt;
+        if (!isTransient(e) || attempt >= retries || wait > maxRetryDelay) throw e;
+        emit("retry", key, { attempt: attempt + 1, delay: wait, error: e });
+        await delay(wait, signal);
+      }
+    }
+  }
+
+  function startFlight(key, url, validate) {
+    const controller = new AbortController();
+    const flight = { controller, waiters: 0 };
+    flight.promise = readPersisted(db, key, now())
+      .then(async (stored) => {
+        if (stored) {
+          writeMemory(key, stored.data, stored.expires);
+          emit("hit", key, { source: "persisted" });
+          return stored.data;
+        }
+        // everyone gave up while we were checking IndexedDB
+        if (controller.signal.aborted) throw abortError();
+        if (!isOnline()) return readStale(key, offlineError());
+        emit("miss", key);
+        let data;
+        try {
+          data = await requestWithRetry(key, url, controller.signal, validate);
+        } catch (e) {
+          if (isCatalogError(e) && (isTransient(e) || e.kind === "offline")) return readStale(key, e);
+          throw e;
+        }
+        const expires = now() + ttl;
+        writeMemory(key, data, expires);
+        writePersisted(db, key, { data, expires, saved: now() }, { maxEntries, staleBefore: now() - maxStaleAge });
+        return data;
+      })
+      .finally(() => {
+        if (inflight.get(key) === flight) inflight.delete(key);
+      });
+    // nobody may be listening by the time an abandoned fetch fails
+    flight.promise.catch(() => {});
+    inflight.set(key, flight);
+    return flight;
+  }
+
+  // The last answer for `key` that isn't too old, or `error` when there is none
+  async function readStale(key, error) {
+    const staleBefore = now() - maxStaleAge;
+    const kept = entries.get(key);
+    const stored = kept?.expires > staleBefore ? kept : await readPersisted(db, key, staleBefore);
+    if (!stored) throw error;
+    emit("stale", key);
+    return stored.data;
+  }
+
+  function release(key, flight) {
+    flight.waiters -= 1;
+    if (flight.waiters === 0 && inflight.get(key) === flight) {
+      inflight.delete(key);
+      flight.controller.abort();
+      emit("abort", key);
+    }
+  }
+
+  function wait(key, flight, signal) {
+    flight.waiters += 1;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const onAbort = () => {
+        if (settled) return;
+        settled = true;
+        release(key, flight);
+        reject(abortError());
+      };
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener("abort", onAbort, { once: true });
+      flight.promise.then(
+        (data) => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener("abort", onAbort);
+          resolve(data);
+        },
+        (err) => {
+          if (settled) return;
+          settled = true;
+          signal?.removeEventListener("abort", onAbort);
+          reject(err);
+        }
+      );
+    });
+  }
+
+  return {
+    fetchJson(url, { signal, validate } = {}) {
+      if (signal?.aborted) return Promise.reject(abortError());
+      const key = normalizeUrl(url);
+      const cached = readMemory(key);
+      if (cached !== undefined) {
+        emit("hit", key, { source: "memory" });
+        return Promise.resolve(cached);
+      }
+      let flight = inflight.get(key);
+      if (flight) emit("dedupe", key);
+      else flight = startFlight(key, url, validate);
+      return wait(key, flight, signal);
+    },
+
+    has(url) {
+      const entry = entries.get(normalizeUrl(url));
+      return Boolean(entry && entry.expires > now());
+    },
+
+    async clear() {
+      entries.clear();
+      await clearPersisted(db);
+    },
+
+    stats() {
+      return { ...counts, size: entries.size, inflight: inflight.size };
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+}
+
+// --- IndexedDB persistence (silently off where IndexedDB isn't available) ---
+
+function openDb(name) {
+  if (typeof indexedDB === "undefined") return null;
+  return new Promise((resolve) => {
+    try {
+      const req = indexedDB.open(name, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+// Several requests in one transaction; resolves once it's done, either way
+function withTransaction(db, mode, run) {
+  if (!db) return Promise.resolve();
+  return db.then(
+    (conn) =>
+      conn &&
+      new Promise((resolve) => {
+        try {
+          const tx = conn.transaction(DB_STORE, mode);
+          tx.oncomplete = tx.onerror = tx.onabort = () => resolve();
+          run(tx.objectStore(DB_STORE));
+        } catch {
+          resolve();
+        }
+      })
+  );
+}
+
+function withStore(db, mode, run) {
+  if (!db) return Promise.resolve(undefined);
+  return db.then(
+    (conn) =>
+      conn &&
+      new Promise((resolve) => {
+        try {
+          const req = run(conn.transaction(DB_STORE, mode).objectStore(DB_STORE));
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => resolve(undefined);
+        } catch {
+          resolve(undefined);
+        }
+      })
+  );
+}
+
+function readPersisted(db, key, time) {
+  return withStore(db, "readonly", (store) => store.get(key)).then((entry) =>
+    entry && entry.expires > time ? entry : undefined
+  );
+}
+
+// Then trims the store: anything too old to serve even stale, and the oldest
+// writes past `maxEntries`
+function writePersisted(db, key, entry, { maxEntries, staleBefore }) {
+  return withTransaction(db, "readwrite", (store) => {
+    store.put(entry, key);
+    const keys = store.getAllKeys();
+    const values = store.getAll();
+    values.onsuccess = () => {
+      const byAge = keys.result
+        .map((k, i) => ({ key: k, expires: values.result[i].expires, saved: values.result[i].saved ?? 0 }))
+        .sort((a, b) => a.saved - b.saved);
+      byAge.forEach((stored, i) => {
+        if (stored.expires <= staleBefore || i < byAge.length - maxEntries) store.delete(stored.key);
+      });
+    };
+  });
+}
+
+function clearPersisted(db) {
+  return withStore(db, "readwrite", (store) => store.clear());
+}
+
+// Shared by the built-in providers
+export const requestCache = createRequestCache({ persist: true });
@@ -0,0 +1,298 @@
+import { createRequestCache, isAbortError, normalizeUrl } from "./requestCache";
+import { isOfflineError } from "./errors";
+
+function mockFetch() {
+  return jest.fn(
+    (url, { signal } = {}) =>
+      new Promise((resolve, reject) => {
+        signal?.addEventListener("abort", () => reject(new DOMException("aborted", "AbortError")));
+        setTimeout(() => resolve({ ok: true, status: 200, json: async () => ({ url }) }), 0);
+      })
+  );
+}
+
+function setup(options) {
+  const fetchImpl = mockFetch();
+  const cache = createRequestCache({ fetchImpl, ...options });
+  const events = [];
+  cache.subscribe((e) => events.push(e.type));
+  return { cache, fetchImpl, events };
+}
+
+test("normalizes parameter order into one key", () => {
+  expect(normalizeUrl("https://x.test/s?b=2&a=1")).toBe(normalizeUrl("https://x.test/s?a=1&b=2"));
+});
+
+test("serves repeated requests from cache", async () => {
+  const { cache, fetchImpl, events } = setup();
+  await cache.fetchJson("https://x.test/search.json?q=a&page=1");
+  const again = await cache.fetchJson("https://x.test/search.json?page=1&q=a");
+
+  expect(again.url).toBe("https://x.test/search.json?q=a&page=1");
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(events).toEqual(["miss", "hit"]);
+  expect(cache.stats()).toMatchObject({ hits: 1, misses: 1, size: 1 });
+});
+
+test("expires entries after the ttl", async () => {
+  let time = 0;
+  const { cache, fetchImpl } = setup({ ttl: 1000, now: () => time });
+  await cache.fetchJson("https://x.test/a");
+  time = 999;
+  await cache.fetchJson("https://x.test/a");
+  time = 1000;
+  await cache.fetchJson("https://x.test/a");
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test("evicts the least recently used entry past maxEntries", async () => {
+  const { cache, events } = setup({ maxEntries: 2 });
+  await cache.fetchJson("https://x.test/a");
+  await cache.fetchJson("https://x.test/b");
+  await cache.fetchJson("https://x.test/a"); // a is now the most recent
+  await cache.fetchJson("https://x.test/c");
+
+  expect(events).toContain("evict");
+  expect(cache.has("https://x.test/a")).toBe(true);
+  expect(cache.has("https://x.test/b")).toBe(false);
+  expect(cache.has("https://x.test/c")).toBe(true);
+});
+
+test("shares one fetch between identical requests in flight", async () => {
+  const { cache, fetchImpl, events } = setup();
+  const [a, b] = await Promise.all([cache.fetchJson("https://x.test/a"), cache.fetchJson("https://x.test/a")]);
+  expect(a).toBe(b);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(events).toEqual(["dedupe", "miss"]);
+});
+
+test("keeps a shared fetch alive until every caller has aborted", async () => {
+  const { cache, fetchImpl } = setup();
+  const first = new AbortController();
+  const second = new AbortController();
+  const p1 = cache.fetchJson("https://x.test/a", { signal: first.signal });
+  const p2 = cache.fetchJson("https://x.test/a", { signal: second.signal });
+
+  first.abort();
+  await expect(p1.catch((e) => isAbortError(e))).resolves.toBe(true);
+  await expect(p2).resolves.toEqual({ url: "https://x.test/a" });
+  expect(fetchImpl.mock.calls[0][1].signal.aborted).toBe(false);
+});
+
+test("cancels the fetch when its only caller aborts", async () => {
+  const { cache, fetchImpl, events } = setup();
+  const controller = new AbortController();
+  const pending = cache.fetchJson("https://x.test/a", { signal: controller.signal });
+  await Promise.resolve();
+  await Promise.resolve();
+  controller.abort();
+
+  await expect(pending.catch((e) => isAbortError(e))).resolves.toBe(true);
+  expect(fetchImpl.mock.calls[0][1].signal.aborted).toBe(true);
+  expect(events).toContain("abort");
+  expect(cache.has("https://x.test/a")).toBe(false);
+});
+
+test("does not cache failed responses", async () => {
+  const fetchImpl = jest.fn(async () => ({ ok: false, status: 503, json: async () => ({}) }));
+  const cache = createRequestCache({ fetchImpl, retries: 0 });
+  await expect(cache.fetchJson("https://x.test/a")).rejects.toThrow("HTTP 503");
+  await expect(cache.fetchJson("https://x.test/a")).rejects.toThrow("HTTP 503");
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test("answers from expired entries while offline", async () => {
+  let time = 0;
+  let online = true;
+  const { cache, fetchImpl, events } = setup({ ttl: 1000, now: () => time, isOnline: () => online });
+  await cache.fetchJson("https://x.test/a");
+  time = 5000;
+  online = false;
+
+  await expect(cache.fetchJson("https://x.test/a")).resolves.toEqual({ url: "https://x.test/a" });
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(events).toEqual(["miss", "stale"]);
+
+  const missing = await cache.fetchJson("https://x.test/b").catch((e) => e);
+  expect(isOfflineError(missing)).toBe(true);
+});
+
+test("falls back to the last answer when the network fails", async () => {
+  let time = 0;
+  let fail = false;
+  const fetchImpl = jest.fn(async (url) => {
+    if (fail) throw new TypeError("Failed to fetch");
+    return { ok: true, status: 200, json: async () => ({ url }) };
+  });
+  const cache = createRequestCache({ fetchImpl, ttl: 1000, now: () => time, isOnline: () => true, retries: 0 });
+  await cache.fetchJson("https://x.test/a");
+  time = 5000;
+  fail = true;
+
+  await expect(cache.fetchJson("https://x.test/a")).resolves.toEqual({ url: "https://x.test/a" });
+  await expect(cache.fetchJson("https://x.test/b")).rejects.toMatchObject({ name: "CatalogError", kind: "network" });
+  expect(cache.stats().stale).toBe(1);
+});
+
+// jsdom has no IndexedDB; this is just enough of one for the persisted store,
+// with every request answered on a later tick as a real one would be
+function memoryIndexedDB() {
+  const databases = new Map();
+  let open = 0; // transactions not yet complete
+  const later = (fn) => setTimeout(fn, 0);
+  function transaction(rows) {
+    const tx = { pending: 0 };
+    open += 1;
+    const request = (run) => {
+      const req = {};
+      tx.pending += 1;
+      later(() => {
+        req.result = run();
+        req.onsuccess?.();
+        tx.pending -= 1;
+        if (tx.pending === 0) {
+          open -= 1;
+          tx.oncomplete?.();
+        }
+      });
+      return req;
+    };
+    tx.objectStore = () => ({
+      get: (key) => request(() => rows.get(key)),
+      put: (value, key) => request(() => rows.set(key, JSON.parse(JSON.stringify(value)))),
+      delete: (key) => request(() => rows.delete(key)),
+      clear: () => request(() => rows.clear()),
+      getAll: () => request(() => [...rows.values()]),
+      getAllKeys: () => request(() => [...rows.keys()]),
+    });
+    return tx;
+  }
+  return {
+    open(name) {
+      const req = {};
+      later(() => {
+        const fresh = !databases.has(name);
+        if (fresh) databases.set(name, new Map());
+        const rows = databases.get(name);
+        req.result = { createObjectStore() {}, transaction: () => transaction(rows) };
+        if (fresh) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+    // resolves once every write so far has landed
+    async idle() {
+      do await new Promise(later);
+      while (open > 0);
+    },
+  };
+}
+
+describe("persisted", () => {
+  let idb;
+  beforeEach(() => {
+    idb = memoryIndexedDB();
+    window.indexedDB = idb;
+  });
+  afterEach(() => {
+    delete window.indexedDB;
+  });
+
+  // a fresh cache over the same store, as after a reload
+  function reload(options) {
+    const sources = [];
+    const { cache, fetchImpl } = setup({ persist: true, dbName: "test", ...options });
+    cache.subscribe((e) => e.type === "hit" && sources.push(e.source));
+    return { cache, fetchImpl, sources };
+  }
+
+  test("keeps only the latest maxEntries responses", async () => {
+    let time = 0;
+    const first = reload({ maxEntries: 2, now: () => time });
+    for (const url of ["https://x.test/a", "https://x.test/b", "https://x.test/c"]) {
+      time += 10;
+      await first.cache.fetchJson(url);
+      await idb.idle();
+    }
+
+    const after = reload({ maxEntries: 2, now: () => time });
+    await after.cache.fetchJson("https://x.test/b");
+    await after.cache.fetchJson("https://x.test/c");
+    expect(after.sources).toEqual(["persisted", "persisted"]);
+    await after.cache.fetchJson("https://x.test/a");
+    expect(after.fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test("drops responses too old to serve even stale", async () => {
+    let time = 0;
+    let online = true;
+    const options = { ttl: 1000, maxStaleAge: 5000, now: () => time, isOnline: () => online };
+    const first = reload(options);
+    await first.cache.fetchJson("https://x.test/a");
+    await idb.idle();
+
+    online = false;
+    time = 5999;
+    await expect(reload(options).cache.fetchJson("https://x.test/a")).resolves.toEqual({ url: "https://x.test/a" });
+    time = 6000;
+    const tooOld = await reload(options).cache.fetchJson("https://x.test/a").catch((e) => e);
+    expect(isOfflineError(tooOld)).toBe(true);
+
+    // and the next write clears it out of the store
+    online = true;
+    await reload(options).cache.fetchJson("https://x.test/b");
+    await idb.idle();
+    online = false;
+    time = 0;
+    const gone = await reload(options).cache.fetchJson("https://x.test/a").catch((e) => e);
+    expect(isOfflineError(gone)).toBe(true);
+  });
+});
+
+const respond = (status, body = {}, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+});
+
+test("retries transient failures with exponential backoff", async () => {
+  const fetchImpl = jest
+    .fn()
+    .mockResolvedValueOnce(respond(503))
+    .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+    .mockResolvedValueOnce(respond(200, { docs: [] }));
+  const cache = createRequestCache({ fetchImpl, backoff: 1 });
+  const delays = [];
+  cache.subscribe((e) => e.type === "retry" && delays.push(e.delay));
+
+  await expect(cache.fetchJson("https://x.test/a")).resolves.toEqual({ docs: [] });
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+  expect(delays).toEqual([1, 2]);
+});
+
+test("waits out a 429's Retry-After, or reports it when it's too long", async () => {
+  const fetchImpl = jest.fn().mockResolvedValueOnce(respond(429, {}, { "Retry-After": "0" })).mockResolvedValueOnce(respond(200, { ok: 1 }));
+  const cache = createRequestCache({ fetchImpl });
+  await expect(cache.fetchJson("https://x.test/a")).resolves.toEqual({ ok: 1 });
+
+  const limited = createRequestCache({ fetchImpl: async () => respond(429, {}, { "Retry-After": "120" }) });
+  await expect(limited.fetchJson("https://x.test/a")).rejects.toMatchObject({ kind: "rateLimited", retryAfter: 120000 });
+});
+
+test("does not retry client errors", async () => {
+  const fetchImpl = jest.fn(async () => respond(404));
+  const cache = createRequestCache({ fetchImpl, backoff: 1 });
+  await expect(cache.fetchJson("https://x.test/a")).rejects.toMatchObject({ kind: "http", status: 404 });
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test("rejects and never caches malformed responses", async () => {
+  const notJson = { ok: true, status: 200, json: async () => JSON.parse("<html>") };
+  const cache = createRequestCache({ fetchImpl: jest.fn().mockResolvedValueOnce(notJson).mockResolvedValue(respond(200, { numFound: 3 })) });
+  await expect(cache.fetchJson("https://x.test/a")).rejects.toMatchObject({ kind: "malformed" });
+
+  const validate = (data) => Array.isArray(data.docs);
+  await expect(cache.fetchJson("https://x.test/a", { validate })).rejects.toMatchObject({ kind: "malformed" });
+  expect(cache.has("https://x.test/a")).toBe(false);
+});
@@ -0,0 +1,45 @@
+import { parseIsbn } from "./isbn";
+import { defaultI18n } from "./i18n";
+
+// From what the search controls hold to what a catalog is asked for, and
+// back to what the status line says. Plain functions; the state and the
+// fetching live in ./useBookSearch. Advanced clauses are compiled by the
+// provider (see ./queryBuilder).
+
+export const SEARCH_FIELDS = ["all", "title", "author", "subject", "isbn"];
+
+export const PAGE_SIZES = [10, 20, 50, 100];
+export const DEFAULT_PAGE_SIZE = 20;
+
+// ms of quiet after typing before a search goes out
+export const SEARCH_DEBOUNCE = 300;
+
+export const normalizePageSize = (size) => (PAGE_SIZES.includes(Number(size)) ? Number(size) : DEFAULT_PAGE_SIZE);
+
+// An ISBN search is checked before it's sent (see ./isbn); null for other fields
+export const checkIsbn = (query, field) => (field === "isbn" && query.trim() ? parseIsbn(query) : null);
+
+// The provider.search() params for a search, or null when there's nothing to
+// send: no query and no clauses, or an ISBN that can't be right (the box
+// says why). ISBNs go out in their 13-digit form.
+export function buildSearchRequest({ query, field, clauses = [], ebookOnly = false, lang = "", sort = "relevance", page = 1, pageSize = DEFAULT_PAGE_SIZE }) {
+  const isbn = checkIsbn(query, field);
+  if ((!query.trim() && !clauses.length) || (isbn && !isbn.valid)) return null;
+  return { query: isbn ? isbn.isbn13 : query, field, clauses, ebookOnly, lang, sort, page, pageSize };
+}
+
+export const pageCount = (total, pageSize) => Math.max(1, Math.ceil(total / pageSize));
+
+// Next page of a continuous list; a result can shift pages between requests, so skip repeats
+export function appendBooks(prev, next) {
+  const seen = new Set(prev.map((b) => b.key));
+  return [...prev, ...next.filter((b) => !seen.has(b.key))];
+}
+
+// What the status line says (and announces) about a search
+export function searchStatus({ loading, total, truncated, approximate, page, totalPages, continuous, active }, { t } = defaultI18n) {
+  if (loading) return t("results.searching");
+  if (!total) return active ? t("results.noResults") : "";
+  const pageInfo = !continuous && totalPages > 1 ? ` · ${t("results.page", { page, total: totalPages })}` : "";
+  return `${t(approximate ? "results.countApprox" : "results.count", { count: total })}${truncated ? ` ${t("results.truncated")}` : ""}${pageInfo}`;
+}
@@ -0,0 +1,66 @@
+import { createI18n } from "./i18n";
+import { appendBooks, buildSearchRequest, checkIsbn, normalizePageSize, pageCount, searchStatus } from "./searchRequest";
+
+test("builds the provider request, with defaults for what isn't set", () => {
+  expect(buildSearchRequest({ query: "dune", field: "title" })).toEqual({
+    query: "dune",
+    field: "title",
+    clauses: [],
+    ebookOnly: false,
+    lang: "",
+    sort: "relevance",
+    page: 1,
+    pageSize: 20,
+  });
+  expect(buildSearchRequest({ query: "dune", field: "all", ebookOnly: true, lang: "spa", sort: "new", page: 3, pageSize: 50 })).toMatchObject({
+    ebookOnly: true,
+    lang: "spa",
+    sort: "new",
+    page: 3,
+    pageSize: 50,
+  });
+});
+
+test("has nothing to send without a query or clauses, or for an ISBN that can't be right", () => {
+  expect(buildSearchRequest({ query: "  ", field: "all" })).toBeNull();
+  const clauses = [{ field: "subject", value: "whales" }];
+  expect(buildSearchRequest({ query: "", field: "all", clauses })).toMatchObject({ clauses });
+  expect(buildSearchRequest({ query: "0-306-40615-3", field: "isbn" })).toBeNull();
+});
+
+test("sends ISBNs in their 13-digit form", () => {
+  expect(buildSearchRequest({ query: "0-306-40615-2", field: "isbn" }).query).toBe("9780306406157");
+  expect(checkIsbn("0-306-40615-2", "isbn")).toMatchObject({ valid: true, isbn10: "0306406152" });
+  expect(checkIsbn("0-306-40615-2", "title")).toBeNull();
+  expect(checkIsbn(" ", "isbn")).toBeNull();
+});
+
+test("keeps page sizes to the ones offered", () => {
+  expect(normalizePageSize(50)).toBe(50);
+  expect(normalizePageSize("100")).toBe(100);
+  expect(normalizePageSize(37)).toBe(20);
+  expect(normalizePageSize(undefined)).toBe(20);
+});
+
+test("counts pages, never fewer than one", () => {
+  expect(pageCount(0, 20)).toBe(1);
+  expect(pageCount(20, 20)).toBe(1);
+  expect(pageCount(45, 20)).toBe(3);
+});
+
+test("appending a page skips books already shown", () => {
+  const prev = [{ key: "a" }, { key: "b" }];
+  expect(appendBooks(prev, [{ key: "b" }, { key: "c" }]).map((b) => b.key)).toEqual(["a", "b", "c"]);
+});
+
+test("says what the search found", () => {
+  const status = (state) => searchStatus({ loading: false, total: 0, truncated: false, page: 1, totalPages: 1, continuous: false, active: true, ...state });
+  expect(status({ loading: true })).toBe("Searching…");
+  expect(status({})).toBe("No results");
+  expect(status({ active: false })).toBe("");
+  expect(status({ total: 45, page: 2, totalPages: 3 })).toBe("45 results · page 2 of 3");
+  expect(status({ total: 45, approximate: true, page: 2, totalPages: 3 })).toBe("About 45 results · page 2 of 3");
+  // a continuous list has no pages to speak of
+  expect(status({ total: 45, totalPages: 3, continuous: true })).toBe("45 results");
+  expect(searchStatus({ total: 1, page: 1, totalPages: 1 }, createI18n("es"))).toBe("1 resultado");
+});
@@ -0,0 +1,95 @@
+// Result ordering. Providers list the orders they can apply server-side in
+// `provider.sorts`; anything else is done here over the whole result set
+// (up to MAX_CLIENT_SORT results), never just over the page on screen.
+
+// Labels are "sort.<id>" in the message catalogs (see ./i18n)
+export const SORTS = [{ id: "relevance" }, { id: "old" }, { id: "new" }, { id: "title" }, { id: "editions" }, { id: "rating" }, { id: "random" }];
+
+// Orders saved in older links
+const LEGACY_SORTS = { year_asc: "old", year_desc: "new" };
+
+export function normalizeSort(sort) {
+  const id = LEGACY_SORTS[sort] || sort;
+  return SORTS.some((s) => s.id === id) ? id : "relevance";
+}
+
+export const MAX_CLIENT_SORT = 500;
+
+// Books without a value always go last, whichever direction is asked for
+function byNumber(get, direction) {
+  return (a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (x === null && y === null) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return direction * (x - y);
+  };
+}
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) && v > 0 ? v : null);
+const year = (book) => (typeof book.first_publish_year === "number" ? book.first_publish_year : null);
+
+// Stable pseudo-random order: the same seed gives the same order on every page
+function hash(text, seed) {
+  let h = 2166136261 ^ Math.floor(seed * 4294967295);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+const COMPARATORS = {
+  old: byNumber(year, 1),
+  new: byNumber(year, -1),
+  title: (a, b) => (a.title || "").localeCompare(b.title || "", undefined, { sensitivity: "base", numeric: true }),
+  editions: byNumber((b) => num(b.edition_count), -1),
+  rating: byNumber((b) => num(b.ratings_average), -1),
+};
+
+export function sortBooks(books, sort, { seed = 0 } = {}) {
+  const id = normalizeSort(sort);
+  if (id === "random") {
+    return [...books].sort((a, b) => hash(a.key, seed) - hash(b.key, seed));
+  }
+  const compare = COMPARATORS[id];
+  if (!compare) return books;
+  // ties keep the provider's (relevance) order
+  return books
+    .map((book, index) => ({ book, index }))
+    .sort((a, b) => compare(a.book, b.book) || a.index - b.index)
+    .map(({ book }) => book);
+}
+
+export const supportsSort = (provider, sort) => (provider.sorts || ["relevance"]).includes(normalizeSort(sort));
+
+// One session-wide seed keeps "Random" stable while paging
+const SESSION_SEED = Math.random();
+
+// Run a search in the requested order. When the provider can't sort that
+// way itself, every page (up to MAX_CLIENT_SORT results) is fetched, sorted
+// as a whole and then cut back down to the page asked for.
+export async function searchSorted(provider, params, options) {
+  const sort = normalizeSort(params.sort);
+  if (supportsSort(provider, sort)) return provider.search({ ...params, sort }, options);
+
+  const batchSize = provider.maxPageSize || 100;
+  const all = [];
+  let total = Infinity;
+  for (let batch = 1; all.length < Math.min(total, MAX_CLIENT_SORT); batch++) {
+    const result = await provider.search({ ...params, sort: "relevance", page: batch, pageSize: batchSize }, options);
+    total = result.total;
+    all.push(...result.books);
+    if (!result.books.length || batch * batchSize >= total) break;
+  }
+
+  const sorted = sortBooks(all.slice(0, MAX_CLIENT_SORT), sort, { seed: SESSION_SEED });
+  const start = (params.page - 1) * params.pageSize;
+  return {
+    books: sorted.slice(start, start + params.pageSize),
+    total: sorted.length,
+    // only the first MAX_CLIENT_SORT results could be ordered
+    truncated: total > sorted.length,
+  };
+}
@@ -0,0 +1,46 @@
+import { normalizeSort, searchSorted, sortBooks } from "./sorting";
+
+const book = (key, first_publish_year = null, extra = {}) => ({ key, title: key, first_publish_year, ...extra });
+
+test("puts books without a year last in both directions", () => {
+  const books = [book("a", 1990), book("b"), book("c", 1850), book("d", 2001)];
+  expect(sortBooks(books, "old").map((b) => b.key)).toEqual(["c", "a", "d", "b"]);
+  expect(sortBooks(books, "new").map((b) => b.key)).toEqual(["d", "a", "c", "b"]);
+});
+
+test("maps the old year_asc/year_desc names", () => {
+  expect(normalizeSort("year_asc")).toBe("old");
+  expect(normalizeSort("year_desc")).toBe("new");
+  expect(normalizeSort("bogus")).toBe("relevance");
+});
+
+test("random order is stable for a seed", () => {
+  const books = ["a", "b", "c", "d", "e"].map((k) => book(k));
+  expect(sortBooks(books, "random", { seed: 0.5 })).toEqual(sortBooks(books, "random", { seed: 0.5 }));
+});
+
+test("sorts across every page when the provider can't sort", async () => {
+  const all = [book("a", 2000), book("b", 1900), book("c"), book("d", 1800), book("e", 1950)];
+  const provider = {
+    sorts: ["relevance"],
+    maxPageSize: 2,
+    search: jest.fn(async ({ page, pageSize }) => ({
+      books: all.slice((page - 1) * pageSize, page * pageSize),
+      total: all.length,
+    })),
+  };
+
+  const first = await searchSorted(provider, { sort: "old", page: 1, pageSize: 2 });
+  expect(first.books.map((b) => b.key)).toEqual(["d", "b"]);
+  expect(first.total).toBe(5);
+  expect(provider.search).toHaveBeenCalledTimes(3);
+
+  const last = await searchSorted(provider, { sort: "old", page: 3, pageSize: 2 });
+  expect(last.books.map((b) => b.key)).toEqual(["c"]);
+});
+
+test("passes sorts the provider supports straight through", async () => {
+  const provider = { sorts: ["relevance", "new"], search: jest.fn(async () => ({ books: [], total: 0 })) };
+  await searchSorted(provider, { sort: "year_desc", page: 2, pageSize: 20 });
+  expect(provider.search).toHaveBeenCalledWith({ sort: "new", page: 2, pageSize: 20 }, undefined);
+});
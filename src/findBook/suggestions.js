@@ -0,0 +1,105 @@
+import { SORTS } from "./sorting";
+import { defaultI18n } from "./i18n";
+
+// Search box helpers: suggestions for what's being typed, the recent searches
+// list and pinned searches. The lists themselves live in localStorage (see
+// ./findBook); everything here is a plain function over them.
+
+export const RECENT_KEY = "bookfinder.recentSearches";
+export const PINNED_KEY = "bookfinder.pinnedSearches";
+export const MAX_RECENT = 8;
+export const MIN_SUGGEST_LENGTH = 2;
+
+// What's worth suggesting for each "In" field
+const KINDS = { all: ["title", "author"], title: ["title"], author: ["author"], subject: ["subject"], isbn: [] };
+
+export const suggestionKinds = (field) => KINDS[field] || KINDS.all;
+
+const normalize = (text) => String(text).trim().toLowerCase();
+const wordsOf = (text) => normalize(text).split(/\s+/).filter(Boolean);
+
+// Titles, authors or subjects of `books` that contain every typed word;
+// ones that start with what was typed come first.
+export function suggestionsFromBooks(books, text, field, limit = 8) {
+  const words = wordsOf(text);
+  const kinds = suggestionKinds(field);
+  if (!words.length) return [];
+  const seen = new Set();
+  const found = [];
+  const add = (kind, value) => {
+    const lower = normalize(value || "");
+    const id = `${kind}:${lower}`;
+    if (!lower || seen.has(id) || !words.every((w) => lower.includes(w))) return;
+    seen.add(id);
+    found.push({ kind, text: String(value).trim(), starts: lower.startsWith(words[0]) });
+  };
+  for (const book of books) {
+    if (kinds.includes("title")) add("title", book.title);
+    if (kinds.includes("author")) (book.author_name || []).forEach((name) => add("author", name));
+    if (kinds.includes("subject")) (book.subject || []).forEach((s) => add("subject", s));
+  }
+  return found
+    .sort((a, b) => b.starts - a.starts)
+    .slice(0, limit)
+    .map(({ kind, text }) => ({ kind, text }));
+}
+
+// Catalogs may have a faster way to suggest (provider.suggest); otherwise a
+// small search in the chosen field does.
+export async function fetchSuggestions(provider, text, field, options) {
+  if (normalize(text).length < MIN_SUGGEST_LENGTH || !suggestionKinds(field).length) return [];
+  if (provider.suggest) return provider.suggest(text, { field }, options);
+  const { books } = await provider.search({ query: text, field, page: 1, pageSize: 10 }, options);
+  return suggestionsFromBooks(books, text, field);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// `text` split into [{ text, match }] runs, where `match` marks the typed words
+export function highlightParts(text, query) {
+  const words = wordsOf(query).sort((a, b) => b.length - a.length);
+  if (!words.length) return [{ text, match: false }];
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join("|")})`, "gi");
+  // split() with a capture group puts the matches at the odd indexes
+  return text
+    .split(pattern)
+    .map((part, i) => ({ text: part, match: i % 2 === 1 }))
+    .filter((part) => part.text);
+}
+
+// --- recent searches: [{ query, field }], newest first ---
+
+export function addRecent(recent, { query, field = "all" }, max = MAX_RECENT) {
+  const q = query.trim();
+  if (!q) return recent;
+  const rest = recent.filter((r) => !(normalize(r.query) === normalize(q) && r.field === field));
+  return [{ query: q, field }, ...rest].slice(0, max);
+}
+
+export function matchingRecent(recent, text, limit = 3) {
+  const t = normalize(text);
+  return recent.filter((r) => normalize(r.query).startsWith(t) && normalize(r.query) !== t).slice(0, limit);
+}
+
+// --- pinned searches: a whole search in ./urlState's shape, plus an id ---
+
+const PINNED_FIELDS = ["query", "field", "advanced", "ebookOnly", "lang", "sort", "provider"];
+
+export function pinSearch(pinned, search) {
+  const entry = Object.fromEntries(PINNED_FIELDS.map((f) => [f, search[f]]));
+  const same = (p) => PINNED_FIELDS.every((f) => (p[f] || "") === (entry[f] || ""));
+  if (pinned.some(same)) return pinned;
+  return [...pinned, { id: `pin-${Date.now().toString(36)}`, ...entry }];
+}
+
+export const unpinSearch = (pinned, id) => pinned.filter((p) => p.id !== id);
+
+export function describeSearch(search, { t } = defaultI18n) {
+  const text = search.query || search.advanced || t("pinned.any");
+  const parts = [search.field && search.field !== "all" ? t("pinned.inField", { text, field: t(`field.${search.field}`) }) : text];
+  if (search.query && search.advanced) parts.push(search.advanced);
+  if (search.ebookOnly) parts.push(t("pinned.ebooks"));
+  if (search.lang) parts.push(search.lang);
+  if (search.sort && search.sort !== "relevance") parts.push(SORTS.some((s) => s.id === search.sort) ? t(`sort.${search.sort}`) : search.sort);
+  return parts.join(" · ");
+}
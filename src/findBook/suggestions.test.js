@@ -0,0 +1,57 @@
+import { addRecent, describeSearch, highlightParts, matchingRecent, pinSearch, suggestionsFromBooks } from "./suggestions";
+
+const books = [
+  { title: "The Lord of the Rings", author_name: ["J.R.R. Tolkien"], subject: ["Fantasy"] },
+  { title: "Tolkien: A Biography", author_name: ["Humphrey Carpenter"], subject: ["Authors, English"] },
+  { title: "The Hobbit", author_name: ["J.R.R. Tolkien"], subject: ["Fantasy", "Dragons"] },
+];
+
+test("suggests titles and authors that contain what was typed, prefix matches first", () => {
+  expect(suggestionsFromBooks(books, "tolk", "all")).toEqual([
+    { kind: "title", text: "Tolkien: A Biography" },
+    { kind: "author", text: "J.R.R. Tolkien" },
+  ]);
+});
+
+test("only suggests what the chosen field searches", () => {
+  expect(suggestionsFromBooks(books, "tolk", "author")).toEqual([{ kind: "author", text: "J.R.R. Tolkien" }]);
+  expect(suggestionsFromBooks(books, "fan", "subject")).toEqual([{ kind: "subject", text: "Fantasy" }]);
+  expect(suggestionsFromBooks(books, "tolk", "isbn")).toEqual([]);
+});
+
+test("highlights every typed word, whatever its case", () => {
+  expect(highlightParts("The Lord of the Rings", "lord RIN")).toEqual([
+    { text: "The ", match: false },
+    { text: "Lord", match: true },
+    { text: " of the ", match: false },
+    { text: "Rin", match: true },
+    { text: "gs", match: false },
+  ]);
+  expect(highlightParts("a+b (c)", "(c")).toEqual([
+    { text: "a+b ", match: false },
+    { text: "(c", match: true },
+    { text: ")", match: false },
+  ]);
+});
+
+test("keeps recent searches newest first without repeats", () => {
+  let recent = [];
+  recent = addRecent(recent, { query: "tolkien", field: "author" });
+  recent = addRecent(recent, { query: "dune", field: "all" });
+  recent = addRecent(recent, { query: "Tolkien ", field: "author" });
+  expect(recent).toEqual([
+    { query: "Tolkien", field: "author" },
+    { query: "dune", field: "all" },
+  ]);
+  expect(addRecent(recent, { query: "x" }, 2)).toHaveLength(2);
+  expect(matchingRecent(recent, "tol")).toEqual([{ query: "Tolkien", field: "author" }]);
+});
+
+test("pins a search with its filters once", () => {
+  const search = { query: "dragons", field: "subject", advanced: "", ebookOnly: true, lang: "eng", sort: "old", provider: "openlibrary", page: 3 };
+  const pinned = pinSearch([], search);
+  expect(pinned).toHaveLength(1);
+  expect(pinned[0]).not.toHaveProperty("page");
+  expect(pinSearch(pinned, { ...search, page: 1 })).toBe(pinned);
+  expect(describeSearch(pinned[0])).toBe("dragons in Subject · eBooks · eng · Year ↑");
+});
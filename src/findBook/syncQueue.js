@@ -0,0 +1,88 @@
+import { isBrowserOnline } from "./requestCache";
+import { isOfflineError } from "./errors";
+
+// Work that needs the network, kept in localStorage until it has been done.
+// An action is { id, type, ...payload } and is run by `handlers[type]`;
+// queueing an action whose id is already waiting replaces the older one.
+// The queue runs whenever it's flushed while online, and by itself when the
+// browser comes back online (see start()).
+export function createSyncQueue({ handlers = {}, storageKey = "bookfinder.syncQueue", isOnline = isBrowserOnline, maxAttempts = 5 } = {}) {
+  let actions = load();
+  let running = null;
+  const listeners = new Set();
+
+  function load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function update(next) {
+    actions = next;
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(actions));
+    } catch {}
+    listeners.forEach((listener) => listener(actions));
+  }
+
+  // Each waiting action gets one try per run, including ones queued meanwhile
+  async function run() {
+    const tried = new Set();
+    for (;;) {
+      const action = actions.find((a) => !tried.has(a.id));
+      if (!action || !isOnline()) return;
+      tried.add(action.id);
+      const handler = handlers[action.type];
+      try {
+        if (handler) await handler(action);
+        update(actions.filter((a) => a.id !== action.id));
+      } catch (e) {
+        // going offline mid-run isn't the action's fault
+        if (isOfflineError(e) || !isOnline()) return;
+        const attempts = (action.attempts || 0) + 1;
+        update(
+          attempts >= maxAttempts
+            ? actions.filter((a) => a.id !== action.id)
+            : actions.map((a) => (a.id === action.id ? { ...a, attempts } : a))
+        );
+      }
+    }
+  }
+
+  function flush() {
+    if (!running && actions.length && isOnline()) {
+      running = run().finally(() => {
+        running = null;
+      });
+    }
+    return running || Promise.resolve();
+  }
+
+  return {
+    enqueue(action) {
+      update([...actions.filter((a) => a.id !== action.id), { ...action, attempts: 0 }]);
+      return flush();
+    },
+
+    flush,
+
+    pending() {
+      return actions;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Flush now and every time the browser reports it's back online
+    start() {
+      window.addEventListener("online", flush);
+      flush();
+      return () => window.removeEventListener("online", flush);
+    },
+  };
+}
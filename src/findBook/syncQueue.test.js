@@ -0,0 +1,46 @@
+import { createSyncQueue } from "./syncQueue";
+import { offlineError } from "./errors";
+
+beforeEach(() => localStorage.clear());
+
+test("holds actions while offline and runs them when the browser is back online", async () => {
+  let online = false;
+  const cacheBook = jest.fn(async () => {});
+  const queue = createSyncQueue({ handlers: { cacheBook }, isOnline: () => online });
+  const stop = queue.start();
+
+  await queue.enqueue({ id: "a", type: "cacheBook" });
+  await queue.enqueue({ id: "b", type: "cacheBook" });
+  await queue.enqueue({ id: "a", type: "cacheBook" });
+  expect(cacheBook).not.toHaveBeenCalled();
+  expect(queue.pending().map((a) => a.id)).toEqual(["b", "a"]);
+
+  online = true;
+  window.dispatchEvent(new Event("online"));
+  await queue.flush();
+  expect(cacheBook.mock.calls.map(([a]) => a.id)).toEqual(["b", "a"]);
+  expect(queue.pending()).toEqual([]);
+  stop();
+});
+
+test("survives a reload", () => {
+  createSyncQueue({ isOnline: () => false }).enqueue({ id: "a", type: "cacheBook", key: "/works/OL1W" });
+  expect(createSyncQueue({ isOnline: () => false }).pending()).toEqual([{ id: "a", type: "cacheBook", key: "/works/OL1W", attempts: 0 }]);
+});
+
+test("retries failures up to maxAttempts, but not ones caused by going offline", async () => {
+  let fail = offlineError();
+  const handler = jest.fn(async () => {
+    throw fail;
+  });
+  const queue = createSyncQueue({ handlers: { cacheBook: handler }, isOnline: () => true, maxAttempts: 2 });
+
+  await queue.enqueue({ id: "a", type: "cacheBook" });
+  expect(queue.pending()[0].attempts).toBe(0);
+
+  fail = new Error("HTTP 500");
+  await queue.flush();
+  expect(queue.pending()[0].attempts).toBe(1);
+  await queue.flush();
+  expect(queue.pending()).toEqual([]);
+});
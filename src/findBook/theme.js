@@ -0,0 +1,41 @@
+import { useEffect } from "react";
+import { useLocalStorage } from "./useLocalStorage";
+import "./theme.css";
+
+// Colour themes: Bootstrap's own light and dark modes (data-bs-theme on
+// <html>), plus a high-contrast one layered over dark (data-contrast, see
+// ./theme.css). "System" follows the OS, including its more-contrast setting.
+// Labels are "theme.<id>" in the message catalogs (see ./i18n)
+export const THEMES = [{ id: "auto" }, { id: "light" }, { id: "dark" }, { id: "contrast" }];
+
+const THEME_KEY = "bookfinder.theme";
+
+const prefers = (query) => Boolean(window.matchMedia?.(query).matches);
+
+export function resolveTheme(theme) {
+  if (theme !== "auto") return THEMES.some((t) => t.id === theme) ? theme : "light";
+  if (prefers("(prefers-contrast: more)")) return "contrast";
+  return prefers("(prefers-color-scheme: dark)") ? "dark" : "light";
+}
+
+export function useTheme() {
+  const [theme, setTheme] = useLocalStorage(THEME_KEY, "auto");
+
+  useEffect(() => {
+    const root = document.documentElement;
+    function apply() {
+      const resolved = resolveTheme(theme);
+      root.setAttribute("data-bs-theme", resolved === "light" ? "light" : "dark");
+      if (resolved === "contrast") root.setAttribute("data-contrast", "more");
+      else root.removeAttribute("data-contrast");
+    }
+    apply();
+    if (theme !== "auto" || !window.matchMedia) return;
+    // follow the OS as it changes
+    const queries = ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"].map((q) => window.matchMedia(q));
+    queries.forEach((q) => q.addEventListener?.("change", apply));
+    return () => queries.forEach((q) => q.removeEventListener?.("change", apply));
+  }, [theme]);
+
+  return [theme, setTheme];
+}
@@ -0,0 +1,80 @@
+import { DEFAULT_PROVIDER_ID } from "./providers";
+import { normalizeSort } from "./sorting";
+import { EMPTY_FACETS, facetsFromParams, facetsToParams } from "./facets";
+import { DEFAULT_PAGE_SIZE, SEARCH_FIELDS } from "./searchRequest";
+
+// Search state <-> query string, e.g. ?q=tolkien&in=author&lang=eng&page=2&work=/works/OL27482W
+// Advanced clauses travel in their typed form: &adv=year:1950-1970 -subject:poetry
+// Author and subject views: &author=J.R.R.+Tolkien&akey=OL26320A, &subject=Dragons
+// Facet sidebar choices: &f=language:eng&f=decade:1950 (see ./facets)
+// Defaults are left out so plain searches keep short URLs.
+const DEFAULTS = {
+  query: "",
+  field: "all",
+  advanced: "",
+  ebookOnly: false,
+  lang: "",
+  sort: "relevance",
+  facets: EMPTY_FACETS,
+  page: 1,
+  pageSize: null, // only present when the link names one
+  provider: null, // only present when the link names a catalog
+  work: null,
+  author: null,
+  authorKey: null,
+  subject: null,
+};
+
+export function parseSearchState(search) {
+  const params = new URLSearchParams(search);
+  const page = parseInt(params.get("page"), 10);
+  return {
+    query: params.get("q") || DEFAULTS.query,
+    field: SEARCH_FIELDS.includes(params.get("in")) ? params.get("in") : DEFAULTS.field,
+    advanced: params.get("adv") || DEFAULTS.advanced,
+    ebookOnly: params.get("ebook") === "1",
+    lang: params.get("lang") || DEFAULTS.lang,
+    sort: normalizeSort(params.get("sort") || DEFAULTS.sort),
+    facets: facetsFromParams(params.getAll("f")),
+    page: page > 0 ? page : DEFAULTS.page,
+    pageSize: parseInt(params.get("size"), 10) || DEFAULTS.pageSize,
+    provider: params.get("catalog") || DEFAULTS.provider,
+    work: params.get("work") || DEFAULTS.work,
+    author: params.get("author") || DEFAULTS.author,
+    authorKey: params.get("akey") || DEFAULTS.authorKey,
+    subject: params.get("subject") || DEFAULTS.subject,
+  };
+}
+
+export function toSearchString(state) {
+  const params = new URLSearchParams();
+  if (state.query) params.set("q", state.query);
+  if (state.field && state.field !== DEFAULTS.field) params.set("in", state.field);
+  if (state.advanced) params.set("adv", state.advanced);
+  if (state.ebookOnly) params.set("ebook", "1");
+  if (state.lang) params.set("lang", state.lang);
+  if (state.sort && state.sort !== DEFAULTS.sort) params.set("sort", state.sort);
+  facetsToParams(state.facets || DEFAULTS.facets).forEach((f) => params.append("f", f));
+  if (state.page > 1) params.set("page", String(state.page));
+  if (state.pageSize && state.pageSize !== DEFAULT_PAGE_SIZE) params.set("size", String(state.pageSize));
+  if (state.provider && state.provider !== DEFAULT_PROVIDER_ID) params.set("catalog", state.provider);
+  if (state.author) params.set("author", state.author);
+  if (state.author && state.authorKey) params.set("akey", state.authorKey);
+  if (state.subject) params.set("subject", state.subject);
+  if (state.work) params.set("work", state.work);
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+export function readUrlState() {
+  return parseSearchState(window.location.search);
+}
+
+// Returns false when the URL already matches, so callers never stack duplicate history entries.
+export function writeUrlState(state, { replace = false, historyState = null } = {}) {
+  const { pathname, search, hash } = window.location;
+  const next = toSearchString(state);
+  if (next === search) return false;
+  window.history[replace ? "replaceState" : "pushState"](historyState, "", `${pathname}${next}${hash}`);
+  return true;
+}
@@ -0,0 +1,61 @@
+import { parseSearchState, readUrlState, toSearchString, writeUrlState } from "./urlState";
+import { DEFAULT_PAGE_SIZE } from "./searchRequest";
+
+const roundTrip = (state) => parseSearchState(toSearchString(state));
+
+test("a plain search keeps a short URL", () => {
+  expect(toSearchString(parseSearchState(""))).toBe("");
+  expect(toSearchString({ ...parseSearchState(""), query: "dune" })).toBe("?q=dune");
+});
+
+test("every part of a search survives the trip through the URL", () => {
+  const state = {
+    query: "dragons & dungeons",
+    field: "author",
+    advanced: "year:1950-1970 -subject:poetry",
+    ebookOnly: true,
+    lang: "spa",
+    sort: "new",
+    facets: { language: ["eng", "fre"], decade: ["1950"] },
+    page: 3,
+    pageSize: 40,
+    provider: "googlebooks",
+    work: "/works/OL27482W",
+    author: "J.R.R. Tolkien",
+    authorKey: "OL26320A",
+    subject: "Dragons",
+  };
+  expect(roundTrip(state)).toEqual(state);
+});
+
+test("leaves defaults out of the URL", () => {
+  const qs = toSearchString({ ...parseSearchState(""), query: "a", field: "all", sort: "relevance", page: 1, pageSize: DEFAULT_PAGE_SIZE });
+  expect(qs).toBe("?q=a");
+  expect(toSearchString({ ...parseSearchState(""), query: "a", pageSize: DEFAULT_PAGE_SIZE * 2 })).toBe(`?q=a&size=${DEFAULT_PAGE_SIZE * 2}`);
+});
+
+test("falls back to defaults for values it doesn't know", () => {
+  expect(parseSearchState("?in=everything&sort=sideways&page=-2&size=lots&f=colour:red")).toMatchObject({
+    field: "all",
+    sort: "relevance",
+    page: 1,
+    pageSize: null,
+    facets: {},
+  });
+  // links from before the sort ids were renamed
+  expect(parseSearchState("?sort=year_desc").sort).toBe("new");
+});
+
+test("writes history entries only when the URL changes", () => {
+  window.history.replaceState(null, "", "/?q=a");
+  const before = window.history.length;
+
+  expect(writeUrlState({ ...readUrlState(), page: 2 })).toBe(true);
+  expect(window.location.search).toBe("?q=a&page=2");
+  expect(window.history.length).toBe(before + 1);
+
+  expect(writeUrlState(readUrlState())).toBe(false);
+  expect(writeUrlState({ ...readUrlState(), page: 3 }, { replace: true, historyState: { details: true } })).toBe(true);
+  expect(window.history.length).toBe(before + 1);
+  expect(window.history.state).toEqual({ details: true });
+});
@@ -0,0 +1,187 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { formatQuerySyntax, parseQuerySyntax } from "./queryBuilder";
+import { isAbortError } from "./requestCache";
+import { isOfflineError } from "./errors";
+import { searchSorted } from "./sorting";
+import { EMPTY_FACETS, applyFacets, hasFacets } from "./facets";
+import { useOnlineStatus } from "./offline";
+import { SEARCH_DEBOUNCE, appendBooks, buildSearchRequest, checkIsbn, pageCount } from "./searchRequest";
+
+// The search behind the controls and the results grid: what's being searched
+// for, the debounced and cancellable fetch, and what came back.
+//
+//   initial      search state to start from, as ./urlState reads it
+//   provider     the catalog to search (see ./providers)
+//   pageSize     results per page
+//   continuous   each further page is added below the ones already shown
+//   onRun(state) hears every search as it runs (BookFinder mirrors it into the URL)
+//   onNewSearch() hears every change that starts the results over
+//
+// Changing the query, a filter or the catalog goes back to page 1; a new
+// query or catalog also drops the facet choices made over the old results.
+export function useBookSearch({ initial, provider, pageSize, continuous = false, onRun, onNewSearch }) {
+  const [query, setQuery] = useState(initial.query);
+  const [field, setField] = useState(initial.field); // all | title | author | subject | isbn
+  const [clauses, setClauses] = useState(() => parseQuerySyntax(initial.advanced)); // see ./queryBuilder
+  const [ebookOnly, setEbookOnly] = useState(initial.ebookOnly);
+  const [lang, setLang] = useState(initial.lang); // e.g., eng, spa, hin
+  const [sort, setSort] = useState(initial.sort); // see SORTS in ./sorting
+  const [facets, setFacets] = useState(initial.facets); // sidebar choices over the loaded results, see ./facets
+  const [page, setPage] = useState(initial.page); // 1-indexed
+
+  const [books, setBooks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [truncated, setTruncated] = useState(false); // client-side sort only covered the first results
+  const [approximate, setApproximate] = useState(false); // the catalog could only estimate the total
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null); // why the last search failed, see ./errors
+  const [searched, setSearched] = useState(false); // a search has come back, so no books means none matched
+
+  const debounceRef = useRef(null);
+  const abortRef = useRef(null); // the search in progress, cancelled when a newer one starts
+  const offlineRef = useRef(false); // the last search failed for want of a network
+  const callbacksRef = useRef({ onRun, onNewSearch });
+  callbacksRef.current = { onRun, onNewSearch };
+
+  const online = useOnlineStatus();
+  const isbnCheck = checkIsbn(query, field);
+
+  async function fetchBooks(request) {
+    const append = continuous && page > 1;
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setLoading(true);
+    setError(null);
+    offlineRef.current = false;
+    try {
+      const result = await searchSorted(provider, request, { signal: controller.signal });
+      // a newer search has started; its results win
+      if (controller.signal.aborted) return;
+      setBooks(append ? (prev) => appendBooks(prev, result.books) : result.books);
+      setTotal(result.total);
+      setTruncated(Boolean(result.truncated));
+      setApproximate(Boolean(result.approximate));
+      setSearched(true);
+    } catch (e) {
+      if (isAbortError(e) || controller.signal.aborted) return;
+      // searches run before are answered from cache offline; this one wasn't
+      offlineRef.current = isOfflineError(e);
+      setError(e);
+      // a failed "load more" keeps the pages already shown
+      if (append) return;
+      setBooks([]);
+      setTotal(0);
+    } finally {
+      if (abortRef.current === controller) setLoading(false);
+    }
+  }
+
+  // Search now, without waiting out the debounce
+  function runSearch() {
+    clearTimeout(debounceRef.current);
+    callbacksRef.current.onRun?.({ query, field, clauses, ebookOnly, lang, sort, facets, page });
+    const request = buildSearchRequest({ query, field, clauses, ebookOnly, lang, sort, page, pageSize });
+    if (!request) {
+      abortRef.current?.abort();
+      setBooks([]);
+      setTotal(0);
+      setError(null);
+      setSearched(false);
+      setLoading(false);
+      return;
+    }
+    fetchBooks(request);
+  }
+
+  // Don't let a search finish into an unmounted component
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // A search that failed for lack of a network runs again once there is one
+  useEffect(() => {
+    if (online && offlineRef.current) runSearch();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [online]);
+
+  useEffect(() => {
+    debounceRef.current = setTimeout(runSearch, SEARCH_DEBOUNCE);
+    return () => clearTimeout(debounceRef.current);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, field, clauses, ebookOnly, lang, sort, page, pageSize, continuous, provider]);
+
+  const withPageReset = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+    callbacksRef.current.onNewSearch?.();
+  };
+  const withFacetReset = (setter) =>
+    withPageReset((value) => {
+      setter(value);
+      setFacets(EMPTY_FACETS);
+    });
+
+  const totalPages = pageCount(total, pageSize);
+  const shownBooks = useMemo(() => applyFacets(books, facets), [books, facets]);
+
+  // Back/forward and pinned searches: the search part of a URL state. A
+  // continuous list's URL always says page 1, so it keeps the pages it has
+  // added unless the search itself is a different one (closing Details, for
+  // one, comes back to the same search).
+  function restore(state) {
+    const sameSearch =
+      state.query === query &&
+      state.field === field &&
+      state.advanced === formatQuerySyntax(clauses) &&
+      state.ebookOnly === ebookOnly &&
+      state.lang === lang &&
+      state.sort === sort;
+    setQuery(state.query);
+    setField(state.field);
+    if (state.advanced !== formatQuerySyntax(clauses)) setClauses(parseQuerySyntax(state.advanced));
+    setEbookOnly(state.ebookOnly);
+    setLang(state.lang);
+    setSort(state.sort);
+    setFacets(state.facets);
+    if (!continuous || !sameSearch) setPage(state.page);
+  }
+
+  return {
+    query,
+    field,
+    clauses,
+    ebookOnly,
+    lang,
+    sort,
+    facets,
+    page,
+    setQuery: withFacetReset(setQuery),
+    setField: withFacetReset(setField),
+    setClauses: withPageReset(setClauses),
+    setEbookOnly: withPageReset(setEbookOnly),
+    setLang: withPageReset(setLang),
+    setSort: withPageReset(setSort),
+    setFacets,
+    setPage,
+    // for settings kept outside the hook (catalog, page size, layout) that start a search over too
+    withPageReset,
+    withFacetReset,
+    restore,
+    runSearch,
+    loadMore: () => {
+      if (!loading && page < totalPages) setPage((p) => p + 1);
+    },
+
+    isbnCheck,
+    books,
+    shownBooks,
+    facetsActive: hasFacets(facets),
+    total,
+    totalPages,
+    truncated,
+    approximate,
+    loading,
+    error,
+    searched,
+  };
+}
@@ -0,0 +1,149 @@
+import { act, renderHook } from "@testing-library/react";
+import { parseSearchState } from "./urlState";
+import { SEARCH_DEBOUNCE } from "./searchRequest";
+import { catalogError } from "./errors";
+import { useBookSearch } from "./useBookSearch";
+
+const book = (key) => ({ key, title: `Book ${key}` });
+
+// A catalog whose answers the test hands out one search at a time
+function fakeProvider() {
+  const pending = [];
+  const provider = {
+    id: "fake",
+    sorts: ["relevance", "new"],
+    search: jest.fn(
+      (params, { signal }) =>
+        new Promise((resolve, reject) => {
+          pending.push({ params, signal, resolve, reject });
+        })
+    ),
+  };
+  return { provider, pending };
+}
+
+function setup({ url = "?q=dragons", ...options } = {}) {
+  const { provider, pending } = fakeProvider();
+  const onRun = jest.fn();
+  const onNewSearch = jest.fn();
+  const view = renderHook((props) => useBookSearch(props), {
+    initialProps: { initial: parseSearchState(url), provider, pageSize: 20, onRun, onNewSearch, ...options },
+  });
+  return { ...view, provider, pending, onRun, onNewSearch };
+}
+
+// let the debounce run out and the answer land
+const settle = () =>
+  act(async () => {
+    jest.advanceTimersByTime(SEARCH_DEBOUNCE);
+  });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("waits for typing to stop, then searches once for what was typed last", async () => {
+  const { result, provider, pending, onRun } = setup({ url: "" });
+  act(() => result.current.setQuery("d"));
+  act(() => jest.advanceTimersByTime(SEARCH_DEBOUNCE - 100));
+  act(() => result.current.setQuery("dr"));
+  act(() => jest.advanceTimersByTime(SEARCH_DEBOUNCE - 100));
+  act(() => result.current.setQuery("dragons"));
+  expect(provider.search).not.toHaveBeenCalled();
+
+  await settle();
+  expect(provider.search).toHaveBeenCalledTimes(1);
+  expect(pending[0].params).toMatchObject({ query: "dragons", field: "all", page: 1, pageSize: 20 });
+  expect(onRun).toHaveBeenLastCalledWith(expect.objectContaining({ query: "dragons", page: 1 }));
+  expect(result.current.loading).toBe(true);
+
+  await act(async () => pending[0].resolve({ books: [book("a"), book("b")], total: 2 }));
+  expect(result.current.books.map((b) => b.key)).toEqual(["a", "b"]);
+  expect(result.current.total).toBe(2);
+  expect(result.current.loading).toBe(false);
+  expect(result.current.searched).toBe(true);
+});
+
+test("doesn't search for an empty box, and clears what was there", async () => {
+  const { result, provider, pending } = setup();
+  await settle();
+  await act(async () => pending[0].resolve({ books: [book("a")], total: 1 }));
+
+  act(() => result.current.setQuery("  "));
+  await settle();
+  expect(provider.search).toHaveBeenCalledTimes(1);
+  expect(result.current.books).toEqual([]);
+  expect(result.current.searched).toBe(false);
+});
+
+test("a newer search cancels the one still running, and only its answer is shown", async () => {
+  const { result, pending } = setup();
+  await settle();
+  act(() => result.current.setQuery("wizards"));
+  await settle();
+  expect(pending[0].signal.aborted).toBe(true);
+
+  await act(async () => pending[1].resolve({ books: [book("w")], total: 1 }));
+  await act(async () => pending[0].resolve({ books: [book("d")], total: 1 }));
+  expect(result.current.books.map((b) => b.key)).toEqual(["w"]);
+});
+
+test("changing a filter starts again from page 1; a new query also drops the facet choices", async () => {
+  const { result, pending, onNewSearch } = setup({ url: "?q=dragons&page=3&f=language:eng" });
+  expect(result.current.page).toBe(3);
+  expect(result.current.facetsActive).toBe(true);
+
+  act(() => result.current.setEbookOnly(true));
+  expect(result.current.page).toBe(1);
+  expect(result.current.facetsActive).toBe(true);
+  expect(onNewSearch).toHaveBeenCalledTimes(1);
+
+  act(() => result.current.setPage(2));
+  act(() => result.current.setSort("new"));
+  expect(result.current.page).toBe(1);
+
+  act(() => result.current.setQuery("wizards"));
+  expect(result.current.facetsActive).toBe(false);
+  await settle();
+  expect(pending.at(-1).params).toMatchObject({ query: "wizards", ebookOnly: true, sort: "new", page: 1 });
+});
+
+test("in a continuous list, more pages are added below without repeats", async () => {
+  const { result, pending } = setup({ continuous: true });
+  await settle();
+  await act(async () => pending[0].resolve({ books: [book("a"), book("b")], total: 50 }));
+  expect(result.current.totalPages).toBe(3);
+
+  act(() => result.current.loadMore());
+  await settle();
+  expect(pending[1].params.page).toBe(2);
+  await act(async () => pending[1].resolve({ books: [book("b"), book("c")], total: 50 }));
+  expect(result.current.books.map((b) => b.key)).toEqual(["a", "b", "c"]);
+});
+
+test("a failed search says why and can be run again", async () => {
+  const { result, pending } = setup();
+  await settle();
+  await act(async () => pending[0].reject(catalogError("http", "HTTP 503", { status: 503 })));
+  expect(result.current.error).toMatchObject({ kind: "http", status: 503 });
+  expect(result.current.books).toEqual([]);
+  expect(result.current.loading).toBe(false);
+
+  act(() => result.current.runSearch());
+  expect(result.current.error).toBeNull();
+  await act(async () => pending[1].resolve({ books: [book("a")], total: 1 }));
+  expect(result.current.books).toHaveLength(1);
+});
+
+test("restores a search from the URL state", async () => {
+  const { result, pending } = setup();
+  act(() => result.current.restore(parseSearchState("?q=wizards&in=title&lang=spa&page=2&adv=subject%3Amagic")));
+  expect(result.current).toMatchObject({ query: "wizards", field: "title", lang: "spa", page: 2 });
+  expect(result.current.clauses).toHaveLength(1);
+  await settle();
+  expect(pending.at(-1).params).toMatchObject({ query: "wizards", field: "title", lang: "spa", page: 2 });
+});
@@ -0,0 +1,27 @@
+import { createContext, useContext, useEffect, useMemo } from "react";
+import { useLocalStorage } from "./useLocalStorage";
+import { LOCALE_KEY, createI18n, defaultI18n, isSupportedLocale, matchLocale } from "./i18n";
+import "./rtl.css";
+
+// Components read the current locale's { t, formatNumber, ... } (see ./i18n)
+// from context; outside a provider, as in tests, they get English.
+const I18nContext = createContext(defaultI18n);
+
+export const I18nProvider = I18nContext.Provider;
+
+export const useI18n = () => useContext(I18nContext);
+
+// The chosen locale, first guessed from the browser, kept across visits, and
+// reflected on <html> (lang, and dir for right-to-left languages)
+export function useLocale() {
+  const [stored, setLocale] = useLocalStorage(LOCALE_KEY, () => matchLocale(navigator.languages || [navigator.language]));
+  const locale = isSupportedLocale(stored) ? stored : matchLocale([]);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
+
+  return [i18n, setLocale];
+}
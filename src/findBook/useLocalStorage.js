@@ -0,0 +1,18 @@
+import { useEffect, useState } from "react";
+
+// useState that survives reloads. Like useState, initialValue may be a function.
+export function useLocalStorage(key, initialValue) {
+  const [value, setValue] = useState(() => {
+    try {
+      const raw = localStorage.getItem(key);
+      if (raw) return JSON.parse(raw);
+    } catch {}
+    return typeof initialValue === "function" ? initialValue() : initialValue;
+  });
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {}
+  }, [key, value]);
+  return [value, setValue];
+}
@@ -0,0 +1,119 @@
+/* eslint-disable no-restricted-globals */
+
+// Book Finder's service worker. react-scripts builds this file (production
+// only) and replaces the manifest placeholder (MANIFEST below) with the list
+// of built assets.
+//
+// - app shell: the built assets are precached, and navigations fall back to
+//   the cached index.html when the network is down
+// - covers: cache first, they never change for a given URL (but are refetched
+//   after a month, and only kept when the host allows CORS)
+// - catalog JSON: network first, with the last good answer kept for offline
+// - the page can ask for URLs to be cached ahead of time (saved books' covers)
+
+// The build only accepts one mention of the placeholder in this file
+const MANIFEST = self.__WB_MANIFEST;
+
+// Short, stable hash of a string (djb2)
+const hashString = (text) => [...text].reduce((hash, ch) => ((hash * 33) ^ ch.charCodeAt(0)) >>> 0, 5381).toString(36);
+
+// The app shell is cached per build: every asset in the manifest carries its
+// hash or revision, so a new build gets a new cache and activate() drops the
+// old one. Covers and catalog answers outlive builds; their version only
+// changes when what's stored in them does.
+const SHELL_CACHE = `bookfinder-shell-${hashString(JSON.stringify(MANIFEST))}`;
+const COVERS_CACHE = "bookfinder-covers-v2";
+const API_CACHE = "bookfinder-api-v1";
+const CACHES = [SHELL_CACHE, COVERS_CACHE, API_CACHE];
+const MAX_COVERS = 300;
+const MAX_COVER_AGE = 30 * 24 * 60 * 60 * 1000;
+const MAX_API = 200;
+const CACHED_AT = "x-bookfinder-cached-at";
+
+const PUBLIC_URL = process.env.PUBLIC_URL || "";
+const INDEX_URL = `${PUBLIC_URL}/index.html`;
+const SHELL_URLS = [INDEX_URL, ...MANIFEST.map((entry) => (typeof entry === "string" ? entry : entry.url))];
+
+const COVER_HOSTS = ["covers.openlibrary.org", "books.google.com", "books.googleusercontent.com"];
+const API_HOSTS = ["openlibrary.org", "www.googleapis.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll([...new Set(SHELL_URLS)])));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => n.startsWith("bookfinder-") && !CACHES.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "CACHE_URLS") {
+    event.waitUntil(Promise.all(event.data.urls.map((url) => coverFirst(new Request(url)).catch(() => {}))));
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).catch(() => caches.match(INDEX_URL)));
+  } else if (COVER_HOSTS.includes(url.hostname) || request.destination === "image") {
+    event.respondWith(coverFirst(request));
+  } else if (API_HOSTS.includes(url.hostname) || url.pathname.endsWith(".json")) {
+    event.respondWith(networkFirst(request, API_CACHE, MAX_API));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(caches.match(request).then((hit) => hit || fetch(request)));
+  }
+});
+
+// Covers are asked for with CORS. An <img> on its own would get an opaque
+// response, which the storage quota charges at a large padded size whatever
+// the image weighs; hosts that refuse CORS still get their cover shown, it
+// just isn't kept. Kept covers are stamped so old ones are fetched again.
+async function coverFirst(request) {
+  const cache = await caches.open(COVERS_CACHE);
+  const hit = await cache.match(request.url);
+  if (hit && Date.now() - Number(hit.headers.get(CACHED_AT)) < MAX_COVER_AGE) return hit;
+
+  let response;
+  try {
+    response = await fetch(request.url, { mode: "cors", credentials: "omit" });
+  } catch (e) {
+    // offline (an out-of-date cover beats none), or the host refused CORS
+    return hit || fetch(request);
+  }
+  if (response.ok) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT, String(Date.now()));
+    const stamped = new Response(await response.clone().blob(), { status: response.status, statusText: response.statusText, headers });
+    await put(cache, request.url, stamped, MAX_COVERS);
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await put(cache, request, response.clone(), maxEntries);
+    return response;
+  } catch (e) {
+    const hit = await cache.match(request);
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+// Oldest entries go first; Cache keys() come back in insertion order
+async function put(cache, request, response, maxEntries) {
+  await cache.put(request, response);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
@@ -0,0 +1,39 @@
+// Registers the service worker in ./service-worker.js. It only exists in
+// production builds, so development and tests always run against the network.
+
+export function register({ onUpdate, onReady } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  // the worker can't be served from a different origin than the page
+  const publicUrl = new URL(process.env.PUBLIC_URL || "", window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL || ""}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const worker = registration.installing;
+          if (!worker) return;
+          worker.onstatechange = () => {
+            if (worker.state !== "installed") return;
+            // a controller already exists: this is a new version of a cached app
+            if (navigator.serviceWorker.controller) onUpdate?.(registration);
+            else onReady?.(registration);
+          };
+        };
+      })
+      .catch((error) => console.error("Service worker registration failed:", error));
+  });
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch(() => {});
+}
+
+// Ask the active worker to cache URLs now (e.g. covers of saved books) so they
+// are there offline. Does nothing without a worker.
+export function cacheUrls(urls) {
+  const worker = typeof navigator !== "undefined" && navigator.serviceWorker?.controller;
+  if (worker && urls.length) worker.postMessage({ type: "CACHE_URLS", urls });
+}